@@ -0,0 +1,45 @@
+/**
+ * Alert Notifications
+ * Shows desktop notifications for alerts routed to the browser channel by a
+ * notification policy, so operators see them without the alert page open.
+ */
+
+(function () {
+    if (!('Notification' in window)) {
+        return;
+    }
+
+    function show(notification) {
+        if (Notification.permission !== 'granted') {
+            console.warn('Alert notification not shown (permission not granted):', notification.title);
+            return;
+        }
+
+        const desktop = new Notification(notification.title, {
+            body: notification.body,
+            tag: notification.alertId,
+            requireInteraction: notification.severity === 'CRITICAL'
+        });
+
+        desktop.onclick = () => {
+            window.focus();
+            desktop.close();
+        };
+    }
+
+    function connect() {
+        const source = new EventSource('/api/notifications/stream');
+
+        source.addEventListener('notification:browser', (message) => {
+            show(JSON.parse(message.data));
+        });
+    }
+
+    document.addEventListener('DOMContentLoaded', () => {
+        if (Notification.permission === 'default') {
+            // Most browsers only show the permission prompt after a user gesture
+            document.addEventListener('click', () => Notification.requestPermission(), { once: true });
+        }
+        connect();
+    });
+})();
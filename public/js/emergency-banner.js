@@ -0,0 +1,84 @@
+/**
+ * Emergency Banner
+ * Shared by every dashboard page: shows aircraft squawking 7500/7600/7700
+ * at the top of the page, kept up to date from the emergency SSE stream.
+ */
+
+(function () {
+    const emergencies = new Map();
+    let banner = null;
+
+    function getBanner() {
+        if (!banner) {
+            banner = document.createElement('div');
+            banner.className = 'emergency-banner';
+            banner.setAttribute('role', 'alert');
+            document.body.prepend(banner);
+        }
+        return banner;
+    }
+
+    function render() {
+        const element = getBanner();
+
+        if (emergencies.size === 0) {
+            element.style.display = 'none';
+            return;
+        }
+
+        element.style.display = 'block';
+        element.innerHTML = Array.from(emergencies.values()).map(e => `
+            <div class="emergency-item">
+                🚨 <strong>${e.callsign}</strong> squawking <strong>${e.squawk}</strong> - ${e.description}
+                ${e.altitude !== undefined ? `<span class="emergency-position">${Math.round(e.altitude)} ft</span>` : ''}
+            </div>
+        `).join('');
+    }
+
+    async function loadActive() {
+        try {
+            const response = await fetch('/api/emergency');
+            const result = await response.json();
+
+            if (result.success) {
+                for (const event of result.data) {
+                    emergencies.set(event.callsign, {
+                        callsign: event.callsign,
+                        squawk: event.squawk,
+                        description: event.description,
+                        altitude: event.lastPosition ? event.lastPosition.altitude : undefined
+                    });
+                }
+                render();
+            }
+        } catch (error) {
+            console.error('Error loading active emergencies:', error);
+        }
+    }
+
+    function connect() {
+        const source = new EventSource('/api/emergency/stream');
+
+        source.addEventListener('emergency:alert', (message) => {
+            const alert = JSON.parse(message.data);
+            emergencies.set(alert.aircraft.callsign, {
+                callsign: alert.aircraft.callsign,
+                squawk: alert.squawk,
+                description: alert.description,
+                altitude: alert.aircraft.altitude
+            });
+            render();
+        });
+
+        source.addEventListener('emergency:cleared', (message) => {
+            const event = JSON.parse(message.data);
+            emergencies.delete(event.callsign);
+            render();
+        });
+    }
+
+    document.addEventListener('DOMContentLoaded', () => {
+        loadActive();
+        connect();
+    });
+})();
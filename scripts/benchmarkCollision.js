@@ -0,0 +1,59 @@
+/**
+ * Collision Detection Benchmark
+ * Runs the collision detector over synthetic traffic spread across Europe
+ * and reports pairs evaluated and cycle time.
+ *
+ * Usage: node scripts/benchmarkCollision.js [aircraftCount] [cycles]
+ */
+
+const collisionService = require('../src/services/collisionService');
+
+// Rough bounding box of European airspace
+const EUROPE = {
+    minLat: 35.0,
+    maxLat: 70.0,
+    minLon: -10.0,
+    maxLon: 40.0
+};
+
+function generateTraffic(count) {
+    const positions = [];
+
+    for (let i = 0; i < count; i++) {
+        positions.push({
+            callsign: `BENCH${i}`,
+            latitude: EUROPE.minLat + Math.random() * (EUROPE.maxLat - EUROPE.minLat),
+            longitude: EUROPE.minLon + Math.random() * (EUROPE.maxLon - EUROPE.minLon),
+            altitude: 1000 + Math.random() * 40000,
+            velocity: 150 + Math.random() * 350,
+            heading: Math.random() * 360
+        });
+    }
+
+    return positions;
+}
+
+function main() {
+    const count = parseInt(process.argv[2] || '5000');
+    const cycles = parseInt(process.argv[3] || '5');
+
+    console.log(`🚀 Benchmarking collision detection: ${count} aircraft, ${cycles} cycles\n`);
+
+    const positions = generateTraffic(count);
+    const timings = [];
+
+    for (let cycle = 1; cycle <= cycles; cycle++) {
+        collisionService.detectConflicts(positions);
+        const stats = collisionService.getCycleStats();
+        timings.push(stats.cycleTimeMs);
+
+        console.log(`  Cycle ${cycle}: ${stats.pairsEvaluated} of ${stats.bruteForcePairs} pairs evaluated ` +
+            `(${stats.cells} cells, ${stats.cellSizeKm} km), ${stats.alerts} alerts, ` +
+            `${stats.predictions} predictions, ${stats.cycleTimeMs.toFixed(1)}ms`);
+    }
+
+    const average = timings.reduce((sum, t) => sum + t, 0) / timings.length;
+    console.log(`\n✅ Average cycle time: ${average.toFixed(1)}ms`);
+}
+
+main();
@@ -0,0 +1,95 @@
+/**
+ * Mock SMTP Server
+ * Accepts every message and prints it to the console, so email
+ * notifications can be tested without a real mail server.
+ *
+ * Usage: node scripts/mockSmtpServer.js   (listens on SMTP_PORT, default 2525)
+ */
+
+const net = require('net');
+require('dotenv').config();
+
+const PORT = parseInt(process.env.SMTP_PORT || '2525');
+
+const server = net.createServer(socket => {
+    let buffer = '';
+    let inData = false;
+    let message = { from: null, to: [], data: [] };
+
+    const reply = line => socket.write(`${line}\r\n`);
+
+    const handleLine = (line) => {
+        if (inData) {
+            if (line === '.') {
+                inData = false;
+                console.log('📧 ─────────────────────────────────────────');
+                console.log(`From: ${message.from}`);
+                console.log(`To:   ${message.to.join(', ')}`);
+                console.log(message.data.join('\n'));
+                message = { from: null, to: [], data: [] };
+                reply('250 OK: message accepted');
+            } else {
+                // Undo dot-stuffing
+                message.data.push(line.startsWith('..') ? line.slice(1) : line);
+            }
+            return;
+        }
+
+        const command = line.slice(0, 4).toUpperCase();
+        switch (command) {
+            case 'EHLO':
+                reply('250-mock-smtp');
+                reply('250 AUTH PLAIN LOGIN');
+                break;
+            case 'HELO':
+                reply('250 mock-smtp');
+                break;
+            case 'AUTH':
+                reply('235 Authentication successful');
+                break;
+            case 'MAIL':
+                message.from = line.replace(/^MAIL FROM:/i, '').trim();
+                reply('250 OK');
+                break;
+            case 'RCPT':
+                message.to.push(line.replace(/^RCPT TO:/i, '').trim());
+                reply('250 OK');
+                break;
+            case 'DATA':
+                inData = true;
+                reply('354 End data with <CR><LF>.<CR><LF>');
+                break;
+            case 'RSET':
+                message = { from: null, to: [], data: [] };
+                reply('250 OK');
+                break;
+            case 'NOOP':
+                reply('250 OK');
+                break;
+            case 'QUIT':
+                reply('221 Bye');
+                socket.end();
+                break;
+            default:
+                reply('502 Command not implemented');
+        }
+    };
+
+    socket.on('data', chunk => {
+        buffer += chunk.toString();
+        let index;
+        while ((index = buffer.indexOf('\r\n')) !== -1) {
+            const line = buffer.slice(0, index);
+            buffer = buffer.slice(index + 2);
+            handleLine(line);
+        }
+    });
+
+    socket.on('error', error => console.error('SMTP connection error:', error.message));
+
+    reply('220 mock-smtp ready');
+});
+
+server.listen(PORT, () => {
+    console.log(`📮 Mock SMTP server listening on port ${PORT}`);
+});
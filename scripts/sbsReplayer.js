@@ -0,0 +1,191 @@
+/**
+ * SBS-1 Replayer
+ * Serves an SBS-1 BaseStation stream on a TCP port like dump1090 / readsb,
+ * so the local ADS-B ingest can be tested without a receiver.
+ *
+ * Usage:
+ *   node scripts/sbsReplayer.js                      synthetic traffic around the airport
+ *   node scripts/sbsReplayer.js capture.sbs          replay a recorded feed
+ * Options:
+ *   --port 30003     port to listen on (default SBS_PORT or 30003)
+ *   --speed 2        replay speed factor for recordings (default 1)
+ *   --loop           restart the recording when it ends
+ *   --aircraft 4     number of synthetic aircraft (default 4)
+ *
+ * A recording can be captured from a receiver with e.g. `nc receiver 30003 > capture.sbs`.
+ */
+
+const fs = require('fs');
+const net = require('net');
+require('dotenv').config();
+const { formatSbsLine } = require('../src/utils/sbsParser');
+const { projectPosition } = require('../src/utils/geo');
+
+// Longest pause taken from a recording, so gaps in the capture don't stall the replay
+const MAX_GAP_MS = 10000;
+
+function parseArgs(argv) {
+    const options = {
+        file: null,
+        port: parseInt(process.env.SBS_PORT || '30003'),
+        speed: 1,
+        loop: false,
+        aircraft: 4
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--port') options.port = parseInt(argv[++i]);
+        else if (arg === '--speed') options.speed = parseFloat(argv[++i]) || 1;
+        else if (arg === '--loop') options.loop = true;
+        else if (arg === '--aircraft') options.aircraft = parseInt(argv[++i]) || 1;
+        else options.file = arg;
+    }
+
+    return options;
+}
+
+const options = parseArgs(process.argv.slice(2));
+const clients = new Set();
+let onFirstClient = null;
+
+function broadcast(line) {
+    for (const socket of clients) {
+        socket.write(`${line}\r\n`);
+    }
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Time a recorded MSG line was generated (fields 6 and 7), or null
+ */
+function lineTime(line) {
+    const fields = line.split(',');
+    if (fields[0] !== 'MSG' || fields.length < 8 || !fields[6] || !fields[7]) return null;
+    const time = Date.parse(`${fields[6]} ${fields[7]}`);
+    return isNaN(time) ? null : time;
+}
+
+/**
+ * Replay a recorded feed, keeping the original spacing between messages
+ */
+async function replayFile(file) {
+    const lines = fs.readFileSync(file, 'utf8').split(/\r?\n/).filter(line => line.trim());
+
+    // Hold the recording until someone is listening
+    if (clients.size === 0) {
+        console.log('⏳ Waiting for a client to connect...');
+        await new Promise(resolve => { onFirstClient = resolve; });
+    }
+
+    console.log(`📼 Replaying ${lines.length} lines from ${file} at ${options.speed}x${options.loop ? ' (looping)' : ''}`);
+
+    do {
+        let previous = null;
+        for (const line of lines) {
+            const time = lineTime(line);
+            if (time !== null && previous !== null && time > previous) {
+                await sleep(Math.min(time - previous, MAX_GAP_MS) / options.speed);
+            }
+            if (time !== null) previous = time;
+            broadcast(line.trim());
+        }
+        console.log('📼 End of recording');
+    } while (options.loop);
+}
+
+/**
+ * Aircraft flying circles around the airport, one of them starting on the ground
+ */
+function createSyntheticAircraft(count) {
+    const aircraft = [];
+    for (let i = 0; i < count; i++) {
+        aircraft.push({
+            icao24: (0x3c6400 + i).toString(16),
+            callsign: `TST${100 + i}`,
+            squawk: (1000 + i).toString(),
+            radiusKm: 5 + i * 4,
+            angle: (i * 360) / count,
+            altitude: i === 0 ? 0 : 3000 + i * 1500,
+            velocity: i === 0 ? 15 : 180 + i * 20,
+            onGround: i === 0
+        });
+    }
+    return aircraft;
+}
+
+async function replaySynthetic() {
+    const centerLat = parseFloat(process.env.AIRPORT_LATITUDE || '50.0379');
+    const centerLon = parseFloat(process.env.AIRPORT_LONGITUDE || '8.5622');
+    const aircraft = createSyntheticAircraft(options.aircraft);
+
+    console.log(`🛩️  Generating synthetic traffic for ${aircraft.length} aircraft around ${centerLat}, ${centerLon}`);
+
+    for (let tick = 0; ; tick++) {
+        for (const a of aircraft) {
+            // Advance one second along the circle at the aircraft's speed
+            const kmPerSec = a.velocity * 1.852 / 3600;
+            a.angle = (a.angle + (kmPerSec / a.radiusKm) * (180 / Math.PI)) % 360;
+
+            const position = projectPosition(centerLat, centerLon, a.angle, a.radiusKm);
+            const track = Math.round((a.angle + 90) % 360);
+
+            if (tick % 3 === 0) {
+                broadcast(formatSbsLine({ type: 1, icao24: a.icao24, callsign: a.callsign }));
+            }
+            if (a.onGround) {
+                broadcast(formatSbsLine({
+                    type: 2, icao24: a.icao24, altitude: 0, velocity: a.velocity, heading: track,
+                    latitude: position.latitude.toFixed(5), longitude: position.longitude.toFixed(5), on_ground: true
+                }));
+            } else {
+                broadcast(formatSbsLine({
+                    type: 3, icao24: a.icao24, altitude: a.altitude,
+                    latitude: position.latitude.toFixed(5), longitude: position.longitude.toFixed(5),
+                    alert: false, emergency: false, spi: false, on_ground: false
+                }));
+                broadcast(formatSbsLine({ type: 4, icao24: a.icao24, velocity: a.velocity, heading: track, vertical_rate: 0 }));
+            }
+            if (tick % 3 === 1) {
+                broadcast(formatSbsLine({
+                    type: 6, icao24: a.icao24, altitude: a.altitude, squawk: a.squawk,
+                    alert: false, emergency: false, spi: false, on_ground: a.onGround
+                }));
+            }
+        }
+        await sleep(1000);
+    }
+}
+
+const server = net.createServer(socket => {
+    clients.add(socket);
+    console.log(`🔌 Client connected (${clients.size} total)`);
+
+    if (onFirstClient) {
+        onFirstClient();
+        onFirstClient = null;
+    }
+
+    socket.on('close', () => {
+        clients.delete(socket);
+        console.log(`🔌 Client disconnected (${clients.size} total)`);
+    });
+    socket.on('error', error => console.error('SBS-1 client error:', error.message));
+});
+
+server.listen(options.port, () => {
+    console.log(`📻 SBS-1 replayer listening on port ${options.port}`);
+
+    const playback = options.file ? replayFile(options.file) : replaySynthetic();
+    playback
+        .then(() => {
+            console.log('✅ Replay finished');
+            server.close();
+            for (const socket of clients) socket.end();
+        })
+        .catch(error => {
+            console.error('❌ Replay failed:', error.message);
+            process.exit(1);
+        });
+});
@@ -70,8 +70,121 @@ async function setupNeo4j() {
     })
     MERGE (a)-[:HAS_ZONE]->(z1)
     MERGE (a)-[:HAS_ZONE]->(z2)
+    SET a.elevationFt = 364,
+        z1.floorFt = 0, z1.ceilingFt = 5000,
+        z2.floorFt = 0, z2.ceilingFt = 3000
     `);
 
+        // Create the control zone as a polygon with vertical limits
+        // (more polygon zones can be imported from GeoJSON via POST /api/admin/zones/import)
+        await session.run(`
+    MATCH (a:Airport {icao: 'EDDF'})
+    MERGE (a)-[:HAS_ZONE]->(z:Zone {name: 'Control Zone'})
+    SET z.type = 'CTR',
+        z.latitudes = [50.1200, 50.1200, 49.9700, 49.9700],
+        z.longitudes = [8.3500, 8.7600, 8.7600, 8.3500],
+        z.latitude = 50.0450, z.longitude = 8.5550, z.radiusMeters = 17500,
+        z.floorFt = 0, z.ceilingFt = 1500
+    `);
+
+        // Create a sample restricted area (stadium TFR, inactive until an event is scheduled)
+        // Manage areas via /api/restricted-areas
+        await session.run(`
+    CREATE CONSTRAINT restricted_area_id IF NOT EXISTS
+    FOR (r:RestrictedArea) REQUIRE r.areaId IS UNIQUE
+    `);
+
+        await session.run(`
+    MERGE (r:RestrictedArea {areaId: 'stadium-tfr'})
+    ON CREATE SET r.name = 'Stadium TFR',
+        r.type = 'TFR',
+        r.description = 'Temporary flight restriction over the stadium during events',
+        r.latitude = 50.0686, r.longitude = 8.6455, r.radiusMeters = 1852,
+        r.floorFt = 0, r.ceilingFt = 3000,
+        r.active = false,
+        r.windowStarts = [], r.windowEnds = [],
+        r.exemptCallsigns = ['CHX16']
+    `);
+
+        // Create separation minima for the terminal area (3 NM below FL195)
+        await session.run(`
+    MERGE (m1:SeparationMinimum {
+        name: 'Terminal area',
+        minAltitudeFt: 0,
+        maxAltitudeFt: 19500,
+        horizontalNm: 3,
+        verticalFt: 1000
+    })
+    MERGE (m2:SeparationMinimum {
+        name: 'En-route (RVSM)',
+        minAltitudeFt: 19500,
+        maxAltitudeFt: 41000,
+        horizontalNm: 5,
+        verticalFt: 1000
+    })
+    MERGE (m3:SeparationMinimum {
+        name: 'En-route (above FL410)',
+        minAltitudeFt: 41000,
+        maxAltitudeFt: 99999,
+        horizontalNm: 5,
+        verticalFt: 2000
+    })
+    WITH m1, m2, m3
+    MATCH (z:Zone)
+    WHERE z.name IN ['Approach Zone', 'Terminal Zone']
+    MERGE (z)-[:HAS_SEPARATION_MINIMUM]->(m1)
+    MERGE (z)-[:HAS_SEPARATION_MINIMUM]->(m2)
+    MERGE (z)-[:HAS_SEPARATION_MINIMUM]->(m3)
+    `);
+
+        // Create runways with thresholds and hold-short lines
+        const runways = [
+            {
+                designator: '07C/25C',
+                latitudes: [50.032853, 50.04538, 50.044874, 50.032347],
+                longitudes: [8.534154, 8.586657, 8.586949, 8.534446],
+                thresholds: [
+                    { designator: '07C', latitude: 50.0326, longitude: 8.5343, headingDeg: 69.6 },
+                    { designator: '25C', latitude: 50.045127, longitude: 8.586803, headingDeg: 249.6 }
+                ],
+                holdShortLines: [
+                    { name: '07C/25C-N1', latitudes: [50.036556, 50.03643], longitudes: [8.547246, 8.546722] },
+                    { name: '07C/25C-N2', latitudes: [50.04282, 50.042694], longitudes: [8.573499, 8.572973] }
+                ]
+            },
+            {
+                designator: '18',
+                latitudes: [50.0457, 50.009727, 50.009727, 50.0457],
+                longitudes: [8.526015, 8.526015, 8.525385, 8.525385],
+                thresholds: [
+                    { designator: '18', latitude: 50.0457, longitude: 8.5257, headingDeg: 180 }
+                ],
+                holdShortLines: [
+                    { name: '18-E1', latitudes: [50.036527, 50.036887], longitudes: [8.52696, 8.52696] },
+                    { name: '18-E2', latitudes: [50.01854, 50.0189], longitudes: [8.52696, 8.52696] }
+                ]
+            }
+        ];
+
+        for (const runway of runways) {
+            await session.run(`
+        MATCH (a:Airport {icao: 'EDDF'})
+        MERGE (r:Runway {designator: $designator})
+        SET r.latitudes = $latitudes, r.longitudes = $longitudes, r.elevationFt = 364
+        MERGE (a)-[:HAS_RUNWAY]->(r)
+        WITH r
+        UNWIND $thresholds as threshold
+        MERGE (t:RunwayThreshold {designator: threshold.designator})
+        SET t.latitude = threshold.latitude, t.longitude = threshold.longitude, t.headingDeg = threshold.headingDeg
+        MERGE (r)-[:HAS_THRESHOLD]->(t)
+        WITH DISTINCT r
+        UNWIND $holdShortLines as line
+        MERGE (h:HoldShortLine {name: line.name})
+        SET h.latitudes = line.latitudes, h.longitudes = line.longitudes
+        MERGE (r)-[:HAS_HOLD_SHORT]->(h)
+    `, runway);
+        }
+
         console.log('✅ Neo4j schema created successfully');
     } catch (error) {
         console.error('❌ Error setting up Neo4j:', error);
@@ -90,7 +203,20 @@ async function setupMongoDB() {
         const collections = [
             'flight_schedules',
             'flight_history',
-            'flight_telemetry'
+            'flight_telemetry',
+            'collision_analyses',
+            'emergency_events',
+            'speed_restrictions',
+            'speed_violations',
+            'airspace_incursions',
+            'alert_rules',
+            'alerts',
+            'notification_policies',
+            'notification_deliveries',
+            'webhook_subscriptions',
+            'webhook_deliveries',
+            'webhook_dead_letters',
+            'incidents'
         ];
 
         for (const collName of collections) {
@@ -107,6 +233,72 @@ async function setupMongoDB() {
         await db.collection('flight_history').createIndex({ date: -1 });
         await db.collection('flight_history').createIndex({ airline: 1 });
         await db.collection('flight_telemetry').createIndex({ flightNumber: 1, timestamp: 1 });
+        await db.collection('flight_telemetry').createIndex({ icao24: 1, timestamp: 1 });
+        await db.collection('flight_telemetry').createIndex({ timestamp: 1 });
+        await db.collection('collision_analyses').createIndex({ reportId: 1 }, { unique: true });
+        await db.collection('collision_analyses').createIndex({ createdAt: -1 });
+        await db.collection('emergency_events').createIndex({ eventId: 1 }, { unique: true });
+        await db.collection('emergency_events').createIndex({ status: 1, startedAt: -1 });
+        await db.collection('speed_restrictions').createIndex({ ruleId: 1 }, { unique: true });
+        await db.collection('speed_violations').createIndex({ violationId: 1 }, { unique: true });
+        await db.collection('speed_violations').createIndex({ airline: 1, startedAt: -1 });
+        await db.collection('airspace_incursions').createIndex({ incursionId: 1 }, { unique: true });
+        await db.collection('airspace_incursions').createIndex({ areaId: 1, entryTime: -1 });
+        await db.collection('airspace_incursions').createIndex({ status: 1 });
+        await db.collection('alert_rules').createIndex({ ruleId: 1 }, { unique: true });
+        await db.collection('alerts').createIndex({ alertId: 1 }, { unique: true });
+        await db.collection('alerts').createIndex({ key: 1, status: 1 });
+        await db.collection('alerts').createIndex({ status: 1, timestamp: -1 });
+        await db.collection('alerts').createIndex({ source: 1, timestamp: -1 });
+        await db.collection('alerts').createIndex({ 'aircraft.callsign': 1 });
+        await db.collection('alerts').createIndex({ 'aircraft.icao24': 1 });
+        await db.collection('alerts').createIndex({ lastSeen: 1 });
+        await db.collection('notification_policies').createIndex({ policyId: 1 }, { unique: true });
+        await db.collection('notification_deliveries').createIndex({ alertId: 1, policyId: 1 });
+        await db.collection('notification_deliveries').createIndex({ timestamp: -1 });
+        await db.collection('webhook_subscriptions').createIndex({ subscriptionId: 1 }, { unique: true });
+        await db.collection('webhook_deliveries').createIndex({ deliveryId: 1 }, { unique: true });
+        await db.collection('webhook_deliveries').createIndex({ subscriptionId: 1, createdAt: -1 });
+        await db.collection('webhook_deliveries').createIndex({ status: 1, nextAttemptAt: 1 });
+        await db.collection('webhook_dead_letters').createIndex({ subscriptionId: 1, deadAt: -1 });
+        await db.collection('incidents').createIndex({ incidentId: 1 }, { unique: true });
+        await db.collection('incidents').createIndex({ alertId: 1 }, { unique: true });
+        await db.collection('incidents').createIndex({ status: 1, createdAt: -1 });
+
+        // Default speed restrictions: 250 kt below FL100, 210 kt in the approach zone
+        const speedRestrictions = [
+            { ruleId: 'below-fl100', name: '250 kt below FL100', zone: null, minAltitudeFt: 0, maxAltitudeFt: 10000, maxSpeedKt: 250, enabled: true },
+            { ruleId: 'approach-zone', name: '210 kt in Approach Zone', zone: 'Approach Zone', minAltitudeFt: 0, maxAltitudeFt: 10000, maxSpeedKt: 210, enabled: true }
+        ];
+
+        for (const rule of speedRestrictions) {
+            await db.collection('speed_restrictions').updateOne(
+                { ruleId: rule.ruleId },
+                { $setOnInsert: rule },
+                { upsert: true }
+            );
+        }
+
+        // Default notification policy: critical alerts to the browser, escalated by email after 5 minutes
+        await db.collection('notification_policies').updateOne(
+            { policyId: 'critical-alerts' },
+            {
+                $setOnInsert: {
+                    policyId: 'critical-alerts',
+                    name: 'Critical alerts',
+                    enabled: true,
+                    match: { sources: [], types: [], severities: ['CRITICAL'] },
+                    channels: [{ type: 'browser' }],
+                    escalation: {
+                        afterSec: 300,
+                        severities: ['CRITICAL'],
+                        channels: [{ type: 'email', to: ['duty-supervisor@airport.local'] }]
+                    },
+                    updatedAt: new Date()
+                }
+            },
+            { upsert: true }
+        );
 
         console.log('✅ MongoDB collections and indexes created');
     } catch (error) {
@@ -125,6 +317,9 @@ async function setupRedis() {
         await redis.set('kpi:flights:delayed', '0');
         await redis.set('kpi:flights:ontime', '0');
 
+        // Make running servers reload airport zones
+        await redis.incr('zones:version');
+
         console.log('✅ Redis initialized');
     } catch (error) {
         console.error('❌ Error setting up Redis:', error);
@@ -21,6 +21,17 @@ const altitudeRoutes = require('./src/routes/altitude');
 const passengerRoutes = require('./src/routes/passenger');
 const historyRoutes = require('./src/routes/history');
 const replayRoutes = require('./src/routes/replay');
+const wakeRoutes = require('./src/routes/wake');
+const runwayRoutes = require('./src/routes/runway');
+const emergencyRoutes = require('./src/routes/emergency');
+const speedRoutes = require('./src/routes/speed');
+const adminRoutes = require('./src/routes/admin');
+const restrictedAreaRoutes = require('./src/routes/restrictedAreas');
+const ruleRoutes = require('./src/routes/rules');
+const alertRoutes = require('./src/routes/alerts');
+const notificationRoutes = require('./src/routes/notifications');
+const webhookRoutes = require('./src/routes/webhooks');
+const incidentRoutes = require('./src/routes/incidents');
 
 // Initialize Express app
 const app = express();
@@ -32,6 +43,8 @@ app.use(helmet({
 }));
 app.use(cors());
 app.use(compression());
+// Zone imports are GeoJSON airspace files that can exceed the default 100 KB body limit
+app.use('/api/admin/zones/import', express.json({ limit: '5mb', type: ['application/json', 'application/geo+json'] }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
@@ -82,6 +95,17 @@ app.use('/api/altitude', altitudeRoutes);
 app.use('/api/passenger', passengerRoutes);
 app.use('/api/history', historyRoutes);
 app.use('/api/replay', replayRoutes);
+app.use('/api/wake', wakeRoutes);
+app.use('/api/runway', runwayRoutes);
+app.use('/api/emergency', emergencyRoutes);
+app.use('/api/speed', speedRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/restricted-areas', restrictedAreaRoutes);
+app.use('/api/rules', ruleRoutes);
+app.use('/api/alerts', alertRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/incidents', incidentRoutes);
 
 // Serve frontend pages
 app.get('/', (req, res) => {
@@ -254,18 +278,40 @@ async function startServer() {
 
         // Import and start monitoring services
         const flightMonitorService = require('./src/services/flightMonitorService');
+        const sbsIngestService = require('./src/services/sbsIngestService');
         const collisionService = require('./src/services/collisionService');
         const altitudeCheckService = require('./src/services/altitudeCheckService');
+        const wakeTurbulenceService = require('./src/services/wakeTurbulenceService');
+        const runwayMonitorService = require('./src/services/runwayMonitorService');
+        const emergencyService = require('./src/services/emergencyService');
+        const approachMonitorService = require('./src/services/approachMonitorService');
+        const speedRestrictionService = require('./src/services/speedRestrictionService');
+        const restrictedAreaService = require('./src/services/restrictedAreaService');
+        const alertCenterService = require('./src/services/alertCenterService');
+        const notificationService = require('./src/services/notificationService');
+        const webhookService = require('./src/services/webhookService');
 
         console.log('');
         console.log('🔄 Starting monitoring services...');
 
+        // Collect alerts from the monitors before they start raising them
+        alertCenterService.startMonitoring();
+        notificationService.startMonitoring();
+        webhookService.startMonitoring();
+
         // Start flight data monitoring
         flightMonitorService.startMonitoring();
+        sbsIngestService.startMonitoring();
 
         // Start safety monitoring services
         collisionService.startMonitoring();
         altitudeCheckService.startMonitoring();
+        approachMonitorService.startMonitoring();
+        wakeTurbulenceService.startMonitoring();
+        runwayMonitorService.startMonitoring();
+        emergencyService.startMonitoring();
+        speedRestrictionService.startMonitoring();
+        restrictedAreaService.startMonitoring();
 
         console.log('✅ All monitoring services started!');
 
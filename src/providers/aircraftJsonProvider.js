@@ -0,0 +1,116 @@
+/**
+ * readsb / dump1090 aircraft.json provider
+ * Polls the aircraft.json a local receiver serves over HTTP (or writes to
+ * disk) and maps it to live positions. Positions older than
+ * AIRCRAFT_JSON_MAX_AGE_SEC (per seen_pos) are left out so the receiver's
+ * memory of an aircraft is not presented as live.
+ */
+
+const fs = require('fs');
+const axios = require('axios');
+const FlightDataProvider = require('./flightDataProvider');
+const { normalizeIcao24, normalizeCallsign } = require('../utils/aircraftIdentity');
+
+class AircraftJsonProvider extends FlightDataProvider {
+    constructor() {
+        super('aircraftjson');
+        this.source = process.env.AIRCRAFT_JSON_URL || 'http://localhost:8080/data/aircraft.json';
+        this.maxAgeSec = parseFloat(process.env.AIRCRAFT_JSON_MAX_AGE_SEC || '30');
+    }
+
+    get capabilities() {
+        return ['positions'];
+    }
+
+    /**
+     * Load aircraft.json from the URL or file path
+     */
+    async load() {
+        if (/^https?:\/\//i.test(this.source)) {
+            const response = await axios.get(this.source, { timeout: 5000 });
+            return response.data;
+        }
+
+        return JSON.parse(await fs.promises.readFile(this.source, 'utf8'));
+    }
+
+    async fetchPositions() {
+        try {
+            const data = await this.load();
+            if (!data || !Array.isArray(data.aircraft)) {
+                console.warn('⚠️  aircraft.json has no aircraft list');
+                return [];
+            }
+
+            // seen_pos is relative to the file's own clock; a receiver that stopped
+            // writing leaves a file whose positions all look recent
+            const now = typeof data.now === 'number' ? data.now : Date.now() / 1000;
+            const fileAgeSec = Math.max(0, Date.now() / 1000 - now);
+            if (fileAgeSec > this.maxAgeSec) {
+                console.warn(`⚠️  aircraft.json not updated for ${Math.round(fileAgeSec)}s`);
+            }
+
+            const positions = [];
+            let stale = 0;
+
+            for (const entry of data.aircraft) {
+                const position = this.toPosition(entry, now, fileAgeSec);
+                if (position === null) continue;
+                if (position === false) {
+                    stale++;
+                    continue;
+                }
+                positions.push(position);
+            }
+
+            console.log(`📊 aircraft.json: ${positions.length} positions, ${stale} stale skipped`);
+            return positions;
+        } catch (error) {
+            console.error(`❌ aircraft.json error (${this.source}):`, error.message);
+            return [];
+        }
+    }
+
+    /**
+     * Map an aircraft.json entry to a position
+     * Returns null for entries without a usable address or position and
+     * false for positions older than the maximum age.
+     * Older dump1090 versions use altitude / speed / vert_rate / seen instead
+     * of alt_baro / gs / baro_rate / seen_pos.
+     */
+    toPosition(entry, now, fileAgeSec = 0) {
+        // Non-ICAO addresses (TIS-B, anonymous) are prefixed with "~"
+        const icao24 = normalizeIcao24(entry.hex);
+        if (!icao24 || typeof entry.lat !== 'number' || typeof entry.lon !== 'number') {
+            return null;
+        }
+
+        const seenPos = entry.seen_pos !== undefined ? entry.seen_pos : entry.seen;
+        if (typeof seenPos !== 'number' || fileAgeSec + seenPos > this.maxAgeSec) {
+            return false;
+        }
+
+        const altitude = entry.alt_baro !== undefined ? entry.alt_baro : entry.altitude;
+        const onGround = altitude === 'ground';
+        const verticalRate = entry.baro_rate !== undefined ? entry.baro_rate
+            : entry.geom_rate !== undefined ? entry.geom_rate : entry.vert_rate;
+
+        return {
+            icao24,
+            callsign: normalizeCallsign(entry.flight),
+            latitude: entry.lat,
+            longitude: entry.lon,
+            altitude: onGround ? 0 : (altitude || 0),
+            velocity: entry.gs !== undefined ? entry.gs : (entry.speed || 0),
+            heading: entry.track || 0,
+            vertical_rate: verticalRate || 0,
+            on_ground: onGround,
+            squawk: entry.squawk || null,
+            spi: Boolean(entry.spi),
+            category: entry.category || null,
+            timestamp: new Date((now - seenPos) * 1000).toISOString()
+        };
+    }
+}
+
+module.exports = AircraftJsonProvider;
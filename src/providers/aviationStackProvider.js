@@ -0,0 +1,142 @@
+/**
+ * AviationStack provider
+ * Flight schedules departing the configured airport
+ * Requires AVIATIONSTACK_API_KEY
+ */
+
+const axios = require('axios');
+const FlightDataProvider = require('./flightDataProvider');
+
+// Placeholder value shipped in .env.example
+const PLACEHOLDER_KEY = 'your_api_key_here';
+
+class AviationStackProvider extends FlightDataProvider {
+    constructor() {
+        super('aviationstack');
+        this.baseURL = process.env.AVIATIONSTACK_BASE_URL || 'http://api.aviationstack.com/v1';
+        this.apiKey = process.env.AVIATIONSTACK_API_KEY !== PLACEHOLDER_KEY ? process.env.AVIATIONSTACK_API_KEY : null;
+        this.airportICAO = process.env.AIRPORT_ICAO || 'EDDF';
+    }
+
+    get capabilities() {
+        return ['schedules'];
+    }
+
+    /**
+     * Fetch flight schedules from AviationStack
+     */
+    async fetchSchedules() {
+        try {
+            if (!this.apiKey) {
+                console.warn('⚠️  AviationStack API key not configured.');
+                return [];
+            }
+
+            const url = `${this.baseURL}/flights`;
+
+            // Convert ICAO to IATA (e.g., EDDF -> FRA)
+            const iataCode = this.getIATAFromICAO(this.airportICAO);
+
+            const params = {
+                access_key: this.apiKey,
+                dep_iata: iataCode,
+                limit: 100
+            };
+
+            console.log(`📡 Fetching AviationStack data for airport: ${iataCode}...`);
+
+            const response = await axios.get(url, {
+                params,
+                timeout: 10000
+            });
+
+            console.log('📊 AviationStack response status:', response.status);
+
+            if (!response.data) {
+                console.warn('⚠️  No response data from AviationStack');
+                return [];
+            }
+
+            if (response.data.error) {
+                console.error('❌ AviationStack error:', response.data.error);
+                return [];
+            }
+
+            if (!response.data.data || response.data.data.length === 0) {
+                console.warn(`⚠️  No flights found for ${iataCode}.`);
+                return [];
+            }
+
+            const flights = response.data.data.map(flight => this.toSchedule(flight));
+
+            console.log(`✅ Fetched ${flights.length} flights from AviationStack`);
+            return flights;
+        } catch (error) {
+            console.error('❌ AviationStack API error:', error.message);
+            console.error('📋 Error details:', error.response?.data || error.message);
+            return [];
+        }
+    }
+
+    /**
+     * Convert an AviationStack flight to a schedule
+     */
+    toSchedule(flight) {
+        return {
+            flightNumber: flight.flight.iata || flight.flight.icao,
+            airline: flight.airline.name,
+            airlineCode: flight.airline.iata,
+            departure: {
+                airport: flight.departure.airport,
+                iata: flight.departure.iata,
+                scheduled: flight.departure.scheduled,
+                estimated: flight.departure.estimated,
+                actual: flight.departure.actual,
+                terminal: flight.departure.terminal,
+                gate: flight.departure.gate
+            },
+            arrival: {
+                airport: flight.arrival.airport,
+                iata: flight.arrival.iata,
+                scheduled: flight.arrival.scheduled,
+                estimated: flight.arrival.estimated,
+                actual: flight.arrival.actual,
+                terminal: flight.arrival.terminal,
+                gate: flight.arrival.gate
+            },
+            status: flight.flight_status,
+            aircraft: {
+                registration: flight.aircraft?.registration,
+                iata: flight.aircraft?.iata,
+                icao: flight.aircraft?.icao
+            }
+        };
+    }
+
+    /**
+     * Convert ICAO code to IATA (common airport codes)
+     */
+    getIATAFromICAO(icao) {
+        const iataMap = {
+            'EDDF': 'FRA', // Frankfurt
+            'KSFO': 'SFO', // San Francisco
+            'KJFK': 'JFK', // New York JFK
+            'KLAX': 'LAX', // Los Angeles
+            'KORD': 'ORD', // Chicago
+            'EGLL': 'LHR', // London Heathrow
+            'LEMD': 'MAD', // Madrid
+            'LFPG': 'CDG', // Paris Charles de Gaulle
+            'LIRF': 'FCO'  // Rome Fiumicino
+        };
+
+        // If exact match not found, try generic conversion
+        if (iataMap[icao.toUpperCase()]) {
+            return iataMap[icao.toUpperCase()];
+        }
+
+        // Fallback: take last 3 characters (works for many airports)
+        return icao.substring(1, 4).toUpperCase();
+    }
+}
+
+module.exports = AviationStackProvider;
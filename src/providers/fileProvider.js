@@ -0,0 +1,86 @@
+/**
+ * Local file provider
+ * Reads positions, schedules and tracks from a JSON file for offline work:
+ *   {
+ *     "positions": [{ "icao24": "3c6444", "callsign": "DLH400", "latitude": 50.03, ... }],
+ *     "schedules": [{ "flightNumber": "LH400", ... }],
+ *     "tracks": { "3c6444": { ... } }
+ *   }
+ * The file is read on every fetch, so it can be edited or regenerated while
+ * the server is running.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const FlightDataProvider = require('./flightDataProvider');
+const { normalizeIcao24, normalizeCallsign } = require('../utils/aircraftIdentity');
+
+class FileProvider extends FlightDataProvider {
+    constructor() {
+        super('file');
+        this.filePath = path.resolve(process.env.FLIGHT_DATA_FILE || 'data/flights.json');
+        this.warned = false;
+    }
+
+    get capabilities() {
+        return ['positions', 'schedules', 'tracks'];
+    }
+
+    /**
+     * Read and parse the data file, or null if it is missing or invalid
+     */
+    async readFile() {
+        try {
+            const content = await fs.promises.readFile(this.filePath, 'utf8');
+            this.warned = false;
+            return JSON.parse(content);
+        } catch (error) {
+            // Warn once until the file becomes readable again
+            if (!this.warned) {
+                console.warn(`⚠️  Flight data file ${this.filePath} not readable: ${error.message}`);
+                this.warned = true;
+            }
+            return null;
+        }
+    }
+
+    async fetchPositions() {
+        const data = await this.readFile();
+        if (!data || !Array.isArray(data.positions)) return [];
+
+        return data.positions
+            .filter(position => typeof position.latitude === 'number' && typeof position.longitude === 'number')
+            .map(position => this.toPosition(position));
+    }
+
+    async fetchSchedules() {
+        const data = await this.readFile();
+        return data && Array.isArray(data.schedules) ? data.schedules : [];
+    }
+
+    async fetchTracks(icao24) {
+        const data = await this.readFile();
+        return (data && data.tracks && data.tracks[normalizeIcao24(icao24)]) || null;
+    }
+
+    /**
+     * Fill in defaults so hand-written entries only need a position
+     */
+    toPosition(position) {
+        return {
+            ...position,
+            icao24: normalizeIcao24(position.icao24),
+            callsign: normalizeCallsign(position.callsign),
+            altitude: position.altitude || 0,
+            velocity: position.velocity || 0,
+            heading: position.heading || 0,
+            vertical_rate: position.vertical_rate || 0,
+            on_ground: position.on_ground || false,
+            squawk: position.squawk || null,
+            spi: position.spi || false,
+            timestamp: position.timestamp || new Date().toISOString()
+        };
+    }
+}
+
+module.exports = FileProvider;
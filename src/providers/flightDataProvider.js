@@ -0,0 +1,44 @@
+/**
+ * Flight Data Provider
+ *
+ * Base class for flight data feeds. A provider lists what it can supply in
+ * `capabilities` and implements the matching methods:
+ *   positions  fetchPositions()          -> live aircraft positions
+ *   schedules  fetchSchedules()          -> flight schedules
+ *   tracks     fetchTracks(icao24, time) -> track of one aircraft, or null
+ *
+ * Positions use the shape stored by flightMonitorService: icao24, callsign,
+ * latitude, longitude, altitude (ft), velocity (kt), heading, vertical_rate
+ * (ft/min), on_ground, squawk, spi and timestamp. Providers return an empty
+ * result (not throw) when their feed is unavailable, so lower-priority
+ * providers can fill in.
+ */
+
+class FlightDataProvider {
+    constructor(name) {
+        this.name = name;
+        this.priority = 0;
+    }
+
+    get capabilities() {
+        return [];
+    }
+
+    supports(capability) {
+        return this.capabilities.includes(capability);
+    }
+
+    async fetchPositions() {
+        return [];
+    }
+
+    async fetchSchedules() {
+        return [];
+    }
+
+    async fetchTracks(icao24, time = 0) {
+        return null;
+    }
+}
+
+module.exports = FlightDataProvider;
@@ -0,0 +1,65 @@
+/**
+ * Flight data provider registry
+ *
+ * FLIGHT_PROVIDERS lists the active providers, highest priority first, e.g.
+ *   FLIGHT_PROVIDERS=opensky,aviationstack,sample
+ * An explicit priority can be given as name:priority (lower wins), e.g.
+ *   FLIGHT_PROVIDERS=file:1,opensky:2
+ * New feeds are added by calling registerProvider() with a factory that
+ * returns a FlightDataProvider.
+ */
+
+const FlightDataProvider = require('./flightDataProvider');
+const OpenSkyProvider = require('./openSkyProvider');
+const AviationStackProvider = require('./aviationStackProvider');
+const FileProvider = require('./fileProvider');
+const AircraftJsonProvider = require('./aircraftJsonProvider');
+const SampleProvider = require('./sampleProvider');
+
+const DEFAULT_PROVIDERS = 'opensky,aviationstack,sample';
+
+const factories = new Map([
+    ['opensky', () => new OpenSkyProvider()],
+    ['aviationstack', () => new AviationStackProvider()],
+    ['file', () => new FileProvider()],
+    ['aircraftjson', () => new AircraftJsonProvider()],
+    ['sample', () => new SampleProvider()]
+]);
+
+function registerProvider(name, factory) {
+    factories.set(name.toLowerCase(), factory);
+}
+
+function getRegisteredProviders() {
+    return Array.from(factories.keys());
+}
+
+/**
+ * Create the configured providers, sorted by priority
+ */
+function createProviders(config = process.env.FLIGHT_PROVIDERS || DEFAULT_PROVIDERS) {
+    const providers = [];
+
+    config.split(',').map(entry => entry.trim()).filter(Boolean).forEach((entry, index) => {
+        const [name, priority] = entry.split(':').map(part => part.trim());
+        const factory = factories.get(name.toLowerCase());
+
+        if (!factory) {
+            console.warn(`⚠️  Unknown flight data provider "${name}" (available: ${getRegisteredProviders().join(', ')})`);
+            return;
+        }
+
+        const provider = factory();
+        provider.priority = priority !== undefined && !isNaN(parseInt(priority)) ? parseInt(priority) : index + 1;
+        providers.push(provider);
+    });
+
+    return providers.sort((a, b) => a.priority - b.priority);
+}
+
+module.exports = {
+    FlightDataProvider,
+    registerProvider,
+    getRegisteredProviders,
+    createProviders
+};
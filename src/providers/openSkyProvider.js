@@ -0,0 +1,192 @@
+/**
+ * OpenSky Network provider
+ * Live positions (/states/all) and aircraft tracks (/tracks/all)
+ * Free API - credentials are optional and raise the rate limit
+ */
+
+const axios = require('axios');
+const FlightDataProvider = require('./flightDataProvider');
+const { toRad } = require('../utils/geo');
+const { normalizeIcao24, normalizeCallsign } = require('../utils/aircraftIdentity');
+
+class OpenSkyProvider extends FlightDataProvider {
+    constructor() {
+        super('opensky');
+        this.baseURL = process.env.OPENSKY_BASE_URL || 'https://opensky-network.org/api';
+        this.username = process.env.OPENSKY_USERNAME || null;
+        this.password = process.env.OPENSKY_PASSWORD || null;
+    }
+
+    get capabilities() {
+        return ['positions', 'tracks'];
+    }
+
+    /**
+     * GET an OpenSky endpoint, with authentication first if configured
+     * and falling back to anonymous access if that fails
+     */
+    async request(path) {
+        const requestConfig = {
+            timeout: 30000,
+            headers: {
+                'User-Agent': 'AirportTrackingSystem/1.0'
+            }
+        };
+
+        if (this.username && this.password) {
+            try {
+                console.log('🔐 Using OpenSky authentication');
+                return await axios.get(`${this.baseURL}${path}`, {
+                    ...requestConfig,
+                    auth: { username: this.username, password: this.password }
+                });
+            } catch (authError) {
+                console.log('⚠️  Authentication failed, trying anonymous access');
+            }
+        }
+
+        return axios.get(`${this.baseURL}${path}`, requestConfig);
+    }
+
+    /**
+     * Fetch all aircraft states globally
+     * Filtering to the airport zone is done by the API client, which avoids the
+     * issue where OpenSky returns null for empty bounding boxes
+     */
+    async fetchPositions() {
+        try {
+            console.log('📡 Fetching all OpenSky aircraft states...');
+            const response = await this.request('/states/all');
+
+            console.log('📊 OpenSky response status:', response.status);
+            console.log('📊 Total aircraft in response:', response.data?.states ? response.data.states.length : 0);
+
+            if (!response.data || !response.data.states) {
+                console.warn('⚠️  No states found in OpenSky response.');
+                return [];
+            }
+
+            // Skip null states and states without a position
+            return response.data.states
+                .filter(state => state !== null && state[5] !== null && state[6] !== null)
+                .map(state => this.toPosition(state));
+        } catch (error) {
+            console.error('❌ OpenSky API error:', error.message);
+            return [];
+        }
+    }
+
+    /**
+     * Convert an OpenSky state vector to a position
+     */
+    toPosition(state) {
+        return {
+            icao24: normalizeIcao24(state[0]),
+            callsign: normalizeCallsign(state[1]),
+            origin_country: state[2],
+            longitude: state[5],
+            latitude: state[6],
+            altitude: state[7] ? state[7] * 3.28084 : 0, // Convert meters to feet
+            velocity: state[9] ? state[9] * 1.94384 : 0, // Convert m/s to knots
+            heading: state[10] || 0,
+            vertical_rate: state[11] ? state[11] * 196.850 : 0, // Convert m/s to ft/min
+            on_ground: state[8] || false,
+            squawk: state[14] || null,
+            spi: state[15] || false,
+            last_contact: state[4],
+            // time_position is when the position itself was last updated
+            timestamp: new Date((state[3] || state[4]) * 1000).toISOString()
+        };
+    }
+
+    /**
+     * Fetch the track of an aircraft from /tracks/all
+     */
+    async fetchTracks(icao24, time = 0) {
+        try {
+            console.log(`📡 Fetching track for aircraft ${icao24}...`);
+            const response = await this.request(`/tracks/all?icao24=${icao24}&time=${time}`);
+
+            if (!response.data) {
+                console.warn(`⚠️  No track data for ${icao24}`);
+                return null;
+            }
+
+            console.log(`✅ Fetched track data for ${icao24}`);
+            return response.data;
+        } catch (error) {
+            console.error('❌ OpenSky /tracks/all API error:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Fetch all flights data from the /flights/all endpoint
+     */
+    async fetchAllFlights() {
+        try {
+            console.log('📡 Fetching all OpenSky flights data...');
+            const response = await this.request('/flights/all');
+
+            if (!response.data) {
+                console.warn('⚠️  No flights data from OpenSky');
+                return [];
+            }
+
+            console.log(`✅ Fetched ${response.data.length} flight records from /flights/all`);
+            return response.data;
+        } catch (error) {
+            console.error('❌ OpenSky /flights/all API error:', error.message);
+            return [];
+        }
+    }
+
+    /**
+     * Calculate bounding boxes for efficient API queries
+     * Divides large areas into smaller overlapping boxes to avoid API limits
+     */
+    calculateBoundingBoxes(centerLat, centerLon, radiusKm) {
+        const boxes = [];
+        const maxBoxSize = 500; // Maximum box size in km (OpenSky limit)
+
+        if (radiusKm <= maxBoxSize) {
+            // Single box is sufficient
+            boxes.push(this.createBoundingBox(centerLat, centerLon, radiusKm));
+        } else {
+            // Create multiple overlapping boxes
+            const numBoxes = Math.ceil(radiusKm / maxBoxSize);
+            const overlap = 50; // 50km overlap between boxes
+
+            for (let i = 0; i < numBoxes; i++) {
+                for (let j = 0; j < numBoxes; j++) {
+                    const latOffset = (i - (numBoxes - 1) / 2) * (maxBoxSize - overlap);
+                    const lonOffset = (j - (numBoxes - 1) / 2) * (maxBoxSize - overlap);
+
+                    const boxLat = centerLat + (latOffset / 111.32); // Rough km to degrees conversion
+                    const boxLon = centerLon + (lonOffset / (111.32 * Math.cos(toRad(centerLat))));
+
+                    boxes.push(this.createBoundingBox(boxLat, boxLon, maxBoxSize / 2));
+                }
+            }
+        }
+
+        return boxes;
+    }
+
+    /**
+     * Create a bounding box around a center point
+     */
+    createBoundingBox(centerLat, centerLon, halfSizeKm) {
+        const latDelta = halfSizeKm / 111.32; // 1 degree lat ≈ 111.32 km
+        const lonDelta = halfSizeKm / (111.32 * Math.cos(toRad(centerLat)));
+
+        return {
+            lamin: Math.max(-90, centerLat - latDelta),
+            lomin: Math.max(-180, centerLon - lonDelta),
+            lamax: Math.min(90, centerLat + latDelta),
+            lomax: Math.min(180, centerLon + lonDelta)
+        };
+    }
+}
+
+module.exports = OpenSkyProvider;
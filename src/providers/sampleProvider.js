@@ -0,0 +1,383 @@
+/**
+ * Sample data provider
+ * A fixed set of schedules for testing/demo purposes, used when no real
+ * schedule feed is configured
+ */
+
+const FlightDataProvider = require('./flightDataProvider');
+
+class SampleProvider extends FlightDataProvider {
+    constructor() {
+        super('sample');
+    }
+
+    get capabilities() {
+        return ['schedules'];
+    }
+
+    async fetchSchedules() {
+        return [
+            {
+                flightNumber: 'LH123',
+                airline: 'Lufthansa',
+                airlineCode: 'LH',
+                departure: {
+                    airport: 'Frankfurt am Main',
+                    iata: 'FRA',
+                    scheduled: new Date(Date.now() + 3600000).toISOString(),
+                    estimated: new Date(Date.now() + 3700000).toISOString(),
+                    actual: null,
+                    terminal: 'Terminal 1',
+                    gate: 'A5'
+                },
+                arrival: {
+                    airport: 'Berlin Brandenburg',
+                    iata: 'BER',
+                    scheduled: new Date(Date.now() + 5400000).toISOString(),
+                    estimated: new Date(Date.now() + 5500000).toISOString(),
+                    actual: null,
+                    terminal: 'Terminal 1',
+                    gate: 'B3'
+                },
+                status: 'scheduled',
+                aircraft: {
+                    registration: 'D-AIDE',
+                    iata: 'A320',
+                    icao: 'A320'
+                }
+            },
+            {
+                flightNumber: 'DL456',
+                airline: 'Delta Air Lines',
+                airlineCode: 'DL',
+                departure: {
+                    airport: 'Frankfurt am Main',
+                    iata: 'FRA',
+                    scheduled: new Date(Date.now() + 7200000).toISOString(),
+                    estimated: new Date(Date.now() + 7300000).toISOString(),
+                    actual: null,
+                    terminal: 'Terminal 2',
+                    gate: 'C12'
+                },
+                arrival: {
+                    airport: 'New York John F Kennedy',
+                    iata: 'JFK',
+                    scheduled: new Date(Date.now() + 36000000).toISOString(),
+                    estimated: new Date(Date.now() + 36100000).toISOString(),
+                    actual: null,
+                    terminal: 'Terminal 4',
+                    gate: 'A20'
+                },
+                status: 'scheduled',
+                aircraft: {
+                    registration: 'N123DA',
+                    iata: 'A350',
+                    icao: 'A350'
+                }
+            },
+            {
+                flightNumber: 'BA789',
+                airline: 'British Airways',
+                airlineCode: 'BA',
+                departure: {
+                    airport: 'Frankfurt am Main',
+                    iata: 'FRA',
+                    scheduled: new Date(Date.now() - 600000).toISOString(),
+                    estimated: new Date(Date.now() - 500000).toISOString(),
+                    actual: new Date(Date.now() - 480000).toISOString(),
+                    terminal: 'Terminal 3',
+                    gate: 'E8'
+                },
+                arrival: {
+                    airport: 'London Heathrow',
+                    iata: 'LHR',
+                    scheduled: new Date(Date.now() + 3600000).toISOString(),
+                    estimated: new Date(Date.now() + 3500000).toISOString(),
+                    actual: null,
+                    terminal: 'Terminal 5',
+                    gate: 'B15'
+                },
+                status: 'active',
+                aircraft: {
+                    registration: 'G-XWBA',
+                    iata: 'B787',
+                    icao: 'B787'
+                }
+            },
+            // Schedules for callsigns commonly seen around EDDF
+            {
+                flightNumber: 'GFA006',
+                airline: 'Gulf Air',
+                airlineCode: 'GF',
+                departure: {
+                    airport: 'Frankfurt am Main',
+                    iata: 'FRA',
+                    scheduled: new Date(Date.now() - 1200000).toISOString(),
+                    actual: new Date(Date.now() - 900000).toISOString(),
+                    terminal: 'Terminal 1',
+                    gate: 'B22'
+                },
+                arrival: {
+                    airport: 'Bahrain International',
+                    iata: 'BAH',
+                    scheduled: new Date(Date.now() + 25200000).toISOString(),
+                    estimated: new Date(Date.now() + 25000000).toISOString(),
+                    terminal: 'Terminal 1',
+                    gate: 'A15'
+                },
+                status: 'active',
+                aircraft: {
+                    registration: 'A9C-??',
+                    iata: 'A320',
+                    icao: 'A320'
+                }
+            },
+            {
+                flightNumber: 'EZY84EL',
+                airline: 'EasyJet',
+                airlineCode: 'U2',
+                departure: {
+                    airport: 'Frankfurt am Main',
+                    iata: 'FRA',
+                    scheduled: new Date(Date.now() - 900000).toISOString(),
+                    actual: new Date(Date.now() - 600000).toISOString(),
+                    terminal: 'Terminal 2',
+                    gate: 'D45'
+                },
+                arrival: {
+                    airport: 'London Gatwick',
+                    iata: 'LGW',
+                    scheduled: new Date(Date.now() + 7200000).toISOString(),
+                    estimated: new Date(Date.now() + 7000000).toISOString(),
+                    terminal: 'Terminal 1',
+                    gate: 'B12'
+                },
+                status: 'active',
+                aircraft: {
+                    registration: 'G-EZ??',
+                    iata: 'A319',
+                    icao: 'A319'
+                }
+            },
+            {
+                flightNumber: 'UAE42',
+                airline: 'Emirates',
+                airlineCode: 'EK',
+                departure: {
+                    airport: 'Frankfurt am Main',
+                    iata: 'FRA',
+                    scheduled: new Date(Date.now() - 1800000).toISOString(),
+                    actual: new Date(Date.now() - 1500000).toISOString(),
+                    terminal: 'Terminal 1',
+                    gate: 'A10'
+                },
+                arrival: {
+                    airport: 'Dubai International',
+                    iata: 'DXB',
+                    scheduled: new Date(Date.now() + 28800000).toISOString(),
+                    estimated: new Date(Date.now() + 28600000).toISOString(),
+                    terminal: 'Terminal 3',
+                    gate: 'A5'
+                },
+                status: 'active',
+                aircraft: {
+                    registration: 'A6-E??',
+                    iata: 'A380',
+                    icao: 'A380'
+                }
+            },
+            {
+                flightNumber: 'THY7MF',
+                airline: 'Turkish Airlines',
+                airlineCode: 'TK',
+                departure: {
+                    airport: 'Frankfurt am Main',
+                    iata: 'FRA',
+                    scheduled: new Date(Date.now() - 2400000).toISOString(),
+                    actual: new Date(Date.now() - 2100000).toISOString(),
+                    terminal: 'Terminal 1',
+                    gate: 'B18'
+                },
+                arrival: {
+                    airport: 'Istanbul Airport',
+                    iata: 'IST',
+                    scheduled: new Date(Date.now() + 14400000).toISOString(),
+                    estimated: new Date(Date.now() + 14200000).toISOString(),
+                    terminal: 'Terminal 1',
+                    gate: 'A22'
+                },
+                status: 'active',
+                aircraft: {
+                    registration: 'TC-J??',
+                    iata: 'B777',
+                    icao: 'B777'
+                }
+            },
+            {
+                flightNumber: 'BCS39G',
+                airline: 'European Air Transport',
+                airlineCode: 'BCS',
+                departure: {
+                    airport: 'Frankfurt am Main',
+                    iata: 'FRA',
+                    scheduled: new Date(Date.now() - 300000).toISOString(),
+                    actual: new Date(Date.now() - 100000).toISOString(),
+                    terminal: 'Terminal 2',
+                    gate: 'C8'
+                },
+                arrival: {
+                    airport: 'Leipzig Halle',
+                    iata: 'LEJ',
+                    scheduled: new Date(Date.now() + 3600000).toISOString(),
+                    estimated: new Date(Date.now() + 3400000).toISOString(),
+                    terminal: 'Terminal 1',
+                    gate: 'A3'
+                },
+                status: 'active',
+                aircraft: {
+                    registration: 'D-AT??',
+                    iata: 'AT75',
+                    icao: 'AT75'
+                }
+            },
+            // Additional schedules for live callsigns seen in data
+            {
+                flightNumber: 'AIC2016',
+                airline: 'Air India Cargo',
+                airlineCode: 'AIC',
+                departure: {
+                    airport: 'Frankfurt am Main',
+                    iata: 'FRA',
+                    scheduled: new Date(Date.now() - 1800000).toISOString(),
+                    actual: new Date(Date.now() - 1500000).toISOString(),
+                    terminal: 'Terminal 1',
+                    gate: 'B10'
+                },
+                arrival: {
+                    airport: 'Delhi Indira Gandhi',
+                    iata: 'DEL',
+                    scheduled: new Date(Date.now() + 43200000).toISOString(),
+                    estimated: new Date(Date.now() + 43000000).toISOString(),
+                    terminal: 'Terminal 3',
+                    gate: 'D12'
+                },
+                status: 'active',
+                aircraft: {
+                    registration: 'VT-??',
+                    iata: 'B777',
+                    icao: 'B777'
+                }
+            },
+            {
+                flightNumber: 'BCS9TC',
+                airline: 'European Air Transport',
+                airlineCode: 'BCS',
+                departure: {
+                    airport: 'Frankfurt am Main',
+                    iata: 'FRA',
+                    scheduled: new Date(Date.now() - 600000).toISOString(),
+                    actual: new Date(Date.now() - 300000).toISOString(),
+                    terminal: 'Terminal 2',
+                    gate: 'C15'
+                },
+                arrival: {
+                    airport: 'Cologne Bonn',
+                    iata: 'CGN',
+                    scheduled: new Date(Date.now() + 1800000).toISOString(),
+                    estimated: new Date(Date.now() + 1600000).toISOString(),
+                    terminal: 'Terminal 1',
+                    gate: 'B5'
+                },
+                status: 'active',
+                aircraft: {
+                    registration: 'D-AT??',
+                    iata: 'AT75',
+                    icao: 'AT75'
+                }
+            },
+            {
+                flightNumber: 'MBU8TN',
+                airline: 'CargoLogic Germany',
+                airlineCode: 'MBU',
+                departure: {
+                    airport: 'Frankfurt am Main',
+                    iata: 'FRA',
+                    scheduled: new Date(Date.now() - 900000).toISOString(),
+                    actual: new Date(Date.now() - 600000).toISOString(),
+                    terminal: 'Terminal 2',
+                    gate: 'D20'
+                },
+                arrival: {
+                    airport: 'East Midlands',
+                    iata: 'EMA',
+                    scheduled: new Date(Date.now() + 7200000).toISOString(),
+                    estimated: new Date(Date.now() + 7000000).toISOString(),
+                    terminal: 'Terminal 1',
+                    gate: 'A8'
+                },
+                status: 'active',
+                aircraft: {
+                    registration: 'D-A??',
+                    iata: 'B757',
+                    icao: 'B757'
+                }
+            },
+            {
+                flightNumber: 'FDX4293',
+                airline: 'FedEx Express',
+                airlineCode: 'FDX',
+                departure: {
+                    airport: 'Frankfurt am Main',
+                    iata: 'FRA',
+                    scheduled: new Date(Date.now() - 1200000).toISOString(),
+                    actual: new Date(Date.now() - 900000).toISOString(),
+                    terminal: 'Terminal 1',
+                    gate: 'A25'
+                },
+                arrival: {
+                    airport: 'Paris Charles de Gaulle',
+                    iata: 'CDG',
+                    scheduled: new Date(Date.now() + 5400000).toISOString(),
+                    estimated: new Date(Date.now() + 5200000).toISOString(),
+                    terminal: 'Terminal 2F',
+                    gate: 'K12'
+                },
+                status: 'active',
+                aircraft: {
+                    registration: 'N4??',
+                    iata: 'B777',
+                    icao: 'B777'
+                }
+            },
+            {
+                flightNumber: 'MPH9172',
+                airline: 'Martinair Cargo',
+                airlineCode: 'MPH',
+                departure: {
+                    airport: 'Frankfurt am Main',
+                    iata: 'FRA',
+                    scheduled: new Date(Date.now() - 1500000).toISOString(),
+                    actual: new Date(Date.now() - 1200000).toISOString(),
+                    terminal: 'Terminal 1',
+                    gate: 'B30'
+                },
+                arrival: {
+                    airport: 'Amsterdam Schiphol',
+                    iata: 'AMS',
+                    scheduled: new Date(Date.now() + 3600000).toISOString(),
+                    estimated: new Date(Date.now() + 3400000).toISOString(),
+                    terminal: 'Terminal 1',
+                    gate: 'D18'
+                },
+                status: 'active',
+                aircraft: {
+                    registration: 'PH-M??',
+                    iata: 'B747',
+                    icao: 'B747'
+                }
+            }
+        ];
+    }
+}
+
+module.exports = SampleProvider;
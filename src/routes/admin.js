@@ -0,0 +1,30 @@
+/**
+ * Admin Routes
+ */
+
+const express = require('express');
+const router = express.Router();
+const zoneService = require('../services/zoneService');
+
+router.get('/zones', async (req, res) => {
+    try {
+        const zones = await zoneService.getZones();
+        res.json({ success: true, count: zones.length, data: zones });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Import polygon zones from a GeoJSON Feature or FeatureCollection
+// (application/json or application/geo+json, up to 5 MB - see the parser in server.js)
+router.post('/zones/import', async (req, res) => {
+    try {
+        const zones = zoneService.parseGeoJSON(req.body);
+        const imported = await zoneService.importZones(zones, req.query.airport || process.env.AIRPORT_ICAO || 'EDDF');
+        res.status(201).json({ success: true, count: imported.length, data: imported });
+    } catch (error) {
+        res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,92 @@
+/**
+ * Alert Center Routes
+ * Unified alerts from all monitors
+ */
+
+const express = require('express');
+const router = express.Router();
+const alertCenterService = require('../services/alertCenterService');
+
+router.get('/', async (req, res) => {
+    try {
+        const { status, source, type, severity, callsign, icao24, since, until } = req.query;
+        const page = Math.max(1, parseInt(req.query.page) || 1);
+        const limit = Math.min(500, Math.max(1, parseInt(req.query.limit) || 50));
+
+        const result = await alertCenterService.getAlerts({
+            status,
+            active: req.query.active === 'true',
+            source,
+            type,
+            severity,
+            callsign,
+            icao24,
+            since,
+            until
+        }, page, limit);
+
+        res.json({
+            success: true,
+            count: result.data.length,
+            total: result.total,
+            page: result.page,
+            limit: result.limit,
+            data: result.data
+        });
+    } catch (error) {
+        res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+});
+
+router.get('/:alertId', async (req, res) => {
+    try {
+        const alert = await alertCenterService.getAlert(req.params.alertId);
+        if (!alert) {
+            return res.status(404).json({ success: false, error: 'Alert not found' });
+        }
+        res.json({ success: true, data: alert });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+router.post('/:alertId/acknowledge', async (req, res) => {
+    try {
+        const { user, comment } = req.body || {};
+        const alert = await alertCenterService.acknowledge(req.params.alertId, user, comment);
+        if (!alert) {
+            return res.status(404).json({ success: false, error: 'Alert not found' });
+        }
+        res.json({ success: true, data: alert });
+    } catch (error) {
+        res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+});
+
+router.post('/:alertId/resolve', async (req, res) => {
+    try {
+        const { user, comment } = req.body || {};
+        const alert = await alertCenterService.resolve(req.params.alertId, user, comment);
+        if (!alert) {
+            return res.status(404).json({ success: false, error: 'Alert not found' });
+        }
+        res.json({ success: true, data: alert });
+    } catch (error) {
+        res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+});
+
+router.post('/:alertId/comments', async (req, res) => {
+    try {
+        const { author, text } = req.body || {};
+        const comment = await alertCenterService.addComment(req.params.alertId, author, text);
+        if (!comment) {
+            return res.status(404).json({ success: false, error: 'Alert not found' });
+        }
+        res.status(201).json({ success: true, data: comment });
+    } catch (error) {
+        res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+});
+
+module.exports = router;
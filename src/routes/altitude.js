@@ -6,6 +6,7 @@
 const express = require('express');
 const router = express.Router();
 const altitudeCheckService = require('../services/altitudeCheckService');
+const approachMonitorService = require('../services/approachMonitorService');
 
 router.get('/', async (req, res) => {
     try {
@@ -25,10 +26,24 @@ router.get('/check', async (req, res) => {
     }
 });
 
-router.get('/aircraft/:callsign', async (req, res) => {
+router.get('/approach', async (req, res) => {
     try {
-        const { callsign } = req.params;
-        const status = await altitudeCheckService.getAircraftAltitudeStatus(callsign);
+        const result = await approachMonitorService.checkApproaches();
+        res.json({
+            success: true,
+            count: result.alerts.length,
+            data: result.alerts,
+            monitoredAircraft: result.monitoredAircraft
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Accepts a callsign or an icao24 address
+router.get('/aircraft/:identifier', async (req, res) => {
+    try {
+        const status = await altitudeCheckService.getAircraftAltitudeStatus(req.params.identifier);
         if (!status) {
             return res.status(404).json({ success: false, error: 'Aircraft not found' });
         }
@@ -6,6 +6,8 @@
 const express = require('express');
 const router = express.Router();
 const collisionService = require('../services/collisionService');
+const separationMinimaService = require('../services/separationMinimaService');
+const collisionAnalysisService = require('../services/collisionAnalysisService');
 
 router.get('/', async (req, res) => {
     try {
@@ -18,7 +20,40 @@ router.get('/', async (req, res) => {
 
 router.get('/check', async (req, res) => {
     try {
-        const alerts = await collisionService.checkCollisionRisks();
+        const result = await collisionService.checkCollisionRisks();
+        res.json({
+            success: true,
+            count: result.alerts.length,
+            data: result.alerts,
+            predicted: result.predictions,
+            pending: result.pending
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+router.get('/stats', (req, res) => {
+    const stats = collisionService.getCycleStats();
+    if (!stats) {
+        return res.status(404).json({ success: false, error: 'No detection cycle has run yet' });
+    }
+    res.json({ success: true, data: stats });
+});
+
+router.get('/minima', async (req, res) => {
+    try {
+        await separationMinimaService.refresh();
+        res.json({ success: true, data: separationMinimaService.getTables() });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Active alerts involving one aircraft, by callsign or icao24
+router.get('/aircraft/:identifier', async (req, res) => {
+    try {
+        const alerts = await collisionService.getAlertsForAircraft(req.params.identifier);
         res.json({ success: true, count: alerts.length, data: alerts });
     } catch (error) {
         res.status(500).json({ success: false, error: error.message });
@@ -37,11 +72,78 @@ router.get('/history', async (req, res) => {
 
 router.post('/check', async (req, res) => {
     try {
-        const alerts = await collisionService.checkCollisionRisks();
-        res.json({ success: true, count: alerts.length, data: alerts });
+        const result = await collisionService.checkCollisionRisks();
+        res.json({
+            success: true,
+            count: result.alerts.length,
+            data: result.alerts,
+            predicted: result.predictions,
+            pending: result.pending
+        });
     } catch (error) {
         res.status(500).json({ success: false, error: error.message });
     }
 });
 
+router.post('/analyze', async (req, res) => {
+    try {
+        const { start, end } = req.query;
+        if (!start || !end) {
+            return res.status(400).json({ success: false, error: 'start and end required' });
+        }
+        const report = await collisionAnalysisService.startAnalysis(start, end);
+        res.status(202).json({ success: true, data: report });
+    } catch (error) {
+        res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+});
+
+router.get('/analyze', async (req, res) => {
+    try {
+        const limit = parseInt(req.query.limit) || 20;
+        const reports = await collisionAnalysisService.getReports(limit);
+        res.json({ success: true, count: reports.length, data: reports });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+router.get('/analyze/:reportId', async (req, res) => {
+    try {
+        const report = await collisionAnalysisService.getReport(req.params.reportId);
+        if (!report) {
+            return res.status(404).json({ success: false, error: 'Analysis report not found' });
+        }
+        res.json({ success: true, data: report });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+router.post('/:alertId/ack', async (req, res) => {
+    try {
+        const { user, comment } = req.body || {};
+        const alert = await collisionService.acknowledgeAlert(req.params.alertId, user, comment);
+        if (!alert) {
+            return res.status(404).json({ success: false, error: 'Active alert not found' });
+        }
+        res.json({ success: true, data: alert });
+    } catch (error) {
+        res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+});
+
+router.post('/:alertId/resolve', async (req, res) => {
+    try {
+        const { user, comment } = req.body || {};
+        const alert = await collisionService.resolveAlert(req.params.alertId, user, comment);
+        if (!alert) {
+            return res.status(404).json({ success: false, error: 'Active alert not found' });
+        }
+        res.json({ success: true, data: alert });
+    } catch (error) {
+        res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+});
+
 module.exports = router;
\ No newline at end of file
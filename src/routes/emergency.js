@@ -0,0 +1,92 @@
+/**
+ * Emergency Squawk Routes
+ */
+
+const express = require('express');
+const router = express.Router();
+const emergencyService = require('../services/emergencyService');
+const eventBus = require('../utils/eventBus');
+
+const STREAM_EVENTS = ['emergency:alert', 'emergency:cleared'];
+
+router.get('/', async (req, res) => {
+    try {
+        const emergencies = await emergencyService.getActiveEmergencies();
+        res.json({ success: true, count: emergencies.length, data: emergencies });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+router.get('/alerts', async (req, res) => {
+    try {
+        const alerts = await emergencyService.getActiveAlerts();
+        res.json({ success: true, count: alerts.length, data: alerts });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+router.get('/check', async (req, res) => {
+    try {
+        const result = await emergencyService.checkEmergencies();
+        res.json({
+            success: true,
+            count: result.alerts.length,
+            data: result.alerts,
+            emergencies: result.emergencies
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Server-sent events stream used by the dashboard emergency banner
+router.get('/stream', (req, res) => {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive'
+    });
+    res.flushHeaders();
+
+    const write = (chunk) => {
+        res.write(chunk);
+        // compression buffers the response unless flushed explicitly
+        if (res.flush) res.flush();
+    };
+
+    const send = (event) => write(`event: ${event.type}\ndata: ${JSON.stringify(event.payload)}\n\n`);
+    const heartbeat = setInterval(() => write(': keep-alive\n\n'), 25000);
+
+    STREAM_EVENTS.forEach(type => eventBus.on(type, send));
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        STREAM_EVENTS.forEach(type => eventBus.off(type, send));
+    });
+});
+
+router.get('/events', async (req, res) => {
+    try {
+        const limit = parseInt(req.query.limit) || 50;
+        const events = await emergencyService.getEvents(limit);
+        res.json({ success: true, count: events.length, data: events });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+router.get('/events/:eventId', async (req, res) => {
+    try {
+        const event = await emergencyService.getEvent(req.params.eventId);
+        if (!event) {
+            return res.status(404).json({ success: false, error: 'Emergency event not found' });
+        }
+        res.json({ success: true, data: event });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+module.exports = router;
@@ -8,6 +8,10 @@
 const express = require('express');
 const router = express.Router();
 const flightMonitorService = require('../services/flightMonitorService');
+const aircraftIdentityService = require('../services/aircraftIdentityService');
+const sbsIngestService = require('../services/sbsIngestService');
+const positionFusionService = require('../services/positionFusionService');
+const apiClient = require('../utils/apiclient');
 
 /**
  * GET /api/flights/live
@@ -100,9 +104,61 @@ router.get('/terminal/:terminalName', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/flights/identity/:identifier
+ * Resolve an icao24 or callsign to the aircraft's identity
+ */
+router.get('/identity/:identifier', async (req, res) => {
+    try {
+        const identity = await aircraftIdentityService.lookup(req.params.identifier);
+
+        if (!identity) {
+            return res.status(404).json({
+                success: false,
+                error: 'Aircraft not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: identity
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/flights/feeds/sbs
+ * Connection state of the local ADS-B receiver feed
+ */
+router.get('/feeds/sbs', (req, res) => {
+    res.json({
+        success: true,
+        data: sbsIngestService.getStatus()
+    });
+});
+
+/**
+ * GET /api/flights/sources
+ * Per-source coverage of the fused live positions and the active schedule source
+ */
+router.get('/sources', (req, res) => {
+    res.json({
+        success: true,
+        data: {
+            ...positionFusionService.getCoverage(),
+            schedules: apiClient.lastSchedules
+        }
+    });
+});
+
 /**
  * GET /api/flights/:flightNumber
- * Get specific flight details
+ * Get specific flight details (by flight number/callsign or icao24)
  * IMPORTANT: Must be LAST to avoid catching other routes
  */
 router.get('/:flightNumber', async (req, res) => {
@@ -47,6 +47,19 @@ router.get('/airlines', async (req, res) => {
     }
 });
 
+router.get('/speed-violations', async (req, res) => {
+    try {
+        const { startDate, endDate } = req.query;
+        if (!startDate || !endDate) {
+            return res.status(400).json({ success: false, error: 'startDate and endDate required' });
+        }
+        const stats = await historyService.getSpeedViolationsByAirline(startDate, endDate);
+        res.json({ success: true, count: stats.length, data: stats });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
 router.get('/export', async (req, res) => {
     try {
         const filters = {
@@ -0,0 +1,118 @@
+/**
+ * Incident Routes
+ * Occurrence reports promoted from alerts
+ */
+
+const express = require('express');
+const router = express.Router();
+const incidentService = require('../services/incidentService');
+
+router.get('/', async (req, res) => {
+    try {
+        const limit = parseInt(req.query.limit) || 50;
+        const incidents = await incidentService.getIncidents(req.query.status, limit);
+        res.json({ success: true, count: incidents.length, data: incidents });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Promote an alert to an incident
+// Body: { alertId, title?, createdBy?, notes?, windowBeforeSec?, windowAfterSec? }
+router.post('/', async (req, res) => {
+    try {
+        const { alertId, ...options } = req.body || {};
+        const incident = await incidentService.promoteAlert(alertId, options);
+        if (!incident) {
+            return res.status(404).json({ success: false, error: 'Alert not found' });
+        }
+        res.status(201).json({ success: true, data: incident });
+    } catch (error) {
+        res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+});
+
+router.get('/:incidentId', async (req, res) => {
+    try {
+        const incident = await incidentService.getIncident(req.params.incidentId);
+        if (!incident) {
+            return res.status(404).json({ success: false, error: 'Incident not found' });
+        }
+        res.json({ success: true, data: incident });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+router.put('/:incidentId', async (req, res) => {
+    try {
+        const incident = await incidentService.updateIncident(req.params.incidentId, req.body || {});
+        if (!incident) {
+            return res.status(404).json({ success: false, error: 'Incident not found' });
+        }
+        res.json({ success: true, data: incident });
+    } catch (error) {
+        res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+});
+
+router.post('/:incidentId/notes', async (req, res) => {
+    try {
+        const { author, text } = req.body || {};
+        const note = await incidentService.addNote(req.params.incidentId, author, text);
+        if (!note) {
+            return res.status(404).json({ success: false, error: 'Incident not found' });
+        }
+        res.status(201).json({ success: true, data: note });
+    } catch (error) {
+        res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+});
+
+// Capture telemetry again, e.g. once the window after the alert has passed
+router.post('/:incidentId/telemetry', async (req, res) => {
+    try {
+        const incident = await incidentService.recapture(req.params.incidentId);
+        if (!incident) {
+            return res.status(404).json({ success: false, error: 'Incident not found' });
+        }
+        res.json({ success: true, data: incident });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Export as a JSON bundle (?format=json, default) or HTML report (?format=html)
+router.get('/:incidentId/export', async (req, res) => {
+    try {
+        const format = req.query.format || 'json';
+        const { incidentId } = req.params;
+
+        if (format === 'html') {
+            const html = await incidentService.exportHtml(incidentId);
+            if (!html) {
+                return res.status(404).json({ success: false, error: 'Incident not found' });
+            }
+            res.setHeader('Content-Type', 'text/html; charset=utf-8');
+            if (req.query.download === 'true') {
+                res.setHeader('Content-Disposition', `attachment; filename=${incidentId}.html`);
+            }
+            return res.send(html);
+        }
+
+        if (format !== 'json') {
+            return res.status(400).json({ success: false, error: 'format must be json or html' });
+        }
+
+        const bundle = await incidentService.exportJson(incidentId);
+        if (!bundle) {
+            return res.status(404).json({ success: false, error: 'Incident not found' });
+        }
+        res.setHeader('Content-Disposition', `attachment; filename=${incidentId}.json`);
+        res.json(bundle);
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,111 @@
+/**
+ * Notification Routes
+ * Notification policies, delivery log and the browser notification stream
+ */
+
+const express = require('express');
+const router = express.Router();
+const notificationService = require('../services/notificationService');
+const eventBus = require('../utils/eventBus');
+
+router.get('/policies', async (req, res) => {
+    try {
+        const policies = await notificationService.getPolicies();
+        res.json({ success: true, count: policies.length, data: policies });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+router.post('/policies', async (req, res) => {
+    try {
+        const policy = await notificationService.savePolicy(req.body);
+        res.status(201).json({ success: true, data: policy });
+    } catch (error) {
+        res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+});
+
+router.get('/policies/:policyId', async (req, res) => {
+    try {
+        const policy = await notificationService.getPolicy(req.params.policyId);
+        if (!policy) {
+            return res.status(404).json({ success: false, error: 'Policy not found' });
+        }
+        res.json({ success: true, data: policy });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+router.put('/policies/:policyId', async (req, res) => {
+    try {
+        const policy = await notificationService.savePolicy(req.body, req.params.policyId);
+        res.json({ success: true, data: policy });
+    } catch (error) {
+        res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+});
+
+router.delete('/policies/:policyId', async (req, res) => {
+    try {
+        const deleted = await notificationService.deletePolicy(req.params.policyId);
+        if (!deleted) {
+            return res.status(404).json({ success: false, error: 'Policy not found' });
+        }
+        res.json({ success: true });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Send a sample alert through the policy's channels
+router.post('/policies/:policyId/test', async (req, res) => {
+    try {
+        const deliveries = await notificationService.testPolicy(req.params.policyId);
+        if (!deliveries) {
+            return res.status(404).json({ success: false, error: 'Policy not found' });
+        }
+        res.json({ success: true, count: deliveries.length, data: deliveries });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+router.get('/deliveries', async (req, res) => {
+    try {
+        const { alertId, policyId, channel, status } = req.query;
+        const limit = parseInt(req.query.limit) || 100;
+        const deliveries = await notificationService.getDeliveries({ alertId, policyId, channel, status }, limit);
+        res.json({ success: true, count: deliveries.length, data: deliveries });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Server-sent events stream for browser notifications
+router.get('/stream', (req, res) => {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive'
+    });
+    res.flushHeaders();
+
+    const write = (chunk) => {
+        res.write(chunk);
+        if (res.flush) res.flush();
+    };
+
+    const send = (event) => write(`event: ${event.type}\ndata: ${JSON.stringify(event.payload)}\n\n`);
+    const heartbeat = setInterval(() => write(': keep-alive\n\n'), 25000);
+
+    eventBus.on('notification:browser', send);
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        eventBus.off('notification:browser', send);
+    });
+});
+
+module.exports = router;
@@ -0,0 +1,125 @@
+/**
+ * Restricted Area Routes
+ */
+
+const express = require('express');
+const router = express.Router();
+const restrictedAreaService = require('../services/restrictedAreaService');
+
+router.get('/', async (req, res) => {
+    try {
+        const areas = await restrictedAreaService.getAreas();
+        res.json({ success: true, count: areas.length, data: areas });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+router.get('/alerts', async (req, res) => {
+    try {
+        const alerts = await restrictedAreaService.getActiveAlerts();
+        res.json({ success: true, count: alerts.length, data: alerts });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+router.get('/check', async (req, res) => {
+    try {
+        const result = await restrictedAreaService.checkIncursions();
+        res.json({
+            success: true,
+            count: result.alerts.length,
+            data: result.alerts,
+            incursions: result.incursions
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+router.get('/incursions', async (req, res) => {
+    try {
+        const filters = {
+            areaId: req.query.areaId,
+            callsign: req.query.callsign,
+            status: req.query.status,
+            limit: parseInt(req.query.limit) || 100
+        };
+        const incursions = await restrictedAreaService.getIncursions(filters);
+        res.json({ success: true, count: incursions.length, data: incursions });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+router.get('/:areaId', async (req, res) => {
+    try {
+        const area = await restrictedAreaService.getArea(req.params.areaId);
+        if (!area) {
+            return res.status(404).json({ success: false, error: 'Restricted area not found' });
+        }
+        res.json({ success: true, data: area });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+router.post('/', async (req, res) => {
+    try {
+        const area = await restrictedAreaService.createArea(req.body);
+        res.status(201).json({ success: true, data: area });
+    } catch (error) {
+        res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+});
+
+router.put('/:areaId', async (req, res) => {
+    try {
+        const area = await restrictedAreaService.updateArea(req.params.areaId, req.body);
+        if (!area) {
+            return res.status(404).json({ success: false, error: 'Restricted area not found' });
+        }
+        res.json({ success: true, data: area });
+    } catch (error) {
+        res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+});
+
+router.post('/:areaId/activate', async (req, res) => {
+    try {
+        const area = await restrictedAreaService.setActive(req.params.areaId, true);
+        if (!area) {
+            return res.status(404).json({ success: false, error: 'Restricted area not found' });
+        }
+        res.json({ success: true, data: area });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+router.post('/:areaId/deactivate', async (req, res) => {
+    try {
+        const area = await restrictedAreaService.setActive(req.params.areaId, false);
+        if (!area) {
+            return res.status(404).json({ success: false, error: 'Restricted area not found' });
+        }
+        res.json({ success: true, data: area });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+router.delete('/:areaId', async (req, res) => {
+    try {
+        const deleted = await restrictedAreaService.deleteArea(req.params.areaId);
+        if (!deleted) {
+            return res.status(404).json({ success: false, error: 'Restricted area not found' });
+        }
+        res.json({ success: true });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+module.exports = router;
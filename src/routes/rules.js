@@ -0,0 +1,104 @@
+/**
+ * Alert Rule Routes
+ * Rule definitions may be sent as JSON or YAML (application/yaml, text/yaml)
+ */
+
+const express = require('express');
+const router = express.Router();
+const alertRuleService = require('../services/alertRuleService');
+
+router.use(express.text({ type: ['application/yaml', 'application/x-yaml', 'text/yaml'] }));
+
+router.get('/', async (req, res) => {
+    try {
+        const rules = await alertRuleService.getRules(req.query.monitor);
+        res.json({ success: true, count: rules.length, data: rules });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+router.post('/', async (req, res) => {
+    try {
+        const rule = await alertRuleService.saveRule(req.body);
+        res.status(201).json({ success: true, data: rule });
+    } catch (error) {
+        res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+});
+
+// Evaluate a rule against sample contexts without saving it
+// Body: { rule: {...} | ruleId: '...', context: {...} | contexts: [...] }
+router.post('/test', async (req, res) => {
+    try {
+        const body = alertRuleService.parseDefinition(req.body) || {};
+
+        let rule = body.rule;
+        if (!rule && body.ruleId) {
+            rule = await alertRuleService.getRule(body.ruleId);
+            if (!rule) {
+                return res.status(404).json({ success: false, error: 'Rule not found' });
+            }
+        }
+
+        const contexts = body.contexts || (body.context ? [body.context] : []);
+        const results = alertRuleService.testRule(rule, contexts);
+        res.json({
+            success: true,
+            count: results.filter(r => r.matched).length,
+            data: results
+        });
+    } catch (error) {
+        res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+});
+
+router.get('/:ruleId', async (req, res) => {
+    try {
+        const rule = await alertRuleService.getRule(req.params.ruleId);
+        if (!rule) {
+            return res.status(404).json({ success: false, error: 'Rule not found' });
+        }
+        res.json({ success: true, data: rule });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+router.put('/:ruleId', async (req, res) => {
+    try {
+        const definition = alertRuleService.parseDefinition(req.body);
+        const rule = await alertRuleService.saveRule({ ...definition, ruleId: req.params.ruleId });
+        res.json({ success: true, data: rule });
+    } catch (error) {
+        res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+});
+
+// Body { enabled: true|false } sets the state, an empty body flips it
+router.post('/:ruleId/toggle', async (req, res) => {
+    try {
+        const enabled = req.body && typeof req.body.enabled === 'boolean' ? req.body.enabled : null;
+        const rule = await alertRuleService.toggleRule(req.params.ruleId, enabled);
+        if (!rule) {
+            return res.status(404).json({ success: false, error: 'Rule not found' });
+        }
+        res.json({ success: true, data: rule });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+router.delete('/:ruleId', async (req, res) => {
+    try {
+        const deleted = await alertRuleService.deleteRule(req.params.ruleId);
+        if (!deleted) {
+            return res.status(404).json({ success: false, error: 'Rule not found' });
+        }
+        res.json({ success: true });
+    } catch (error) {
+        res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,47 @@
+/**
+ * Runway Monitor Routes
+ */
+
+const express = require('express');
+const router = express.Router();
+const runwayMonitorService = require('../services/runwayMonitorService');
+
+router.get('/incursions', async (req, res) => {
+    try {
+        const alerts = await runwayMonitorService.getActiveAlerts();
+        res.json({ success: true, count: alerts.length, data: alerts });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+router.get('/incursions/check', async (req, res) => {
+    try {
+        const result = await runwayMonitorService.checkRunwayIncursions();
+        res.json({
+            success: true,
+            count: result.alerts.length,
+            data: result.alerts,
+            occupancy: result.occupancy
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+router.get('/incursions/history', async (req, res) => {
+    try {
+        const limit = parseInt(req.query.limit) || 50;
+        const alerts = await runwayMonitorService.getAlertHistory(limit);
+        res.json({ success: true, count: alerts.length, data: alerts });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+router.get('/occupancy', (req, res) => {
+    const occupancy = runwayMonitorService.getOccupancy();
+    res.json({ success: true, count: occupancy.length, data: occupancy });
+});
+
+module.exports = router;
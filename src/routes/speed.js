@@ -0,0 +1,77 @@
+/**
+ * Speed Restriction Routes
+ */
+
+const express = require('express');
+const router = express.Router();
+const speedRestrictionService = require('../services/speedRestrictionService');
+
+router.get('/', async (req, res) => {
+    try {
+        const alerts = await speedRestrictionService.getActiveAlerts();
+        res.json({ success: true, count: alerts.length, data: alerts });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+router.get('/check', async (req, res) => {
+    try {
+        const result = await speedRestrictionService.checkSpeedRestrictions();
+        res.json({
+            success: true,
+            count: result.alerts.length,
+            data: result.alerts,
+            violations: result.violations
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+router.get('/violations', async (req, res) => {
+    try {
+        const filters = {
+            callsign: req.query.callsign,
+            airline: req.query.airline,
+            status: req.query.status,
+            limit: parseInt(req.query.limit) || 100
+        };
+        const violations = await speedRestrictionService.getViolations(filters);
+        res.json({ success: true, count: violations.length, data: violations });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+router.get('/rules', async (req, res) => {
+    try {
+        const rules = await speedRestrictionService.getRules();
+        res.json({ success: true, count: rules.length, data: rules });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+router.put('/rules/:ruleId', async (req, res) => {
+    try {
+        const rule = await speedRestrictionService.saveRule({ ...req.body, ruleId: req.params.ruleId });
+        res.json({ success: true, data: rule });
+    } catch (error) {
+        res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+});
+
+router.delete('/rules/:ruleId', async (req, res) => {
+    try {
+        const deleted = await speedRestrictionService.deleteRule(req.params.ruleId);
+        if (!deleted) {
+            return res.status(404).json({ success: false, error: 'Rule not found' });
+        }
+        res.json({ success: true });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,42 @@
+/**
+ * Wake Turbulence Routes
+ */
+
+const express = require('express');
+const router = express.Router();
+const wakeTurbulenceService = require('../services/wakeTurbulenceService');
+
+router.get('/', async (req, res) => {
+    try {
+        const alerts = await wakeTurbulenceService.getActiveAlerts();
+        res.json({ success: true, count: alerts.length, data: alerts });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+router.get('/check', async (req, res) => {
+    try {
+        const result = await wakeTurbulenceService.checkWakeSeparation();
+        res.json({
+            success: true,
+            count: result.alerts.length,
+            data: result.alerts,
+            arrivals: result.arrivals,
+            departures: result.departures
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+router.get('/category/:aircraftType', (req, res) => {
+    const { aircraftType } = req.params;
+    const category = wakeTurbulenceService.getWakeCategory(aircraftType);
+    if (!category) {
+        return res.status(404).json({ success: false, error: 'Unknown aircraft type' });
+    }
+    res.json({ success: true, data: { aircraftType: aircraftType.toUpperCase(), category } });
+});
+
+module.exports = router;
@@ -0,0 +1,114 @@
+/**
+ * Webhook Routes
+ * Subscriptions for signed flight and alert event deliveries
+ */
+
+const express = require('express');
+const router = express.Router();
+const webhookService = require('../services/webhookService');
+
+router.get('/', async (req, res) => {
+    try {
+        const subscriptions = await webhookService.getSubscriptions();
+        res.json({ success: true, count: subscriptions.length, data: subscriptions });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// The response is the only time the signing secret is shown
+router.post('/', async (req, res) => {
+    try {
+        const subscription = await webhookService.createSubscription(req.body);
+        res.status(201).json({ success: true, data: subscription });
+    } catch (error) {
+        res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+});
+
+router.get('/events', (req, res) => {
+    const events = webhookService.getEvents();
+    res.json({ success: true, count: events.length, data: events });
+});
+
+router.get('/:subscriptionId', async (req, res) => {
+    try {
+        const subscription = await webhookService.getSubscription(req.params.subscriptionId);
+        if (!subscription) {
+            return res.status(404).json({ success: false, error: 'Subscription not found' });
+        }
+        res.json({ success: true, data: subscription });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+router.put('/:subscriptionId', async (req, res) => {
+    try {
+        const subscription = await webhookService.updateSubscription(req.params.subscriptionId, req.body);
+        if (!subscription) {
+            return res.status(404).json({ success: false, error: 'Subscription not found' });
+        }
+        res.json({ success: true, data: subscription });
+    } catch (error) {
+        res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+});
+
+router.delete('/:subscriptionId', async (req, res) => {
+    try {
+        const deleted = await webhookService.deleteSubscription(req.params.subscriptionId);
+        if (!deleted) {
+            return res.status(404).json({ success: false, error: 'Subscription not found' });
+        }
+        res.json({ success: true });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+router.post('/:subscriptionId/ping', async (req, res) => {
+    try {
+        const delivery = await webhookService.ping(req.params.subscriptionId);
+        if (!delivery) {
+            return res.status(404).json({ success: false, error: 'Subscription not found' });
+        }
+        res.json({ success: true, data: delivery });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+router.get('/:subscriptionId/deliveries', async (req, res) => {
+    try {
+        const limit = parseInt(req.query.limit) || 100;
+        const deliveries = await webhookService.getDeliveries(req.params.subscriptionId, req.query.status, limit);
+        res.json({ success: true, count: deliveries.length, data: deliveries });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+router.get('/:subscriptionId/dead-letters', async (req, res) => {
+    try {
+        const limit = parseInt(req.query.limit) || 100;
+        const deadLetters = await webhookService.getDeadLetters(req.params.subscriptionId, limit);
+        res.json({ success: true, count: deadLetters.length, data: deadLetters });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+router.post('/:subscriptionId/dead-letters/:deliveryId/replay', async (req, res) => {
+    try {
+        const delivery = await webhookService.replayDeadLetter(req.params.subscriptionId, req.params.deliveryId);
+        if (!delivery) {
+            return res.status(404).json({ success: false, error: 'Dead letter not found' });
+        }
+        res.json({ success: true, data: delivery });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+module.exports = router;
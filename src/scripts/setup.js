@@ -46,6 +46,7 @@ async function setupMongoDB() {
 
     // Flight telemetry indexes
     await db.collection('flight_telemetry').createIndex({ flight_id: 1 });
+    await db.collection('flight_telemetry').createIndex({ icao24: 1, timestamp: 1 });
     await db.collection('flight_telemetry').createIndex({ timestamp: -1 });
 
     // Passengers indexes
@@ -53,9 +54,13 @@ async function setupMongoDB() {
     await db.collection('passengers').createIndex({ passenger_id: 1 }, { unique: true });
 
     // Alerts indexes
+    await db.collection('alerts').createIndex({ alertId: 1 }, { unique: true });
     await db.collection('alerts').createIndex({ timestamp: -1 });
     await db.collection('alerts').createIndex({ type: 1 });
-    await db.collection('alerts').createIndex({ resolved: 1 });
+    await db.collection('alerts').createIndex({ status: 1, timestamp: -1 });
+    await db.collection('alerts').createIndex({ key: 1, status: 1 });
+    await db.collection('alerts').createIndex({ 'aircraft.callsign': 1 });
+    await db.collection('alerts').createIndex({ 'aircraft.icao24': 1 });
 
     console.log('✅ MongoDB collections and indexes created');
 }
@@ -0,0 +1,75 @@
+/**
+ * Aircraft Identity Service
+ *
+ * Resolves an identifier that may be either an icao24 transponder address
+ * or a callsign to the aircraft's live position record in Redis.
+ */
+
+const dbManager = require('../config/database');
+const {
+    normalizeIcao24,
+    normalizeCallsign,
+    positionKey,
+    callsignHistoryKey,
+    callsignIndexKey
+} = require('../utils/aircraftIdentity');
+
+class AircraftIdentityService {
+    /**
+     * Resolve an icao24 or callsign to { aircraftId, icao24, callsign, key, position }
+     * Returns null if no live aircraft matches.
+     */
+    async resolve(identifier) {
+        const redis = dbManager.getRedis();
+        const candidates = [];
+
+        const icao24 = normalizeIcao24(identifier);
+        if (icao24) candidates.push(icao24);
+
+        const callsign = normalizeCallsign(identifier);
+        if (callsign) {
+            const indexed = await redis.get(callsignIndexKey(callsign));
+            if (indexed) candidates.push(indexed);
+            // Aircraft without an icao24 are keyed by callsign
+            candidates.push(callsign);
+        }
+
+        for (const aircraftId of candidates) {
+            const key = positionKey(aircraftId);
+            const position = await redis.hGetAll(key);
+
+            if (position && Object.keys(position).length > 0) {
+                return {
+                    aircraftId,
+                    icao24: position.icao24 || null,
+                    callsign: position.callsign || null,
+                    key,
+                    position
+                };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Resolve an identifier and include the callsigns the aircraft has used
+     */
+    async lookup(identifier) {
+        const identity = await this.resolve(identifier);
+        if (!identity) return null;
+
+        const redis = dbManager.getRedis();
+        const callsigns = await redis.lRange(callsignHistoryKey(identity.aircraftId), 0, -1);
+
+        return {
+            aircraftId: identity.aircraftId,
+            icao24: identity.icao24,
+            callsign: identity.callsign,
+            previousCallsigns: callsigns.filter(c => c !== identity.callsign),
+            lastUpdate: identity.position.last_update || null
+        };
+    }
+}
+
+module.exports = new AircraftIdentityService();
@@ -0,0 +1,411 @@
+/**
+ * Alert Center Service
+ *
+ * Single durable alert model across all monitors. Monitors publish
+ * 'alert:raised' / 'alert:cleared' on the event bus with { source, alert };
+ * each distinct condition (source, type, runway/area, aircraft involved)
+ * becomes one document in the MongoDB alerts collection that is updated
+ * while the condition persists and carries its own lifecycle:
+ *   open -> acknowledged -> resolved
+ * Conditions that stop being reported without an explicit clear are
+ * resolved as expired after ALERT_STALE_SEC. Monitors that raise a condition
+ * once and clear it when it ends (emergencies, area entries, speed
+ * violations) publish with untilCleared: true and are never expired.
+ */
+
+const crypto = require('crypto');
+const dbManager = require('../config/database');
+const eventBus = require('../utils/eventBus');
+
+const SEVERITY_RANK = {
+    SAFE: 0,
+    LOW: 1,
+    WARNING: 2,
+    MEDIUM: 2,
+    HIGH: 3,
+    CRITICAL: 4
+};
+
+const STATUSES = ['open', 'acknowledged', 'resolved'];
+
+class AlertCenterService {
+    constructor() {
+        this.STALE_SEC = parseInt(process.env.ALERT_STALE_SEC || '120');
+        this.checkInterval = null;
+        // Events are applied one at a time so repeated reports of a new condition don't insert it twice
+        this.queue = Promise.resolve();
+        this.onRaised = event => this.enqueue(() => this.record(event.payload.source, event.payload.alert, event.payload.untilCleared));
+        this.onCleared = event => this.enqueue(() => this.clear(event.payload.source, event.payload.alert, event.payload.reason));
+    }
+
+    /**
+     * Subscribe to monitor alerts and periodically expire stale ones
+     */
+    startMonitoring() {
+        const interval = parseInt(process.env.ALERT_CENTER_SWEEP_INTERVAL || '30') * 1000;
+
+        console.log(`🗂️  Starting alert center (expire after ${this.STALE_SEC}s without updates)`);
+
+        eventBus.on('alert:raised', this.onRaised);
+        eventBus.on('alert:cleared', this.onCleared);
+
+        this.checkInterval = setInterval(() => {
+            this.expireStale().catch(error => console.error('Error expiring alerts:', error.message));
+        }, interval);
+    }
+
+    /**
+     * Stop monitoring
+     */
+    stopMonitoring() {
+        eventBus.off('alert:raised', this.onRaised);
+        eventBus.off('alert:cleared', this.onCleared);
+
+        if (this.checkInterval) {
+            clearInterval(this.checkInterval);
+            console.log('⏹️  Alert center stopped');
+        }
+    }
+
+    enqueue(task) {
+        this.queue = this.queue
+            .then(task)
+            .catch(error => console.error('Error updating alert center:', error.message));
+        return this.queue;
+    }
+
+    /**
+     * Aircraft involved in a monitor alert, whatever its shape
+     */
+    extractAircraft(alert) {
+        let aircraft;
+        if (alert.flight1 && alert.flight2) {
+            aircraft = [alert.flight1, alert.flight2];
+        } else if (alert.leader && alert.follower) {
+            aircraft = [alert.leader, alert.follower];
+        } else if (Array.isArray(alert.aircraft)) {
+            aircraft = alert.aircraft;
+        } else if (alert.aircraft) {
+            aircraft = [{
+                ...alert.aircraft,
+                icao24: alert.aircraft.icao24 || alert.icao24,
+                callsign: alert.aircraft.callsign || alert.callsign
+            }];
+        } else if (alert.callsign || alert.icao24) {
+            aircraft = [alert];
+        } else {
+            aircraft = [];
+        }
+
+        return aircraft.map(a => ({
+            icao24: a.icao24 || null,
+            callsign: a.callsign,
+            latitude: a.latitude !== undefined ? a.latitude : null,
+            longitude: a.longitude !== undefined ? a.longitude : null,
+            altitude: a.altitude !== undefined ? a.altitude : null,
+            velocity: a.velocity !== undefined ? a.velocity : null,
+            heading: a.heading !== undefined ? a.heading : null
+        }));
+    }
+
+    /**
+     * GeoJSON geometry of the aircraft positions (Point or MultiPoint)
+     */
+    buildGeometry(aircraft) {
+        const coordinates = aircraft
+            .filter(a => typeof a.latitude === 'number' && typeof a.longitude === 'number')
+            .map(a => [a.longitude, a.latitude]);
+
+        if (coordinates.length === 0) return null;
+        if (coordinates.length === 1) return { type: 'Point', coordinates: coordinates[0] };
+        return { type: 'MultiPoint', coordinates };
+    }
+
+    /**
+     * Identity of the condition an alert describes, stable across cycles
+     */
+    getKey(source, alert, aircraft) {
+        const scope = alert.runway || alert.areaId || '';
+        const ids = aircraft.map(a => a.icao24 || a.callsign).sort().join('|');
+        return `${source}:${alert.type || source.toUpperCase()}:${scope}:${ids}`;
+    }
+
+    /**
+     * Create or update the unified alert for a monitor alert
+     * untilCleared alerts stay open until the monitor clears them.
+     */
+    async record(source, alert, untilCleared = false) {
+        const aircraft = this.extractAircraft(alert);
+        const key = this.getKey(source, alert, aircraft);
+        const now = new Date();
+
+        const db = dbManager.getMongoDB();
+        const collection = db.collection('alerts');
+        const existing = await collection.findOne({ key, status: { $ne: 'resolved' } });
+
+        const { id, ...details } = alert;
+        const update = {
+            severity: alert.severity || 'WARNING',
+            message: alert.message || null,
+            aircraft,
+            geometry: this.buildGeometry(aircraft),
+            details,
+            untilCleared: Boolean(untilCleared),
+            lastSeen: now,
+            updatedAt: now
+        };
+
+        if (existing) {
+            const worstSeverity = this.worseSeverity(existing.worstSeverity, update.severity);
+            await collection.updateOne(
+                { alertId: existing.alertId },
+                {
+                    $set: { ...update, worstSeverity },
+                    $inc: { occurrences: 1 }
+                }
+            );
+
+            if (worstSeverity !== existing.worstSeverity) {
+                eventBus.publish('alert:severity-raised', {
+                    ...this.toApi({ ...existing, ...update, worstSeverity, occurrences: existing.occurrences + 1 }),
+                    previousSeverity: existing.worstSeverity
+                });
+            }
+            return existing.alertId;
+        }
+
+        const document = {
+            alertId: crypto.randomUUID(),
+            key,
+            source,
+            type: alert.type || source.toUpperCase(),
+            ...update,
+            worstSeverity: update.severity,
+            status: 'open',
+            timestamp: now,
+            occurrences: 1,
+            acknowledgedAt: null,
+            acknowledgedBy: null,
+            resolvedAt: null,
+            resolvedBy: null,
+            resolution: null,
+            incidentId: null,
+            comments: []
+        };
+
+        await collection.insertOne({ ...document });
+        eventBus.publish('alert:opened', this.toApi(document));
+        return document.alertId;
+    }
+
+    /**
+     * Resolve the unified alert for a condition the monitor reports as over
+     */
+    async clear(source, alert, reason = 'cleared') {
+        const aircraft = this.extractAircraft(alert);
+        const key = this.getKey(source, alert, aircraft);
+        const now = new Date();
+
+        const db = dbManager.getMongoDB();
+        await db.collection('alerts').updateOne(
+            { key, status: { $ne: 'resolved' } },
+            { $set: { status: 'resolved', resolvedAt: now, resolution: reason, updatedAt: now } }
+        );
+    }
+
+    /**
+     * Resolve alerts that have not been reported for STALE_SEC
+     * Alerts held until cleared are left alone.
+     */
+    async expireStale() {
+        const now = new Date();
+        const cutoff = new Date(now.getTime() - this.STALE_SEC * 1000);
+
+        const db = dbManager.getMongoDB();
+        const result = await db.collection('alerts').updateMany(
+            { status: { $ne: 'resolved' }, untilCleared: { $ne: true }, lastSeen: { $lt: cutoff } },
+            { $set: { status: 'resolved', resolvedAt: now, resolution: 'expired', updatedAt: now } }
+        );
+
+        return result.modifiedCount;
+    }
+
+    /**
+     * Query alerts with filters and paging, newest first
+     */
+    async getAlerts(filters = {}, page = 1, limit = 50) {
+        const query = {};
+
+        // Repeated query parameters arrive as arrays
+        for (const name of ['status', 'source', 'type', 'severity', 'callsign', 'icao24', 'since', 'until']) {
+            if (filters[name] !== undefined && filters[name] !== null && typeof filters[name] !== 'string') {
+                throw this.validationError(`${name} must be a single value`);
+            }
+        }
+
+        if (filters.status) {
+            if (!STATUSES.includes(filters.status)) {
+                throw this.validationError(`status must be one of ${STATUSES.join(', ')}`);
+            }
+            query.status = filters.status;
+        }
+        if (filters.active) query.status = { $ne: 'resolved' };
+        if (filters.source) query.source = filters.source;
+        if (filters.type) query.type = filters.type.toUpperCase();
+        if (filters.severity) query.severity = filters.severity.toUpperCase();
+        if (filters.callsign) query['aircraft.callsign'] = filters.callsign.toUpperCase();
+        if (filters.icao24) query['aircraft.icao24'] = filters.icao24.toLowerCase();
+        if (filters.since || filters.until) {
+            query.timestamp = {};
+            if (filters.since) query.timestamp.$gte = this.parseDate(filters.since, 'since');
+            if (filters.until) query.timestamp.$lte = this.parseDate(filters.until, 'until');
+        }
+
+        const db = dbManager.getMongoDB();
+        const collection = db.collection('alerts');
+
+        const [alerts, total] = await Promise.all([
+            collection.find(query)
+                .sort({ timestamp: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .toArray(),
+            collection.countDocuments(query)
+        ]);
+
+        return { data: alerts.map(alert => this.toApi(alert)), total, page, limit };
+    }
+
+    /**
+     * Get a single alert, or null if it does not exist
+     */
+    async getAlert(alertId) {
+        const db = dbManager.getMongoDB();
+        const alert = await db.collection('alerts').findOne({ alertId });
+        return alert ? this.toApi(alert) : null;
+    }
+
+    /**
+     * The unresolved unified alert for a monitor alert, or null
+     * Waits for the events already queued so a just-raised alert is found.
+     */
+    async findOpenAlert(source, alert) {
+        await this.queue;
+
+        const key = this.getKey(source, alert, this.extractAircraft(alert));
+        const db = dbManager.getMongoDB();
+        const found = await db.collection('alerts').findOne({ key, status: { $ne: 'resolved' } });
+        return found ? this.toApi(found) : null;
+    }
+
+    /**
+     * Acknowledge an open alert
+     */
+    async acknowledge(alertId, user = null, comment = null) {
+        const alert = await this.getAlert(alertId);
+        if (!alert) return null;
+
+        if (alert.status === 'resolved') {
+            throw this.validationError('Alert is already resolved');
+        }
+
+        const now = new Date();
+        const db = dbManager.getMongoDB();
+        await db.collection('alerts').updateOne(
+            { alertId },
+            { $set: { status: 'acknowledged', acknowledgedAt: now, acknowledgedBy: user, updatedAt: now } }
+        );
+
+        if (comment) {
+            await this.addComment(alertId, user, comment);
+        }
+
+        return await this.getAlert(alertId);
+    }
+
+    /**
+     * Manually resolve an alert
+     * If the monitor keeps reporting the condition a new alert is opened.
+     */
+    async resolve(alertId, user = null, comment = null) {
+        const alert = await this.getAlert(alertId);
+        if (!alert) return null;
+
+        if (alert.status !== 'resolved') {
+            const now = new Date();
+            const db = dbManager.getMongoDB();
+            await db.collection('alerts').updateOne(
+                { alertId },
+                { $set: { status: 'resolved', resolvedAt: now, resolvedBy: user, resolution: 'resolved by operator', updatedAt: now } }
+            );
+        }
+
+        if (comment) {
+            await this.addComment(alertId, user, comment);
+        }
+
+        return await this.getAlert(alertId);
+    }
+
+    /**
+     * Add a comment to an alert
+     */
+    async addComment(alertId, author, text) {
+        if (!text || !text.toString().trim()) {
+            throw this.validationError('Comment text is required');
+        }
+
+        const comment = {
+            author: author || 'anonymous',
+            text: text.toString().trim(),
+            timestamp: new Date()
+        };
+
+        const db = dbManager.getMongoDB();
+        const result = await db.collection('alerts').updateOne(
+            { alertId },
+            { $push: { comments: comment }, $set: { updatedAt: comment.timestamp } }
+        );
+
+        return result.matchedCount > 0 ? comment : null;
+    }
+
+    /**
+     * Record the incident an alert was promoted to
+     */
+    async linkIncident(alertId, incidentId) {
+        const db = dbManager.getMongoDB();
+        await db.collection('alerts').updateOne(
+            { alertId },
+            { $set: { incidentId, updatedAt: new Date() } }
+        );
+    }
+
+    /**
+     * Return the more severe of two severity levels
+     */
+    worseSeverity(severity1, severity2) {
+        return (SEVERITY_RANK[severity2] || 0) > (SEVERITY_RANK[severity1] || 0) ? severity2 : severity1;
+    }
+
+    toApi(alert) {
+        const { _id, key, ...rest } = alert;
+        return rest;
+    }
+
+    parseDate(value, name) {
+        const date = new Date(value);
+        if (isNaN(date)) {
+            throw this.validationError(`${name} must be a valid date`);
+        }
+        return date;
+    }
+
+    validationError(message) {
+        const error = new Error(message);
+        error.status = 400;
+        return error;
+    }
+}
+
+module.exports = new AlertCenterService();
@@ -0,0 +1,340 @@
+/**
+ * Alert Rule Service
+ *
+ * Declarative alert rules evaluated against each aircraft's (or aircraft
+ * pair's) state and context. Rules are JSON/YAML documents stored in the
+ * alert_rules collection; the altitude and collision severities ship as
+ * built-in rules that can be toggled or overridden by ruleId.
+ *
+ * Rule shape:
+ *   ruleId, name, monitor ('altitude' | 'collision'), priority, enabled,
+ *   when: condition tree (see utils/ruleEvaluator), then: { severity, message }
+ * The enabled matching rule with the highest priority decides the alert.
+ */
+
+const yaml = require('js-yaml');
+const dbManager = require('../config/database');
+const { evaluateCondition, validateCondition } = require('../utils/ruleEvaluator');
+
+const MONITORS = ['altitude', 'collision'];
+const SEVERITIES = ['CRITICAL', 'HIGH', 'MEDIUM', 'WARNING', 'LOW', 'SAFE'];
+
+const BELOW_MINIMUM_OUTSIDE_ZONE = [
+    { field: 'inAirportZone', op: 'eq', value: false },
+    { field: 'clearanceFt', op: 'lt', valueField: 'minSafeAltitudeFt' }
+];
+
+const BUILT_IN_RULES = [
+    {
+        ruleId: 'altitude-critical',
+        name: 'Terrain clearance below 500 ft outside airport zone',
+        monitor: 'altitude',
+        priority: 30,
+        when: { all: [...BELOW_MINIMUM_OUTSIDE_ZONE, { field: 'clearanceFt', op: 'lt', value: 500 }] },
+        then: { severity: 'CRITICAL', message: 'Aircraft flying below safe terrain clearance outside airport zone' }
+    },
+    {
+        ruleId: 'altitude-high',
+        name: 'Terrain clearance below 750 ft outside airport zone',
+        monitor: 'altitude',
+        priority: 20,
+        when: { all: [...BELOW_MINIMUM_OUTSIDE_ZONE, { field: 'clearanceFt', op: 'lt', value: 750 }] },
+        then: { severity: 'HIGH', message: 'Aircraft flying below safe terrain clearance outside airport zone' }
+    },
+    {
+        ruleId: 'altitude-medium',
+        name: 'Terrain clearance below minimum outside airport zone',
+        monitor: 'altitude',
+        priority: 10,
+        when: { all: BELOW_MINIMUM_OUTSIDE_ZONE },
+        then: { severity: 'MEDIUM', message: 'Aircraft flying below safe terrain clearance outside airport zone' }
+    },
+    {
+        ruleId: 'collision-critical',
+        name: 'Separation below half the minimum',
+        monitor: 'collision',
+        priority: 20,
+        when: { all: [
+            { field: 'horizontalRatio', op: 'lt', value: 0.5 },
+            { field: 'verticalRatio', op: 'lt', value: 0.5 }
+        ] },
+        then: { severity: 'CRITICAL' }
+    },
+    {
+        ruleId: 'collision-warning',
+        name: 'Separation minimum infringed',
+        monitor: 'collision',
+        priority: 10,
+        when: { all: [
+            { field: 'horizontalRatio', op: 'lt', value: 1 },
+            { field: 'verticalRatio', op: 'lt', value: 1 }
+        ] },
+        then: { severity: 'WARNING' }
+    }
+].map(rule => ({ ...rule, enabled: true, builtIn: true }));
+
+class AlertRuleService {
+    constructor() {
+        this.REFRESH_SEC = parseInt(process.env.ALERT_RULES_REFRESH_SEC || '60');
+        this.rules = BUILT_IN_RULES;
+        this.lastLoaded = 0;
+    }
+
+    /**
+     * Reload rules from MongoDB if the cache is stale
+     * Stored rules override built-in rules with the same ruleId. Stored rules
+     * whose condition no longer validates are skipped.
+     */
+    async refresh(force = false) {
+        if (!force && Date.now() - this.lastLoaded < this.REFRESH_SEC * 1000) {
+            return;
+        }
+
+        try {
+            const db = dbManager.getMongoDB();
+            const stored = await db.collection('alert_rules').find({}, { projection: { _id: 0 } }).toArray();
+            const storedIds = new Set(stored.map(rule => rule.ruleId));
+
+            const valid = stored.filter(rule => {
+                const errors = validateCondition(rule.when);
+                if (errors.length > 0) {
+                    console.error(`Skipping alert rule ${rule.ruleId}: ${errors.join('; ')}`);
+                }
+                return errors.length === 0;
+            });
+
+            this.rules = [
+                ...BUILT_IN_RULES.filter(rule => !storedIds.has(rule.ruleId)),
+                ...valid
+            ];
+        } catch (error) {
+            console.error('Error loading alert rules:', error.message);
+        }
+
+        this.lastLoaded = Date.now();
+    }
+
+    /**
+     * Highest-priority enabled rule for a monitor that matches the context,
+     * as { ruleId, ruleName, severity, message }, or null
+     */
+    evaluate(monitor, context) {
+        let matched = null;
+
+        for (const rule of this.rules) {
+            if (rule.monitor !== monitor || rule.enabled === false) continue;
+            if (matched && (rule.priority || 0) <= (matched.priority || 0)) continue;
+
+            if (evaluateCondition(rule.when, context)) {
+                matched = rule;
+            }
+        }
+
+        return matched ? this.toResult(matched) : null;
+    }
+
+    toResult(rule) {
+        return {
+            ruleId: rule.ruleId,
+            ruleName: rule.name,
+            severity: rule.then.severity,
+            message: rule.then.message || null
+        };
+    }
+
+    /**
+     * Parse a rule definition from a JSON object or a JSON/YAML string
+     */
+    parseDefinition(body) {
+        if (typeof body !== 'string') {
+            return body;
+        }
+
+        try {
+            return yaml.safeLoad(body);
+        } catch (error) {
+            throw this.validationError(`Invalid YAML: ${error.message}`);
+        }
+    }
+
+    /**
+     * Validate a rule definition and fill in defaults
+     */
+    buildRule(definition) {
+        if (!definition || typeof definition !== 'object') {
+            throw this.validationError('Rule definition must be an object');
+        }
+
+        const { name, monitor, priority, enabled, description, when, then } = definition;
+
+        const errors = [];
+        if (!name) errors.push('name is required');
+        if (!MONITORS.includes(monitor)) errors.push(`monitor must be one of ${MONITORS.join(', ')}`);
+        if (priority !== undefined && typeof priority !== 'number') errors.push('priority must be a number');
+        errors.push(...validateCondition(when));
+        if (!then || !SEVERITIES.includes(then.severity)) errors.push(`then.severity must be one of ${SEVERITIES.join(', ')}`);
+
+        if (errors.length > 0) {
+            throw this.validationError(errors.join('; '));
+        }
+
+        const ruleId = definition.ruleId ||
+            name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+        return {
+            ruleId,
+            name,
+            description: description || null,
+            monitor,
+            priority: priority || 0,
+            enabled: enabled !== false,
+            when,
+            then: { severity: then.severity, message: then.message || null },
+            builtIn: BUILT_IN_RULES.some(rule => rule.ruleId === ruleId),
+            updatedAt: new Date()
+        };
+    }
+
+    /**
+     * Get all rules, optionally for one monitor
+     */
+    async getRules(monitor = null) {
+        await this.refresh(true);
+
+        return this.rules
+            .filter(rule => !monitor || rule.monitor === monitor)
+            .sort((a, b) => a.monitor.localeCompare(b.monitor) || (b.priority || 0) - (a.priority || 0));
+    }
+
+    async getRule(ruleId) {
+        await this.refresh(true);
+        return this.rules.find(rule => rule.ruleId === ruleId) || null;
+    }
+
+    /**
+     * Create or replace a rule
+     * Saving a rule with a built-in ruleId overrides the built-in definition.
+     */
+    async saveRule(definition) {
+        const rule = this.buildRule(this.parseDefinition(definition));
+
+        const db = dbManager.getMongoDB();
+        await db.collection('alert_rules').updateOne(
+            { ruleId: rule.ruleId },
+            { $set: rule },
+            { upsert: true }
+        );
+
+        await this.refresh(true);
+        return rule;
+    }
+
+    /**
+     * Enable or disable a rule, flipping it when enabled is not given
+     */
+    async toggleRule(ruleId, enabled = null) {
+        const rule = await this.getRule(ruleId);
+        if (!rule) return null;
+
+        const updated = {
+            ...rule,
+            enabled: enabled === null ? rule.enabled === false : enabled,
+            updatedAt: new Date()
+        };
+
+        const db = dbManager.getMongoDB();
+        await db.collection('alert_rules').updateOne(
+            { ruleId },
+            { $set: updated },
+            { upsert: true }
+        );
+
+        await this.refresh(true);
+        return updated;
+    }
+
+    /**
+     * Delete a custom rule, or reset a built-in rule to its shipped definition
+     * Returns false if the rule does not exist.
+     */
+    async deleteRule(ruleId) {
+        const db = dbManager.getMongoDB();
+        const result = await db.collection('alert_rules').deleteOne({ ruleId });
+
+        if (result.deletedCount === 0 && BUILT_IN_RULES.some(rule => rule.ruleId === ruleId)) {
+            throw this.validationError('Built-in rules cannot be deleted - disable them instead');
+        }
+
+        await this.refresh(true);
+        return result.deletedCount > 0;
+    }
+
+    /**
+     * Evaluate a rule definition (or a stored rule) against sample contexts
+     * without saving it
+     */
+    testRule(definition, contexts) {
+        const rule = this.buildRule(this.parseDefinition(definition));
+
+        if (!Array.isArray(contexts) || contexts.length === 0) {
+            throw this.validationError('Provide at least one context to test against');
+        }
+
+        return contexts.map(context => {
+            const matched = evaluateCondition(rule.when, context);
+            return { context, matched, result: matched ? this.toResult(rule) : null };
+        });
+    }
+
+    /**
+     * Schedule-derived context (airline, aircraft type) for a set of callsigns
+     */
+    async getScheduleContext(callsigns) {
+        const context = new Map();
+        if (callsigns.length === 0) return context;
+
+        try {
+            const db = dbManager.getMongoDB();
+            const schedules = await db.collection('flight_schedules')
+                .find({ flightNumber: { $in: callsigns } }, { projection: { flightNumber: 1, airline: 1, airlineCode: 1, aircraft: 1 } })
+                .toArray();
+
+            for (const schedule of schedules) {
+                context.set(schedule.flightNumber, {
+                    airline: schedule.airlineCode || schedule.airline || null,
+                    aircraftType: schedule.aircraft?.icao || null
+                });
+            }
+        } catch (error) {
+            console.error('Error loading schedule context for alert rules:', error.message);
+        }
+
+        return context;
+    }
+
+    /**
+     * Flight phase from vertical rate (ft/min)
+     */
+    getPhase(onGround, verticalRate) {
+        if (onGround) return 'GROUND';
+        if (verticalRate > 300) return 'CLIMB';
+        if (verticalRate < -300) return 'DESCENT';
+        return 'LEVEL';
+    }
+
+    /**
+     * ICAO airline designator from a callsign like DLH123
+     */
+    getAirlineCode(callsign) {
+        const match = (callsign || '').match(/^([A-Z]{3})\d/);
+        return match ? match[1] : null;
+    }
+
+    validationError(message) {
+        const error = new Error(message);
+        error.status = 400;
+        return error;
+    }
+}
+
+module.exports = new AlertRuleService();
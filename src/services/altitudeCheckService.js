@@ -5,13 +5,30 @@
  * Detects aircraft flying below safe altitude outside airport zones
  */
 
+const path = require('path');
 const dbManager = require('../config/database');
-const apiClient = require('../utils/apiClient');
+const eventBus = require('../utils/eventBus');
+const apiClient = require('../utils/apiclient');
+const { ElevationGrid } = require('../utils/elevationGrid');
+const { AlertDebouncer } = require('../utils/alertDebouncer');
+const { calculateDistance } = require('../utils/geo');
+const { getAircraftId, displayCallsign } = require('../utils/aircraftIdentity');
+const zoneService = require('./zoneService');
+const alertRuleService = require('./alertRuleService');
+const alertCenterService = require('./alertCenterService');
+const aircraftIdentityService = require('./aircraftIdentityService');
 
 class AltitudeCheckService {
     constructor() {
+        // Minimum clearance above terrain plus obstacle margin (AGL)
         this.MIN_SAFE_ALTITUDE_FT = parseFloat(process.env.MIN_SAFE_ALTITUDE_FT || '1000');
+        this.OBSTACLE_MARGIN_FT = parseFloat(process.env.TERRAIN_OBSTACLE_MARGIN_FT || '300');
+        this.TERRAIN_DATA_DIR = process.env.TERRAIN_DATA_DIR || path.join(__dirname, '../../data/terrain');
         this.checkInterval = null;
+        this.terrain = null;
+        this.debouncer = AlertDebouncer.fromEnv('ALTITUDE');
+        // aircraftId -> { id, firstSeen } of its confirmed low-altitude alert
+        this.activeAlerts = new Map();
     }
 
     /**
@@ -51,84 +68,171 @@ class AltitudeCheckService {
             // Get all aircraft positions
             const keys = await redis.keys('aircraft:*:position');
             const lowAltitudeAlerts = [];
+            const pendingAlerts = [];
             const allAircraft = [];
+            const seen = new Set();
 
+            const positions = [];
             for (const key of keys) {
                 const data = await redis.hGetAll(key);
 
-                if (!data || !data.callsign || data.on_ground === 'true') {
+                if (!data || !getAircraftId(data) || data.on_ground === 'true') {
                     continue;
                 }
+                positions.push(data);
+            }
+
+            await alertRuleService.refresh();
+            const scheduleContext = await alertRuleService.getScheduleContext(
+                positions.map(data => data.callsign).filter(Boolean));
 
-                const callsign = data.callsign;
+            // One zone snapshot for the whole cycle; without one every aircraft counts as outside a zone
+            let zoneData = { zones: [], airports: [] };
+            try {
+                zoneData = await zoneService.getZoneData();
+            } catch (error) {
+                console.error('Error loading airport zones:', error.message);
+            }
+
+            for (const data of positions) {
+                const aircraftId = getAircraftId(data);
+                const icao24 = data.icao24 || null;
+                const callsign = displayCallsign(data);
                 const altitude = parseFloat(data.altitude);
                 const latitude = parseFloat(data.latitude);
                 const longitude = parseFloat(data.longitude);
                 const velocity = parseFloat(data.velocity) || 0;
                 const heading = parseFloat(data.heading) || 0;
+                const verticalRate = parseFloat(data.vertical_rate) || 0;
+                const clearance = this.getTerrainClearance(latitude, longitude, altitude);
 
                 // Check if aircraft is in airport zone
-                const airportZoneInfo = await this.getAirportZoneInfo(latitude, longitude);
+                const airportZoneInfo = await this.getAirportZoneInfo(latitude, longitude, altitude, zoneData);
+
+                // A matching alert rule (by default: low clearance outside an airport zone)
+                // is the raw alert condition; it becomes an alert once the debouncer confirms it
+                const isLow = clearance.clearanceFt < this.MIN_SAFE_ALTITUDE_FT;
+                const schedule = scheduleContext.get(callsign) || {};
+                const rule = alertRuleService.evaluate('altitude', {
+                    callsign,
+                    airline: schedule.airline || alertRuleService.getAirlineCode(callsign),
+                    aircraftType: schedule.aircraftType || null,
+                    phase: alertRuleService.getPhase(false, verticalRate),
+                    zone: airportZoneInfo.zoneName,
+                    airport: airportZoneInfo.airportCode,
+                    inAirportZone: airportZoneInfo.inZone,
+                    altitude,
+                    velocity,
+                    heading,
+                    verticalRate,
+                    ...clearance,
+                    minSafeAltitudeFt: this.MIN_SAFE_ALTITUDE_FT
+                });
+                const raw = rule !== null && rule.severity !== 'SAFE';
+                const lowAltitudeAlert = raw ? {
+                    id: `${aircraftId}-${Date.now()}`,
+                    type: 'LOW_ALTITUDE',
+                    icao24,
+                    callsign,
+                    altitude,
+                    latitude,
+                    longitude,
+                    velocity,
+                    heading,
+                    ...clearance,
+                    severity: rule.severity,
+                    message: rule.message || rule.ruleName,
+                    ruleId: rule.ruleId,
+                    inAirportZone: airportZoneInfo.inZone,
+                    airportName: airportZoneInfo.inZone ? airportZoneInfo.airportName : null,
+                    zoneName: airportZoneInfo.zoneName,
+                    distanceToAirport: airportZoneInfo.distance,
+                    timestamp: new Date().toISOString()
+                } : null;
+
+                seen.add(aircraftId);
+                const alertState = this.debouncer.update(aircraftId, raw, {
+                    sampleId: data.last_update || null,
+                    data: lowAltitudeAlert
+                });
 
                 // Build aircraft info
                 const aircraftInfo = {
+                    icao24,
                     callsign,
                     altitude,
                     latitude,
                     longitude,
                     velocity,
                     heading,
+                    ...clearance,
                     inAirportZone: airportZoneInfo.inZone,
                     airportName: airportZoneInfo.airportName,
                     zoneName: airportZoneInfo.zoneName,
-                    distanceToAirport: airportZoneInfo.distance
+                    distanceToAirport: airportZoneInfo.distance,
+                    alertState: this.describeAlertState(alertState)
                 };
 
                 allAircraft.push(aircraftInfo);
 
-                // Check if altitude is below threshold
-                if (altitude < this.MIN_SAFE_ALTITUDE_FT) {
-                    // If NOT in airport zone, create alert
-                    if (!airportZoneInfo.inZone) {
-                        const alert = {
-                            id: `${callsign}-${Date.now()}`,
-                            callsign,
-                            altitude,
-                            latitude,
-                            longitude,
-                            velocity,
-                            heading,
-                            severity: this.calculateSeverity(altitude),
-                            message: 'Aircraft flying below safe altitude outside airport zone',
-                            inAirportZone: false,
-                            airportName: null,
-                            zoneName: null,
-                            distanceToAirport: airportZoneInfo.distance,
-                            timestamp: new Date().toISOString()
-                        };
-
-                        lowAltitudeAlerts.push(alert);
-                        await this.storeAlert(alert);
+                if (lowAltitudeAlert) {
+                    Object.assign(lowAltitudeAlert, this.describeAlertState(alertState));
+
+                    if (alertState.confirmed) {
+                        // One alert per aircraft while the condition lasts, listed once
+                        const active = this.activeAlerts.get(aircraftId);
+                        if (active) {
+                            lowAltitudeAlert.id = active.id;
+                            lowAltitudeAlert.firstSeen = active.firstSeen;
+                        } else {
+                            lowAltitudeAlert.firstSeen = lowAltitudeAlert.timestamp;
+                            this.activeAlerts.set(aircraftId, { id: lowAltitudeAlert.id, firstSeen: lowAltitudeAlert.firstSeen });
+                        }
+                        lowAltitudeAlerts.push(lowAltitudeAlert);
+                        await this.storeAlert(lowAltitudeAlert, !active);
                     } else {
-                        // Aircraft is low but in airport zone - still track it
-                        const alert = {
-                            id: `${callsign}-${Date.now()}`,
-                            callsign,
-                            altitude,
-                            latitude,
-                            longitude,
-                            velocity,
-                            heading,
-                            severity: 'SAFE',
-                            message: `Aircraft in ${airportZoneInfo.airportName} ${airportZoneInfo.zoneName} - Normal operations`,
-                            inAirportZone: true,
-                            airportName: airportZoneInfo.airportName,
-                            zoneName: airportZoneInfo.zoneName,
-                            distanceToAirport: airportZoneInfo.distance,
-                            timestamp: new Date().toISOString()
-                        };
-                        lowAltitudeAlerts.push(alert);
+                        pendingAlerts.push(lowAltitudeAlert);
                     }
+                } else if (alertState.confirmed) {
+                    // Condition has cleared but not for long enough - keep the last alert up
+                    lowAltitudeAlerts.push({ ...alertState.data, ...this.describeAlertState(alertState) });
+                } else if (alertState.transition === 'closed') {
+                    this.activeAlerts.delete(aircraftId);
+                    this.clearAlert(alertState.data, 'clearance restored');
+                }
+
+                if (isLow && airportZoneInfo.inZone && !raw) {
+                    // Aircraft is low but in airport zone - still track it
+                    const alert = {
+                        id: `${aircraftId}-${Date.now()}`,
+                        type: 'LOW_ALTITUDE',
+                        icao24,
+                        callsign,
+                        altitude,
+                        latitude,
+                        longitude,
+                        velocity,
+                        heading,
+                        ...clearance,
+                        severity: 'SAFE',
+                        message: `Aircraft in ${airportZoneInfo.airportName} ${airportZoneInfo.zoneName} - Normal operations`,
+                        inAirportZone: true,
+                        airportName: airportZoneInfo.airportName,
+                        zoneName: airportZoneInfo.zoneName,
+                        distanceToAirport: airportZoneInfo.distance,
+                        timestamp: new Date().toISOString()
+                    };
+                    lowAltitudeAlerts.push(alert);
+                }
+            }
+
+            // Aircraft no longer reported (or now on the ground) count as clear samples
+            for (const [aircraftId, alertState] of this.debouncer.sweep(seen)) {
+                if (alertState.confirmed) {
+                    lowAltitudeAlerts.push({ ...alertState.data, ...this.describeAlertState(alertState) });
+                } else if (alertState.transition === 'closed') {
+                    this.activeAlerts.delete(aircraftId);
+                    this.clearAlert(alertState.data, 'aircraft no longer reported');
                 }
             }
 
@@ -138,78 +242,71 @@ class AltitudeCheckService {
 
             return {
                 alerts: lowAltitudeAlerts,
+                pending: pendingAlerts,
+                debounce: this.debouncer.getSettings(),
                 totalAircraft: allAircraft.length,
                 monitoredAircraft: allAircraft
             };
         } catch (error) {
             console.error('Error checking low-altitude aircraft:', error);
-            return { alerts: [], totalAircraft: 0, monitoredAircraft: [] };
+            return { alerts: [], pending: [], totalAircraft: 0, monitoredAircraft: [] };
         }
     }
 
     /**
-     * Get detailed airport zone information
+     * Raw (this sample) versus confirmed (debounced) alert state for the API
      */
-    async getAirportZoneInfo(latitude, longitude) {
-        let session = null;
-        try {
-            const driver = dbManager.getNeo4j();
-            session = driver.session();
-
-            const result = await session.run(`
-        MATCH (a:Airport)-[:HAS_ZONE]->(z:Zone)
-        WITH a, z, point.distance(
-          point({latitude: $lat, longitude: $lon}),
-          point({latitude: z.latitude, longitude: z.longitude})
-        ) as distance
-        WHERE distance < z.radiusMeters
-        RETURN a.name as airport, a.code as airportCode, z.name as zone,
-               distance / 1000 as distanceKm
-        ORDER BY distance
-        LIMIT 1
-      `, { lat: latitude, lon: longitude });
-
-            if (result.records.length > 0) {
-                const record = result.records[0];
-                return {
-                    inZone: true,
-                    airportName: record.get('airport'),
-                    airportCode: record.get('airportCode'),
-                    zoneName: record.get('zone'),
-                    distance: parseFloat(record.get('distanceKm').toFixed(2))
-                };
-            }
+    describeAlertState(alertState) {
+        return {
+            raw: alertState.raw,
+            confirmed: alertState.confirmed,
+            samples: alertState.samples,
+            rawSince: alertState.rawSince
+        };
+    }
 
-            // Not in any zone, find nearest airport
-            const nearestResult = await session.run(`
-        MATCH (a:Airport)
-        WITH a, point.distance(
-          point({latitude: $lat, longitude: $lon}),
-          point({latitude: a.latitude, longitude: a.longitude})
-        ) as distance
-        RETURN a.name as airport, a.code as airportCode, distance / 1000 as distanceKm
-        ORDER BY distance
-        LIMIT 1
-      `, { lat: latitude, lon: longitude });
-
-            if (nearestResult.records.length > 0) {
-                const record = nearestResult.records[0];
-                return {
-                    inZone: false,
-                    airportName: record.get('airport'),
-                    airportCode: record.get('airportCode'),
-                    zoneName: null,
-                    distance: parseFloat(record.get('distanceKm').toFixed(2))
-                };
+    /**
+     * Load the terrain elevation grid on first use
+     */
+    getTerrain() {
+        if (!this.terrain) {
+            try {
+                this.terrain = ElevationGrid.loadDirectory(this.TERRAIN_DATA_DIR);
+                console.log(`⛰️  Loaded ${this.terrain.tiles.length} terrain tile(s) from ${this.TERRAIN_DATA_DIR}`);
+            } catch (error) {
+                console.error('Error loading terrain elevation grid:', error.message);
+                this.terrain = new ElevationGrid();
             }
+        }
+        return this.terrain;
+    }
 
-            return {
-                inZone: false,
-                airportName: null,
-                airportCode: null,
-                zoneName: null,
-                distance: null
-            };
+    /**
+     * Height above ground and clearance above the obstacle margin
+     * Without terrain coverage the ground is taken to be at sea level.
+     */
+    getTerrainClearance(latitude, longitude, altitude) {
+        const terrainElevationFt = this.getTerrain().getElevationFt(latitude, longitude);
+        const heightAboveGround = altitude - (terrainElevationFt || 0);
+
+        return {
+            terrainElevationFt: terrainElevationFt !== null ? Math.round(terrainElevationFt) : null,
+            heightAboveGround: Math.round(heightAboveGround),
+            clearanceFt: Math.round(heightAboveGround - this.OBSTACLE_MARGIN_FT)
+        };
+    }
+
+    /**
+     * Get detailed airport zone information
+     * A zone contains the aircraft when its position is inside the zone's
+     * polygon (or circle) and its altitude is between the floor and ceiling.
+     * Pass zoneData from zoneService.getZoneData() to resolve many aircraft
+     * against one snapshot.
+     */
+    async getAirportZoneInfo(latitude, longitude, altitude = null, zoneData = null) {
+        try {
+            const { zones, airports } = zoneData || await zoneService.getZoneData();
+            return this.resolveAirportZone(zones, airports, latitude, longitude, altitude);
         } catch (error) {
             console.error('Error getting airport zone info:', error);
             return {
@@ -219,38 +316,54 @@ class AltitudeCheckService {
                 zoneName: null,
                 distance: null
             };
-        } finally {
-            if (session) {
-                await session.close();
-            }
         }
     }
 
-    /**
-     * Check if coordinates are within airport zone using Neo4j
-     */
-    async isInAirportZone(latitude, longitude) {
-        const info = await this.getAirportZoneInfo(latitude, longitude);
-        return info.inZone;
+    resolveAirportZone(zones, airports, latitude, longitude, altitude) {
+        // Most specific (smallest) containing zone wins
+        let zone = null;
+        for (const candidate of zones) {
+            if ((!zone || candidate.radiusMeters < zone.radiusMeters) &&
+                zoneService.containsPosition(candidate, latitude, longitude, altitude)) {
+                zone = candidate;
+            }
+        }
+
+        if (zone) {
+            return {
+                inZone: true,
+                airportName: zone.airport,
+                airportCode: zone.airportCode,
+                zoneName: zone.name,
+                distance: parseFloat(calculateDistance(latitude, longitude, zone.latitude, zone.longitude).toFixed(2))
+            };
+        }
+
+        // Not in any zone, find nearest airport
+        const nearest = zoneService.findNearestAirport(airports, latitude, longitude);
+
+        return {
+            inZone: false,
+            airportName: nearest ? nearest.name : null,
+            airportCode: nearest ? nearest.code : null,
+            zoneName: null,
+            distance: nearest ? parseFloat(nearest.distance.toFixed(2)) : null
+        };
     }
 
     /**
-     * Calculate severity based on altitude
+     * Check if coordinates are within an airport zone
      */
-    calculateSeverity(altitude) {
-        if (altitude < 500) {
-            return 'CRITICAL';
-        } else if (altitude < 750) {
-            return 'HIGH';
-        } else {
-            return 'MEDIUM';
-        }
+    async isInAirportZone(latitude, longitude, altitude = null) {
+        const info = await this.getAirportZoneInfo(latitude, longitude, altitude);
+        return info.inZone;
     }
 
     /**
      * Store alert in Redis
+     * addToList false refreshes an alert that is already in the active list.
      */
-    async storeAlert(alert) {
+    async storeAlert(alert, addToList = true) {
         try {
             const redis = dbManager.getRedis();
             const key = `alert:low-altitude:${alert.id}`;
@@ -260,13 +373,24 @@ class AltitudeCheckService {
             });
 
             // Also add to active alerts list
-            await redis.lPush('alerts:altitude:active', JSON.stringify(alert));
-            await redis.lTrim('alerts:altitude:active', 0, 99); // Keep last 100
+            if (addToList) {
+                await redis.lPush('alerts:altitude:active', JSON.stringify(alert));
+                await redis.lTrim('alerts:altitude:active', 0, 99); // Keep last 100
+            }
+
+            eventBus.publish('alert:raised', { source: 'altitude', alert });
         } catch (error) {
             console.error('Error storing altitude alert:', error);
         }
     }
 
+    /**
+     * Tell the alert center a confirmed alert has closed
+     */
+    clearAlert(alert, reason) {
+        eventBus.publish('alert:cleared', { source: 'altitude', alert, reason });
+    }
+
     /**
      * Get active altitude alerts with full monitoring data
      */
@@ -288,13 +412,12 @@ class AltitudeCheckService {
     }
 
     /**
-     * Get specific aircraft altitude status
+     * Get specific aircraft altitude status by callsign or icao24
      */
-    async getAircraftAltitudeStatus(callsign) {
+    async getAircraftAltitudeStatus(identifier) {
         try {
-            const redis = dbManager.getRedis();
-            const key = `aircraft:${callsign}:position`;
-            const data = await redis.hGetAll(key);
+            const identity = await aircraftIdentityService.resolve(identifier);
+            const data = identity && identity.position;
 
             if (!data || !data.altitude) {
                 return null;
@@ -303,15 +426,19 @@ class AltitudeCheckService {
             const altitude = parseFloat(data.altitude);
             const latitude = parseFloat(data.latitude);
             const longitude = parseFloat(data.longitude);
-            const inAirportZone = await this.isInAirportZone(latitude, longitude);
+            const inAirportZone = await this.isInAirportZone(latitude, longitude, altitude);
+            const clearance = this.getTerrainClearance(latitude, longitude, altitude);
 
             return {
-                callsign,
+                icao24: data.icao24 || null,
+                callsign: displayCallsign(data),
                 altitude,
+                ...clearance,
                 position: { latitude, longitude },
                 inAirportZone,
-                isSafe: altitude >= this.MIN_SAFE_ALTITUDE_FT || inAirportZone,
+                isSafe: clearance.clearanceFt >= this.MIN_SAFE_ALTITUDE_FT || inAirportZone,
                 minSafeAltitude: this.MIN_SAFE_ALTITUDE_FT,
+                obstacleMargin: this.OBSTACLE_MARGIN_FT,
                 timestamp: new Date().toISOString()
             };
         } catch (error) {
@@ -321,24 +448,12 @@ class AltitudeCheckService {
     }
 
     /**
-     * Get alert history
+     * Get alert history from the alert center, newest first
      */
     async getAlertHistory(limit = 50) {
         try {
-            const redis = dbManager.getRedis();
-            const keys = await redis.keys('alert:low-altitude:*');
-
-            const alerts = [];
-            for (const key of keys.slice(0, limit)) {
-                const data = await redis.get(key);
-                if (data) {
-                    alerts.push(JSON.parse(data));
-                }
-            }
-
-            return alerts.sort((a, b) =>
-                new Date(b.timestamp) - new Date(a.timestamp)
-            );
+            const result = await alertCenterService.getAlerts({ source: 'altitude' }, 1, limit);
+            return result.data;
         } catch (error) {
             console.error('Error getting altitude alert history:', error);
             return [];
@@ -0,0 +1,275 @@
+/**
+ * Approach Monitor Service
+ *
+ * GPWS-style excessive sink rate detection (descent rate too high for the
+ * height above the airport) within APPROACH_SINK_RATE_RADIUS_KM of the
+ * airport and unstable approach detection for arrivals below 1000 ft inside
+ * the Approach Zone. Alerts are stored through
+ * altitudeCheckService so they share the altitude alert lists; each
+ * aircraft has at most one alert per type, kept while the condition lasts
+ * and cleared when it ends.
+ */
+
+const dbManager = require('../config/database');
+const altitudeCheckService = require('./altitudeCheckService');
+const zoneService = require('./zoneService');
+const { calculateDistance, calculateBearing, headingDifference } = require('../utils/geo');
+const { getAircraftId, displayCallsign } = require('../utils/aircraftIdentity');
+
+// GPWS Mode 1 (excessive descent rate) envelope as [heightFt, descentRateFpm] points.
+// A descent rate above the line at a given height is inside the envelope.
+const SINK_RATE_ENVELOPE = {
+    caution: [[10, 1000], [2450, 5000]],
+    warning: [[10, 1700], [280, 2000], [2450, 7100]]
+};
+
+const ENVELOPE_CEILING_FT = 2450;
+
+class ApproachMonitorService {
+    constructor() {
+        this.airportICAO = process.env.AIRPORT_ICAO || 'EDDF';
+        this.STABLE_HEIGHT_FT = parseFloat(process.env.APPROACH_STABLE_HEIGHT_FT || '1000');
+        this.STABLE_MAX_DESCENT_FPM = parseFloat(process.env.APPROACH_MAX_DESCENT_FPM || '1000');
+        this.STABLE_MIN_SPEED_KT = parseFloat(process.env.APPROACH_MIN_SPEED_KT || '110');
+        this.STABLE_MAX_SPEED_KT = parseFloat(process.env.APPROACH_MAX_SPEED_KT || '180');
+        // Heights are relative to this airport, so aircraft near other airports are left out
+        this.SINK_RATE_RADIUS_KM = parseFloat(process.env.APPROACH_SINK_RATE_RADIUS_KM || '20');
+        this.checkInterval = null;
+        // Alert id -> alert for conditions still present in the last cycle
+        this.activeAlerts = new Map();
+    }
+
+    /**
+     * Start continuous sink rate / approach monitoring
+     */
+    startMonitoring() {
+        const interval = parseInt(process.env.APPROACH_CHECK_INTERVAL || '5') * 1000;
+
+        console.log(`🔻 Starting sink rate and approach monitoring (check every ${interval / 1000}s)`);
+
+        // Initial check
+        this.checkApproaches();
+
+        // Set up periodic checks
+        this.checkInterval = setInterval(() => {
+            this.checkApproaches();
+        }, interval);
+    }
+
+    /**
+     * Stop monitoring
+     */
+    stopMonitoring() {
+        if (this.checkInterval) {
+            clearInterval(this.checkInterval);
+            console.log('⏹️  Sink rate and approach monitoring stopped');
+        }
+    }
+
+    /**
+     * Check all airborne aircraft for excessive sink rate and unstable approaches
+     */
+    async checkApproaches() {
+        try {
+            const zone = await this.getApproachZone();
+            if (!zone) {
+                console.log('⚠️  No Approach Zone configured - skipping sink rate check');
+                return { alerts: [], monitoredAircraft: [] };
+            }
+
+            const redis = dbManager.getRedis();
+            const keys = await redis.keys('aircraft:*:position');
+            const alerts = [];
+            const monitoredAircraft = [];
+
+            for (const key of keys) {
+                const data = await redis.hGetAll(key);
+
+                if (!data || !getAircraftId(data) || data.on_ground === 'true') {
+                    continue;
+                }
+
+                const latitude = parseFloat(data.latitude);
+                const longitude = parseFloat(data.longitude);
+                const altitude = parseFloat(data.altitude) || 0;
+                const heading = parseFloat(data.heading) || 0;
+                const distanceKm = calculateDistance(latitude, longitude, zone.latitude, zone.longitude);
+
+                const aircraft = {
+                    aircraftId: getAircraftId(data),
+                    icao24: data.icao24 || null,
+                    callsign: displayCallsign(data),
+                    latitude,
+                    longitude,
+                    altitude,
+                    heightAboveAirport: Math.round(altitude - zone.airportElevationFt),
+                    velocity: parseFloat(data.velocity) || 0,
+                    heading,
+                    verticalRate: parseFloat(data.vertical_rate) || 0,
+                    inApproachZone: zoneService.containsPosition(zone, latitude, longitude, altitude),
+                    inbound: headingDifference(heading, calculateBearing(latitude, longitude, zone.latitude, zone.longitude)) < 90,
+                    distanceToAirport: parseFloat(distanceKm.toFixed(2))
+                };
+
+                // Only aircraft low enough to be inside either envelope are of interest
+                if (aircraft.heightAboveAirport > ENVELOPE_CEILING_FT) continue;
+                monitoredAircraft.push(aircraft);
+
+                const sinkRateAlert = this.checkSinkRate(aircraft, zone);
+                if (sinkRateAlert) alerts.push(sinkRateAlert);
+
+                const approachAlert = this.checkStabilisedApproach(aircraft, zone);
+                if (approachAlert) alerts.push(approachAlert);
+            }
+
+            await this.updateActiveAlerts(alerts);
+
+            if (alerts.length > 0) {
+                console.log(`🔻 ${alerts.length} sink rate / unstable approach alert(s) detected!`);
+            }
+
+            return { alerts, monitoredAircraft };
+        } catch (error) {
+            console.error('Error checking sink rate and approaches:', error);
+            return { alerts: [], monitoredAircraft: [] };
+        }
+    }
+
+    /**
+     * Compare descent rate against the GPWS Mode 1 envelope
+     */
+    checkSinkRate(aircraft, zone) {
+        const descentRate = -aircraft.verticalRate;
+        const height = aircraft.heightAboveAirport;
+
+        if (aircraft.distanceToAirport > this.SINK_RATE_RADIUS_KM) return null;
+        if (descentRate <= 0 || height < 0) return null;
+
+        let level = null;
+        if (descentRate > this.interpolateEnvelope(SINK_RATE_ENVELOPE.warning, height)) {
+            level = 'PULL UP';
+        } else if (descentRate > this.interpolateEnvelope(SINK_RATE_ENVELOPE.caution, height)) {
+            level = 'SINK RATE';
+        }
+
+        if (!level) return null;
+
+        return this.buildAlert(aircraft, zone, {
+            type: 'SINK_RATE',
+            severity: level === 'PULL UP' ? 'CRITICAL' : 'HIGH',
+            message: `${level}: descending at ${Math.round(descentRate)} ft/min at ${height} ft above ${zone.airport}`
+        });
+    }
+
+    /**
+     * Check speed and descent rate against stabilised approach criteria below the gate height
+     */
+    checkStabilisedApproach(aircraft, zone) {
+        if (!aircraft.inApproachZone || !aircraft.inbound) return null;
+        if (aircraft.heightAboveAirport > this.STABLE_HEIGHT_FT || aircraft.verticalRate >= 0) return null;
+
+        const deviations = [];
+        const descentRate = -aircraft.verticalRate;
+
+        if (descentRate > this.STABLE_MAX_DESCENT_FPM) {
+            deviations.push(`descent ${Math.round(descentRate)} ft/min > ${this.STABLE_MAX_DESCENT_FPM} ft/min`);
+        }
+        if (aircraft.velocity > this.STABLE_MAX_SPEED_KT) {
+            deviations.push(`speed ${Math.round(aircraft.velocity)} kt > ${this.STABLE_MAX_SPEED_KT} kt`);
+        }
+        if (aircraft.velocity < this.STABLE_MIN_SPEED_KT) {
+            deviations.push(`speed ${Math.round(aircraft.velocity)} kt < ${this.STABLE_MIN_SPEED_KT} kt`);
+        }
+
+        if (deviations.length === 0) return null;
+
+        return this.buildAlert(aircraft, zone, {
+            type: 'UNSTABLE_APPROACH',
+            severity: aircraft.heightAboveAirport < 500 ? 'HIGH' : 'MEDIUM',
+            deviations,
+            message: `Unstable approach at ${aircraft.heightAboveAirport} ft: ${deviations.join(', ')}`
+        });
+    }
+
+    /**
+     * Store this cycle's alerts and clear the ones whose condition has ended
+     * A continuing alert keeps its id and first-seen time and is refreshed
+     * rather than added to the alert list again.
+     */
+    async updateActiveAlerts(alerts) {
+        const current = new Map();
+
+        for (const alert of alerts) {
+            const previous = this.activeAlerts.get(alert.id);
+            if (previous) {
+                alert.firstSeen = previous.firstSeen;
+            }
+
+            await altitudeCheckService.storeAlert(alert, !previous);
+            current.set(alert.id, alert);
+        }
+
+        for (const [id, alert] of this.activeAlerts) {
+            if (!current.has(id)) {
+                altitudeCheckService.clearAlert(alert, alert.type === 'SINK_RATE' ? 'sink rate normal' : 'approach stable');
+            }
+        }
+
+        this.activeAlerts = current;
+    }
+
+    /**
+     * Descent rate limit of an envelope at a given height (linear between points)
+     */
+    interpolateEnvelope(points, height) {
+        if (height <= points[0][0]) return points[0][1];
+
+        for (let i = 1; i < points.length; i++) {
+            const [h1, rate1] = points[i - 1];
+            const [h2, rate2] = points[i];
+            if (height <= h2) {
+                return rate1 + (rate2 - rate1) * (height - h1) / (h2 - h1);
+            }
+        }
+
+        return Infinity;
+    }
+
+    buildAlert(aircraft, zone, details) {
+        const now = new Date().toISOString();
+
+        return {
+            id: `${aircraft.aircraftId}-${details.type.toLowerCase()}`,
+            icao24: aircraft.icao24,
+            callsign: aircraft.callsign,
+            altitude: aircraft.altitude,
+            heightAboveAirport: aircraft.heightAboveAirport,
+            verticalRate: Math.round(aircraft.verticalRate),
+            latitude: aircraft.latitude,
+            longitude: aircraft.longitude,
+            velocity: aircraft.velocity,
+            heading: aircraft.heading,
+            inAirportZone: aircraft.inApproachZone,
+            airportName: zone.airport,
+            zoneName: aircraft.inApproachZone ? 'Approach Zone' : null,
+            distanceToAirport: aircraft.distanceToAirport,
+            ...details,
+            firstSeen: now,
+            timestamp: now
+        };
+    }
+
+    /**
+     * Get the airport's Approach Zone from the zoneService snapshot
+     */
+    async getApproachZone() {
+        try {
+            return await zoneService.getAirportZone(this.airportICAO, 'Approach Zone');
+        } catch (error) {
+            console.error('Error getting approach zone:', error);
+            return null;
+        }
+    }
+}
+
+module.exports = new ApproachMonitorService();
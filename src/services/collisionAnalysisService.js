@@ -0,0 +1,285 @@
+/**
+ * Collision Analysis Service - Use Case 3
+ *
+ * Runs the collision detector retroactively over recorded flight telemetry
+ * to find losses of separation that were missed on the live feed
+ */
+
+const dbManager = require('../config/database');
+const collisionService = require('./collisionService');
+const separationMinimaService = require('./separationMinimaService');
+const alertRuleService = require('./alertRuleService');
+const { SpatialGrid } = require('../utils/spatialIndex');
+const { getAircraftId, displayCallsign } = require('../utils/aircraftIdentity');
+
+class CollisionAnalysisService {
+    constructor() {
+        this.STEP_SEC = parseInt(process.env.COLLISION_ANALYSIS_STEP_SEC || '10');
+        this.MAX_GAP_SEC = parseInt(process.env.COLLISION_ANALYSIS_MAX_GAP_SEC || '600');
+        this.MAX_WINDOW_HOURS = parseFloat(process.env.COLLISION_ANALYSIS_MAX_WINDOW_HOURS || '24');
+    }
+
+    /**
+     * Create an analysis report and run it in the background
+     */
+    async startAnalysis(start, end) {
+        const startDate = new Date(start);
+        const endDate = new Date(end);
+
+        if (isNaN(startDate) || isNaN(endDate) || startDate >= endDate) {
+            const error = new Error('start and end must be valid dates with start before end');
+            error.status = 400;
+            throw error;
+        }
+
+        if (endDate - startDate > this.MAX_WINDOW_HOURS * 3600000) {
+            const error = new Error(`Analysis window may not exceed ${this.MAX_WINDOW_HOURS} hours`);
+            error.status = 400;
+            throw error;
+        }
+
+        const db = dbManager.getMongoDB();
+        const report = {
+            reportId: `analysis-${Date.now()}`,
+            status: 'running',
+            start: startDate,
+            end: endDate,
+            stepSec: this.STEP_SEC,
+            createdAt: new Date(),
+            completedAt: null,
+            error: null
+        };
+
+        await db.collection('collision_analyses').insertOne(report);
+
+        // Don't block the request - the report is updated when the job finishes
+        this.runAnalysis(report).catch(async (error) => {
+            console.error('Error running collision analysis:', error);
+            try {
+                await db.collection('collision_analyses').updateOne(
+                    { reportId: report.reportId },
+                    { $set: { status: 'failed', error: error.message, completedAt: new Date() } }
+                );
+            } catch (updateError) {
+                console.error('Error marking collision analysis as failed:', updateError.message);
+            }
+        });
+
+        return report;
+    }
+
+    /**
+     * Time-align all telemetry in the window and detect encounters
+     */
+    async runAnalysis(report) {
+        console.log(`🔎 Running collision analysis ${report.reportId} (${report.start.toISOString()} - ${report.end.toISOString()})`);
+
+        await separationMinimaService.refresh();
+        await alertRuleService.refresh();
+
+        const tracks = await this.loadTracks(report.start, report.end);
+        const largestMinimum = separationMinimaService.getLargestMinimum();
+
+        const openEncounters = new Map();
+        const encounters = [];
+        let steps = 0;
+
+        for (let t = report.start.getTime(); t <= report.end.getTime(); t += this.STEP_SEC * 1000) {
+            steps++;
+
+            const positions = [];
+            for (const track of tracks.values()) {
+                const position = this.interpolate(track, t);
+                if (position) {
+                    positions.push(position);
+                }
+            }
+
+            const grid = SpatialGrid.build(positions, largestMinimum.horizontalKm, largestMinimum.verticalFt);
+            const timestamp = new Date(t).toISOString();
+            const seen = new Set();
+
+            for (const [aircraft1, aircraft2] of grid.getCandidatePairs()) {
+                const detection = collisionService.checkPairCollision(aircraft1, aircraft2);
+                if (!detection) continue;
+
+                seen.add(detection.pairKey);
+                this.recordSample(openEncounters, detection, timestamp);
+            }
+
+            // Encounters whose pair is no longer in conflict have ended
+            for (const [pairKey, encounter] of openEncounters) {
+                if (!seen.has(pairKey)) {
+                    encounters.push(encounter);
+                    openEncounters.delete(pairKey);
+                }
+            }
+        }
+
+        encounters.push(...openEncounters.values());
+        encounters.sort((a, b) => new Date(a.start) - new Date(b.start));
+
+        const db = dbManager.getMongoDB();
+        await db.collection('collision_analyses').updateOne(
+            { reportId: report.reportId },
+            {
+                $set: {
+                    status: 'completed',
+                    completedAt: new Date(),
+                    flightsAnalyzed: tracks.size,
+                    steps,
+                    encounterCount: encounters.length,
+                    encounters
+                }
+            }
+        );
+
+        console.log(`✅ Collision analysis ${report.reportId} found ${encounters.length} encounter(s) across ${tracks.size} flights`);
+    }
+
+    /**
+     * Load telemetry in the window, grouped by aircraft and sorted by time
+     * Tracks are keyed by icao24 so a callsign change doesn't split them;
+     * telemetry without one (sample data) is grouped by callsign.
+     */
+    async loadTracks(start, end) {
+        const db = dbManager.getMongoDB();
+
+        // Include one gap on either side so positions can be interpolated at the window edges
+        const telemetry = await db.collection('flight_telemetry')
+            .find({
+                timestamp: {
+                    $gte: new Date(start.getTime() - this.MAX_GAP_SEC * 1000),
+                    $lte: new Date(end.getTime() + this.MAX_GAP_SEC * 1000)
+                }
+            })
+            .sort({ timestamp: 1 })
+            .toArray();
+
+        const tracks = new Map();
+        for (const point of telemetry) {
+            const identity = { icao24: point.icao24, callsign: point.flightNumber || point.flight_id };
+            const aircraftId = getAircraftId(identity);
+            if (!aircraftId) continue;
+
+            if (!tracks.has(aircraftId)) {
+                tracks.set(aircraftId, { points: [], cursor: 0 });
+            }
+
+            tracks.get(aircraftId).points.push({
+                icao24: point.icao24 || null,
+                callsign: displayCallsign(identity),
+                time: new Date(point.timestamp).getTime(),
+                latitude: point.latitude,
+                longitude: point.longitude,
+                altitude: point.altitude,
+                velocity: point.speed || 0,
+                heading: point.heading || 0
+            });
+        }
+
+        return tracks;
+    }
+
+    /**
+     * Linearly interpolate a track's position at time t
+     * Returns null when t is outside the track or inside a gap that is too long.
+     * Times must be visited in increasing order - the track keeps a cursor.
+     */
+    interpolate(track, t) {
+        const points = track.points;
+        if (t < points[0].time || t > points[points.length - 1].time) {
+            return null;
+        }
+
+        while (track.cursor < points.length - 1 && points[track.cursor + 1].time < t) {
+            track.cursor++;
+        }
+
+        const before = points[track.cursor];
+        const after = points[Math.min(track.cursor + 1, points.length - 1)];
+
+        if (after.time === before.time) {
+            return { ...before };
+        }
+
+        if ((after.time - before.time) / 1000 > this.MAX_GAP_SEC) {
+            return null;
+        }
+
+        const ratio = (t - before.time) / (after.time - before.time);
+        const lerp = (a, b) => a + (b - a) * ratio;
+
+        return {
+            icao24: before.icao24,
+            callsign: before.callsign,
+            latitude: lerp(before.latitude, after.latitude),
+            longitude: lerp(before.longitude, after.longitude),
+            altitude: lerp(before.altitude, after.altitude),
+            velocity: lerp(before.velocity, after.velocity),
+            heading: before.heading
+        };
+    }
+
+    /**
+     * Add a detection to its pair's open encounter, starting a new one if needed
+     */
+    recordSample(openEncounters, detection, timestamp) {
+        let encounter = openEncounters.get(detection.pairKey);
+
+        if (!encounter) {
+            encounter = {
+                pairKey: detection.pairKey,
+                callsigns: [detection.flight1.callsign, detection.flight2.callsign],
+                start: timestamp,
+                end: timestamp,
+                worstSeverity: detection.severity,
+                minSeparation: {
+                    distance: detection.distance,
+                    altitudeDiff: detection.altitudeDiff
+                },
+                separationMinimum: detection.separationMinimum,
+                timeline: []
+            };
+            openEncounters.set(detection.pairKey, encounter);
+        }
+
+        encounter.end = timestamp;
+        encounter.worstSeverity = collisionService.worseSeverity(encounter.worstSeverity, detection.severity);
+        encounter.minSeparation = {
+            distance: Math.min(encounter.minSeparation.distance, detection.distance),
+            altitudeDiff: Math.min(encounter.minSeparation.altitudeDiff, detection.altitudeDiff)
+        };
+        encounter.timeline.push({
+            timestamp,
+            distance: detection.distance,
+            altitudeDiff: detection.altitudeDiff,
+            severity: detection.severity,
+            flight1: detection.flight1,
+            flight2: detection.flight2
+        });
+    }
+
+    /**
+     * List analysis reports (without encounter timelines)
+     */
+    async getReports(limit = 20) {
+        const db = dbManager.getMongoDB();
+
+        return await db.collection('collision_analyses')
+            .find({}, { projection: { encounters: 0 } })
+            .sort({ createdAt: -1 })
+            .limit(limit)
+            .toArray();
+    }
+
+    /**
+     * Get a single analysis report with all encounters
+     */
+    async getReport(reportId) {
+        const db = dbManager.getMongoDB();
+        return await db.collection('collision_analyses').findOne({ reportId });
+    }
+}
+
+module.exports = new CollisionAnalysisService();
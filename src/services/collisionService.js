@@ -6,12 +6,37 @@
  */
 
 const dbManager = require('../config/database');
+const eventBus = require('../utils/eventBus');
+const separationMinimaService = require('./separationMinimaService');
+const { SpatialGrid } = require('../utils/spatialIndex');
+const { calculateDistance, toRad } = require('../utils/geo');
+const { AlertDebouncer } = require('../utils/alertDebouncer');
+const alertRuleService = require('./alertRuleService');
+const alertCenterService = require('./alertCenterService');
+const aircraftIdentityService = require('./aircraftIdentityService');
+const { getAircraftId, normalizeIcao24, normalizeCallsign } = require('../utils/aircraftIdentity');
+
+const ACTIVE_ALERTS_KEY = 'alerts:collision:active';
+const RESOLVED_ALERTS_KEY = 'alerts:collision:resolved';
+const ALERT_RECORD_TTL = 3600; // Keep alert records for 1 hour after last update
+
+const SEVERITY_RANK = {
+    SAFE: 0,
+    LOW: 1,
+    WARNING: 2,
+    MEDIUM: 2,
+    HIGH: 3,
+    CRITICAL: 4
+};
 
 class CollisionDetectionService {
     constructor() {
-        this.SAFE_DISTANCE_KM = parseFloat(process.env.COLLISION_SAFE_DISTANCE_KM || '5');
-        this.SAFE_ALTITUDE_DIFF_FT = parseFloat(process.env.COLLISION_SAFE_ALTITUDE_FT || '1000');
+        this.LOOKAHEAD_SEC = parseFloat(process.env.COLLISION_LOOKAHEAD_SEC || '120');
+        this.BENCHMARK = process.env.COLLISION_BENCHMARK === 'true';
         this.checkInterval = null;
+        this.lastCycleStats = null;
+        this.debouncer = AlertDebouncer.fromEnv('COLLISION');
+        this.pendingAlerts = [];
     }
 
     /**
@@ -54,33 +79,39 @@ class CollisionDetectionService {
             const positions = flights
                 .filter(f => !f.on_ground)
                 .map(f => ({
+                    icao24: f.icao24 || null,
                     callsign: f.callsign,
                     latitude: parseFloat(f.latitude),
                     longitude: parseFloat(f.longitude),
                     altitude: parseFloat(f.altitude),
                     velocity: parseFloat(f.velocity),
-                    heading: parseFloat(f.heading)
+                    heading: parseFloat(f.heading),
+                    verticalRate: parseFloat(f.vertical_rate) || 0,
+                    lastUpdate: f.last_update || null,
+                    airline: f.schedule?.airlineCode || alertRuleService.getAirlineCode(f.callsign),
+                    aircraftType: f.schedule?.aircraft?.icao || null
                 }));
 
+            // Position time of each aircraft, so a cycle over unchanged positions is not a new sample
+            const positionTimes = new Map(positions.map(p => [getAircraftId(p), p.lastUpdate]));
+
             if (positions.length < 2) {
                 console.log('⚠️  Not enough airborne aircraft for collision detection');
-                return []; // Need at least 2 aircraft
+                const alerts = await this.updateAlertLifecycle([], positionTimes); // Open encounters start clearing
+                return { alerts, predictions: [], pending: [] }; // Need at least 2 aircraft
             }
 
             console.log(`🔍 Checking ${positions.length} airborne aircraft for collisions...`);
 
-            // Check all pairs
-            const alerts = [];
-            for (let i = 0; i < positions.length; i++) {
-                for (let j = i + 1; j < positions.length; j++) {
-                    const alert = this.checkPairCollision(positions[i], positions[j]);
-                    if (alert) {
-                        alerts.push(alert);
-                        // Store alert in Redis
-                        await this.storeAlert(alert);
-                    }
-                }
-            }
+            // Make sure the per-zone separation minima and alert rules are loaded
+            await separationMinimaService.refresh();
+            await alertRuleService.refresh();
+
+            const detection = this.detectConflicts(positions);
+            const predictions = detection.predictions;
+
+            // Merge this cycle's detections into the per-pair alerts in Redis
+            const alerts = await this.updateAlertLifecycle(detection.alerts, positionTimes);
 
             if (alerts.length > 0) {
                 console.log(`⚠️  ${alerts.length} collision risk(s) detected from live data!`);
@@ -88,11 +119,82 @@ class CollisionDetectionService {
                 console.log('✅ No collision risks detected in current live data');
             }
 
-            return alerts;
+            if (predictions.length > 0) {
+                console.log(`🔮 ${predictions.length} predicted conflict(s) within ${this.LOOKAHEAD_SEC}s`);
+            }
+
+            return { alerts, predictions, pending: this.pendingAlerts };
         } catch (error) {
             console.error('Error checking collision risks:', error);
-            return [];
+            return { alerts: [], predictions: [], pending: [] };
+        }
+    }
+
+    /**
+     * Detect current and predicted conflicts in a set of positions
+     * Uses a spatial grid so only aircraft in neighbouring cells and altitude
+     * bands are compared, instead of every aircraft against every other one.
+     */
+    detectConflicts(positions) {
+        const startTime = process.hrtime.bigint();
+
+        const largestMinimum = separationMinimaService.getLargestMinimum();
+        const grid = SpatialGrid.build(positions, this.getSearchRadiusKm(positions, largestMinimum.horizontalKm), largestMinimum.verticalFt);
+        const candidatePairs = grid.getCandidatePairs();
+
+        const alerts = [];
+        const predictions = [];
+        for (const [aircraft1, aircraft2] of candidatePairs) {
+            const alert = this.checkPairCollision(aircraft1, aircraft2);
+            if (alert) {
+                alerts.push(alert);
+                continue;
+            }
+
+            // Not in conflict yet - check whether the pair is converging
+            const prediction = this.predictPairConflict(aircraft1, aircraft2);
+            if (prediction) {
+                predictions.push(prediction);
+            }
         }
+
+        this.lastCycleStats = {
+            aircraft: positions.length,
+            cells: grid.cells.size,
+            cellSizeKm: parseFloat(grid.cellSizeKm.toFixed(2)),
+            pairsEvaluated: candidatePairs.length,
+            bruteForcePairs: positions.length * (positions.length - 1) / 2,
+            alerts: alerts.length,
+            predictions: predictions.length,
+            cycleTimeMs: Number(process.hrtime.bigint() - startTime) / 1e6,
+            timestamp: new Date().toISOString()
+        };
+
+        if (this.BENCHMARK) {
+            const stats = this.lastCycleStats;
+            console.log(`⏱️  Collision cycle: ${stats.aircraft} aircraft, ${stats.pairsEvaluated}/${stats.bruteForcePairs} pairs evaluated in ${stats.cycleTimeMs.toFixed(1)}ms`);
+        }
+
+        return { alerts, predictions };
+    }
+
+    /**
+     * Horizontal radius that two aircraft must be within to matter this cycle:
+     * the largest horizontal minimum, or the distance they could close within the look-ahead window
+     */
+    getSearchRadiusKm(positions, horizontalMinimumKm) {
+        // Missing or corrupt velocities would make the radius NaN or Infinity
+        const maxVelocity = positions.reduce((max, p) =>
+            Number.isFinite(p.velocity) ? Math.max(max, p.velocity) : max, 0);
+        const maxClosingKm = 2 * maxVelocity * 1.852 / 3600 * this.LOOKAHEAD_SEC;
+        return Math.max(horizontalMinimumKm, maxClosingKm);
+    }
+
+    /**
+     * Get statistics from the most recent detection cycle
+     */
+    getCycleStats() {
+        return this.lastCycleStats;
     }
 
     /**
@@ -100,7 +202,7 @@ class CollisionDetectionService {
      */
     checkPairCollision(aircraft1, aircraft2) {
         // Calculate horizontal distance
-        const distance = this.calculateDistance(
+        const distance = calculateDistance(
             aircraft1.latitude,
             aircraft1.longitude,
             aircraft2.latitude,
@@ -110,13 +212,18 @@ class CollisionDetectionService {
         // Calculate altitude difference
         const altitudeDiff = Math.abs(aircraft1.altitude - aircraft2.altitude);
 
-        // Check if unsafe
-        if (distance < this.SAFE_DISTANCE_KM && altitudeDiff < this.SAFE_ALTITUDE_DIFF_FT) {
-            const severity = this.calculateSeverity(distance, altitudeDiff);
+        // Check if both the horizontal and vertical minimum are infringed
+        const minimum = separationMinimaService.getPairMinimum(aircraft1, aircraft2);
+        if (distance < minimum.horizontalKm && altitudeDiff < minimum.verticalFt) {
+            const rule = this.classifyPair(aircraft1, aircraft2, distance, altitudeDiff, minimum, false);
+            if (!rule) {
+                return null;
+            }
 
             return {
-                id: `${aircraft1.callsign}-${aircraft2.callsign}-${Date.now()}`,
+                pairKey: this.getPairKey(aircraft1, aircraft2),
                 flight1: {
+                    icao24: aircraft1.icao24 || null,
                     callsign: aircraft1.callsign,
                     latitude: aircraft1.latitude,
                     longitude: aircraft1.longitude,
@@ -125,6 +232,7 @@ class CollisionDetectionService {
                     heading: aircraft1.heading
                 },
                 flight2: {
+                    icao24: aircraft2.icao24 || null,
                     callsign: aircraft2.callsign,
                     latitude: aircraft2.latitude,
                     longitude: aircraft2.longitude,
@@ -134,7 +242,9 @@ class CollisionDetectionService {
                 },
                 distance: parseFloat(distance.toFixed(2)),
                 altitudeDiff: Math.round(altitudeDiff),
-                severity: severity,
+                separationMinimum: this.describeMinimum(minimum),
+                severity: rule.severity,
+                ruleId: rule.ruleId,
                 timestamp: new Date().toISOString()
             };
         }
@@ -143,35 +253,363 @@ class CollisionDetectionService {
     }
 
     /**
-     * Calculate distance between two coordinates (approximation for small distances)
+     * Predict a future loss of separation between two aircraft
+     * Projects both aircraft along their current heading and velocity and
+     * computes the closest point of approach (CPA) within the look-ahead window.
+     * The altitude difference is held constant over the window.
+     */
+    predictPairConflict(aircraft1, aircraft2) {
+        const minimum = separationMinimaService.getPairMinimum(aircraft1, aircraft2);
+        const altitudeDiff = Math.abs(aircraft1.altitude - aircraft2.altitude);
+        if (altitudeDiff >= minimum.verticalFt) {
+            return null;
+        }
+
+        const cpa = this.calculateClosestApproach(aircraft1, aircraft2);
+        if (!cpa || cpa.timeToCpa <= 0 || cpa.cpaDistance >= minimum.horizontalKm) {
+            return null;
+        }
+
+        // Time at which horizontal separation first drops below the minimum
+        const timeToConflict = this.calculateTimeToConflict(cpa, minimum.horizontalKm);
+        if (timeToConflict === null || timeToConflict > this.LOOKAHEAD_SEC) {
+            return null;
+        }
+
+        const rule = this.classifyPair(aircraft1, aircraft2, cpa.cpaDistance, altitudeDiff, minimum, true);
+        if (!rule) {
+            return null;
+        }
+
+        return {
+            id: `${this.getPairKey(aircraft1, aircraft2)}-predicted`,
+            type: 'PREDICTED',
+            flight1: {
+                icao24: aircraft1.icao24 || null,
+                callsign: aircraft1.callsign,
+                latitude: aircraft1.latitude,
+                longitude: aircraft1.longitude,
+                altitude: aircraft1.altitude,
+                velocity: aircraft1.velocity,
+                heading: aircraft1.heading
+            },
+            flight2: {
+                icao24: aircraft2.icao24 || null,
+                callsign: aircraft2.callsign,
+                latitude: aircraft2.latitude,
+                longitude: aircraft2.longitude,
+                altitude: aircraft2.altitude,
+                velocity: aircraft2.velocity,
+                heading: aircraft2.heading
+            },
+            distance: parseFloat(cpa.currentDistance.toFixed(2)),
+            predictedMissDistance: parseFloat(cpa.cpaDistance.toFixed(2)),
+            timeToCpa: Math.round(cpa.timeToCpa),
+            timeToConflict: Math.round(timeToConflict),
+            altitudeDiff: Math.round(altitudeDiff),
+            lookaheadSec: this.LOOKAHEAD_SEC,
+            separationMinimum: this.describeMinimum(minimum),
+            severity: rule.severity,
+            ruleId: rule.ruleId,
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Calculate the closest point of approach between two aircraft
+     * Uses a local flat-earth frame centred on aircraft1 (x = east, y = north, km)
      */
-    calculateDistance(lat1, lon1, lat2, lon2) {
+    calculateClosestApproach(aircraft1, aircraft2) {
         const R = 6371; // Earth's radius in km
-        const dLat = this.toRad(lat2 - lat1);
-        const dLon = this.toRad(lon2 - lon1);
-        const latRad = this.toRad((lat1 + lat2) / 2);
-        const x = dLon * Math.cos(latRad);
-        const y = dLat;
-        return R * Math.sqrt(x * x + y * y);
+        const latRad = toRad((aircraft1.latitude + aircraft2.latitude) / 2);
+
+        // Relative position of aircraft2 (km)
+        const rx = toRad(aircraft2.longitude - aircraft1.longitude) * Math.cos(latRad) * R;
+        const ry = toRad(aircraft2.latitude - aircraft1.latitude) * R;
+
+        // Velocities (knots -> km/s)
+        const v1 = this.toVelocityVector(aircraft1.velocity, aircraft1.heading);
+        const v2 = this.toVelocityVector(aircraft2.velocity, aircraft2.heading);
+        const vx = v2.x - v1.x;
+        const vy = v2.y - v1.y;
+
+        const closingSpeedSq = vx * vx + vy * vy;
+        if (!isFinite(rx) || !isFinite(ry) || !isFinite(closingSpeedSq) || closingSpeedSq < 1e-12) {
+            return null; // Same track and speed - separation never changes
+        }
+
+        const timeToCpa = -(rx * vx + ry * vy) / closingSpeedSq;
+        const cpaX = rx + vx * timeToCpa;
+        const cpaY = ry + vy * timeToCpa;
+
+        return {
+            rx, ry, vx, vy,
+            currentDistance: Math.sqrt(rx * rx + ry * ry),
+            timeToCpa,
+            cpaDistance: Math.sqrt(cpaX * cpaX + cpaY * cpaY)
+        };
+    }
+
+    /**
+     * Solve |r + v·t| = threshold for the first time t >= 0
+     */
+    calculateTimeToConflict(cpa, thresholdKm) {
+        const a = cpa.vx * cpa.vx + cpa.vy * cpa.vy;
+        const b = 2 * (cpa.rx * cpa.vx + cpa.ry * cpa.vy);
+        const c = cpa.rx * cpa.rx + cpa.ry * cpa.ry - thresholdKm * thresholdKm;
+
+        if (c <= 0) {
+            return 0; // Already inside the threshold
+        }
+
+        const discriminant = b * b - 4 * a * c;
+        if (discriminant < 0) {
+            return null;
+        }
+
+        const t = (-b - Math.sqrt(discriminant)) / (2 * a);
+        return t >= 0 ? t : null;
+    }
+
+    /**
+     * Convert speed (knots) and heading (degrees) to an east/north vector in km/s
+     */
+    toVelocityVector(velocityKnots, headingDeg) {
+        const speed = (velocityKnots || 0) * 1.852 / 3600;
+        const heading = toRad(headingDeg || 0);
+        return {
+            x: speed * Math.sin(heading),
+            y: speed * Math.cos(heading)
+        };
+    }
+
+    /**
+     * Severity for a pair from the collision alert rules, or null if no rule
+     * matches or the matching rule rates the pair SAFE
+     * For predictions the distance is the predicted miss distance.
+     */
+    classifyPair(aircraft1, aircraft2, distance, altitudeDiff, minimum, predicted) {
+        const rule = alertRuleService.evaluate('collision', {
+            predicted,
+            distanceKm: distance,
+            distanceNm: distance / 1.852,
+            altitudeDiff,
+            horizontalRatio: distance / minimum.horizontalKm,
+            verticalRatio: altitudeDiff / minimum.verticalFt,
+            minimum: this.describeMinimum(minimum),
+            zone: minimum.zone || null,
+            flight1: this.describeForRules(aircraft1),
+            flight2: this.describeForRules(aircraft2)
+        });
+
+        return rule && rule.severity !== 'SAFE' ? rule : null;
+    }
+
+    describeForRules(aircraft) {
+        return {
+            callsign: aircraft.callsign,
+            airline: aircraft.airline || alertRuleService.getAirlineCode(aircraft.callsign),
+            aircraftType: aircraft.aircraftType || null,
+            phase: alertRuleService.getPhase(false, aircraft.verticalRate || 0),
+            altitude: aircraft.altitude,
+            velocity: aircraft.velocity
+        };
+    }
+
+    /**
+     * Return the more severe of two severity levels
+     */
+    worseSeverity(severity1, severity2) {
+        return SEVERITY_RANK[severity2] > SEVERITY_RANK[severity1] ? severity2 : severity1;
+    }
+
+    /**
+     * Summary of the separation minimum applied to a pair, for alerts
+     */
+    describeMinimum(minimum) {
+        return {
+            name: minimum.name,
+            zone: minimum.zone,
+            airport: minimum.airport,
+            horizontalNm: minimum.horizontalNm,
+            verticalFt: minimum.verticalFt
+        };
     }
 
-    toRad(degrees) {
-        return degrees * Math.PI / 180;
+    /**
+     * Stable key for an aircraft pair, independent of detection order
+     */
+    getPairKey(aircraft1, aircraft2) {
+        return [getAircraftId(aircraft1), getAircraftId(aircraft2)].sort().join('-');
+    }
+
+    /**
+     * Sample id of a pair for the debouncer, from both aircraft's position times
+     * Null when either time is unknown, so the sample always counts.
+     */
+    getPairSampleId(flight1, flight2, positionTimes) {
+        const time1 = positionTimes.get(getAircraftId(flight1));
+        const time2 = positionTimes.get(getAircraftId(flight2));
+        if (!time1 || !time2) return null;
+
+        return [`${getAircraftId(flight1)}@${time1}`, `${getAircraftId(flight2)}@${time2}`].sort().join('|');
     }
 
     /**
-     * Calculate severity level
+     * Merge the conflicts detected in this cycle into the per-pair alerts
+     * Lifecycle: open -> ongoing -> (acknowledged) -> resolved
+     * positionTimes maps aircraft ids to their position time; repeated
+     * checks over the same positions (e.g. /api/collision/check polling)
+     * then don't count as extra samples.
+     * Returns the alerts that are still active after this cycle.
      */
-    calculateSeverity(distance, altitudeDiff) {
-        if (distance < 2 && altitudeDiff < 500) {
-            return 'CRITICAL';
-        } else if (distance < 5 && altitudeDiff < 1000) {
-            return 'WARNING';
-        } else {
-            return 'SAFE';
+    async updateAlertLifecycle(detections, positionTimes = new Map()) {
+        try {
+            const redis = dbManager.getRedis();
+            const existing = await redis.hGetAll(ACTIVE_ALERTS_KEY);
+            const now = new Date().toISOString();
+
+            const active = [];
+            const pending = [];
+            const seen = new Set();
+
+            // Alerts opened before a restart are already confirmed
+            for (const [pairKey, data] of Object.entries(existing)) {
+                this.debouncer.restore(pairKey, JSON.parse(data));
+            }
+
+            for (const detection of detections) {
+                seen.add(detection.pairKey);
+
+                const alertState = this.debouncer.update(detection.pairKey, true, {
+                    sampleId: this.getPairSampleId(detection.flight1, detection.flight2, positionTimes),
+                    data: detection
+                });
+                if (!alertState.confirmed) {
+                    pending.push({ ...detection, ...this.describeAlertState(alertState) });
+                    continue;
+                }
+
+                const previous = existing[detection.pairKey] ? JSON.parse(existing[detection.pairKey]) : null;
+                const alert = previous
+                    ? this.continueAlert(previous, detection, now)
+                    : this.openAlert(detection, now);
+
+                Object.assign(alert, this.describeAlertState(alertState));
+                await this.storeAlert(alert);
+                active.push(alert);
+            }
+
+            // Pairs not detected this cycle count as clear samples; once clear
+            // for long enough they have separated again
+            const clearSampleIds = new Map();
+            for (const [pairKey, data] of Object.entries(existing)) {
+                const previous = JSON.parse(data);
+                clearSampleIds.set(pairKey, this.getPairSampleId(previous.flight1, previous.flight2, positionTimes));
+            }
+
+            for (const [pairKey, alertState] of this.debouncer.sweep(seen, Date.now(), clearSampleIds)) {
+                if (!existing[pairKey]) continue;
+
+                const previous = JSON.parse(existing[pairKey]);
+                if (alertState.transition === 'closed') {
+                    await this.closeAlert(previous, 'separation restored');
+                } else if (alertState.confirmed) {
+                    const alert = { ...previous, ...this.describeAlertState(alertState) };
+                    await this.storeAlert(alert);
+                    active.push(alert);
+                }
+            }
+
+            this.pendingAlerts = pending;
+            return active;
+        } catch (error) {
+            console.error('Error updating collision alert lifecycle:', error);
+            return [];
         }
     }
 
+    /**
+     * Raw (this cycle) versus confirmed (debounced) alert state for the API
+     */
+    describeAlertState(alertState) {
+        return {
+            raw: alertState.raw,
+            confirmed: alertState.confirmed,
+            samples: alertState.samples,
+            rawSince: alertState.rawSince
+        };
+    }
+
+    /**
+     * Create a new alert for a pair that was not in conflict before
+     */
+    openAlert(detection, now) {
+        return {
+            ...detection,
+            id: `${detection.pairKey}-${Date.parse(now)}`,
+            status: 'open',
+            firstSeen: now,
+            lastSeen: now,
+            worstSeverity: detection.severity,
+            minSeparation: {
+                distance: detection.distance,
+                altitudeDiff: detection.altitudeDiff
+            },
+            acknowledgedAt: null,
+            resolvedAt: null,
+            timestamp: now
+        };
+    }
+
+    /**
+     * Update an existing alert with the latest detection for its pair
+     */
+    continueAlert(previous, detection, now) {
+        return {
+            ...previous,
+            flight1: detection.flight1,
+            flight2: detection.flight2,
+            distance: detection.distance,
+            altitudeDiff: detection.altitudeDiff,
+            separationMinimum: detection.separationMinimum,
+            severity: detection.severity,
+            // An acknowledged alert stays acknowledged while the encounter continues
+            status: previous.status === 'acknowledged' ? 'acknowledged' : 'ongoing',
+            lastSeen: now,
+            worstSeverity: this.worseSeverity(previous.worstSeverity, detection.severity),
+            minSeparation: {
+                distance: Math.min(previous.minSeparation.distance, detection.distance),
+                altitudeDiff: Math.min(previous.minSeparation.altitudeDiff, detection.altitudeDiff)
+            },
+            timestamp: now
+        };
+    }
+
+    /**
+     * Mark an alert as resolved and move it out of the active set
+     */
+    async closeAlert(alert, reason) {
+        const redis = dbManager.getRedis();
+        const resolved = {
+            ...alert,
+            status: 'resolved',
+            resolvedAt: new Date().toISOString(),
+            resolution: reason
+        };
+
+        await redis.hDel(ACTIVE_ALERTS_KEY, alert.pairKey);
+        await redis.set(`alert:collision:${alert.id}`, JSON.stringify(resolved), {
+            EX: ALERT_RECORD_TTL
+        });
+        await redis.lPush(RESOLVED_ALERTS_KEY, JSON.stringify(resolved));
+        await redis.lTrim(RESOLVED_ALERTS_KEY, 0, 99); // Keep last 100
+
+        eventBus.publish('alert:cleared', { source: 'collision', alert, reason });
+
+        return resolved;
+    }
+
     /**
      * Store alert in Redis
      */
@@ -181,26 +619,83 @@ class CollisionDetectionService {
             const key = `alert:collision:${alert.id}`;
 
             await redis.set(key, JSON.stringify(alert), {
-                EX: 300 // Expire after 5 minutes
+                EX: ALERT_RECORD_TTL
             });
 
-            // Also add to active alerts list
-            await redis.lPush('alerts:collision:active', JSON.stringify(alert));
-            await redis.lTrim('alerts:collision:active', 0, 99); // Keep last 100
+            // One entry per aircraft pair in the active alerts hash
+            await redis.hSet(ACTIVE_ALERTS_KEY, alert.pairKey, JSON.stringify(alert));
+
+            eventBus.publish('alert:raised', { source: 'collision', alert });
         } catch (error) {
             console.error('Error storing alert:', error);
         }
     }
 
+    /**
+     * Find an active alert by its ID
+     */
+    async findActiveAlert(alertId) {
+        const redis = dbManager.getRedis();
+        const alerts = await redis.hVals(ACTIVE_ALERTS_KEY);
+
+        return alerts
+            .map(a => JSON.parse(a))
+            .find(a => a.id === alertId) || null;
+    }
+
+    /**
+     * Acknowledge an active alert
+     */
+    async acknowledgeAlert(alertId, user = null, comment = null) {
+        const alert = await this.findActiveAlert(alertId);
+        if (!alert) {
+            return null;
+        }
+
+        const unified = await alertCenterService.findOpenAlert('collision', alert);
+        if (unified) {
+            await alertCenterService.acknowledge(unified.alertId, user, comment);
+        }
+
+        const acknowledged = {
+            ...alert,
+            status: 'acknowledged',
+            acknowledgedAt: new Date().toISOString()
+        };
+
+        await this.storeAlert(acknowledged);
+        return acknowledged;
+    }
+
+    /**
+     * Manually resolve an active alert
+     * If the pair is still in conflict on the next cycle a new alert is opened.
+     */
+    async resolveAlert(alertId, user = null, comment = null) {
+        const alert = await this.findActiveAlert(alertId);
+        if (!alert) {
+            return null;
+        }
+
+        const unified = await alertCenterService.findOpenAlert('collision', alert);
+        if (unified) {
+            await alertCenterService.resolve(unified.alertId, user, comment);
+        }
+
+        return await this.closeAlert(alert, 'resolved by operator');
+    }
+
     /**
      * Get active collision alerts
      */
     async getActiveAlerts() {
         try {
             const redis = dbManager.getRedis();
-            const alerts = await redis.lRange('alerts:collision:active', 0, -1);
+            const alerts = await redis.hVals(ACTIVE_ALERTS_KEY);
 
-            return alerts.map(a => JSON.parse(a));
+            return alerts
+                .map(a => JSON.parse(a))
+                .sort((a, b) => new Date(b.firstSeen) - new Date(a.firstSeen));
         } catch (error) {
             console.error('Error getting active alerts:', error);
             return [];
@@ -208,24 +703,27 @@ class CollisionDetectionService {
     }
 
     /**
-     * Get alert history
+     * Get active collision alerts involving one aircraft, by callsign or icao24
      */
-    async getAlertHistory(limit = 50) {
-        try {
-            const redis = dbManager.getRedis();
-            const keys = await redis.keys('alert:collision:*');
+    async getAlertsForAircraft(identifier) {
+        const identity = await aircraftIdentityService.resolve(identifier);
+        const icao24s = [identity && identity.icao24, normalizeIcao24(identifier)].filter(Boolean);
+        const callsigns = [identity && identity.callsign, normalizeCallsign(identifier)].filter(Boolean);
 
-            const alerts = [];
-            for (const key of keys.slice(0, limit)) {
-                const data = await redis.get(key);
-                if (data) {
-                    alerts.push(JSON.parse(data));
-                }
-            }
+        const involves = flight => (flight.icao24 && icao24s.includes(flight.icao24)) ||
+            callsigns.includes((flight.callsign || '').toUpperCase());
+
+        const alerts = await this.getActiveAlerts();
+        return alerts.filter(alert => involves(alert.flight1) || involves(alert.flight2));
+    }
 
-            return alerts.sort((a, b) =>
-                new Date(b.timestamp) - new Date(a.timestamp)
-            );
+    /**
+     * Get alert history from the alert center, newest first
+     */
+    async getAlertHistory(limit = 50) {
+        try {
+            const result = await alertCenterService.getAlerts({ source: 'collision' }, 1, limit);
+            return result.data;
         } catch (error) {
             console.error('Error getting alert history:', error);
             return [];
@@ -0,0 +1,391 @@
+/**
+ * Emergency Service
+ *
+ * Watches transponder codes for the emergency squawks 7500 (hijack),
+ * 7600 (radio failure) and 7700 (general emergency), raises top-priority
+ * alerts, pushes them to dashboards over the event bus and records the
+ * aircraft's position history for the duration of the emergency
+ */
+
+const dbManager = require('../config/database');
+const eventBus = require('../utils/eventBus');
+const { getAircraftId, displayCallsign } = require('../utils/aircraftIdentity');
+
+const EMERGENCY_CODES = {
+    '7500': { code: 'HIJACK', description: 'Unlawful interference (hijack)' },
+    '7600': { code: 'RADIO_FAILURE', description: 'Radio communication failure' },
+    '7700': { code: 'GENERAL_EMERGENCY', description: 'General emergency' }
+};
+
+class EmergencyService {
+    constructor() {
+        this.checkInterval = null;
+        this.activeEmergencies = new Map();
+        this.restored = false;
+        this.queue = Promise.resolve();
+    }
+
+    /**
+     * Start continuous emergency squawk monitoring
+     */
+    startMonitoring() {
+        const interval = parseInt(process.env.EMERGENCY_CHECK_INTERVAL || '5') * 1000;
+
+        console.log(`🚨 Starting emergency squawk monitoring (check every ${interval / 1000}s)`);
+
+        // Initial check
+        this.checkEmergencies();
+
+        // Set up periodic checks
+        this.checkInterval = setInterval(() => {
+            this.checkEmergencies();
+        }, interval);
+    }
+
+    /**
+     * Stop monitoring
+     */
+    stopMonitoring() {
+        if (this.checkInterval) {
+            clearInterval(this.checkInterval);
+            console.log('⏹️  Emergency squawk monitoring stopped');
+        }
+    }
+
+    /**
+     * Describe a squawk code, or null if it is not an emergency code
+     */
+    getEmergencyCode(squawk) {
+        if (!squawk) return null;
+        const info = EMERGENCY_CODES[squawk.toString().trim()];
+        return info ? { squawk: squawk.toString().trim(), ...info } : null;
+    }
+
+    /**
+     * Check all aircraft for emergency squawks and update open emergency events
+     * Checks from the interval and the API run one at a time, so an emergency
+     * is never opened twice.
+     */
+    checkEmergencies() {
+        const check = this.queue.then(() => this.runCheck());
+        this.queue = check;
+        return check;
+    }
+
+    async runCheck() {
+        try {
+            if (!this.restored) {
+                await this.restoreActiveEvents();
+            }
+
+            const aircraft = await this.getAircraftPositions();
+            const visible = new Set(aircraft.map(a => a.aircraftId));
+            const alerts = [];
+
+            for (const current of aircraft) {
+                const emergency = this.getEmergencyCode(current.squawk);
+                if (!emergency) continue;
+
+                const event = this.activeEmergencies.get(current.aircraftId);
+
+                if (!event) {
+                    const opened = await this.openEvent(current, emergency);
+                    alerts.push(await this.raiseAlert(opened, current, emergency));
+                } else if (event.squawk !== emergency.squawk) {
+                    await this.changeSquawk(event, current, emergency);
+                    alerts.push(await this.raiseAlert(event, current, emergency));
+                } else {
+                    await this.appendPosition(event, current);
+                }
+            }
+
+            // Close emergencies whose aircraft has reset its squawk or is no longer seen
+            for (const [aircraftId, event] of this.activeEmergencies) {
+                const current = aircraft.find(a => a.aircraftId === aircraftId);
+                if (current && this.getEmergencyCode(current.squawk)) continue;
+
+                await this.closeEvent(event, visible.has(aircraftId) ? 'squawk_cleared' : 'contact_lost');
+            }
+
+            if (alerts.length > 0) {
+                console.log(`🚨 ${alerts.length} emergency squawk alert(s) raised!`);
+            }
+
+            return { alerts, emergencies: Array.from(this.activeEmergencies.values()) };
+        } catch (error) {
+            console.error('Error checking emergency squawks:', error);
+            return { alerts: [], emergencies: [] };
+        }
+    }
+
+    /**
+     * Reload emergencies that were still active when the server last stopped
+     */
+    async restoreActiveEvents() {
+        const db = dbManager.getMongoDB();
+        const events = await db.collection('emergency_events')
+            .find({ status: 'active' }, { projection: { positions: 0 } })
+            .toArray();
+
+        // Events recorded before icao24 tracking are keyed by callsign
+        for (const event of events) {
+            this.activeEmergencies.set(event.aircraftId || event.callsign, event);
+        }
+
+        this.restored = true;
+    }
+
+    /**
+     * Start a new emergency event in MongoDB
+     */
+    async openEvent(aircraft, emergency) {
+        const db = dbManager.getMongoDB();
+        const now = new Date();
+        const position = this.toPosition(aircraft);
+
+        const event = {
+            eventId: `emergency-${aircraft.aircraftId}-${now.getTime()}`,
+            aircraftId: aircraft.aircraftId,
+            icao24: aircraft.icao24,
+            callsign: aircraft.callsign,
+            squawk: emergency.squawk,
+            code: emergency.code,
+            description: emergency.description,
+            status: 'active',
+            startedAt: now,
+            endedAt: null,
+            endReason: null,
+            squawkHistory: [{ squawk: emergency.squawk, code: emergency.code, timestamp: now }],
+            lastPosition: position
+        };
+
+        await db.collection('emergency_events').insertOne({ ...event, positions: [position] });
+        this.activeEmergencies.set(aircraft.aircraftId, event);
+
+        return event;
+    }
+
+    /**
+     * Record a switch between emergency codes (e.g. 7600 to 7700) on an open event
+     */
+    async changeSquawk(event, aircraft, emergency) {
+        const db = dbManager.getMongoDB();
+        const change = { squawk: emergency.squawk, code: emergency.code, timestamp: new Date() };
+
+        event.squawk = emergency.squawk;
+        event.code = emergency.code;
+        event.description = emergency.description;
+        event.squawkHistory.push(change);
+
+        await db.collection('emergency_events').updateOne(
+            { eventId: event.eventId },
+            {
+                $set: { squawk: event.squawk, code: event.code, description: event.description },
+                $push: { squawkHistory: change }
+            }
+        );
+
+        await this.appendPosition(event, aircraft);
+    }
+
+    /**
+     * Add the aircraft's latest position to the event's history
+     */
+    async appendPosition(event, aircraft) {
+        const position = this.toPosition(aircraft);
+
+        // Positions only change when the feed updates
+        if (event.lastPosition && event.lastPosition.timestamp.getTime() === position.timestamp.getTime()) {
+            return;
+        }
+
+        event.lastPosition = position;
+
+        const db = dbManager.getMongoDB();
+        await db.collection('emergency_events').updateOne(
+            { eventId: event.eventId },
+            { $set: { lastPosition: position }, $push: { positions: position } }
+        );
+    }
+
+    /**
+     * End an emergency event and tell dashboards to clear it
+     */
+    async closeEvent(event, reason) {
+        const db = dbManager.getMongoDB();
+        const endedAt = new Date();
+
+        await db.collection('emergency_events').updateOne(
+            { eventId: event.eventId },
+            { $set: { status: 'ended', endedAt, endReason: reason } }
+        );
+
+        this.activeEmergencies.delete(event.aircraftId || event.callsign);
+
+        eventBus.publish('emergency:cleared', {
+            eventId: event.eventId,
+            icao24: event.icao24 || null,
+            callsign: event.callsign,
+            squawk: event.squawk,
+            reason,
+            endedAt: endedAt.toISOString()
+        });
+
+        eventBus.publish('alert:cleared', {
+            source: 'emergency',
+            alert: { type: 'EMERGENCY_SQUAWK', icao24: event.icao24 || null, callsign: event.callsign },
+            reason
+        });
+
+        console.log(`✅ Emergency ${event.eventId} ended (${reason})`);
+    }
+
+    /**
+     * Build, store and broadcast a top-priority emergency alert
+     */
+    async raiseAlert(event, aircraft, emergency) {
+        const alert = {
+            id: `${aircraft.aircraftId}-${emergency.squawk}-${Date.now()}`,
+            type: 'EMERGENCY_SQUAWK',
+            eventId: event.eventId,
+            squawk: emergency.squawk,
+            code: emergency.code,
+            description: emergency.description,
+            severity: 'CRITICAL',
+            priority: 'TOP',
+            aircraft: {
+                icao24: aircraft.icao24,
+                callsign: aircraft.callsign,
+                latitude: aircraft.latitude,
+                longitude: aircraft.longitude,
+                altitude: aircraft.altitude,
+                velocity: aircraft.velocity,
+                heading: aircraft.heading,
+                onGround: aircraft.onGround
+            },
+            message: `${aircraft.callsign} squawking ${emergency.squawk} - ${emergency.description}`,
+            timestamp: new Date().toISOString()
+        };
+
+        await this.storeAlert(alert);
+        eventBus.publish('emergency:alert', alert);
+
+        return alert;
+    }
+
+    toPosition(aircraft) {
+        return {
+            timestamp: new Date(aircraft.lastUpdate || Date.now()),
+            latitude: aircraft.latitude,
+            longitude: aircraft.longitude,
+            altitude: aircraft.altitude,
+            velocity: aircraft.velocity,
+            heading: aircraft.heading,
+            onGround: aircraft.onGround,
+            squawk: aircraft.squawk
+        };
+    }
+
+    /**
+     * Read all aircraft positions (ground and airborne) from Redis
+     */
+    async getAircraftPositions() {
+        const redis = dbManager.getRedis();
+        const keys = await redis.keys('aircraft:*:position');
+        const aircraft = [];
+
+        for (const key of keys) {
+            const data = await redis.hGetAll(key);
+            if (!data || !getAircraftId(data)) continue;
+
+            aircraft.push({
+                aircraftId: getAircraftId(data),
+                icao24: data.icao24 || null,
+                callsign: displayCallsign(data),
+                latitude: parseFloat(data.latitude),
+                longitude: parseFloat(data.longitude),
+                altitude: parseFloat(data.altitude) || 0,
+                velocity: parseFloat(data.velocity) || 0,
+                heading: parseFloat(data.heading) || 0,
+                onGround: data.on_ground === 'true',
+                squawk: data.squawk || null,
+                lastUpdate: data.last_update || null
+            });
+        }
+
+        return aircraft;
+    }
+
+    /**
+     * Store alert in Redis
+     */
+    async storeAlert(alert) {
+        try {
+            const redis = dbManager.getRedis();
+            const key = `alert:emergency:${alert.id}`;
+
+            await redis.set(key, JSON.stringify(alert), {
+                EX: 300 // Expire after 5 minutes
+            });
+
+            // Also add to active alerts list
+            await redis.lPush('alerts:emergency:active', JSON.stringify(alert));
+            await redis.lTrim('alerts:emergency:active', 0, 99); // Keep last 100
+
+            // Raised once per emergency; closeEvent clears it
+            eventBus.publish('alert:raised', { source: 'emergency', alert, untilCleared: true });
+        } catch (error) {
+            console.error('Error storing emergency alert:', error);
+        }
+    }
+
+    /**
+     * Get recent emergency alerts
+     */
+    async getActiveAlerts() {
+        try {
+            const redis = dbManager.getRedis();
+            const alerts = await redis.lRange('alerts:emergency:active', 0, -1);
+
+            return alerts.map(a => JSON.parse(a));
+        } catch (error) {
+            console.error('Error getting active emergency alerts:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Get emergencies that are still in progress (without position history)
+     */
+    async getActiveEmergencies() {
+        const db = dbManager.getMongoDB();
+
+        return await db.collection('emergency_events')
+            .find({ status: 'active' }, { projection: { positions: 0 } })
+            .sort({ startedAt: -1 })
+            .toArray();
+    }
+
+    /**
+     * List emergency events, newest first (without position history)
+     */
+    async getEvents(limit = 50) {
+        const db = dbManager.getMongoDB();
+
+        return await db.collection('emergency_events')
+            .find({}, { projection: { positions: 0 } })
+            .sort({ startedAt: -1 })
+            .limit(limit)
+            .toArray();
+    }
+
+    /**
+     * Get a single emergency event with its full position history
+     */
+    async getEvent(eventId) {
+        const db = dbManager.getMongoDB();
+        return await db.collection('emergency_events').findOne({ eventId });
+    }
+}
+
+module.exports = new EmergencyService();
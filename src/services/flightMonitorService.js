@@ -8,10 +8,32 @@
 
 const dbManager = require('../config/database');
 const apiClient = require('../utils/apiclient');
+const eventBus = require('../utils/eventBus');
+const aircraftIdentityService = require('./aircraftIdentityService');
+const positionFusionService = require('./positionFusionService');
+const {
+    getAircraftId,
+    displayCallsign,
+    positionKey,
+    callsignHistoryKey,
+    callsignIndexKey
+} = require('../utils/aircraftIdentity');
+
+// Altitude (ft) whose crossing is reported as a position milestone
+const MILESTONE_ALTITUDE_FT = 10000;
+
+// Lifetime of a live position in Redis
+const POSITION_TTL_SEC = 300;
 
 class FlightMonitorService {
     constructor() {
         this.updateInterval = null;
+        this.TELEMETRY_RECORDING = process.env.TELEMETRY_RECORDING !== 'false';
+        this.TELEMETRY_INTERVAL_SEC = parseInt(process.env.TELEMETRY_INTERVAL_SEC || '30');
+        // aircraftId -> time its telemetry was last recorded
+        this.lastTelemetryRecord = new Map();
+        this.lastPositions = new Map();
+        this.latestSchedules = [];
     }
 
     /**
@@ -51,8 +73,13 @@ class FlightMonitorService {
             // Get data from APIs
             const flightData = await apiClient.getAllFlights();
 
-            // Store live positions in Redis
-            await this.storeLivePositions(flightData.livePositions);
+            // Fuse each provider's positions and store the result in Redis
+            for (const { source, priority, positions } of flightData.positionsBySource) {
+                await this.ingestPositions(source, positions, priority);
+            }
+
+            // Kept for enriching live flights between refreshes
+            this.latestSchedules = flightData.schedules;
 
             // Store schedules in MongoDB
             await this.storeSchedules(flightData.schedules);
@@ -64,28 +91,172 @@ class FlightMonitorService {
     }
 
     /**
-     * Store live aircraft positions in Redis
+     * Report a batch of positions from one source to the fusion service and
+     * store the fused positions of the aircraft it contains
+     * Every position feed (providers, SBS-1 ingest) goes through here.
+     */
+    async ingestPositions(source, positions, priority = 0) {
+        const aircraftIds = positionFusionService.report(source, positions, priority);
+        if (aircraftIds.length === 0) return;
+
+        await this.storeLivePositions(positionFusionService.getPositions(aircraftIds));
+    }
+
+    /**
+     * Store live aircraft positions in Redis, keyed by icao24
+     * The current callsign is indexed so either identifier resolves the aircraft.
      */
     async storeLivePositions(positions) {
         const redis = dbManager.getRedis();
 
         for (const aircraft of positions) {
-            const key = `aircraft:${aircraft.callsign}:position`;
+            const aircraftId = getAircraftId(aircraft);
+            if (!aircraftId) continue;
+
+            const key = positionKey(aircraftId);
+            const previous = this.lastPositions.get(aircraftId);
 
             // Store as hash
             await redis.hSet(key, {
-                callsign: aircraft.callsign,
+                icao24: aircraft.icao24 || '',
+                callsign: aircraft.callsign || '',
                 latitude: aircraft.latitude.toString(),
                 longitude: aircraft.longitude.toString(),
                 altitude: aircraft.altitude.toString(),
                 velocity: aircraft.velocity.toString(),
                 heading: aircraft.heading.toString(),
+                vertical_rate: (aircraft.vertical_rate || 0).toString(),
                 on_ground: aircraft.on_ground.toString(),
+                squawk: aircraft.squawk ? aircraft.squawk.toString() : '',
+                spi: (aircraft.spi || false).toString(),
+                category: aircraft.category || '',
+                source: aircraft.source || '',
                 last_update: aircraft.timestamp
             });
 
             // Set expiration (5 minutes)
-            await redis.expire(key, 300);
+            await redis.expire(key, POSITION_TTL_SEC);
+
+            if (aircraft.callsign) {
+                await redis.set(callsignIndexKey(aircraft.callsign), aircraftId, { EX: POSITION_TTL_SEC });
+
+                if (!previous || previous.callsign !== aircraft.callsign) {
+                    await redis.lPush(callsignHistoryKey(aircraftId), aircraft.callsign);
+                    await redis.lTrim(callsignHistoryKey(aircraftId), 0, 9);
+                    await redis.expire(callsignHistoryKey(aircraftId), 3600);
+                }
+            }
+        }
+
+        this.publishMilestones(positions);
+        await this.recordTelemetry(positions);
+    }
+
+    /**
+     * Publish 'flight:milestone' for takeoff, landing and crossing FL100,
+     * comparing each aircraft with its previous position
+     * Several feeds store positions, so each batch only updates the aircraft it contains.
+     */
+    publishMilestones(positions) {
+        const now = Date.now();
+
+        for (const aircraft of positions) {
+            const aircraftId = getAircraftId(aircraft);
+            if (!aircraftId) continue;
+
+            const previous = this.lastPositions.get(aircraftId);
+            this.lastPositions.set(aircraftId, {
+                callsign: aircraft.callsign,
+                onGround: aircraft.on_ground,
+                altitude: aircraft.altitude,
+                seenAt: now
+            });
+            if (!previous) continue;
+
+            let milestone = null;
+            if (previous.onGround && !aircraft.on_ground) {
+                milestone = 'TAKEOFF';
+            } else if (!previous.onGround && aircraft.on_ground) {
+                milestone = 'LANDING';
+            } else if (previous.altitude < MILESTONE_ALTITUDE_FT && aircraft.altitude >= MILESTONE_ALTITUDE_FT) {
+                milestone = 'CLIMB_THROUGH_FL100';
+            } else if (previous.altitude >= MILESTONE_ALTITUDE_FT && aircraft.altitude < MILESTONE_ALTITUDE_FT) {
+                milestone = 'DESCENT_THROUGH_FL100';
+            }
+
+            if (milestone) {
+                eventBus.publish('flight:milestone', {
+                    icao24: aircraft.icao24 || null,
+                    callsign: aircraft.callsign || null,
+                    milestone,
+                    position: {
+                        latitude: aircraft.latitude,
+                        longitude: aircraft.longitude,
+                        altitude: aircraft.altitude,
+                        velocity: aircraft.velocity,
+                        heading: aircraft.heading
+                    }
+                });
+            }
+        }
+
+        // Aircraft gone for longer than their Redis position lives start over when they reappear
+        for (const [aircraftId, previous] of this.lastPositions) {
+            if (now - previous.seenAt > POSITION_TTL_SEC * 1000) {
+                this.lastPositions.delete(aircraftId);
+            }
+        }
+    }
+
+    /**
+     * Record live positions in the flight_telemetry collection
+     * Throttled per aircraft so frequent refreshes don't flood MongoDB, while
+     * every source's aircraft still get recorded
+     */
+    async recordTelemetry(positions, now = Date.now()) {
+        if (!this.TELEMETRY_RECORDING || positions.length === 0) return;
+
+        const due = positions.filter(aircraft => {
+            const aircraftId = getAircraftId(aircraft);
+            if (!aircraftId) return false;
+
+            const last = this.lastTelemetryRecord.get(aircraftId);
+            if (last !== undefined && now - last < this.TELEMETRY_INTERVAL_SEC * 1000) return false;
+
+            this.lastTelemetryRecord.set(aircraftId, now);
+            return true;
+        });
+
+        // Aircraft whose Redis position has expired are gone
+        for (const [aircraftId, last] of this.lastTelemetryRecord) {
+            if (now - last > POSITION_TTL_SEC * 1000) {
+                this.lastTelemetryRecord.delete(aircraftId);
+            }
+        }
+
+        if (due.length === 0) return;
+
+        try {
+            const db = dbManager.getMongoDB();
+
+            const documents = due
+                .map(aircraft => ({
+                    icao24: aircraft.icao24 || null,
+                    flightNumber: aircraft.callsign ? aircraft.callsign.toUpperCase() : null,
+                    timestamp: new Date(aircraft.timestamp || Date.now()),
+                    latitude: aircraft.latitude,
+                    longitude: aircraft.longitude,
+                    altitude: aircraft.altitude,
+                    speed: aircraft.velocity,
+                    heading: aircraft.heading,
+                    verticalRate: aircraft.vertical_rate || 0,
+                    onGround: aircraft.on_ground,
+                    source: aircraft.source || null
+                }));
+
+            await db.collection('flight_telemetry').insertMany(documents);
+        } catch (error) {
+            console.error('Error recording telemetry:', error.message);
         }
     }
 
@@ -98,6 +269,8 @@ class FlightMonitorService {
         const db = dbManager.getMongoDB();
         const collection = db.collection('flight_schedules');
 
+        await this.publishScheduleChanges(collection, schedules);
+
         // Upsert schedules
         const operations = schedules.map(flight => ({
             updateOne: {
@@ -117,63 +290,87 @@ class FlightMonitorService {
         }
     }
 
+    /**
+     * Publish 'flight:status-changed' and 'flight:gate-changed' for schedules
+     * that differ from the stored copy
+     */
+    async publishScheduleChanges(collection, schedules) {
+        try {
+            const stored = await collection
+                .find({ flightNumber: { $in: schedules.map(flight => flight.flightNumber) } },
+                    { projection: { flightNumber: 1, status: 1, departure: 1, arrival: 1 } })
+                .toArray();
+            const previousByNumber = new Map(stored.map(flight => [flight.flightNumber, flight]));
+
+            for (const flight of schedules) {
+                const previous = previousByNumber.get(flight.flightNumber);
+                if (!previous) continue;
+
+                if (flight.status && previous.status !== flight.status) {
+                    eventBus.publish('flight:status-changed', {
+                        flightNumber: flight.flightNumber,
+                        airline: flight.airline || null,
+                        previousStatus: previous.status || null,
+                        status: flight.status
+                    });
+                }
+
+                for (const leg of ['departure', 'arrival']) {
+                    const previousGate = previous[leg]?.gate || null;
+                    const gate = flight[leg]?.gate || null;
+
+                    if (gate && previousGate !== gate) {
+                        eventBus.publish('flight:gate-changed', {
+                            flightNumber: flight.flightNumber,
+                            airline: flight.airline || null,
+                            leg,
+                            airport: flight[leg].iata || flight[leg].airport || null,
+                            previousGate,
+                            gate
+                        });
+                    }
+                }
+            }
+        } catch (error) {
+            console.error('Error detecting schedule changes:', error.message);
+        }
+    }
+
     /**
      * Get all live flights with complete information
-     * Combines OpenSky live positions with AviationStack schedule data
+     * Combines the fused live positions with the latest schedules. Positions
+     * are only fetched here when no feed has reported yet; failures are
+     * thrown rather than replaced with sample data.
      */
     async getLiveFlights() {
         try {
-            console.log('📡 Fetching combined flight data from OpenSky and AviationStack...');
+            if (!positionFusionService.hasReports()) {
+                await this.updateFlightData();
+            }
 
-            // Fetch both live positions and schedules simultaneously
-            const [openSkyFlights, aviationStackFlights] = await Promise.all([
-                apiClient.getOpenSkyFlights(),
-                apiClient.getAviationStackFlights()
-            ]);
+            const liveFlights = positionFusionService.getPositions();
+            const schedules = this.latestSchedules;
 
-            console.log(`📊 OpenSky flights: ${openSkyFlights.length}, AviationStack schedules: ${aviationStackFlights.length}`);
+            console.log(`📊 Live flights: ${liveFlights.length}, schedules: ${schedules.length}`);
 
-            // Create schedule map for enrichment - combine API data with sample schedules
+            // Create schedule map for enrichment
             const scheduleMap = {};
-
-            // Add API schedules first
-            for (const schedule of aviationStackFlights) {
+            for (const schedule of schedules) {
                 const flightNumber = schedule.flightNumber;
                 if (flightNumber) {
                     scheduleMap[flightNumber] = schedule;
                 }
             }
 
-            // Add sample schedules for common callsigns seen in live data
-            const sampleSchedules = this.generateSampleSchedules();
-            for (const schedule of sampleSchedules) {
-                const flightNumber = schedule.flightNumber;
-                if (flightNumber && !scheduleMap[flightNumber]) {
-                    scheduleMap[flightNumber] = schedule;
-                }
-            }
-
-            // Store live positions in Redis for collision detection
-            try {
-                await this.storeLivePositions(openSkyFlights);
-            } catch (err) {
-                console.log('ℹ️  Could not store positions to Redis:', err.message);
-            }
+            // Enrich live flights with schedule data
+            const enrichedFlights = liveFlights.map(flight => {
+                const callsign = displayCallsign(flight);
 
-            // Store schedules in MongoDB
-            try {
-                await this.storeSchedules(aviationStackFlights);
-            } catch (err) {
-                console.log('ℹ️  Could not store schedules to MongoDB:', err.message);
-            }
-
-            // Enrich OpenSky flights with AviationStack schedule data
-            const enrichedFlights = openSkyFlights.map(flight => {
                 // Try to match by callsign first
-                let schedule = scheduleMap[flight.callsign];
+                let schedule = flight.callsign ? scheduleMap[flight.callsign] : null;
 
                 // If no direct match, try to find by partial callsign or registration
-                if (!schedule) {
+                if (!schedule && flight.callsign) {
                     for (const [flightNum, sched] of Object.entries(scheduleMap)) {
                         if (flightNum.includes(flight.callsign.substring(0, 2)) ||
                             sched.aircraft?.registration === flight.callsign) {
@@ -186,7 +383,7 @@ class FlightMonitorService {
                 // If still no match, create a basic schedule from the callsign
                 if (!schedule) {
                     schedule = {
-                        flightNumber: flight.callsign,
+                        flightNumber: callsign,
                         airline: 'Unknown Airline',
                         airlineCode: 'UNK',
                         departure: {
@@ -209,7 +406,7 @@ class FlightMonitorService {
                         },
                         status: 'in-flight',
                         aircraft: {
-                            registration: flight.callsign,
+                            registration: callsign,
                             iata: 'UNK',
                             icao: 'UNK'
                         }
@@ -217,7 +414,8 @@ class FlightMonitorService {
                 }
 
                 return {
-                    callsign: flight.callsign,
+                    icao24: flight.icao24 || null,
+                    callsign,
                     origin_country: flight.origin_country || 'Unknown',
                     position: {
                         latitude: flight.latitude || 0,
@@ -231,12 +429,19 @@ class FlightMonitorService {
                     altitude: flight.altitude || 0,
                     velocity: flight.velocity || 0,
                     heading: flight.heading || 0,
+                    vertical_rate: flight.vertical_rate || 0,
                     on_ground: flight.on_ground || false,
+                    squawk: flight.squawk || null,
+                    category: flight.category || null,
+                    spi: flight.spi || false,
+                    source: flight.source,
+                    age: flight.age,
+                    sources: flight.sources,
                     gate: schedule?.departure?.gate || 'N/A',
                     terminal: schedule?.departure?.terminal || 'N/A',
                     status: this.determineStatusFromOpenSky(flight),
                     schedule: schedule || {
-                        flightNumber: flight.callsign,
+                        flightNumber: callsign,
                         airline: 'Unknown',
                         aircraftType: 'Unknown',
                         aircraft: {},
@@ -252,7 +457,7 @@ class FlightMonitorService {
 
         } catch (error) {
             console.error('Error getting live flights:', error.message);
-            return this.generateSampleFlights();
+            throw error;
         }
     }
 
@@ -272,422 +477,6 @@ class FlightMonitorService {
         return 'climbing';
     }
 
-    /**
-     * Generate sample schedules for enrichment
-     */
-    generateSampleSchedules() {
-        return [
-            {
-                flightNumber: 'LH123',
-                airline: 'Lufthansa',
-                airlineCode: 'LH',
-                departure: {
-                    airport: 'Frankfurt am Main',
-                    iata: 'FRA',
-                    scheduled: new Date(Date.now() + 3600000).toISOString(),
-                    estimated: new Date(Date.now() + 3700000).toISOString(),
-                    terminal: 'Terminal 1',
-                    gate: 'A5'
-                },
-                arrival: {
-                    airport: 'Berlin Brandenburg',
-                    iata: 'BER',
-                    scheduled: new Date(Date.now() + 5400000).toISOString(),
-                    estimated: new Date(Date.now() + 5500000).toISOString(),
-                    terminal: 'Terminal 1',
-                    gate: 'B3'
-                },
-                status: 'active',
-                aircraft: {
-                    registration: 'D-AIDE',
-                    iata: 'A320',
-                    icao: 'A320'
-                }
-            },
-            {
-                flightNumber: 'DL456',
-                airline: 'Delta Air Lines',
-                airlineCode: 'DL',
-                departure: {
-                    airport: 'Frankfurt am Main',
-                    iata: 'FRA',
-                    scheduled: new Date(Date.now() - 3600000).toISOString(),
-                    actual: new Date(Date.now() - 3300000).toISOString(),
-                    terminal: 'Terminal 2',
-                    gate: 'C12'
-                },
-                arrival: {
-                    airport: 'New York John F Kennedy',
-                    iata: 'JFK',
-                    scheduled: new Date(Date.now() + 32400000).toISOString(),
-                    estimated: new Date(Date.now() + 32300000).toISOString(),
-                    terminal: 'Terminal 4',
-                    gate: 'A20'
-                },
-                status: 'active',
-                aircraft: {
-                    registration: 'N123DA',
-                    iata: 'A350',
-                    icao: 'A350'
-                }
-            },
-            {
-                flightNumber: 'BA789',
-                airline: 'British Airways',
-                airlineCode: 'BA',
-                departure: {
-                    airport: 'Frankfurt am Main',
-                    iata: 'FRA',
-                    scheduled: new Date(Date.now() - 1800000).toISOString(),
-                    actual: new Date(Date.now() - 1500000).toISOString(),
-                    terminal: 'Terminal 3',
-                    gate: 'E8'
-                },
-                arrival: {
-                    airport: 'London Heathrow',
-                    iata: 'LHR',
-                    scheduled: new Date(Date.now() + 3600000).toISOString(),
-                    estimated: new Date(Date.now() + 3500000).toISOString(),
-                    terminal: 'Terminal 5',
-                    gate: 'B15'
-                },
-                status: 'active',
-                aircraft: {
-                    registration: 'G-XWBA',
-                    iata: 'B787',
-                    icao: 'B787'
-                }
-            },
-            // Add schedules for common callsigns seen in live data
-            {
-                flightNumber: 'GFA006',
-                airline: 'Gulf Air',
-                airlineCode: 'GF',
-                departure: {
-                    airport: 'Frankfurt am Main',
-                    iata: 'FRA',
-                    scheduled: new Date(Date.now() - 1200000).toISOString(),
-                    actual: new Date(Date.now() - 900000).toISOString(),
-                    terminal: 'Terminal 1',
-                    gate: 'B22'
-                },
-                arrival: {
-                    airport: 'Bahrain International',
-                    iata: 'BAH',
-                    scheduled: new Date(Date.now() + 25200000).toISOString(),
-                    estimated: new Date(Date.now() + 25000000).toISOString(),
-                    terminal: 'Terminal 1',
-                    gate: 'A15'
-                },
-                status: 'active',
-                aircraft: {
-                    registration: 'A9C-??',
-                    iata: 'A320',
-                    icao: 'A320'
-                }
-            },
-            {
-                flightNumber: 'EZY84EL',
-                airline: 'EasyJet',
-                airlineCode: 'U2',
-                departure: {
-                    airport: 'Frankfurt am Main',
-                    iata: 'FRA',
-                    scheduled: new Date(Date.now() - 900000).toISOString(),
-                    actual: new Date(Date.now() - 600000).toISOString(),
-                    terminal: 'Terminal 2',
-                    gate: 'D45'
-                },
-                arrival: {
-                    airport: 'London Gatwick',
-                    iata: 'LGW',
-                    scheduled: new Date(Date.now() + 7200000).toISOString(),
-                    estimated: new Date(Date.now() + 7000000).toISOString(),
-                    terminal: 'Terminal 1',
-                    gate: 'B12'
-                },
-                status: 'active',
-                aircraft: {
-                    registration: 'G-EZ??',
-                    iata: 'A319',
-                    icao: 'A319'
-                }
-            },
-            {
-                flightNumber: 'UAE42',
-                airline: 'Emirates',
-                airlineCode: 'EK',
-                departure: {
-                    airport: 'Frankfurt am Main',
-                    iata: 'FRA',
-                    scheduled: new Date(Date.now() - 1800000).toISOString(),
-                    actual: new Date(Date.now() - 1500000).toISOString(),
-                    terminal: 'Terminal 1',
-                    gate: 'A10'
-                },
-                arrival: {
-                    airport: 'Dubai International',
-                    iata: 'DXB',
-                    scheduled: new Date(Date.now() + 28800000).toISOString(),
-                    estimated: new Date(Date.now() + 28600000).toISOString(),
-                    terminal: 'Terminal 3',
-                    gate: 'A5'
-                },
-                status: 'active',
-                aircraft: {
-                    registration: 'A6-E??',
-                    iata: 'A380',
-                    icao: 'A380'
-                }
-            },
-            {
-                flightNumber: 'THY7MF',
-                airline: 'Turkish Airlines',
-                airlineCode: 'TK',
-                departure: {
-                    airport: 'Frankfurt am Main',
-                    iata: 'FRA',
-                    scheduled: new Date(Date.now() - 2400000).toISOString(),
-                    actual: new Date(Date.now() - 2100000).toISOString(),
-                    terminal: 'Terminal 1',
-                    gate: 'B18'
-                },
-                arrival: {
-                    airport: 'Istanbul Airport',
-                    iata: 'IST',
-                    scheduled: new Date(Date.now() + 14400000).toISOString(),
-                    estimated: new Date(Date.now() + 14200000).toISOString(),
-                    terminal: 'Terminal 1',
-                    gate: 'A22'
-                },
-                status: 'active',
-                aircraft: {
-                    registration: 'TC-J??',
-                    iata: 'B777',
-                    icao: 'B777'
-                }
-            },
-            {
-                flightNumber: 'BCS39G',
-                airline: 'European Air Transport',
-                airlineCode: 'BCS',
-                departure: {
-                    airport: 'Frankfurt am Main',
-                    iata: 'FRA',
-                    scheduled: new Date(Date.now() - 300000).toISOString(),
-                    actual: new Date(Date.now() - 100000).toISOString(),
-                    terminal: 'Terminal 2',
-                    gate: 'C8'
-                },
-                arrival: {
-                    airport: 'Leipzig Halle',
-                    iata: 'LEJ',
-                    scheduled: new Date(Date.now() + 3600000).toISOString(),
-                    estimated: new Date(Date.now() + 3400000).toISOString(),
-                    terminal: 'Terminal 1',
-                    gate: 'A3'
-                },
-                status: 'active',
-                aircraft: {
-                    registration: 'D-AT??',
-                    iata: 'AT75',
-                    icao: 'AT75'
-                }
-            },
-            // Additional schedules for live callsigns seen in data
-            {
-                flightNumber: 'AIC2016',
-                airline: 'Air India Cargo',
-                airlineCode: 'AIC',
-                departure: {
-                    airport: 'Frankfurt am Main',
-                    iata: 'FRA',
-                    scheduled: new Date(Date.now() - 1800000).toISOString(),
-                    actual: new Date(Date.now() - 1500000).toISOString(),
-                    terminal: 'Terminal 1',
-                    gate: 'B10'
-                },
-                arrival: {
-                    airport: 'Delhi Indira Gandhi',
-                    iata: 'DEL',
-                    scheduled: new Date(Date.now() + 43200000).toISOString(),
-                    estimated: new Date(Date.now() + 43000000).toISOString(),
-                    terminal: 'Terminal 3',
-                    gate: 'D12'
-                },
-                status: 'active',
-                aircraft: {
-                    registration: 'VT-??',
-                    iata: 'B777',
-                    icao: 'B777'
-                }
-            },
-            {
-                flightNumber: 'BCS9TC',
-                airline: 'European Air Transport',
-                airlineCode: 'BCS',
-                departure: {
-                    airport: 'Frankfurt am Main',
-                    iata: 'FRA',
-                    scheduled: new Date(Date.now() - 600000).toISOString(),
-                    actual: new Date(Date.now() - 300000).toISOString(),
-                    terminal: 'Terminal 2',
-                    gate: 'C15'
-                },
-                arrival: {
-                    airport: 'Cologne Bonn',
-                    iata: 'CGN',
-                    scheduled: new Date(Date.now() + 1800000).toISOString(),
-                    estimated: new Date(Date.now() + 1600000).toISOString(),
-                    terminal: 'Terminal 1',
-                    gate: 'B5'
-                },
-                status: 'active',
-                aircraft: {
-                    registration: 'D-AT??',
-                    iata: 'AT75',
-                    icao: 'AT75'
-                }
-            },
-            {
-                flightNumber: 'MBU8TN',
-                airline: 'CargoLogic Germany',
-                airlineCode: 'MBU',
-                departure: {
-                    airport: 'Frankfurt am Main',
-                    iata: 'FRA',
-                    scheduled: new Date(Date.now() - 900000).toISOString(),
-                    actual: new Date(Date.now() - 600000).toISOString(),
-                    terminal: 'Terminal 2',
-                    gate: 'D20'
-                },
-                arrival: {
-                    airport: 'East Midlands',
-                    iata: 'EMA',
-                    scheduled: new Date(Date.now() + 7200000).toISOString(),
-                    estimated: new Date(Date.now() + 7000000).toISOString(),
-                    terminal: 'Terminal 1',
-                    gate: 'A8'
-                },
-                status: 'active',
-                aircraft: {
-                    registration: 'D-A??',
-                    iata: 'B757',
-                    icao: 'B757'
-                }
-            },
-            {
-                flightNumber: 'FDX4293',
-                airline: 'FedEx Express',
-                airlineCode: 'FDX',
-                departure: {
-                    airport: 'Frankfurt am Main',
-                    iata: 'FRA',
-                    scheduled: new Date(Date.now() - 1200000).toISOString(),
-                    actual: new Date(Date.now() - 900000).toISOString(),
-                    terminal: 'Terminal 1',
-                    gate: 'A25'
-                },
-                arrival: {
-                    airport: 'Paris Charles de Gaulle',
-                    iata: 'CDG',
-                    scheduled: new Date(Date.now() + 5400000).toISOString(),
-                    estimated: new Date(Date.now() + 5200000).toISOString(),
-                    terminal: 'Terminal 2F',
-                    gate: 'K12'
-                },
-                status: 'active',
-                aircraft: {
-                    registration: 'N4??',
-                    iata: 'B777',
-                    icao: 'B777'
-                }
-            },
-            {
-                flightNumber: 'MPH9172',
-                airline: 'Martinair Cargo',
-                airlineCode: 'MPH',
-                departure: {
-                    airport: 'Frankfurt am Main',
-                    iata: 'FRA',
-                    scheduled: new Date(Date.now() - 1500000).toISOString(),
-                    actual: new Date(Date.now() - 1200000).toISOString(),
-                    terminal: 'Terminal 1',
-                    gate: 'B30'
-                },
-                arrival: {
-                    airport: 'Amsterdam Schiphol',
-                    iata: 'AMS',
-                    scheduled: new Date(Date.now() + 3600000).toISOString(),
-                    estimated: new Date(Date.now() + 3400000).toISOString(),
-                    terminal: 'Terminal 1',
-                    gate: 'D18'
-                },
-                status: 'active',
-                aircraft: {
-                    registration: 'PH-M??',
-                    iata: 'B747',
-                    icao: 'B747'
-                }
-            }
-        ];
-    }
-
-    /**
-     * Generate sample flights for demo/testing
-     */
-    generateSampleFlights() {
-        return [
-            {
-                callsign: 'LH123',
-                position: {
-                    latitude: 50.0379,
-                    longitude: 8.5622,
-                    altitude: 8000,
-                    velocity: 180,
-                    heading: 90
-                },
-                latitude: 50.0379,
-                longitude: 8.5622,
-                altitude: 8000,
-                velocity: 180,
-                heading: 90,
-                on_ground: false,
-                gate: 'A5',
-                terminal: 'Terminal 1',
-                status: 'taxiing',
-                schedule: {
-                    flightNumber: 'LH123',
-                    airline: 'Lufthansa',
-                    airlineCode: 'LH',
-                    departure: {
-                        airport: 'Frankfurt am Main',
-                        iata: 'FRA',
-                        scheduled: new Date(Date.now() + 3600000).toISOString(),
-                        estimated: new Date(Date.now() + 3700000).toISOString(),
-                        terminal: 'Terminal 1',
-                        gate: 'A5'
-                    },
-                    arrival: {
-                        airport: 'Berlin Brandenburg',
-                        iata: 'BER',
-                        scheduled: new Date(Date.now() + 5400000).toISOString(),
-                        estimated: new Date(Date.now() + 5500000).toISOString(),
-                        terminal: 'Terminal 1',
-                        gate: 'B3'
-                    },
-                    status: 'active',
-                    aircraft: {
-                        registration: 'D-AIDE',
-                        iata: 'A320',
-                        icao: 'A320'
-                    }
-                },
-                last_update: new Date().toISOString()
-            }
-        ];
-    }
-
     /**
      * Get gate assignment from Neo4j
      */
@@ -777,7 +566,7 @@ class FlightMonitorService {
     }
 
     /**
-     * Get specific flight details
+     * Get specific flight details by callsign/flight number or icao24
      */
     async getFlightDetails(flightNumber) {
         try {
@@ -785,24 +574,28 @@ class FlightMonitorService {
 
             const trimmed = (flightNumber || '').toString().trim();
 
-            // Try exact Redis key first
+            // Resolve the identifier (icao24 or current callsign) first
             let data = null;
             try {
-                const exactKey = `aircraft:${trimmed}:position`;
-                const exact = await redis.hGetAll(exactKey);
-                if (exact && Object.keys(exact).length > 0) {
-                    data = exact;
+                const identity = await aircraftIdentityService.resolve(trimmed);
+                if (identity) {
+                    data = identity.position;
                 }
             } catch (e) {
                 // ignore
             }
 
-            // If exact not found, try wildcard search (keys containing the callsign)
-            if (!data) {
+            // If exact not found, look for a current callsign containing the identifier
+            if (!data && trimmed) {
                 try {
-                    const keys = await redis.keys(`aircraft:*${trimmed}*:position`);
-                    if (keys && keys.length > 0) {
-                        data = await redis.hGetAll(keys[0]);
+                    const escaped = trimmed.toUpperCase().replace(/[*?[\]\\]/g, '\\$&');
+                    for await (const key of redis.scanIterator({ MATCH: callsignIndexKey(`*${escaped}*`), COUNT: 100 })) {
+                        const aircraftId = await redis.get(key);
+                        const position = aircraftId ? await redis.hGetAll(positionKey(aircraftId)) : null;
+                        if (position && Object.keys(position).length > 0) {
+                            data = position;
+                            break;
+                        }
                     }
                 } catch (e) {
                     // ignore
@@ -811,7 +604,7 @@ class FlightMonitorService {
 
             // If we have live data, enrich and return
             if (data && Object.keys(data).length > 0) {
-                const callsign = (data.callsign || trimmed).toString().trim();
+                const callsign = (data.callsign || data.icao24 || trimmed).toString().trim();
                 const gateInfo = await this.getGateAssignment(callsign);
                 const schedule = await this.getFlightSchedule(callsign);
 
@@ -825,6 +618,7 @@ class FlightMonitorService {
                 };
 
                 return {
+                    icao24: data.icao24 || null,
                     callsign,
                     position: {
                         latitude: parseFloat(data.latitude) || 0,
@@ -834,6 +628,9 @@ class FlightMonitorService {
                         heading: parseFloat(data.heading) || 0
                     },
                     on_ground: (data.on_ground === 'true' || data.on_ground === true),
+                    squawk: data.squawk || null,
+                    spi: data.spi === 'true',
+                    source: data.source || null,
                     gate: gateInfo?.gate || data.gate || scheduleFallback.departure?.gate || null,
                     terminal: gateInfo?.terminal || scheduleFallback.departure?.terminal || null,
                     status: this.determineStatus(data, schedule),
@@ -846,6 +643,7 @@ class FlightMonitorService {
             const schedule = await this.getFlightSchedule(trimmed);
             if (schedule) {
                 return {
+                    icao24: null,
                     callsign: trimmed,
                     position: null,
                     status: schedule.status || 'scheduled',
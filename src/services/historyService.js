@@ -189,6 +189,55 @@ class HistoryService {
         }
     }
 
+    /**
+     * Get speed restriction violations grouped by airline
+     */
+    async getSpeedViolationsByAirline(startDate, endDate) {
+        try {
+            const db = dbManager.getMongoDB();
+
+            const stats = await db.collection('speed_violations').aggregate([
+                {
+                    $match: {
+                        startedAt: {
+                            $gte: new Date(startDate),
+                            $lte: new Date(endDate)
+                        }
+                    }
+                },
+                {
+                    $group: {
+                        _id: '$airline',
+                        violations: { $sum: 1 },
+                        flights: { $addToSet: '$callsign' },
+                        totalDurationSec: { $sum: '$durationSec' },
+                        avgDurationSec: { $avg: '$durationSec' },
+                        avgPeakExcessKt: { $avg: '$peakExcessKt' },
+                        maxPeakExcessKt: { $max: '$peakExcessKt' },
+                        rules: { $addToSet: '$ruleName' }
+                    }
+                },
+                {
+                    $sort: { violations: -1 }
+                }
+            ]).toArray();
+
+            return stats.map(s => ({
+                airline: s._id,
+                violations: s.violations,
+                flights: s.flights.length,
+                totalDurationSec: s.totalDurationSec,
+                averageDurationSec: Math.round(s.avgDurationSec || 0),
+                averagePeakExcessKt: Math.round(s.avgPeakExcessKt || 0),
+                maxPeakExcessKt: s.maxPeakExcessKt,
+                rules: s.rules
+            }));
+        } catch (error) {
+            console.error('Error getting speed violations by airline:', error);
+            throw error;
+        }
+    }
+
     /**
      * Export flight history to CSV format
      */
@@ -0,0 +1,485 @@
+/**
+ * Incident Service
+ *
+ * Promotes an alert center alert to an incident (occurrence report) that
+ * captures the telemetry of every involved aircraft for a window around the
+ * alert, the alert timeline, related alerts and operator notes. Incidents
+ * export as a JSON bundle or a self-contained, print-ready HTML report.
+ */
+
+const crypto = require('crypto');
+const dbManager = require('../config/database');
+const alertCenterService = require('./alertCenterService');
+
+const STATUSES = ['open', 'under-review', 'closed'];
+
+function escapeHtml(value) {
+    return String(value === null || value === undefined ? '' : value)
+        .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+class IncidentService {
+    constructor() {
+        this.WINDOW_BEFORE_SEC = parseInt(process.env.INCIDENT_WINDOW_BEFORE_SEC || '300');
+        this.WINDOW_AFTER_SEC = parseInt(process.env.INCIDENT_WINDOW_AFTER_SEC || '300');
+    }
+
+    /**
+     * Create an incident from an alert
+     */
+    async promoteAlert(alertId, { title, createdBy, notes, windowBeforeSec, windowAfterSec } = {}) {
+        if (!alertId) {
+            throw this.validationError('alertId is required');
+        }
+
+        const alert = await alertCenterService.getAlert(alertId);
+        if (!alert) return null;
+
+        const db = dbManager.getMongoDB();
+        const collection = db.collection('incidents');
+
+        const existing = await collection.findOne({ alertId });
+        if (existing) {
+            throw this.alreadyPromotedError(existing.incidentId);
+        }
+
+        const before = windowBeforeSec !== undefined ? Number(windowBeforeSec) : this.WINDOW_BEFORE_SEC;
+        const after = windowAfterSec !== undefined ? Number(windowAfterSec) : this.WINDOW_AFTER_SEC;
+        if (!(before >= 0) || !(after >= 0)) {
+            throw this.validationError('windowBeforeSec and windowAfterSec must be non-negative numbers');
+        }
+
+        const end = alert.resolvedAt || alert.lastSeen || alert.timestamp;
+        const window = {
+            start: new Date(new Date(alert.timestamp).getTime() - before * 1000),
+            end: new Date(new Date(end).getTime() + after * 1000)
+        };
+        const callsigns = alert.aircraft.map(a => a.callsign).filter(Boolean);
+
+        const now = new Date();
+        const incident = {
+            incidentId: `incident-${crypto.randomUUID()}`,
+            title: title || `${alert.worstSeverity} ${alert.type} - ${callsigns.join(' / ')}`,
+            summary: null,
+            status: 'open',
+            severity: alert.worstSeverity,
+            alertId,
+            alert,
+            callsigns,
+            window,
+            telemetry: await this.captureTelemetry(alert.aircraft, window),
+            telemetryCapturedAt: now,
+            relatedAlerts: await this.getRelatedAlerts(alert, window),
+            notes: notes ? [this.buildNote(createdBy, notes)] : [],
+            createdBy: createdBy || null,
+            createdAt: now,
+            updatedAt: now
+        };
+
+        try {
+            await collection.insertOne({ ...incident });
+        } catch (error) {
+            // A concurrent promotion of the same alert won the unique alertId index
+            if (error.code === 11000) {
+                const winner = await collection.findOne({ alertId });
+                throw this.alreadyPromotedError(winner ? winner.incidentId : null);
+            }
+            throw error;
+        }
+        await alertCenterService.linkIncident(alertId, incident.incidentId);
+
+        console.log(`📝 Alert ${alertId} promoted to ${incident.incidentId}`);
+        return this.withTimeline(incident);
+    }
+
+    /**
+     * Telemetry of each aircraft within the window, by callsign
+     * Aircraft with an icao24 are matched on it, so points logged under an
+     * earlier callsign are included.
+     */
+    async captureTelemetry(aircraft, window) {
+        const telemetry = {};
+        const tracked = aircraft.filter(a => a.callsign);
+        if (tracked.length === 0) return telemetry;
+
+        const icao24s = tracked.map(a => a.icao24).filter(Boolean);
+        const callsigns = tracked.filter(a => !a.icao24).map(a => a.callsign);
+
+        const db = dbManager.getMongoDB();
+        const points = await db.collection('flight_telemetry')
+            .find(
+                {
+                    $or: [{ icao24: { $in: icao24s } }, { flightNumber: { $in: callsigns } }],
+                    timestamp: { $gte: window.start, $lte: window.end }
+                },
+                { projection: { _id: 0 } }
+            )
+            .sort({ timestamp: 1 })
+            .toArray();
+
+        for (const a of tracked) {
+            telemetry[a.callsign] = [];
+        }
+        for (const point of points) {
+            const { flightNumber, ...rest } = point;
+            const owner = tracked.find(a => (a.icao24 && a.icao24 === point.icao24) || a.callsign === flightNumber);
+            const key = owner ? owner.callsign : flightNumber;
+            (telemetry[key] = telemetry[key] || []).push({ ...rest, callsign: flightNumber });
+        }
+
+        return telemetry;
+    }
+
+    /**
+     * Other alerts involving the same aircraft during the window
+     */
+    async getRelatedAlerts(alert, window) {
+        const callsigns = alert.aircraft.map(a => a.callsign).filter(Boolean);
+        const icao24s = alert.aircraft.map(a => a.icao24).filter(Boolean);
+        if (callsigns.length === 0 && icao24s.length === 0) return [];
+
+        const db = dbManager.getMongoDB();
+        const alerts = await db.collection('alerts')
+            .find({
+                alertId: { $ne: alert.alertId },
+                $or: [{ 'aircraft.icao24': { $in: icao24s } }, { 'aircraft.callsign': { $in: callsigns } }],
+                timestamp: { $gte: window.start, $lte: window.end }
+            })
+            .sort({ timestamp: 1 })
+            .toArray();
+
+        return alerts.map(related => ({
+            alertId: related.alertId,
+            source: related.source,
+            type: related.type,
+            severity: related.worstSeverity,
+            status: related.status,
+            message: related.message,
+            callsigns: related.aircraft.map(a => a.callsign),
+            timestamp: related.timestamp,
+            resolvedAt: related.resolvedAt
+        }));
+    }
+
+    /**
+     * Chronological timeline of the alert lifecycle, related alerts and notes
+     */
+    buildTimeline(incident) {
+        const alert = incident.alert;
+        const entries = [
+            { time: alert.timestamp, event: 'Alert opened', detail: `${alert.severity} ${alert.type}${alert.message ? ` - ${alert.message}` : ''}` }
+        ];
+
+        if (alert.acknowledgedAt) {
+            entries.push({ time: alert.acknowledgedAt, event: 'Alert acknowledged', detail: alert.acknowledgedBy || '' });
+        }
+        for (const comment of alert.comments || []) {
+            entries.push({ time: comment.timestamp, event: 'Alert comment', detail: `${comment.author}: ${comment.text}` });
+        }
+        if (alert.resolvedAt) {
+            entries.push({ time: alert.resolvedAt, event: 'Alert resolved', detail: [alert.resolution, alert.resolvedBy].filter(Boolean).join(' - ') });
+        } else {
+            entries.push({ time: alert.lastSeen, event: 'Alert last reported', detail: `worst severity ${alert.worstSeverity}, ${alert.occurrences} report(s)` });
+        }
+        for (const related of incident.relatedAlerts || []) {
+            entries.push({ time: related.timestamp, event: 'Related alert', detail: `${related.severity} ${related.type} (${related.callsigns.join(' / ')})` });
+        }
+        entries.push({ time: incident.createdAt, event: 'Incident created', detail: incident.createdBy || '' });
+        for (const note of incident.notes || []) {
+            entries.push({ time: note.timestamp, event: 'Note', detail: `${note.author}: ${note.text}` });
+        }
+
+        return entries.sort((a, b) => new Date(a.time) - new Date(b.time));
+    }
+
+    withTimeline(incident) {
+        const { _id, ...rest } = incident;
+        return { ...rest, timeline: this.buildTimeline(incident) };
+    }
+
+    /**
+     * List incidents without their telemetry, newest first
+     */
+    async getIncidents(status = null, limit = 50) {
+        const query = {};
+        if (status) query.status = status;
+
+        const db = dbManager.getMongoDB();
+        return await db.collection('incidents')
+            .find(query, { projection: { _id: 0, telemetry: 0, alert: 0 } })
+            .sort({ createdAt: -1 })
+            .limit(limit)
+            .toArray();
+    }
+
+    async getIncident(incidentId) {
+        const db = dbManager.getMongoDB();
+        const incident = await db.collection('incidents').findOne({ incidentId });
+        return incident ? this.withTimeline(incident) : null;
+    }
+
+    /**
+     * Update title, summary or status
+     */
+    async updateIncident(incidentId, { title, summary, status } = {}) {
+        const update = { updatedAt: new Date() };
+
+        if (title !== undefined) update.title = title;
+        if (summary !== undefined) update.summary = summary;
+        if (status !== undefined) {
+            if (!STATUSES.includes(status)) {
+                throw this.validationError(`status must be one of ${STATUSES.join(', ')}`);
+            }
+            update.status = status;
+        }
+
+        const db = dbManager.getMongoDB();
+        const result = await db.collection('incidents').updateOne({ incidentId }, { $set: update });
+        if (result.matchedCount === 0) return null;
+
+        return await this.getIncident(incidentId);
+    }
+
+    /**
+     * Add an operator note
+     */
+    async addNote(incidentId, author, text) {
+        const note = this.buildNote(author, text);
+
+        const db = dbManager.getMongoDB();
+        const result = await db.collection('incidents').updateOne(
+            { incidentId },
+            { $push: { notes: note }, $set: { updatedAt: note.timestamp } }
+        );
+
+        return result.matchedCount > 0 ? note : null;
+    }
+
+    buildNote(author, text) {
+        if (!text || !text.toString().trim()) {
+            throw this.validationError('Note text is required');
+        }
+
+        return {
+            author: author || 'anonymous',
+            text: text.toString().trim(),
+            timestamp: new Date()
+        };
+    }
+
+    /**
+     * Capture telemetry and related alerts again, e.g. once the window after
+     * the alert has passed
+     */
+    async recapture(incidentId) {
+        const db = dbManager.getMongoDB();
+        const incident = await db.collection('incidents').findOne({ incidentId });
+        if (!incident) return null;
+
+        const alert = await alertCenterService.getAlert(incident.alertId) || incident.alert;
+        const now = new Date();
+
+        await db.collection('incidents').updateOne(
+            { incidentId },
+            {
+                $set: {
+                    alert,
+                    telemetry: await this.captureTelemetry(incident.alert.aircraft, incident.window),
+                    relatedAlerts: await this.getRelatedAlerts(alert, incident.window),
+                    telemetryCapturedAt: now,
+                    updatedAt: now
+                }
+            }
+        );
+
+        return await this.getIncident(incidentId);
+    }
+
+    /**
+     * JSON bundle with everything needed to review the incident offline
+     */
+    async exportJson(incidentId) {
+        const incident = await this.getIncident(incidentId);
+        if (!incident) return null;
+
+        return {
+            format: 'incident-bundle',
+            version: 1,
+            exportedAt: new Date(),
+            incident
+        };
+    }
+
+    /**
+     * Self-contained HTML report (inline styles and SVG, print-ready for PDF)
+     */
+    async exportHtml(incidentId) {
+        const incident = await this.getIncident(incidentId);
+        if (!incident) return null;
+
+        const escape = escapeHtml;
+        const time = value => value ? new Date(value).toISOString().replace('T', ' ').replace(/\.\d+Z$/, 'Z') : '';
+        const number = (value, digits = 0) => typeof value === 'number' ? value.toFixed(digits) : '';
+
+        const aircraftRows = incident.alert.aircraft.map(a => `
+            <tr><td>${escape(a.callsign)}</td><td>${number(a.latitude, 4)}, ${number(a.longitude, 4)}</td>
+            <td>${number(a.altitude)}</td><td>${number(a.velocity)}</td><td>${number(a.heading)}</td>
+            <td>${(incident.telemetry[a.callsign] || []).length}</td></tr>`).join('');
+
+        const timelineRows = incident.timeline.map(entry => `
+            <tr><td>${time(entry.time)}</td><td>${escape(entry.event)}</td><td>${escape(entry.detail)}</td></tr>`).join('');
+
+        const telemetrySections = Object.entries(incident.telemetry).map(([callsign, points]) => `
+            <h3>${escape(callsign)}</h3>
+            ${points.length === 0 ? '<p class="muted">No telemetry recorded in the window.</p>' : `
+            <table>
+                <tr><th>Time</th><th>Position</th><th>Altitude (ft)</th><th>Speed (kt)</th><th>Heading</th><th>V/S (ft/min)</th></tr>
+                ${points.map(p => `
+                <tr><td>${time(p.timestamp)}</td><td>${number(p.latitude, 4)}, ${number(p.longitude, 4)}</td>
+                <td>${number(p.altitude)}</td><td>${number(p.speed)}</td><td>${number(p.heading)}</td><td>${number(p.verticalRate)}</td></tr>`).join('')}
+            </table>`}`).join('');
+
+        const notes = incident.notes.length === 0 ? '<p class="muted">No notes.</p>' : incident.notes.map(note => `
+            <div class="note"><strong>${escape(note.author)}</strong> <span class="muted">${time(note.timestamp)}</span><p>${escape(note.text)}</p></div>`).join('');
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${escape(incident.incidentId)} - ${escape(incident.title)}</title>
+<style>
+    body { font-family: Arial, Helvetica, sans-serif; color: #1a1a1a; margin: 2rem; font-size: 13px; }
+    h1 { font-size: 20px; margin-bottom: 0.2rem; }
+    h2 { font-size: 16px; border-bottom: 2px solid #1e3a5f; padding-bottom: 0.2rem; margin-top: 1.8rem; }
+    h3 { font-size: 14px; margin-bottom: 0.3rem; }
+    table { border-collapse: collapse; width: 100%; margin-bottom: 1rem; }
+    th, td { border: 1px solid #ccc; padding: 4px 6px; text-align: left; vertical-align: top; }
+    th { background: #eef2f7; }
+    .muted { color: #666; }
+    .severity { display: inline-block; padding: 2px 8px; border-radius: 3px; color: #fff; background: #c0392b; }
+    .severity.WARNING, .severity.MEDIUM { background: #d68910; }
+    .severity.LOW { background: #2874a6; }
+    .summary td:first-child { width: 180px; font-weight: bold; }
+    .note { border-left: 3px solid #1e3a5f; padding-left: 0.6rem; margin-bottom: 0.8rem; }
+    .chart { border: 1px solid #ccc; margin-bottom: 1rem; }
+    @page { size: A4; margin: 15mm; }
+    @media print { body { margin: 0; } h2 { page-break-after: avoid; } table { page-break-inside: auto; } tr { page-break-inside: avoid; } }
+</style>
+</head>
+<body>
+<h1>Occurrence Report: ${escape(incident.title)}</h1>
+<p class="muted">${escape(incident.incidentId)} &middot; generated ${time(new Date())}</p>
+
+<h2>Summary</h2>
+<table class="summary">
+    <tr><td>Severity</td><td><span class="severity ${escape(incident.severity)}">${escape(incident.severity)}</span></td></tr>
+    <tr><td>Status</td><td>${escape(incident.status)}</td></tr>
+    <tr><td>Alert</td><td>${escape(incident.alert.type)} (${escape(incident.alert.source)}) - ${escape(incident.alert.message)}</td></tr>
+    <tr><td>Alert ID</td><td>${escape(incident.alertId)}</td></tr>
+    <tr><td>Aircraft</td><td>${escape(incident.callsigns.join(', '))}</td></tr>
+    <tr><td>Telemetry window</td><td>${time(incident.window.start)} - ${time(incident.window.end)}</td></tr>
+    <tr><td>Created</td><td>${time(incident.createdAt)}${incident.createdBy ? ` by ${escape(incident.createdBy)}` : ''}</td></tr>
+    <tr><td>Description</td><td>${escape(incident.summary) || '<span class="muted">-</span>'}</td></tr>
+</table>
+
+<h2>Aircraft at time of alert</h2>
+<table>
+    <tr><th>Callsign</th><th>Position</th><th>Altitude (ft)</th><th>Speed (kt)</th><th>Heading</th><th>Telemetry points</th></tr>
+    ${aircraftRows}
+</table>
+
+<h2>Tracks</h2>
+${this.renderTrackSvg(incident.telemetry)}
+${this.renderAltitudeSvg(incident.telemetry, incident.alert.timestamp)}
+
+<h2>Timeline</h2>
+<table>
+    <tr><th>Time (UTC)</th><th>Event</th><th>Detail</th></tr>
+    ${timelineRows}
+</table>
+
+<h2>Operator notes</h2>
+${notes}
+
+<h2>Telemetry</h2>
+${telemetrySections}
+</body>
+</html>
+`;
+    }
+
+    /**
+     * Plan view of each aircraft's track as inline SVG
+     */
+    renderTrackSvg(telemetry) {
+        const tracks = Object.entries(telemetry).filter(([, points]) => points.length > 0);
+        if (tracks.length === 0) return '<p class="muted">No telemetry to plot.</p>';
+
+        const all = tracks.flatMap(([, points]) => points);
+        const bounds = this.getBounds(all.map(p => p.longitude), all.map(p => p.latitude));
+
+        return this.renderSvg('Ground track (north up)', tracks, bounds,
+            p => p.longitude, p => p.latitude);
+    }
+
+    /**
+     * Altitude over time for each aircraft, with the alert time marked
+     */
+    renderAltitudeSvg(telemetry, alertTime) {
+        const tracks = Object.entries(telemetry).filter(([, points]) => points.length > 0);
+        if (tracks.length === 0) return '';
+
+        const all = tracks.flatMap(([, points]) => points);
+        const times = all.map(p => new Date(p.timestamp).getTime());
+        const bounds = this.getBounds(times.concat(new Date(alertTime).getTime()), all.map(p => p.altitude));
+
+        return this.renderSvg('Altitude (ft) over time', tracks, bounds,
+            p => new Date(p.timestamp).getTime(), p => p.altitude, new Date(alertTime).getTime());
+    }
+
+    getBounds(xs, ys) {
+        const pad = (min, max) => (max - min) * 0.05 || 1;
+        const [minX, maxX, minY, maxY] = [Math.min(...xs), Math.max(...xs), Math.min(...ys), Math.max(...ys)];
+        return {
+            minX: minX - pad(minX, maxX), maxX: maxX + pad(minX, maxX),
+            minY: minY - pad(minY, maxY), maxY: maxY + pad(minY, maxY)
+        };
+    }
+
+    renderSvg(title, tracks, bounds, getX, getY, markerX = null) {
+        const width = 700;
+        const height = 280;
+        const colors = ['#c0392b', '#2874a6', '#1e8449', '#7d3c98', '#d68910'];
+        const x = value => ((value - bounds.minX) / (bounds.maxX - bounds.minX) * width).toFixed(1);
+        const y = value => (height - (value - bounds.minY) / (bounds.maxY - bounds.minY) * height).toFixed(1);
+
+        const lines = tracks.map(([callsign, points], i) => {
+            const color = colors[i % colors.length];
+            const path = points.map(p => `${x(getX(p))},${y(getY(p))}`).join(' ');
+            const last = points[points.length - 1];
+            return `<polyline points="${path}" fill="none" stroke="${color}" stroke-width="2"/>
+                <text x="${x(getX(last))}" y="${y(getY(last))}" dx="4" dy="-4" font-size="11" fill="${color}">${escapeHtml(callsign)}</text>`;
+        }).join('');
+
+        const marker = markerX === null ? '' :
+            `<line x1="${x(markerX)}" y1="0" x2="${x(markerX)}" y2="${height}" stroke="#666" stroke-dasharray="4 3"/>
+            <text x="${x(markerX)}" y="12" dx="4" font-size="11" fill="#666">alert</text>`;
+
+        return `<p><strong>${title}</strong></p>
+<svg class="chart" xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">${marker}${lines}</svg>`;
+    }
+
+    alreadyPromotedError(incidentId) {
+        const error = new Error(`Alert already promoted to incident ${incidentId}`);
+        error.status = 409;
+        return error;
+    }
+
+    validationError(message) {
+        const error = new Error(message);
+        error.status = 400;
+        return error;
+    }
+}
+
+module.exports = new IncidentService();
@@ -0,0 +1,488 @@
+/**
+ * Notification Service
+ *
+ * Routes alert center alerts to notification channels according to the
+ * policies in the notification_policies collection:
+ *   policyId, name, enabled,
+ *   match: { sources, types, severities }   (empty or missing = any)
+ *   channels: [{ type: 'email', to: [...] } | { type: 'webhook', url } | { type: 'browser' }]
+ *   escalation: { afterSec, severities, channels }   (optional)
+ * An alert whose severity rises is sent to the policies that match it only
+ * at the new severity. Alerts still open (unacknowledged) after
+ * escalation.afterSec are sent to each escalation channel until one delivery
+ * succeeds; failed channels are retried with exponential backoff, at most
+ * ESCALATION_MAX_ATTEMPTS times. Every delivery attempt is logged in
+ * notification_deliveries.
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const nodemailer = require('nodemailer');
+const dbManager = require('../config/database');
+const eventBus = require('../utils/eventBus');
+
+const CHANNEL_TYPES = ['email', 'webhook', 'browser'];
+const SEVERITIES = ['CRITICAL', 'HIGH', 'MEDIUM', 'WARNING', 'LOW'];
+
+class NotificationService {
+    constructor() {
+        this.REFRESH_SEC = parseInt(process.env.NOTIFICATION_POLICIES_REFRESH_SEC || '60');
+        this.WEBHOOK_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS || '5000');
+        this.ESCALATION_MAX_ATTEMPTS = parseInt(process.env.NOTIFICATION_ESCALATION_MAX_ATTEMPTS || '5');
+        this.ESCALATION_RETRY_BASE_SEC = parseInt(process.env.NOTIFICATION_ESCALATION_RETRY_BASE_SEC || '60');
+        this.ESCALATION_RETRY_MAX_SEC = parseInt(process.env.NOTIFICATION_ESCALATION_RETRY_MAX_SEC || '3600');
+        this.smtp = {
+            host: process.env.SMTP_HOST || 'localhost',
+            port: parseInt(process.env.SMTP_PORT || '2525'),
+            secure: process.env.SMTP_SECURE === 'true',
+            user: process.env.SMTP_USER || null,
+            pass: process.env.SMTP_PASS || null,
+            from: process.env.SMTP_FROM || 'alerts@airport.local'
+        };
+        this.checkInterval = null;
+        this.transporter = null;
+        this.policies = [];
+        this.lastLoaded = 0;
+        this.onOpened = event => {
+            this.notify(event.payload).catch(error => console.error('Error sending notifications:', error.message));
+        };
+        this.onSeverityRaised = event => {
+            this.notifyUpgrade(event.payload).catch(error => console.error('Error sending notifications:', error.message));
+        };
+    }
+
+    /**
+     * Route newly opened alerts and periodically escalate unacknowledged ones
+     */
+    startMonitoring() {
+        const interval = parseInt(process.env.NOTIFICATION_ESCALATION_INTERVAL || '30') * 1000;
+
+        console.log(`📣 Starting alert notifications (escalation check every ${interval / 1000}s)`);
+
+        eventBus.on('alert:opened', this.onOpened);
+        eventBus.on('alert:severity-raised', this.onSeverityRaised);
+
+        this.checkInterval = setInterval(() => {
+            this.checkEscalations().catch(error => console.error('Error escalating alerts:', error.message));
+        }, interval);
+    }
+
+    /**
+     * Stop monitoring
+     */
+    stopMonitoring() {
+        eventBus.off('alert:opened', this.onOpened);
+        eventBus.off('alert:severity-raised', this.onSeverityRaised);
+
+        if (this.checkInterval) {
+            clearInterval(this.checkInterval);
+            console.log('⏹️  Alert notifications stopped');
+        }
+    }
+
+    /**
+     * Reload policies from MongoDB if the cache is stale
+     */
+    async refresh(force = false) {
+        if (!force && Date.now() - this.lastLoaded < this.REFRESH_SEC * 1000) {
+            return;
+        }
+
+        try {
+            const db = dbManager.getMongoDB();
+            this.policies = await db.collection('notification_policies').find({}, { projection: { _id: 0 } }).toArray();
+        } catch (error) {
+            console.error('Error loading notification policies:', error.message);
+        }
+
+        this.lastLoaded = Date.now();
+    }
+
+    /**
+     * Whether a policy applies to an alert
+     */
+    matches(policy, alert) {
+        if (policy.enabled === false) return false;
+
+        const match = policy.match || {};
+        const severity = alert.worstSeverity || alert.severity;
+        const includes = (list, value) => !list || list.length === 0 || list.includes(value);
+
+        return includes(match.sources, alert.source) &&
+            includes(match.types, alert.type) &&
+            includes(match.severities, severity);
+    }
+
+    /**
+     * Send a newly opened alert to the channels of every matching policy
+     */
+    async notify(alert) {
+        await this.refresh();
+
+        const deliveries = [];
+        for (const policy of this.policies.filter(p => this.matches(p, alert))) {
+            for (const channel of policy.channels || []) {
+                deliveries.push(await this.deliver(alert, policy, channel));
+            }
+        }
+
+        return deliveries;
+    }
+
+    /**
+     * Send an alert whose severity rose to the policies that did not match
+     * it at its previous severity (those were already notified)
+     */
+    async notifyUpgrade(alert) {
+        await this.refresh();
+
+        const previous = { ...alert, worstSeverity: alert.previousSeverity };
+        const deliveries = [];
+        for (const policy of this.policies.filter(p => this.matches(p, alert) && !this.matches(p, previous))) {
+            for (const channel of policy.channels || []) {
+                deliveries.push(await this.deliver(alert, policy, channel, { upgrade: true }));
+            }
+        }
+
+        return deliveries;
+    }
+
+    /**
+     * Send open alerts that nobody acknowledged within escalation.afterSec
+     * to the policy's escalation channels
+     */
+    async checkEscalations() {
+        await this.refresh();
+
+        const db = dbManager.getMongoDB();
+        const escalated = [];
+
+        for (const policy of this.policies) {
+            if (!policy.escalation || policy.enabled === false) continue;
+
+            const { afterSec, severities = ['CRITICAL'], channels = [] } = policy.escalation;
+            const cutoff = new Date(Date.now() - afterSec * 1000);
+
+            const alerts = await db.collection('alerts')
+                .find({ status: 'open', worstSeverity: { $in: severities }, timestamp: { $lte: cutoff } })
+                .toArray();
+
+            for (const alert of alerts) {
+                if (!this.matches(policy, alert)) continue;
+
+                const previous = await db.collection('notification_deliveries')
+                    .find({ alertId: alert.alertId, policyId: policy.policyId, escalation: true })
+                    .toArray();
+                const pending = channels.filter(channel => this.isEscalationDue(channel, previous));
+                if (pending.length === 0) continue;
+
+                console.log(`📣 Escalating unacknowledged ${alert.worstSeverity} alert ${alert.alertId} (${policy.name})`);
+                for (const channel of pending) {
+                    escalated.push(await this.deliver(alert, policy, channel, { escalation: true }));
+                }
+            }
+        }
+
+        return escalated;
+    }
+
+    /**
+     * Whether a channel still needs the escalation: not yet sent, under the
+     * attempt limit and past the backoff since its last failure
+     */
+    isEscalationDue(channel, deliveries, now = Date.now()) {
+        const target = this.describeTarget(channel);
+        const attempts = deliveries.filter(delivery => delivery.channel === channel.type && delivery.target === target);
+
+        if (attempts.some(delivery => delivery.status === 'sent')) return false;
+        if (attempts.length === 0) return true;
+        if (attempts.length >= this.ESCALATION_MAX_ATTEMPTS) return false;
+
+        const lastAttempt = Math.max(...attempts.map(delivery => new Date(delivery.timestamp).getTime()));
+        return now - lastAttempt >= this.getEscalationBackoffSec(attempts.length) * 1000;
+    }
+
+    /**
+     * Delay before retrying an escalation after a number of failed attempts
+     */
+    getEscalationBackoffSec(failedAttempts) {
+        return Math.min(this.ESCALATION_RETRY_BASE_SEC * Math.pow(2, failedAttempts - 1), this.ESCALATION_RETRY_MAX_SEC);
+    }
+
+    /**
+     * Send an alert to one channel and log the attempt
+     */
+    async deliver(alert, policy, channel, { escalation = false, upgrade = false, test = false } = {}) {
+        const entry = {
+            deliveryId: crypto.randomUUID(),
+            alertId: alert.alertId,
+            policyId: policy.policyId,
+            channel: channel.type,
+            target: this.describeTarget(channel),
+            escalation,
+            upgrade,
+            test,
+            status: 'sent',
+            error: null,
+            timestamp: new Date()
+        };
+
+        try {
+            await this.send(channel, alert, escalation, upgrade);
+        } catch (error) {
+            entry.status = 'failed';
+            entry.error = error.message;
+            console.error(`❌ ${channel.type} notification to ${entry.target} failed:`, error.message);
+        }
+
+        try {
+            const db = dbManager.getMongoDB();
+            await db.collection('notification_deliveries').insertOne({ ...entry });
+        } catch (error) {
+            console.error('Error logging notification delivery:', error.message);
+        }
+
+        return entry;
+    }
+
+    async send(channel, alert, escalation, upgrade = false) {
+        const subject = this.formatSubject(alert, escalation, upgrade);
+
+        switch (channel.type) {
+            case 'email':
+                await this.getTransporter().sendMail({
+                    from: this.smtp.from,
+                    to: channel.to.join(', '),
+                    subject,
+                    text: this.formatText(alert)
+                });
+                break;
+            case 'webhook':
+                await axios.post(channel.url, {
+                    event: escalation ? 'alert.escalated' : upgrade ? 'alert.severity_raised' : 'alert.opened',
+                    alert
+                }, {
+                    timeout: this.WEBHOOK_TIMEOUT_MS
+                });
+                break;
+            case 'browser':
+                eventBus.publish('notification:browser', {
+                    title: subject,
+                    body: alert.message || '',
+                    alertId: alert.alertId,
+                    severity: alert.worstSeverity || alert.severity,
+                    escalation
+                });
+                break;
+            default:
+                throw new Error(`Unknown channel type ${channel.type}`);
+        }
+    }
+
+    getTransporter() {
+        if (!this.transporter) {
+            this.transporter = nodemailer.createTransport({
+                host: this.smtp.host,
+                port: this.smtp.port,
+                secure: this.smtp.secure,
+                auth: this.smtp.user ? { user: this.smtp.user, pass: this.smtp.pass } : undefined
+            });
+        }
+        return this.transporter;
+    }
+
+    describeTarget(channel) {
+        if (channel.type === 'email') return (channel.to || []).join(', ');
+        if (channel.type === 'webhook') return channel.url;
+        return channel.type;
+    }
+
+    formatSubject(alert, escalation, upgrade = false) {
+        const callsigns = (alert.aircraft || []).map(a => a.callsign).filter(Boolean).join(' / ');
+        const prefix = escalation ? '[ESCALATED] ' : upgrade ? `[UPGRADED from ${alert.previousSeverity}] ` : '';
+        return `${prefix}${alert.worstSeverity || alert.severity} ${alert.type}${callsigns ? ` - ${callsigns}` : ''}`;
+    }
+
+    formatText(alert) {
+        const lines = [
+            alert.message || `${alert.type} alert`,
+            '',
+            `Alert: ${alert.alertId}`,
+            `Source: ${alert.source}`,
+            `Severity: ${alert.severity} (worst ${alert.worstSeverity || alert.severity})`,
+            `Status: ${alert.status}`,
+            `Opened: ${new Date(alert.timestamp).toISOString()}`
+        ];
+
+        for (const aircraft of alert.aircraft || []) {
+            lines.push(`Aircraft: ${aircraft.callsign} at ${aircraft.latitude}, ${aircraft.longitude}, ${aircraft.altitude} ft`);
+        }
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Get all policies
+     */
+    async getPolicies() {
+        await this.refresh(true);
+        return this.policies;
+    }
+
+    async getPolicy(policyId) {
+        await this.refresh(true);
+        return this.policies.find(policy => policy.policyId === policyId) || null;
+    }
+
+    /**
+     * Validate a policy definition and fill in defaults
+     */
+    buildPolicy(definition, policyId = null) {
+        if (!definition || typeof definition !== 'object') {
+            throw this.validationError('Policy definition must be an object');
+        }
+
+        const { name, enabled, match = {}, channels, escalation } = definition;
+
+        const errors = [];
+        if (!name) errors.push('name is required');
+        if (!Array.isArray(channels) || channels.length === 0) errors.push('channels must be a non-empty list');
+        for (const severity of match.severities || []) {
+            if (!SEVERITIES.includes(severity)) errors.push(`match.severities must be from ${SEVERITIES.join(', ')}`);
+        }
+        errors.push(...this.validateChannels(channels || [], 'channels'));
+
+        if (escalation) {
+            if (typeof escalation.afterSec !== 'number' || escalation.afterSec <= 0) {
+                errors.push('escalation.afterSec must be a positive number');
+            }
+            if (!Array.isArray(escalation.channels) || escalation.channels.length === 0) {
+                errors.push('escalation.channels must be a non-empty list');
+            } else {
+                errors.push(...this.validateChannels(escalation.channels, 'escalation.channels'));
+            }
+        }
+
+        if (errors.length > 0) {
+            throw this.validationError(errors.join('; '));
+        }
+
+        return {
+            policyId: policyId || definition.policyId ||
+                name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, ''),
+            name,
+            enabled: enabled !== false,
+            match: {
+                sources: match.sources || [],
+                types: (match.types || []).map(type => type.toUpperCase()),
+                severities: match.severities || []
+            },
+            channels,
+            escalation: escalation ? {
+                afterSec: escalation.afterSec,
+                severities: escalation.severities || ['CRITICAL'],
+                channels: escalation.channels
+            } : null,
+            updatedAt: new Date()
+        };
+    }
+
+    validateChannels(channels, path) {
+        const errors = [];
+
+        channels.forEach((channel, i) => {
+            if (!channel || !CHANNEL_TYPES.includes(channel.type)) {
+                errors.push(`${path}[${i}].type must be one of ${CHANNEL_TYPES.join(', ')}`);
+            } else if (channel.type === 'email' && (!Array.isArray(channel.to) || channel.to.length === 0)) {
+                errors.push(`${path}[${i}].to must list at least one address`);
+            } else if (channel.type === 'webhook' && !/^https?:\/\//.test(channel.url || '')) {
+                errors.push(`${path}[${i}].url must be an http(s) URL`);
+            }
+        });
+
+        return errors;
+    }
+
+    /**
+     * Create or replace a policy
+     */
+    async savePolicy(definition, policyId = null) {
+        const policy = this.buildPolicy(definition, policyId);
+
+        const db = dbManager.getMongoDB();
+        await db.collection('notification_policies').updateOne(
+            { policyId: policy.policyId },
+            { $set: policy },
+            { upsert: true }
+        );
+
+        await this.refresh(true);
+        return policy;
+    }
+
+    async deletePolicy(policyId) {
+        const db = dbManager.getMongoDB();
+        const result = await db.collection('notification_policies').deleteOne({ policyId });
+
+        await this.refresh(true);
+        return result.deletedCount > 0;
+    }
+
+    /**
+     * Send a sample alert through every channel of a policy
+     * (including escalation channels) to check the configuration
+     */
+    async testPolicy(policyId) {
+        const policy = await this.getPolicy(policyId);
+        if (!policy) return null;
+
+        const now = new Date();
+        const alert = {
+            alertId: `test-${now.getTime()}`,
+            source: 'test',
+            type: 'TEST',
+            severity: 'LOW',
+            worstSeverity: 'LOW',
+            status: 'open',
+            message: `Test notification for policy "${policy.name}"`,
+            aircraft: [],
+            timestamp: now
+        };
+
+        const deliveries = [];
+        for (const channel of policy.channels) {
+            deliveries.push(await this.deliver(alert, policy, channel, { test: true }));
+        }
+        for (const channel of (policy.escalation && policy.escalation.channels) || []) {
+            deliveries.push(await this.deliver(alert, policy, channel, { escalation: true, test: true }));
+        }
+
+        return deliveries;
+    }
+
+    /**
+     * Delivery log, newest first
+     */
+    async getDeliveries(filters = {}, limit = 100) {
+        const query = {};
+        if (filters.alertId) query.alertId = filters.alertId;
+        if (filters.policyId) query.policyId = filters.policyId;
+        if (filters.channel) query.channel = filters.channel;
+        if (filters.status) query.status = filters.status;
+
+        const db = dbManager.getMongoDB();
+        return await db.collection('notification_deliveries')
+            .find(query, { projection: { _id: 0 } })
+            .sort({ timestamp: -1 })
+            .limit(limit)
+            .toArray();
+    }
+
+    validationError(message) {
+        const error = new Error(message);
+        error.status = 400;
+        return error;
+    }
+}
+
+module.exports = new NotificationService();
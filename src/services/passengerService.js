@@ -1,4 +1,5 @@
 const dbManager = require('../config/database');
+const aircraftIdentityService = require('./aircraftIdentityService');
 
 class PassengerService {
     
@@ -24,10 +25,13 @@ class PassengerService {
                 });
             }
 
-            // Try to find live position in Redis using several patterns
+            // Try to find live position in Redis: callsign index / icao24 first, then key patterns
             let liveData = {};
             try {
-                const candidateKeys = await redis.keys(`aircraft:${flightNumber}*:position`);
+                const identity = await aircraftIdentityService.resolve(flightNumber);
+                const candidateKeys = identity
+                    ? [identity.key]
+                    : await redis.keys(`aircraft:${flightNumber}*:position`);
                 if (candidateKeys && candidateKeys.length > 0) {
                     liveData = await redis.hGetAll(candidateKeys[0]);
                 } else {
@@ -0,0 +1,162 @@
+/**
+ * Position Fusion Service
+ *
+ * Merges position reports from every feed (polled providers, the local SBS-1
+ * receiver, simulators) into one position per aircraft, keyed by icao24.
+ * The highest-priority source wins unless another source's position is more
+ * than FUSION_FRESHNESS_MARGIN_SEC newer; reports older than
+ * FUSION_MAX_AGE_SEC are dropped. Each fused position is tagged with the
+ * source it came from, its age and every source currently reporting it, and
+ * per-source coverage statistics are kept for /api/flights/sources.
+ */
+
+const { getAircraftId } = require('../utils/aircraftIdentity');
+
+class PositionFusionService {
+    constructor() {
+        this.MAX_AGE_SEC = parseFloat(process.env.FUSION_MAX_AGE_SEC || '60');
+        this.FRESHNESS_MARGIN_SEC = parseFloat(process.env.FUSION_FRESHNESS_MARGIN_SEC || '10');
+
+        // aircraftId -> Map(source -> { position, priority, positionTime })
+        this.reports = new Map();
+        // source -> { priority, batches, lastReportAt, lastBatchSize }
+        this.sources = new Map();
+    }
+
+    /**
+     * Record a batch of positions from a source
+     * Returns the ids of the aircraft in the batch.
+     */
+    report(source, positions, priority = 0, now = Date.now()) {
+        const stats = this.sources.get(source) || { priority, batches: 0, lastReportAt: null, lastBatchSize: 0 };
+        stats.priority = priority;
+        stats.batches++;
+        stats.lastReportAt = now;
+        stats.lastBatchSize = positions.length;
+        this.sources.set(source, stats);
+
+        const aircraftIds = [];
+
+        for (const position of positions) {
+            const aircraftId = getAircraftId(position);
+            if (!aircraftId) continue;
+
+            const parsed = position.timestamp ? new Date(position.timestamp).getTime() : NaN;
+            const positionTime = isNaN(parsed) ? now : Math.min(parsed, now);
+
+            if (!this.reports.has(aircraftId)) {
+                this.reports.set(aircraftId, new Map());
+            }
+            this.reports.get(aircraftId).set(source, { position, priority, positionTime });
+            aircraftIds.push(aircraftId);
+        }
+
+        return aircraftIds;
+    }
+
+    /**
+     * Drop reports older than the maximum age
+     */
+    prune(now = Date.now()) {
+        for (const [aircraftId, bySource] of this.reports) {
+            for (const [source, report] of bySource) {
+                if (now - report.positionTime > this.MAX_AGE_SEC * 1000) {
+                    bySource.delete(source);
+                }
+            }
+            if (bySource.size === 0) {
+                this.reports.delete(aircraftId);
+            }
+        }
+    }
+
+    /**
+     * Pick the report to use for an aircraft
+     * Walks the sources in priority order and only moves to a lower-priority
+     * source when its position is clearly fresher.
+     */
+    selectReport(bySource) {
+        const candidates = Array.from(bySource.entries())
+            .map(([source, report]) => ({ source, ...report }))
+            .sort((a, b) => a.priority - b.priority || b.positionTime - a.positionTime);
+
+        let best = null;
+        for (const candidate of candidates) {
+            if (!best || candidate.positionTime - best.positionTime > this.FRESHNESS_MARGIN_SEC * 1000) {
+                best = candidate;
+            }
+        }
+
+        return { best, candidates };
+    }
+
+    /**
+     * Fused positions, optionally only for the given aircraft ids
+     */
+    getPositions(aircraftIds = null, now = Date.now()) {
+        this.prune(now);
+
+        const ids = aircraftIds ? Array.from(new Set(aircraftIds)) : Array.from(this.reports.keys());
+        const positions = [];
+
+        for (const aircraftId of ids) {
+            const bySource = this.reports.get(aircraftId);
+            if (!bySource) continue;
+
+            const { best, candidates } = this.selectReport(bySource);
+            positions.push({
+                ...best.position,
+                source: best.source,
+                age: Math.round((now - best.positionTime) / 100) / 10,
+                sources: candidates.map(candidate => candidate.source)
+            });
+        }
+
+        return positions;
+    }
+
+    /**
+     * Whether any source has reported yet
+     */
+    hasReports() {
+        return this.sources.size > 0;
+    }
+
+    /**
+     * Per-source coverage of the current fused picture
+     */
+    getCoverage(now = Date.now()) {
+        const positions = this.getPositions(null, now);
+        const total = positions.length;
+
+        const sources = Array.from(this.sources.entries())
+            .sort(([, a], [, b]) => a.priority - b.priority)
+            .map(([source, stats]) => {
+                const reported = positions.filter(p => p.sources.includes(source));
+                const ages = reported.map(p => (now - this.reports.get(getAircraftId(p)).get(source).positionTime) / 1000);
+
+                return {
+                    source,
+                    priority: stats.priority,
+                    batches: stats.batches,
+                    lastReportAt: stats.lastReportAt ? new Date(stats.lastReportAt).toISOString() : null,
+                    lastBatchSize: stats.lastBatchSize,
+                    aircraft: reported.length,
+                    selected: positions.filter(p => p.source === source).length,
+                    exclusive: reported.filter(p => p.sources.length === 1).length,
+                    coveragePct: total > 0 ? Math.round((reported.length / total) * 1000) / 10 : 0,
+                    avgAgeSec: ages.length > 0 ? Math.round(ages.reduce((sum, age) => sum + age, 0) / ages.length * 10) / 10 : null
+                };
+            });
+
+        return {
+            aircraft: total,
+            multiSource: positions.filter(p => p.sources.length > 1).length,
+            maxAgeSec: this.MAX_AGE_SEC,
+            freshnessMarginSec: this.FRESHNESS_MARGIN_SEC,
+            sources
+        };
+    }
+}
+
+module.exports = new PositionFusionService();
@@ -0,0 +1,562 @@
+/**
+ * Restricted Area Service
+ *
+ * Manages prohibited / temporary restricted areas (stadium TFRs, military
+ * areas, drone-event closures) stored as RestrictedArea nodes in Neo4j,
+ * and monitors traffic for entries and predicted entries. Every incursion
+ * is recorded in MongoDB with its entry and exit times.
+ */
+
+const crypto = require('crypto');
+const dbManager = require('../config/database');
+const eventBus = require('../utils/eventBus');
+const zoneService = require('./zoneService');
+const { projectPosition } = require('../utils/geo');
+const { getAircraftId, displayCallsign } = require('../utils/aircraftIdentity');
+
+const AREA_TYPES = ['PROHIBITED', 'RESTRICTED', 'TFR', 'MILITARY', 'DRONE'];
+
+class RestrictedAreaService {
+    constructor() {
+        this.LOOKAHEAD_SEC = parseInt(process.env.RESTRICTED_AREA_LOOKAHEAD_SEC || '120');
+        this.PREDICTION_STEP_SEC = 10;
+        this.REFRESH_SEC = parseInt(process.env.RESTRICTED_AREA_REFRESH_SEC || '60');
+        this.checkInterval = null;
+        this.areas = [];
+        this.lastLoaded = 0;
+        this.openIncursions = new Map();
+        this.predicted = new Set();
+        this.restored = false;
+        this.queue = Promise.resolve();
+    }
+
+    /**
+     * Start continuous restricted area monitoring
+     */
+    startMonitoring() {
+        const interval = parseInt(process.env.RESTRICTED_AREA_CHECK_INTERVAL || '5') * 1000;
+
+        console.log(`⛔ Starting restricted area monitoring (check every ${interval / 1000}s)`);
+
+        // Initial check
+        this.checkIncursions();
+
+        // Set up periodic checks
+        this.checkInterval = setInterval(() => {
+            this.checkIncursions();
+        }, interval);
+    }
+
+    /**
+     * Stop monitoring
+     */
+    stopMonitoring() {
+        if (this.checkInterval) {
+            clearInterval(this.checkInterval);
+            console.log('⏹️  Restricted area monitoring stopped');
+        }
+    }
+
+    /**
+     * Load all restricted areas from Neo4j
+     */
+    async getAreas() {
+        let session = null;
+        try {
+            const driver = dbManager.getNeo4j();
+            session = driver.session();
+
+            const result = await session.run(`
+        MATCH (r:RestrictedArea)
+        RETURN r {.*} as area
+        ORDER BY r.name
+      `);
+
+            return result.records.map(record => this.toArea(record.get('area')));
+        } finally {
+            if (session) {
+                await session.close();
+            }
+        }
+    }
+
+    /**
+     * Get a single restricted area, or null if it does not exist
+     */
+    async getArea(areaId) {
+        const areas = await this.getAreas();
+        return areas.find(area => area.areaId === areaId) || null;
+    }
+
+    toArea(node) {
+        const windowStarts = node.windowStarts || [];
+        const windowEnds = node.windowEnds || [];
+
+        return {
+            ...zoneService.toZone(node, {}),
+            areaId: node.areaId,
+            active: node.active !== false,
+            timeWindows: windowStarts.map((start, i) => ({ start, end: windowEnds[i] })),
+            exemptCallsigns: node.exemptCallsigns || [],
+            description: node.description || null,
+            updatedAt: node.updatedAt || null
+        };
+    }
+
+    /**
+     * Whether an area is switched on and, if it has time windows, inside one of them
+     */
+    isActive(area, time = new Date()) {
+        if (!area.active) return false;
+        if (area.timeWindows.length === 0) return true;
+
+        return area.timeWindows.some(window =>
+            time >= new Date(window.start) && time <= new Date(window.end)
+        );
+    }
+
+    /**
+     * Validate a create/update request body and turn it into node properties
+     */
+    buildArea(body, areaId) {
+        const {
+            name, type, description, latitudes, longitudes, latitude, longitude, radiusMeters,
+            floorFt, ceilingFt, active, timeWindows, exemptCallsigns
+        } = body;
+
+        if (!name) {
+            throw zoneService.validationError('name is required');
+        }
+
+        const areaType = (type || 'RESTRICTED').toUpperCase();
+        if (!AREA_TYPES.includes(areaType)) {
+            throw zoneService.validationError(`type must be one of ${AREA_TYPES.join(', ')}`);
+        }
+
+        let geometry;
+        if (Array.isArray(latitudes) && Array.isArray(longitudes)) {
+            if (latitudes.length < 3 || latitudes.length !== longitudes.length) {
+                throw zoneService.validationError('latitudes and longitudes must have the same length (at least 3 points)');
+            }
+            geometry = zoneService.buildPolygonZone({
+                latitudes: latitudes.map(Number),
+                longitudes: longitudes.map(Number)
+            });
+        } else if (latitude !== undefined && longitude !== undefined && radiusMeters !== undefined) {
+            geometry = {
+                latitudes: null,
+                longitudes: null,
+                latitude: Number(latitude),
+                longitude: Number(longitude),
+                radiusMeters: Number(radiusMeters)
+            };
+        } else {
+            throw zoneService.validationError('Provide latitudes/longitudes for a polygon or latitude/longitude/radiusMeters for a circle');
+        }
+
+        const windows = timeWindows || [];
+        for (const window of windows) {
+            if (isNaN(new Date(window.start)) || isNaN(new Date(window.end)) || new Date(window.start) >= new Date(window.end)) {
+                throw zoneService.validationError('Each time window needs a valid start before its end');
+            }
+        }
+
+        const floor = floorFt !== undefined ? Number(floorFt) : 0;
+        const ceiling = ceilingFt !== undefined && ceilingFt !== null ? Number(ceilingFt) : null;
+        if (isNaN(floor) || (ceiling !== null && (isNaN(ceiling) || ceiling <= floor))) {
+            throw zoneService.validationError('floorFt must be below ceilingFt');
+        }
+
+        return {
+            areaId,
+            name,
+            type: areaType,
+            description: description || null,
+            ...geometry,
+            floorFt: floor,
+            ceilingFt: ceiling,
+            active: active !== false,
+            windowStarts: windows.map(w => new Date(w.start).toISOString()),
+            windowEnds: windows.map(w => new Date(w.end).toISOString()),
+            exemptCallsigns: (exemptCallsigns || []).map(c => c.toString().trim().toUpperCase()),
+            updatedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Create a restricted area
+     */
+    async createArea(body) {
+        const area = this.buildArea(body, `area-${crypto.randomUUID()}`);
+        await this.saveArea(area);
+        return await this.getArea(area.areaId);
+    }
+
+    /**
+     * Replace a restricted area definition, returns null if it does not exist
+     */
+    async updateArea(areaId, body) {
+        const existing = await this.getArea(areaId);
+        if (!existing) return null;
+
+        const area = this.buildArea(body, areaId);
+        await this.saveArea(area);
+        return await this.getArea(areaId);
+    }
+
+    /**
+     * Switch an area on or off without changing its definition
+     */
+    async setActive(areaId, active) {
+        const session = dbManager.getNeo4j().session();
+        try {
+            const result = await session.run(`
+        MATCH (r:RestrictedArea {areaId: $areaId})
+        SET r.active = $active, r.updatedAt = $updatedAt
+        RETURN r.areaId as areaId
+      `, { areaId, active, updatedAt: new Date().toISOString() });
+
+            this.lastLoaded = 0;
+            return result.records.length > 0 ? await this.getArea(areaId) : null;
+        } finally {
+            await session.close();
+        }
+    }
+
+    async saveArea(area) {
+        const session = dbManager.getNeo4j().session();
+        try {
+            await session.run(`
+        MERGE (r:RestrictedArea {areaId: $areaId})
+        SET r = $area
+      `, { areaId: area.areaId, area });
+
+            this.lastLoaded = 0;
+        } finally {
+            await session.close();
+        }
+    }
+
+    /**
+     * Delete a restricted area, returns false if it did not exist
+     */
+    async deleteArea(areaId) {
+        const session = dbManager.getNeo4j().session();
+        try {
+            const result = await session.run(`
+        MATCH (r:RestrictedArea {areaId: $areaId})
+        DETACH DELETE r
+        RETURN count(*) as deleted
+      `, { areaId });
+
+            this.lastLoaded = 0;
+            return Number(result.records[0].get('deleted')) > 0;
+        } finally {
+            await session.close();
+        }
+    }
+
+    /**
+     * Check all aircraft against active restricted areas
+     * Checks from the interval and the API run one at a time, so an entry is
+     * never recorded as two incursions.
+     */
+    checkIncursions() {
+        const check = this.queue.then(() => this.runCheck());
+        this.queue = check;
+        return check;
+    }
+
+    async runCheck() {
+        try {
+            if (!this.restored) {
+                await this.restoreOpenIncursions();
+            }
+
+            if (Date.now() - this.lastLoaded > this.REFRESH_SEC * 1000) {
+                this.areas = await this.getAreas();
+                this.lastLoaded = Date.now();
+            }
+
+            const now = new Date();
+            const activeAreas = this.areas.filter(area => this.isActive(area, now));
+            const aircraft = await this.getAircraftPositions();
+
+            const alerts = [];
+            const inside = new Set();
+            const predicted = new Set();
+
+            for (const current of aircraft) {
+                for (const area of activeAreas) {
+                    if (area.exemptCallsigns.includes(current.callsign.toUpperCase())) continue;
+
+                    const key = `${area.areaId}:${current.aircraftId}`;
+
+                    if (zoneService.containsPosition(area, current.latitude, current.longitude, current.altitude)) {
+                        inside.add(key);
+                        if (!this.openIncursions.has(key)) {
+                            alerts.push(await this.openIncursion(area, current));
+                        }
+                        continue;
+                    }
+
+                    const timeToEntry = this.predictEntry(area, current);
+                    if (timeToEntry !== null) {
+                        predicted.add(key);
+                        if (!this.predicted.has(key)) {
+                            alerts.push(await this.raisePredictedAlert(area, current, timeToEntry));
+                        }
+                    }
+                }
+            }
+
+            // Aircraft that left an area (or the area was deactivated) end their incursion
+            for (const [key, incursion] of this.openIncursions) {
+                if (!inside.has(key)) {
+                    const current = aircraft.find(a => a.aircraftId === (incursion.aircraftId || incursion.callsign));
+                    await this.closeIncursion(key, incursion, current);
+                }
+            }
+
+            this.predicted = predicted;
+
+            if (alerts.length > 0) {
+                console.log(`⛔ ${alerts.length} restricted area alert(s) detected!`);
+            }
+
+            return { alerts, incursions: Array.from(this.openIncursions.values()) };
+        } catch (error) {
+            console.error('Error checking restricted areas:', error);
+            return { alerts: [], incursions: [] };
+        }
+    }
+
+    /**
+     * Seconds until the aircraft enters the area on its current track, or null
+     */
+    predictEntry(area, aircraft) {
+        if (aircraft.onGround || aircraft.velocity <= 0) return null;
+
+        const speedKmPerSec = aircraft.velocity * 1.852 / 3600;
+
+        for (let t = this.PREDICTION_STEP_SEC; t <= this.LOOKAHEAD_SEC; t += this.PREDICTION_STEP_SEC) {
+            const position = projectPosition(aircraft.latitude, aircraft.longitude, aircraft.heading, speedKmPerSec * t);
+            const altitude = aircraft.altitude + aircraft.verticalRate * t / 60;
+
+            if (zoneService.containsPosition(area, position.latitude, position.longitude, altitude)) {
+                return t;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Reload incursions that were still open when the server last stopped
+     */
+    async restoreOpenIncursions() {
+        const db = dbManager.getMongoDB();
+        const incursions = await db.collection('airspace_incursions').find({ status: 'open' }).toArray();
+
+        for (const incursion of incursions) {
+            this.openIncursions.set(`${incursion.areaId}:${incursion.aircraftId || incursion.callsign}`, incursion);
+        }
+
+        this.restored = true;
+    }
+
+    /**
+     * Record an entry into a restricted area and raise an alert
+     */
+    async openIncursion(area, aircraft) {
+        const now = new Date();
+        const incursion = {
+            incursionId: crypto.randomUUID(),
+            areaId: area.areaId,
+            areaName: area.name,
+            areaType: area.type,
+            aircraftId: aircraft.aircraftId,
+            icao24: aircraft.icao24,
+            callsign: aircraft.callsign,
+            status: 'open',
+            entryTime: now,
+            exitTime: null,
+            durationSec: null,
+            entryPosition: this.toPosition(aircraft),
+            exitPosition: null
+        };
+
+        const db = dbManager.getMongoDB();
+        await db.collection('airspace_incursions').insertOne({ ...incursion });
+        this.openIncursions.set(`${area.areaId}:${aircraft.aircraftId}`, incursion);
+
+        const alert = {
+            id: incursion.incursionId,
+            type: 'RESTRICTED_AREA_ENTRY',
+            areaId: area.areaId,
+            areaName: area.name,
+            areaType: area.type,
+            icao24: aircraft.icao24,
+            callsign: aircraft.callsign,
+            aircraft: { icao24: aircraft.icao24, callsign: aircraft.callsign, ...this.toPosition(aircraft) },
+            severity: 'CRITICAL',
+            message: `${aircraft.callsign} entered ${area.type.toLowerCase()} area ${area.name}`,
+            timestamp: now.toISOString()
+        };
+
+        // Raised once per incursion; closeIncursion clears it
+        await this.storeAlert(alert, true);
+        return alert;
+    }
+
+    /**
+     * Record the exit time of an incursion
+     */
+    async closeIncursion(key, incursion, aircraft) {
+        const exitTime = new Date();
+        const durationSec = Math.round((exitTime - new Date(incursion.entryTime)) / 1000);
+
+        const db = dbManager.getMongoDB();
+        await db.collection('airspace_incursions').updateOne(
+            { incursionId: incursion.incursionId },
+            {
+                $set: {
+                    status: 'closed',
+                    exitTime,
+                    durationSec,
+                    exitPosition: aircraft ? this.toPosition(aircraft) : null
+                }
+            }
+        );
+
+        this.openIncursions.delete(key);
+
+        eventBus.publish('alert:cleared', {
+            source: 'restricted',
+            alert: {
+                type: 'RESTRICTED_AREA_ENTRY',
+                areaId: incursion.areaId,
+                icao24: incursion.icao24 || null,
+                callsign: incursion.callsign
+            },
+            reason: 'left restricted area'
+        });
+    }
+
+    async raisePredictedAlert(area, aircraft, timeToEntry) {
+        const alert = {
+            id: crypto.randomUUID(),
+            type: 'RESTRICTED_AREA_PREDICTED',
+            areaId: area.areaId,
+            areaName: area.name,
+            areaType: area.type,
+            icao24: aircraft.icao24,
+            callsign: aircraft.callsign,
+            aircraft: { icao24: aircraft.icao24, callsign: aircraft.callsign, ...this.toPosition(aircraft) },
+            timeToEntrySec: timeToEntry,
+            severity: 'WARNING',
+            message: `${aircraft.callsign} predicted to enter ${area.name} in ${timeToEntry}s`,
+            timestamp: new Date().toISOString()
+        };
+
+        await this.storeAlert(alert);
+        return alert;
+    }
+
+    toPosition(aircraft) {
+        return {
+            latitude: aircraft.latitude,
+            longitude: aircraft.longitude,
+            altitude: aircraft.altitude,
+            velocity: aircraft.velocity,
+            heading: aircraft.heading
+        };
+    }
+
+    /**
+     * Read all aircraft positions from Redis
+     */
+    async getAircraftPositions() {
+        const redis = dbManager.getRedis();
+        const keys = await redis.keys('aircraft:*:position');
+        const aircraft = [];
+
+        for (const key of keys) {
+            const data = await redis.hGetAll(key);
+            if (!data || !getAircraftId(data)) continue;
+
+            aircraft.push({
+                aircraftId: getAircraftId(data),
+                icao24: data.icao24 || null,
+                callsign: displayCallsign(data),
+                latitude: parseFloat(data.latitude),
+                longitude: parseFloat(data.longitude),
+                altitude: parseFloat(data.altitude) || 0,
+                velocity: parseFloat(data.velocity) || 0,
+                heading: parseFloat(data.heading) || 0,
+                verticalRate: parseFloat(data.vertical_rate) || 0,
+                onGround: data.on_ground === 'true'
+            });
+        }
+
+        return aircraft;
+    }
+
+    /**
+     * Get recorded incursions, newest first
+     */
+    async getIncursions(filters = {}) {
+        const db = dbManager.getMongoDB();
+        const query = {};
+
+        if (filters.areaId) query.areaId = filters.areaId;
+        if (filters.callsign) query.callsign = filters.callsign.toUpperCase();
+        if (filters.status) query.status = filters.status;
+
+        return await db.collection('airspace_incursions')
+            .find(query)
+            .sort({ entryTime: -1 })
+            .limit(filters.limit || 100)
+            .toArray();
+    }
+
+    /**
+     * Store alert in Redis
+     * untilCleared keeps the alert center record open until the alert is cleared.
+     */
+    async storeAlert(alert, untilCleared = false) {
+        try {
+            const redis = dbManager.getRedis();
+            const key = `alert:restricted:${alert.id}`;
+
+            await redis.set(key, JSON.stringify(alert), {
+                EX: 300 // Expire after 5 minutes
+            });
+
+            // Also add to active alerts list
+            await redis.lPush('alerts:restricted:active', JSON.stringify(alert));
+            await redis.lTrim('alerts:restricted:active', 0, 99); // Keep last 100
+
+            eventBus.publish('alert:raised', { source: 'restricted', alert, untilCleared });
+        } catch (error) {
+            console.error('Error storing restricted area alert:', error);
+        }
+    }
+
+    /**
+     * Get active restricted area alerts
+     */
+    async getActiveAlerts() {
+        try {
+            const redis = dbManager.getRedis();
+            const alerts = await redis.lRange('alerts:restricted:active', 0, -1);
+
+            return alerts.map(a => JSON.parse(a));
+        } catch (error) {
+            console.error('Error getting active restricted area alerts:', error);
+            return [];
+        }
+    }
+}
+
+module.exports = new RestrictedAreaService();
@@ -0,0 +1,471 @@
+/**
+ * Runway Monitor Service
+ *
+ * Watches surface traffic for runway incursions: two aircraft occupying or
+ * entering the same runway, or an aircraft on the runway while another is
+ * on short final. Each conflict keeps one alert, updated in place while it
+ * lasts and cleared when it ends.
+ */
+
+const dbManager = require('../config/database');
+const eventBus = require('../utils/eventBus');
+const { getAircraftId, displayCallsign } = require('../utils/aircraftIdentity');
+const {
+    calculateDistance,
+    calculateBearing,
+    headingDifference,
+    pointInPolygon,
+    segmentsIntersect
+} = require('../utils/geo');
+
+const KM_PER_NM = 1.852;
+const ACTIVE_ALERTS_KEY = 'alerts:runway:active';
+
+class RunwayMonitorService {
+    constructor() {
+        this.airportICAO = process.env.AIRPORT_ICAO || 'EDDF';
+        this.SHORT_FINAL_NM = parseFloat(process.env.RUNWAY_SHORT_FINAL_NM || '3');
+        this.SHORT_FINAL_MAX_HEIGHT_FT = parseFloat(process.env.RUNWAY_SHORT_FINAL_MAX_HEIGHT_FT || '1500');
+        this.OCCUPANCY_MAX_HEIGHT_FT = parseFloat(process.env.RUNWAY_OCCUPANCY_MAX_HEIGHT_FT || '100');
+        this.REFRESH_SEC = parseInt(process.env.RUNWAY_REFRESH_SEC || '300');
+        this.checkInterval = null;
+        this.runways = [];
+        this.lastLoaded = 0;
+        this.previousPositions = new Map();
+        this.occupancy = [];
+        // alertKey -> hold-short line of runway entries still in conflict
+        this.entries = new Map();
+    }
+
+    /**
+     * Start continuous runway monitoring
+     */
+    startMonitoring() {
+        const interval = parseInt(process.env.RUNWAY_CHECK_INTERVAL || '5') * 1000;
+
+        console.log(`🛬 Starting runway incursion monitoring (check every ${interval / 1000}s)`);
+
+        // Initial check
+        this.checkRunwayIncursions();
+
+        // Set up periodic checks
+        this.checkInterval = setInterval(() => {
+            this.checkRunwayIncursions();
+        }, interval);
+    }
+
+    /**
+     * Stop monitoring
+     */
+    stopMonitoring() {
+        if (this.checkInterval) {
+            clearInterval(this.checkInterval);
+            console.log('⏹️  Runway incursion monitoring stopped');
+        }
+    }
+
+    /**
+     * Load runways, thresholds and hold-short lines for the airport from Neo4j
+     */
+    async loadRunways(force = false) {
+        if (!force && Date.now() - this.lastLoaded < this.REFRESH_SEC * 1000) {
+            return this.runways;
+        }
+
+        let session = null;
+        try {
+            const driver = dbManager.getNeo4j();
+            session = driver.session();
+
+            const result = await session.run(`
+        MATCH (a:Airport {icao: $icao})-[:HAS_RUNWAY]->(r:Runway)
+        OPTIONAL MATCH (r)-[:HAS_THRESHOLD]->(t:RunwayThreshold)
+        OPTIONAL MATCH (r)-[:HAS_HOLD_SHORT]->(h:HoldShortLine)
+        RETURN r.designator as designator, r.latitudes as latitudes, r.longitudes as longitudes,
+               r.elevationFt as elevationFt,
+               collect(DISTINCT t {.designator, .latitude, .longitude, .headingDeg}) as thresholds,
+               collect(DISTINCT h {.name, .latitudes, .longitudes}) as holdShortLines
+      `, { icao: this.airportICAO });
+
+            this.runways = result.records.map(record => ({
+                designator: record.get('designator'),
+                latitudes: record.get('latitudes').map(Number),
+                longitudes: record.get('longitudes').map(Number),
+                elevationFt: Number(record.get('elevationFt') || 0),
+                thresholds: record.get('thresholds').map(t => ({
+                    designator: t.designator,
+                    latitude: Number(t.latitude),
+                    longitude: Number(t.longitude),
+                    headingDeg: Number(t.headingDeg)
+                })),
+                holdShortLines: record.get('holdShortLines').map(h => ({
+                    name: h.name,
+                    start: { latitude: Number(h.latitudes[0]), longitude: Number(h.longitudes[0]) },
+                    end: { latitude: Number(h.latitudes[1]), longitude: Number(h.longitudes[1]) }
+                }))
+            }));
+
+            this.lastLoaded = Date.now();
+            console.log(`🛬 Loaded ${this.runways.length} runway(s) for ${this.airportICAO}`);
+        } catch (error) {
+            console.error('Error loading runways:', error.message);
+        } finally {
+            if (session) {
+                await session.close();
+            }
+        }
+
+        return this.runways;
+    }
+
+    /**
+     * Check every runway for conflicting occupancy
+     */
+    async checkRunwayIncursions() {
+        try {
+            const runways = await this.loadRunways();
+            if (runways.length === 0) {
+                return { alerts: [], occupancy: [] };
+            }
+
+            const aircraft = await this.getAircraftPositions();
+            const alerts = [];
+            const occupancy = [];
+
+            for (const runway of runways) {
+                const occupants = [];
+                const entering = [];
+                const shortFinal = [];
+
+                for (const current of aircraft) {
+                    const previous = this.previousPositions.get(current.aircraftId);
+                    const height = current.altitude - runway.elevationFt;
+
+                    const onRunway = pointInPolygon(current.latitude, current.longitude, runway.latitudes, runway.longitudes) &&
+                        (current.onGround || height <= this.OCCUPANCY_MAX_HEIGHT_FT);
+
+                    if (onRunway) {
+                        occupants.push(current);
+
+                        const crossedLine = previous && this.findCrossedHoldShortLine(runway, previous, current);
+                        const wasOutside = previous &&
+                            !pointInPolygon(previous.latitude, previous.longitude, runway.latitudes, runway.longitudes);
+                        const entryKey = `${runway.designator}-${current.aircraftId}-entry`;
+                        if (crossedLine || wasOutside) {
+                            entering.push({ ...current, holdShortLine: crossedLine ? crossedLine.name : null });
+                        } else if (this.entries.has(entryKey)) {
+                            // Entered while the runway was in use and hasn't left it yet
+                            entering.push({ ...current, holdShortLine: this.entries.get(entryKey) });
+                        }
+                        continue;
+                    }
+
+                    if (!current.onGround) {
+                        const threshold = this.findShortFinalThreshold(runway, current);
+                        if (threshold) {
+                            shortFinal.push({ ...current, threshold: threshold.designator, distanceNm: threshold.distanceNm });
+                        }
+                    }
+                }
+
+                occupancy.push({
+                    runway: runway.designator,
+                    occupied: occupants.length > 0,
+                    occupants: occupants.map(a => a.callsign),
+                    shortFinal: shortFinal.map(a => ({ callsign: a.callsign, threshold: a.threshold, distanceNm: a.distanceNm }))
+                });
+
+                alerts.push(...this.evaluateRunway(runway, occupants, entering, shortFinal));
+            }
+
+            // Remember positions so runway entries can be detected next cycle
+            this.previousPositions = new Map(aircraft.map(a => [a.aircraftId, a]));
+            this.occupancy = occupancy;
+            this.entries = new Map(alerts
+                .filter(alert => alert.type === 'RUNWAY_ENTRY')
+                .map(alert => [alert.alertKey, alert.holdShortLine]));
+
+            const active = await this.updateActiveAlerts(alerts);
+
+            if (active.length > 0) {
+                console.log(`🛬 ${active.length} runway incursion alert(s) detected!`);
+            }
+
+            return { alerts: active, occupancy };
+        } catch (error) {
+            console.error('Error checking runway incursions:', error);
+            return { alerts: [], occupancy: [] };
+        }
+    }
+
+    /**
+     * Build alerts for a single runway's occupants, entries and short-final traffic
+     */
+    evaluateRunway(runway, occupants, entering, shortFinal) {
+        const alerts = [];
+        const timestamp = new Date().toISOString();
+
+        // Two or more aircraft on the same runway
+        if (occupants.length > 1) {
+            alerts.push({
+                alertKey: `${runway.designator}-occupancy`,
+                type: 'MULTIPLE_OCCUPANCY',
+                runway: runway.designator,
+                aircraft: occupants.map(a => this.summarize(a)),
+                severity: 'CRITICAL',
+                message: `${occupants.map(a => a.callsign).join(', ')} occupying runway ${runway.designator} at the same time`,
+                timestamp
+            });
+        }
+
+        // An aircraft entered a runway that is already in use
+        for (const entry of entering) {
+            const others = occupants.filter(a => a.aircraftId !== entry.aircraftId);
+            if (others.length === 0 && shortFinal.length === 0) continue;
+
+            const conflicting = others.concat(shortFinal);
+            alerts.push({
+                alertKey: `${runway.designator}-${entry.aircraftId}-entry`,
+                type: 'RUNWAY_ENTRY',
+                runway: runway.designator,
+                holdShortLine: entry.holdShortLine,
+                aircraft: [this.summarize(entry), ...conflicting.map(a => this.summarize(a))],
+                severity: 'CRITICAL',
+                message: `${entry.callsign} entered runway ${runway.designator}` +
+                    (entry.holdShortLine ? ` past hold-short line ${entry.holdShortLine}` : '') +
+                    ` while ${this.describeConflicts(others, shortFinal)}`,
+                timestamp
+            });
+        }
+
+        // Runway occupied while another aircraft is on short final
+        if (occupants.length > 0) {
+            for (const arrival of shortFinal) {
+                alerts.push({
+                    alertKey: `${runway.designator}-${arrival.aircraftId}-final`,
+                    type: 'OCCUPIED_ON_FINAL',
+                    runway: runway.designator,
+                    threshold: arrival.threshold,
+                    aircraft: [this.summarize(arrival), ...occupants.map(a => this.summarize(a))],
+                    distanceNm: arrival.distanceNm,
+                    severity: arrival.distanceNm < 1 ? 'CRITICAL' : 'WARNING',
+                    message: `${arrival.callsign} on ${arrival.distanceNm} NM final for ${arrival.threshold} ` +
+                        `while ${occupants.map(a => a.callsign).join(', ')} on the runway`,
+                    timestamp
+                });
+            }
+        }
+
+        return alerts;
+    }
+
+    /**
+     * Update the active alerts hash: one entry per alertKey, keeping the id
+     * and first-seen time of a conflict that is still going on
+     */
+    async updateActiveAlerts(alerts) {
+        const redis = dbManager.getRedis();
+        const existing = await redis.hGetAll(ACTIVE_ALERTS_KEY);
+        const now = new Date().toISOString();
+        const active = [];
+
+        for (const alert of alerts) {
+            const previous = existing[alert.alertKey] ? JSON.parse(existing[alert.alertKey]) : null;
+
+            const merged = previous ? {
+                ...alert,
+                id: previous.id,
+                firstSeen: previous.firstSeen,
+                worstSeverity: previous.worstSeverity === 'CRITICAL' ? 'CRITICAL' : alert.severity
+            } : {
+                ...alert,
+                id: `${alert.alertKey}-${Date.parse(now)}`,
+                firstSeen: now,
+                worstSeverity: alert.severity
+            };
+
+            await this.storeAlert(merged);
+            active.push(merged);
+        }
+
+        const current = new Set(alerts.map(alert => alert.alertKey));
+        for (const [alertKey, data] of Object.entries(existing)) {
+            if (!current.has(alertKey)) {
+                await this.clearAlert(JSON.parse(data), 'runway conflict ended');
+            }
+        }
+
+        return active;
+    }
+
+    /**
+     * Find the threshold an airborne aircraft is on short final for, if any
+     */
+    findShortFinalThreshold(runway, aircraft) {
+        const height = aircraft.altitude - runway.elevationFt;
+        if (height > this.SHORT_FINAL_MAX_HEIGHT_FT) {
+            return null;
+        }
+
+        for (const threshold of runway.thresholds) {
+            const distanceNm = calculateDistance(
+                threshold.latitude, threshold.longitude, aircraft.latitude, aircraft.longitude
+            ) / KM_PER_NM;
+            if (distanceNm > this.SHORT_FINAL_NM) continue;
+
+            // Aircraft must be on the extended centreline and tracking towards the threshold
+            const bearingFromThreshold = calculateBearing(
+                threshold.latitude, threshold.longitude, aircraft.latitude, aircraft.longitude
+            );
+            const onCentreline = headingDifference(bearingFromThreshold, (threshold.headingDeg + 180) % 360) <= 15;
+            const aligned = headingDifference(aircraft.heading, threshold.headingDeg) <= 30;
+
+            if (onCentreline && aligned) {
+                return { designator: threshold.designator, distanceNm: parseFloat(distanceNm.toFixed(2)) };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Find a hold-short line crossed between two positions
+     */
+    findCrossedHoldShortLine(runway, previous, current) {
+        return runway.holdShortLines.find(line =>
+            segmentsIntersect(previous, current, line.start, line.end)
+        ) || null;
+    }
+
+    /**
+     * Read all aircraft positions (ground and airborne) from Redis
+     */
+    async getAircraftPositions() {
+        const redis = dbManager.getRedis();
+        const keys = await redis.keys('aircraft:*:position');
+        const aircraft = [];
+
+        for (const key of keys) {
+            const data = await redis.hGetAll(key);
+            if (!data || !getAircraftId(data)) continue;
+
+            aircraft.push({
+                aircraftId: getAircraftId(data),
+                icao24: data.icao24 || null,
+                callsign: displayCallsign(data),
+                latitude: parseFloat(data.latitude),
+                longitude: parseFloat(data.longitude),
+                altitude: parseFloat(data.altitude) || 0,
+                velocity: parseFloat(data.velocity) || 0,
+                heading: parseFloat(data.heading) || 0,
+                onGround: data.on_ground === 'true'
+            });
+        }
+
+        return aircraft;
+    }
+
+    describeConflicts(occupants, shortFinal) {
+        const parts = [];
+        if (occupants.length > 0) {
+            parts.push(`${occupants.map(a => a.callsign).join(', ')} on the runway`);
+        }
+        if (shortFinal.length > 0) {
+            parts.push(`${shortFinal.map(a => a.callsign).join(', ')} on short final`);
+        }
+        return parts.join(' and ');
+    }
+
+    summarize(aircraft) {
+        return {
+            icao24: aircraft.icao24,
+            callsign: aircraft.callsign,
+            latitude: aircraft.latitude,
+            longitude: aircraft.longitude,
+            altitude: aircraft.altitude,
+            velocity: aircraft.velocity,
+            heading: aircraft.heading,
+            onGround: aircraft.onGround
+        };
+    }
+
+    /**
+     * Get the runway occupancy from the last check
+     */
+    getOccupancy() {
+        return this.occupancy;
+    }
+
+    /**
+     * Store alert in Redis
+     */
+    async storeAlert(alert) {
+        try {
+            const redis = dbManager.getRedis();
+            const key = `alert:runway:${alert.id}`;
+
+            await redis.set(key, JSON.stringify(alert), {
+                EX: 300 // Expire after 5 minutes
+            });
+
+            // One entry per conflict in the active alerts hash
+            await redis.hSet(ACTIVE_ALERTS_KEY, alert.alertKey, JSON.stringify(alert));
+
+            eventBus.publish('alert:raised', { source: 'runway', alert });
+        } catch (error) {
+            console.error('Error storing runway alert:', error);
+        }
+    }
+
+    /**
+     * Remove a conflict's alert from the active set and tell the alert center
+     */
+    async clearAlert(alert, reason) {
+        const redis = dbManager.getRedis();
+        await redis.hDel(ACTIVE_ALERTS_KEY, alert.alertKey);
+
+        eventBus.publish('alert:cleared', { source: 'runway', alert, reason });
+    }
+
+    /**
+     * Get active runway incursion alerts
+     */
+    async getActiveAlerts() {
+        try {
+            const redis = dbManager.getRedis();
+            const alerts = await redis.hVals(ACTIVE_ALERTS_KEY);
+
+            return alerts.map(a => JSON.parse(a));
+        } catch (error) {
+            console.error('Error getting active runway alerts:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Get alert history, most recently updated first
+     */
+    async getAlertHistory(limit = 50) {
+        try {
+            const redis = dbManager.getRedis();
+            const keys = await redis.keys('alert:runway:*');
+
+            const alerts = [];
+            for (const key of keys) {
+                const data = await redis.get(key);
+                if (data) {
+                    alerts.push(JSON.parse(data));
+                }
+            }
+
+            return alerts
+                .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
+                .slice(0, limit);
+        } catch (error) {
+            console.error('Error getting runway alert history:', error);
+            return [];
+        }
+    }
+}
+
+module.exports = new RunwayMonitorService();
@@ -0,0 +1,229 @@
+/**
+ * SBS-1 Ingest Service
+ *
+ * Connects to an SBS-1 BaseStation TCP feed (dump1090 / readsb, port 30003)
+ * from a local ADS-B receiver, assembles per-aircraft state from the MSG 1-8
+ * messages and periodically reports aircraft with a known position as source
+ * "sbs" through flightMonitorService.ingestPositions, the same path the polled
+ * providers use. Reconnects automatically when the feed drops.
+ */
+
+const net = require('net');
+const { parseSbsLine } = require('../utils/sbsParser');
+const flightMonitorService = require('./flightMonitorService');
+
+// Fields copied from messages into the aircraft state
+const STATE_FIELDS = ['callsign', 'latitude', 'longitude', 'altitude', 'velocity', 'heading', 'vertical_rate', 'squawk', 'spi', 'on_ground'];
+
+class SbsIngestService {
+    constructor() {
+        this.HOST = process.env.SBS_HOST || null;
+        this.PORT = parseInt(process.env.SBS_PORT || '30003');
+        this.FLUSH_INTERVAL_SEC = parseFloat(process.env.SBS_FLUSH_INTERVAL || '2');
+        this.STALE_SEC = parseInt(process.env.SBS_STALE_SEC || '60');
+        this.RECONNECT_SEC = parseInt(process.env.SBS_RECONNECT_SEC || '5');
+        // Ranked against the providers' FLIGHT_PROVIDERS priorities (lower wins)
+        this.PRIORITY = parseInt(process.env.SBS_PRIORITY || '0');
+
+        this.socket = null;
+        this.buffer = '';
+        this.connected = false;
+        this.stopped = true;
+        this.flushInterval = null;
+        this.reconnectTimer = null;
+
+        this.aircraft = new Map();
+        this.stats = { messages: 0, invalid: 0, connects: 0, lastMessageAt: null };
+    }
+
+    /**
+     * Connect to the feed and start flushing aircraft state
+     * Does nothing unless SBS_HOST is configured.
+     */
+    startMonitoring() {
+        if (!this.HOST) {
+            console.log('ℹ️  SBS_HOST not set, local ADS-B ingest disabled');
+            return;
+        }
+
+        console.log(`📻 Starting SBS-1 ingest from ${this.HOST}:${this.PORT} (flush every ${this.FLUSH_INTERVAL_SEC}s)`);
+
+        this.stopped = false;
+        this.connect();
+
+        this.flushInterval = setInterval(() => {
+            this.flush();
+        }, this.FLUSH_INTERVAL_SEC * 1000);
+    }
+
+    /**
+     * Stop monitoring
+     */
+    stopMonitoring() {
+        this.stopped = true;
+
+        if (this.flushInterval) {
+            clearInterval(this.flushInterval);
+            this.flushInterval = null;
+        }
+        if (this.reconnectTimer) {
+            clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = null;
+        }
+        if (this.socket) {
+            this.socket.destroy();
+            this.socket = null;
+        }
+
+        console.log('⏹️  SBS-1 ingest stopped');
+    }
+
+    connect() {
+        this.buffer = '';
+        this.socket = net.createConnection({ host: this.HOST, port: this.PORT });
+        this.socket.setEncoding('utf8');
+
+        this.socket.on('connect', () => {
+            this.connected = true;
+            this.stats.connects++;
+            console.log(`✅ Connected to SBS-1 feed ${this.HOST}:${this.PORT}`);
+        });
+
+        this.socket.on('data', chunk => this.handleData(chunk));
+
+        this.socket.on('error', error => {
+            console.error('SBS-1 feed error:', error.message);
+        });
+
+        this.socket.on('close', () => {
+            this.connected = false;
+            this.socket = null;
+            if (this.stopped) return;
+
+            console.log(`⚠️  SBS-1 feed closed, reconnecting in ${this.RECONNECT_SEC}s`);
+            this.reconnectTimer = setTimeout(() => {
+                this.reconnectTimer = null;
+                if (!this.stopped) this.connect();
+            }, this.RECONNECT_SEC * 1000);
+        });
+    }
+
+    /**
+     * Split the stream into lines (CRLF or LF terminated)
+     */
+    handleData(chunk) {
+        this.buffer += chunk;
+
+        let index;
+        while ((index = this.buffer.indexOf('\n')) !== -1) {
+            const line = this.buffer.slice(0, index).trim();
+            this.buffer = this.buffer.slice(index + 1);
+            if (line) this.handleLine(line);
+        }
+    }
+
+    handleLine(line, now = Date.now()) {
+        const message = parseSbsLine(line);
+        if (!message) {
+            this.stats.invalid++;
+            return;
+        }
+
+        this.stats.messages++;
+        this.stats.lastMessageAt = now;
+        this.applyMessage(message, now);
+    }
+
+    /**
+     * Merge the fields present in a message into the aircraft's state
+     */
+    applyMessage(message, now = Date.now()) {
+        let state = this.aircraft.get(message.icao24);
+        if (!state) {
+            state = { icao24: message.icao24, lastSeen: now, positionAt: null, messages: 0 };
+            this.aircraft.set(message.icao24, state);
+        }
+
+        for (const field of STATE_FIELDS) {
+            if (message[field] !== undefined) {
+                state[field] = message[field];
+            }
+        }
+
+        if (message.latitude !== undefined && message.longitude !== undefined) {
+            state.positionAt = now;
+        }
+
+        state.lastSeen = now;
+        state.messages++;
+        return state;
+    }
+
+    /**
+     * Aircraft with a position received within STALE_SEC, in the live position shape
+     * Aircraft not heard from for STALE_SEC are dropped.
+     */
+    getPositions(now = Date.now()) {
+        const positions = [];
+
+        for (const [icao24, state] of this.aircraft) {
+            if (now - state.lastSeen > this.STALE_SEC * 1000) {
+                this.aircraft.delete(icao24);
+                continue;
+            }
+            if (!state.positionAt || now - state.positionAt > this.STALE_SEC * 1000) continue;
+
+            positions.push({
+                icao24,
+                callsign: state.callsign || null,
+                latitude: state.latitude,
+                longitude: state.longitude,
+                altitude: state.altitude || 0,
+                velocity: state.velocity || 0,
+                heading: state.heading || 0,
+                vertical_rate: state.vertical_rate || 0,
+                on_ground: state.on_ground || false,
+                squawk: state.squawk || null,
+                spi: state.spi || false,
+                timestamp: new Date(state.positionAt).toISOString()
+            });
+        }
+
+        return positions;
+    }
+
+    /**
+     * Report the current aircraft state for fusion and storage in Redis
+     */
+    async flush() {
+        const positions = this.getPositions();
+        if (positions.length === 0) return;
+
+        try {
+            await flightMonitorService.ingestPositions('sbs', positions, this.PRIORITY);
+        } catch (error) {
+            console.error('Error storing SBS-1 positions:', error.message);
+        }
+    }
+
+    /**
+     * Connection state and counters for the feed
+     */
+    getStatus() {
+        return {
+            enabled: Boolean(this.HOST),
+            host: this.HOST,
+            port: this.PORT,
+            priority: this.PRIORITY,
+            connected: this.connected,
+            connects: this.stats.connects,
+            messages: this.stats.messages,
+            invalid: this.stats.invalid,
+            lastMessageAt: this.stats.lastMessageAt ? new Date(this.stats.lastMessageAt).toISOString() : null,
+            aircraft: this.aircraft.size,
+            withPosition: this.getPositions().length
+        };
+    }
+}
+
+module.exports = new SbsIngestService();
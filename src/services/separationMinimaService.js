@@ -0,0 +1,163 @@
+/**
+ * Separation Minima Service
+ * Loads separation minima tables per airport zone from Neo4j and picks the
+ * applicable horizontal/vertical minimum for an aircraft based on its
+ * position and altitude. Zone shapes, floors and ceilings come from
+ * zoneService, and the tables are reloaded whenever its snapshot changes.
+ */
+
+const dbManager = require('../config/database');
+const zoneService = require('./zoneService');
+
+const NM_TO_KM = 1.852;
+
+// Applied when an aircraft is not inside any zone that has its own table
+const DEFAULT_MINIMA = [
+    { name: 'En-route (RVSM)', minAltitudeFt: 0, maxAltitudeFt: 41000, horizontalNm: 5, verticalFt: 1000 },
+    { name: 'En-route (above FL410)', minAltitudeFt: 41000, maxAltitudeFt: 99999, horizontalNm: 5, verticalFt: 2000 }
+];
+
+class SeparationMinimaService {
+    constructor() {
+        this.zones = [];
+        // zoneService snapshot the tables were built from
+        this.zoneData = null;
+    }
+
+    /**
+     * Reload the minima tables when zoneService has loaded a new zone snapshot
+     */
+    async refresh(force = false) {
+        let zoneData;
+        try {
+            zoneData = await zoneService.getZoneData();
+        } catch (error) {
+            console.error('Error loading airport zones:', error.message);
+            return this.zones;
+        }
+
+        if (!force && zoneData === this.zoneData) {
+            return this.zones;
+        }
+
+        let session = null;
+        try {
+            const driver = dbManager.getNeo4j();
+            session = driver.session();
+
+            const result = await session.run(`
+        MATCH (a:Airport)-[:HAS_ZONE]->(z:Zone)-[:HAS_SEPARATION_MINIMUM]->(m:SeparationMinimum)
+        RETURN a.icao as airport, z.name as zone,
+               collect(m {.name, .minAltitudeFt, .maxAltitudeFt, .horizontalNm, .verticalFt}) as minima
+      `);
+
+            const minimaByZone = new Map(result.records.map(record => [
+                `${record.get('airport')}:${record.get('zone')}`,
+                record.get('minima').map(m => ({
+                    name: m.name,
+                    minAltitudeFt: this.toNumber(m.minAltitudeFt),
+                    maxAltitudeFt: this.toNumber(m.maxAltitudeFt),
+                    horizontalNm: this.toNumber(m.horizontalNm),
+                    verticalFt: this.toNumber(m.verticalFt)
+                }))
+            ]));
+
+            this.zones = zoneData.zones
+                .filter(zone => minimaByZone.has(`${zone.airportIcao}:${zone.name}`))
+                .map(zone => ({
+                    ...zone,
+                    zone: zone.name,
+                    airport: zone.airportIcao,
+                    minima: minimaByZone.get(`${zone.airportIcao}:${zone.name}`)
+                }))
+                // Most specific (smallest) zone first
+                .sort((a, b) => (a.radiusMeters ?? Infinity) - (b.radiusMeters ?? Infinity));
+
+            this.zoneData = zoneData;
+            console.log(`📏 Loaded separation minima for ${this.zones.length} zone(s)`);
+        } catch (error) {
+            console.error('Error loading separation minima:', error.message);
+        } finally {
+            if (session) {
+                await session.close();
+            }
+        }
+
+        return this.zones;
+    }
+
+    /**
+     * Get the separation minimum that applies to a single aircraft
+     */
+    getMinimumFor(aircraft) {
+        for (const zone of this.zones) {
+            if (!zoneService.containsPosition(zone, aircraft.latitude, aircraft.longitude, aircraft.altitude)) continue;
+
+            const minimum = this.findByAltitude(zone.minima, aircraft.altitude);
+            if (minimum) {
+                return this.describe(minimum, zone.zone, zone.airport);
+            }
+        }
+
+        return this.describe(this.findByAltitude(DEFAULT_MINIMA, aircraft.altitude) || DEFAULT_MINIMA[0], null, null);
+    }
+
+    /**
+     * Get the minimum that applies to a pair - the more restrictive of the two
+     */
+    getPairMinimum(aircraft1, aircraft2) {
+        const minimum1 = this.getMinimumFor(aircraft1);
+        const minimum2 = this.getMinimumFor(aircraft2);
+
+        if (minimum2.horizontalKm > minimum1.horizontalKm ||
+            (minimum2.horizontalKm === minimum1.horizontalKm && minimum2.verticalFt > minimum1.verticalFt)) {
+            return minimum2;
+        }
+        return minimum1;
+    }
+
+    /**
+     * Largest horizontal (km) and vertical (ft) minimum across all tables,
+     * used to size the spatial index
+     */
+    getLargestMinimum() {
+        const all = DEFAULT_MINIMA.concat(...this.zones.map(z => z.minima));
+
+        return {
+            horizontalKm: Math.max(...all.map(m => m.horizontalNm)) * NM_TO_KM,
+            verticalFt: Math.max(...all.map(m => m.verticalFt))
+        };
+    }
+
+    /**
+     * Get all loaded tables, including the default en-route table
+     */
+    getTables() {
+        return {
+            default: DEFAULT_MINIMA,
+            zones: this.zones
+        };
+    }
+
+    findByAltitude(minima, altitude) {
+        return minima.find(m => altitude >= m.minAltitudeFt && altitude < m.maxAltitudeFt) || null;
+    }
+
+    describe(minimum, zone, airport) {
+        return {
+            name: minimum.name,
+            zone,
+            airport,
+            horizontalNm: minimum.horizontalNm,
+            horizontalKm: minimum.horizontalNm * NM_TO_KM,
+            verticalFt: minimum.verticalFt
+        };
+    }
+
+    toNumber(value) {
+        if (value === null || value === undefined) return null;
+        return typeof value.toNumber === 'function' ? value.toNumber() : Number(value);
+    }
+}
+
+module.exports = new SeparationMinimaService();
@@ -0,0 +1,459 @@
+/**
+ * Speed Restriction Service
+ *
+ * Checks aircraft speed against the speed restriction rules table
+ * (altitude band, optionally limited to an airport zone) and records each
+ * violation with its duration and peak excess speed. Violations still open
+ * when the server stopped are picked up again on the first check.
+ */
+
+const dbManager = require('../config/database');
+const eventBus = require('../utils/eventBus');
+const zoneService = require('./zoneService');
+const { getAircraftId, displayCallsign } = require('../utils/aircraftIdentity');
+
+// Applied when the speed_restrictions collection is empty
+const DEFAULT_RESTRICTIONS = [
+    { ruleId: 'below-fl100', name: '250 kt below FL100', zone: null, minAltitudeFt: 0, maxAltitudeFt: 10000, maxSpeedKt: 250, enabled: true },
+    { ruleId: 'approach-zone', name: '210 kt in Approach Zone', zone: 'Approach Zone', minAltitudeFt: 0, maxAltitudeFt: 10000, maxSpeedKt: 210, enabled: true }
+];
+
+class SpeedRestrictionService {
+    constructor() {
+        // The feed reports ground speed, so allow for wind before calling it a violation
+        this.TOLERANCE_KT = parseFloat(process.env.SPEED_TOLERANCE_KT || '10');
+        this.REFRESH_SEC = parseInt(process.env.SPEED_RULES_REFRESH_SEC || '300');
+        this.checkInterval = null;
+        this.rules = [];
+        this.zones = [];
+        this.lastLoaded = 0;
+        this.openViolations = new Map();
+        this.restored = false;
+        this.queue = Promise.resolve();
+    }
+
+    /**
+     * Start continuous speed restriction monitoring
+     */
+    startMonitoring() {
+        const interval = parseInt(process.env.SPEED_CHECK_INTERVAL || '10') * 1000;
+
+        console.log(`🚦 Starting speed restriction monitoring (check every ${interval / 1000}s)`);
+
+        // Initial check
+        this.checkSpeedRestrictions();
+
+        // Set up periodic checks
+        this.checkInterval = setInterval(() => {
+            this.checkSpeedRestrictions();
+        }, interval);
+    }
+
+    /**
+     * Stop monitoring
+     */
+    stopMonitoring() {
+        if (this.checkInterval) {
+            clearInterval(this.checkInterval);
+            console.log('⏹️  Speed restriction monitoring stopped');
+        }
+    }
+
+    /**
+     * Reload rules from MongoDB if the cache is stale
+     * Zones come from the zone service cache, which tracks graph changes itself.
+     */
+    async refresh(force = false) {
+        try {
+            this.zones = await zoneService.getZones();
+        } catch (error) {
+            console.error('Error loading zones for speed restrictions:', error.message);
+        }
+
+        if (!force && Date.now() - this.lastLoaded < this.REFRESH_SEC * 1000) {
+            return;
+        }
+
+        const db = dbManager.getMongoDB();
+        const rules = await db.collection('speed_restrictions').find({}).toArray();
+        this.rules = rules.length > 0 ? rules : DEFAULT_RESTRICTIONS;
+
+        this.lastLoaded = Date.now();
+    }
+
+    /**
+     * Check every airborne aircraft against the applicable speed limit
+     * Checks from the interval and the API run one at a time, so a violation
+     * is never opened twice.
+     */
+    checkSpeedRestrictions() {
+        const check = this.queue.then(() => this.runCheck());
+        this.queue = check;
+        return check;
+    }
+
+    async runCheck() {
+        try {
+            if (!this.restored) {
+                await this.restoreOpenViolations();
+            }
+
+            await this.refresh();
+
+            const redis = dbManager.getRedis();
+            const keys = await redis.keys('aircraft:*:position');
+            const alerts = [];
+            const exceeding = new Set();
+
+            for (const key of keys) {
+                const data = await redis.hGetAll(key);
+
+                if (!data || !getAircraftId(data) || data.on_ground === 'true') {
+                    continue;
+                }
+
+                const aircraft = {
+                    aircraftId: getAircraftId(data),
+                    icao24: data.icao24 || null,
+                    callsign: displayCallsign(data),
+                    latitude: parseFloat(data.latitude),
+                    longitude: parseFloat(data.longitude),
+                    altitude: parseFloat(data.altitude) || 0,
+                    velocity: parseFloat(data.velocity) || 0
+                };
+
+                const rule = this.getApplicableRule(aircraft);
+                if (!rule || aircraft.velocity <= rule.maxSpeedKt + this.TOLERANCE_KT) {
+                    continue;
+                }
+
+                exceeding.add(aircraft.aircraftId);
+
+                const violation = this.openViolations.get(aircraft.aircraftId);
+                if (violation && violation.ruleId === rule.ruleId) {
+                    await this.updateViolation(violation, aircraft);
+                } else {
+                    if (violation) {
+                        await this.closeViolation(violation);
+                    }
+                    alerts.push(await this.openViolation(aircraft, rule));
+                }
+            }
+
+            // Aircraft back within limits (or no longer tracked) end their violation
+            for (const [aircraftId, violation] of this.openViolations) {
+                if (!exceeding.has(aircraftId)) {
+                    await this.closeViolation(violation);
+                }
+            }
+
+            if (alerts.length > 0) {
+                console.log(`🚦 ${alerts.length} speed restriction violation(s) detected!`);
+            }
+
+            return { alerts, violations: Array.from(this.openViolations.values()) };
+        } catch (error) {
+            console.error('Error checking speed restrictions:', error);
+            return { alerts: [], violations: [] };
+        }
+    }
+
+    /**
+     * Reload violations that were still open when the server last stopped
+     */
+    async restoreOpenViolations() {
+        const db = dbManager.getMongoDB();
+        const violations = await db.collection('speed_violations').find({ status: 'open' }).toArray();
+
+        // Violations recorded before icao24 tracking are keyed by callsign
+        for (const violation of violations) {
+            this.openViolations.set(violation.aircraftId || violation.callsign, violation);
+        }
+
+        this.restored = true;
+    }
+
+    /**
+     * Most restrictive enabled rule covering the aircraft's altitude and position
+     */
+    getApplicableRule(aircraft) {
+        let applicable = null;
+
+        for (const rule of this.rules) {
+            if (rule.enabled === false) continue;
+            if (aircraft.altitude < rule.minAltitudeFt || aircraft.altitude >= rule.maxAltitudeFt) continue;
+            if (rule.zone && !this.isInZone(aircraft, rule.zone)) continue;
+
+            if (!applicable || rule.maxSpeedKt < applicable.maxSpeedKt) {
+                applicable = rule;
+            }
+        }
+
+        return applicable;
+    }
+
+    isInZone(aircraft, zoneName) {
+        return this.zones.some(zone =>
+            zone.name === zoneName &&
+            zoneService.containsPosition(zone, aircraft.latitude, aircraft.longitude, aircraft.altitude)
+        );
+    }
+
+    /**
+     * Record a new violation and raise an alert for it
+     */
+    async openViolation(aircraft, rule) {
+        const now = new Date();
+        const excess = aircraft.velocity - rule.maxSpeedKt;
+        const airline = await this.getAirline(aircraft.callsign);
+
+        const violation = {
+            violationId: `${aircraft.aircraftId}-${rule.ruleId}-${now.getTime()}`,
+            aircraftId: aircraft.aircraftId,
+            icao24: aircraft.icao24,
+            callsign: aircraft.callsign,
+            airline: airline.name,
+            airlineCode: airline.code,
+            ruleId: rule.ruleId,
+            ruleName: rule.name,
+            zone: rule.zone || null,
+            limitKt: rule.maxSpeedKt,
+            status: 'open',
+            startedAt: now,
+            endedAt: null,
+            durationSec: 0,
+            peakSpeedKt: Math.round(aircraft.velocity),
+            peakExcessKt: Math.round(excess),
+            peakAt: now,
+            peakPosition: {
+                latitude: aircraft.latitude,
+                longitude: aircraft.longitude,
+                altitude: aircraft.altitude
+            }
+        };
+
+        const db = dbManager.getMongoDB();
+        await db.collection('speed_violations').insertOne({ ...violation });
+        this.openViolations.set(aircraft.aircraftId, violation);
+
+        const alert = {
+            id: violation.violationId,
+            type: 'SPEED_RESTRICTION',
+            icao24: aircraft.icao24,
+            callsign: aircraft.callsign,
+            airline: violation.airline,
+            rule: rule.name,
+            limitKt: rule.maxSpeedKt,
+            speedKt: Math.round(aircraft.velocity),
+            excessKt: Math.round(excess),
+            altitude: aircraft.altitude,
+            latitude: aircraft.latitude,
+            longitude: aircraft.longitude,
+            severity: excess > 50 ? 'HIGH' : 'MEDIUM',
+            message: `${aircraft.callsign} at ${Math.round(aircraft.velocity)} kt exceeds ${rule.name}`,
+            timestamp: now.toISOString()
+        };
+
+        await this.storeAlert(alert);
+        return alert;
+    }
+
+    /**
+     * Track the peak of an ongoing violation
+     */
+    async updateViolation(violation, aircraft) {
+        const excess = aircraft.velocity - violation.limitKt;
+        if (excess <= violation.peakExcessKt) return;
+
+        violation.peakSpeedKt = Math.round(aircraft.velocity);
+        violation.peakExcessKt = Math.round(excess);
+        violation.peakAt = new Date();
+        violation.peakPosition = {
+            latitude: aircraft.latitude,
+            longitude: aircraft.longitude,
+            altitude: aircraft.altitude
+        };
+
+        const db = dbManager.getMongoDB();
+        await db.collection('speed_violations').updateOne(
+            { violationId: violation.violationId },
+            {
+                $set: {
+                    peakSpeedKt: violation.peakSpeedKt,
+                    peakExcessKt: violation.peakExcessKt,
+                    peakAt: violation.peakAt,
+                    peakPosition: violation.peakPosition
+                }
+            }
+        );
+    }
+
+    /**
+     * Close a violation and record its duration
+     */
+    async closeViolation(violation) {
+        const endedAt = new Date();
+        const durationSec = Math.round((endedAt - violation.startedAt) / 1000);
+
+        const db = dbManager.getMongoDB();
+        await db.collection('speed_violations').updateOne(
+            { violationId: violation.violationId },
+            { $set: { status: 'closed', endedAt, durationSec } }
+        );
+
+        this.openViolations.delete(violation.aircraftId || violation.callsign);
+
+        eventBus.publish('alert:cleared', {
+            source: 'speed',
+            alert: { type: 'SPEED_RESTRICTION', icao24: violation.icao24, callsign: violation.callsign },
+            reason: 'speed within limit'
+        });
+    }
+
+    /**
+     * Airline for a callsign from its schedule, falling back to the ICAO prefix
+     */
+    async getAirline(callsign) {
+        const match = callsign.match(/^([A-Z]{3})\d/);
+        const code = match ? match[1] : null;
+
+        try {
+            const flightMonitorService = require('./flightMonitorService');
+            const schedule = await flightMonitorService.getFlightSchedule(callsign);
+            if (schedule && schedule.airline) {
+                return { name: schedule.airline, code: schedule.airlineCode || code };
+            }
+        } catch (error) {
+            // fall back to the callsign prefix
+        }
+
+        return { name: code || 'Unknown', code };
+    }
+
+    /**
+     * Get the rules table (defaults when none are configured)
+     */
+    async getRules() {
+        await this.refresh(true);
+        return this.rules;
+    }
+
+    /**
+     * Create or replace a speed restriction rule
+     */
+    async saveRule(rule) {
+        const { ruleId, name, zone, minAltitudeFt, maxAltitudeFt, maxSpeedKt, enabled } = rule;
+
+        if (!ruleId || !name || maxSpeedKt === undefined) {
+            throw this.validationError('ruleId, name and maxSpeedKt are required');
+        }
+
+        const limits = {
+            minAltitudeFt: Number(minAltitudeFt === undefined ? 0 : minAltitudeFt),
+            maxAltitudeFt: Number(maxAltitudeFt === undefined ? 99999 : maxAltitudeFt),
+            maxSpeedKt: Number(maxSpeedKt)
+        };
+        for (const [field, value] of Object.entries(limits)) {
+            if (!Number.isFinite(value)) {
+                throw this.validationError(`${field} must be a number`);
+            }
+        }
+        if (limits.maxSpeedKt <= 0 || limits.minAltitudeFt >= limits.maxAltitudeFt) {
+            throw this.validationError('maxSpeedKt must be positive and minAltitudeFt below maxAltitudeFt');
+        }
+
+        const document = {
+            ruleId,
+            name,
+            zone: zone || null,
+            ...limits,
+            enabled: enabled !== false,
+            updatedAt: new Date()
+        };
+
+        const db = dbManager.getMongoDB();
+        await db.collection('speed_restrictions').updateOne(
+            { ruleId },
+            { $set: document },
+            { upsert: true }
+        );
+
+        await this.refresh(true);
+        return document;
+    }
+
+    validationError(message) {
+        const error = new Error(message);
+        error.status = 400;
+        return error;
+    }
+
+    /**
+     * Delete a rule, returns false if it did not exist
+     */
+    async deleteRule(ruleId) {
+        const db = dbManager.getMongoDB();
+        const result = await db.collection('speed_restrictions').deleteOne({ ruleId });
+
+        await this.refresh(true);
+        return result.deletedCount > 0;
+    }
+
+    /**
+     * Get recorded violations, newest first
+     */
+    async getViolations(filters = {}) {
+        const db = dbManager.getMongoDB();
+        const query = {};
+
+        if (filters.callsign) query.callsign = filters.callsign.toUpperCase();
+        if (filters.airline) query.airline = filters.airline;
+        if (filters.status) query.status = filters.status;
+
+        return await db.collection('speed_violations')
+            .find(query)
+            .sort({ startedAt: -1 })
+            .limit(filters.limit || 100)
+            .toArray();
+    }
+
+    /**
+     * Store alert in Redis
+     */
+    async storeAlert(alert) {
+        try {
+            const redis = dbManager.getRedis();
+            const key = `alert:speed:${alert.id}`;
+
+            await redis.set(key, JSON.stringify(alert), {
+                EX: 300 // Expire after 5 minutes
+            });
+
+            // Also add to active alerts list
+            await redis.lPush('alerts:speed:active', JSON.stringify(alert));
+            await redis.lTrim('alerts:speed:active', 0, 99); // Keep last 100
+
+            // Raised once per violation; closeViolation clears it
+            eventBus.publish('alert:raised', { source: 'speed', alert, untilCleared: true });
+        } catch (error) {
+            console.error('Error storing speed alert:', error);
+        }
+    }
+
+    /**
+     * Get active speed restriction alerts
+     */
+    async getActiveAlerts() {
+        try {
+            const redis = dbManager.getRedis();
+            const alerts = await redis.lRange('alerts:speed:active', 0, -1);
+
+            return alerts.map(a => JSON.parse(a));
+        } catch (error) {
+            console.error('Error getting active speed alerts:', error);
+            return [];
+        }
+    }
+}
+
+module.exports = new SpeedRestrictionService();
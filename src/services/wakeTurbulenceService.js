@@ -0,0 +1,325 @@
+/**
+ * Wake Turbulence Service
+ *
+ * Monitors in-trail spacing between consecutive arrivals and departures
+ * inside the airport's Approach Zone against RECAT-EU wake separation minima.
+ * Only aircraft below WAKE_MAX_ALTITUDE_FT are sequenced; anything higher is
+ * overflying the zone rather than arriving or departing.
+ */
+
+const dbManager = require('../config/database');
+const eventBus = require('../utils/eventBus');
+const zoneService = require('./zoneService');
+const { calculateDistance, calculateBearing, headingDifference } = require('../utils/geo');
+const { getAircraftId } = require('../utils/aircraftIdentity');
+
+// Active alerts by leader/follower pair, updated in place while the infringement lasts
+const ACTIVE_ALERTS_KEY = 'alerts:wake:active';
+
+// RECAT-EU wake categories by ICAO aircraft type designator
+// A = Super Heavy, B = Upper Heavy, C = Lower Heavy,
+// D = Upper Medium, E = Lower Medium, F = Light
+const WAKE_CATEGORIES = {
+    A: ['A380', 'A388', 'A225'],
+    B: ['A330', 'A332', 'A333', 'A338', 'A339', 'A340', 'A342', 'A343', 'A345', 'A346',
+        'A350', 'A359', 'A35K', 'B747', 'B744', 'B748', 'B74F', 'B777', 'B772', 'B773',
+        'B77L', 'B77W', 'B778', 'B779', 'B787', 'B788', 'B789', 'B78X', 'IL96'],
+    C: ['A300', 'A306', 'A30B', 'A310', 'B767', 'B762', 'B763', 'B764', 'MD11', 'DC10', 'IL76'],
+    D: ['A318', 'A319', 'A320', 'A321', 'A19N', 'A20N', 'A21N', 'B736', 'B737',
+        'B738', 'B739', 'B38M', 'B39M', 'B757', 'B752', 'B753', 'MD82', 'MD83'],
+    E: ['AT43', 'AT45', 'AT72', 'AT75', 'AT76', 'ATR', 'DH8D', 'CRJ7', 'CRJ9', 'CRJX',
+        'E170', 'E175', 'E190', 'E195', 'E290', 'E295', 'BCS1', 'BCS3', 'SF34'],
+    F: ['C172', 'C182', 'C208', 'PC12', 'PA28', 'SR22', 'DA42', 'BE20', 'C510', 'E55P']
+};
+
+// RECAT-EU distance-based wake separation (NM), [leader][follower]
+// Pairs without an entry only need the normal radar separation minimum
+const WAKE_SEPARATION_NM = {
+    A: { A: 3, B: 4, C: 5, D: 5, E: 6, F: 8 },
+    B: { B: 3, C: 4, D: 4, E: 5, F: 7 },
+    C: { D: 3, E: 3.5, F: 6 },
+    D: { F: 5 },
+    E: { F: 4 },
+    F: {}
+};
+
+const KM_PER_NM = 1.852;
+
+class WakeTurbulenceService {
+    constructor() {
+        this.airportICAO = process.env.AIRPORT_ICAO || 'EDDF';
+        this.TRACK_TOLERANCE_DEG = parseFloat(process.env.WAKE_TRACK_TOLERANCE_DEG || '30');
+        this.MAX_ALTITUDE_FT = parseFloat(process.env.WAKE_MAX_ALTITUDE_FT || '6000');
+        this.checkInterval = null;
+
+        this.categoryByType = {};
+        for (const [category, types] of Object.entries(WAKE_CATEGORIES)) {
+            for (const type of types) {
+                this.categoryByType[type] = category;
+            }
+        }
+    }
+
+    /**
+     * Start continuous wake separation monitoring
+     */
+    startMonitoring() {
+        const interval = parseInt(process.env.WAKE_CHECK_INTERVAL || '5') * 1000;
+
+        console.log(`🌀 Starting wake turbulence monitoring (check every ${interval / 1000}s)`);
+
+        // Initial check
+        this.checkWakeSeparation();
+
+        // Set up periodic checks
+        this.checkInterval = setInterval(() => {
+            this.checkWakeSeparation();
+        }, interval);
+    }
+
+    /**
+     * Stop monitoring
+     */
+    stopMonitoring() {
+        if (this.checkInterval) {
+            clearInterval(this.checkInterval);
+            console.log('⏹️  Wake turbulence monitoring stopped');
+        }
+    }
+
+    /**
+     * Look up the RECAT-EU wake category for an ICAO type designator
+     */
+    getWakeCategory(aircraftType) {
+        if (!aircraftType) return null;
+        return this.categoryByType[aircraftType.toString().trim().toUpperCase()] || null;
+    }
+
+    /**
+     * Required wake separation (NM) for a leader/follower category pair, or null if none applies
+     */
+    getRequiredSeparation(leaderCategory, followerCategory) {
+        if (!leaderCategory || !followerCategory) return null;
+        return WAKE_SEPARATION_NM[leaderCategory][followerCategory] || null;
+    }
+
+    /**
+     * Check in-trail spacing of arrivals and departures in the Approach Zone
+     */
+    async checkWakeSeparation() {
+        try {
+            const zone = await this.getApproachZone();
+            if (!zone) {
+                console.log('⚠️  No Approach Zone configured - skipping wake turbulence check');
+                return { alerts: [], arrivals: [], departures: [] };
+            }
+
+            const flightMonitorService = require('./flightMonitorService');
+            const flights = await flightMonitorService.getLiveFlights();
+
+            const arrivals = [];
+            const departures = [];
+
+            for (const flight of flights) {
+                if (flight.on_ground) continue;
+
+                const altitude = parseFloat(flight.altitude) || 0;
+                if (altitude > this.MAX_ALTITUDE_FT) continue;
+
+                const latitude = parseFloat(flight.latitude);
+                const longitude = parseFloat(flight.longitude);
+                if (!zoneService.containsPosition(zone, latitude, longitude, altitude)) continue;
+
+                const distanceKm = calculateDistance(latitude, longitude, zone.latitude, zone.longitude);
+
+                const aircraftType = flight.schedule?.aircraft?.icao;
+                const heading = parseFloat(flight.heading) || 0;
+                const bearingToAirport = calculateBearing(latitude, longitude, zone.latitude, zone.longitude);
+
+                const aircraft = {
+                    icao24: flight.icao24 || null,
+                    callsign: flight.callsign,
+                    latitude,
+                    longitude,
+                    altitude,
+                    heading,
+                    aircraftType: aircraftType || null,
+                    wakeCategory: this.getWakeCategory(aircraftType),
+                    distanceToAirportNm: parseFloat((distanceKm / KM_PER_NM).toFixed(2))
+                };
+
+                // Heading towards the airport means the aircraft is arriving
+                if (headingDifference(heading, bearingToAirport) < 90) {
+                    arrivals.push(aircraft);
+                } else {
+                    departures.push(aircraft);
+                }
+            }
+
+            // Arrivals: leader is closest to the airport. Departures: leader is furthest out.
+            arrivals.sort((a, b) => a.distanceToAirportNm - b.distanceToAirportNm);
+            departures.sort((a, b) => b.distanceToAirportNm - a.distanceToAirportNm);
+
+            const alerts = [
+                ...this.checkSequence(arrivals, 'arrival'),
+                ...this.checkSequence(departures, 'departure')
+            ];
+
+            const active = await this.updateActiveAlerts(alerts);
+
+            if (active.length > 0) {
+                console.log(`🌀 ${active.length} wake separation infringement(s) detected!`);
+            }
+
+            return { alerts: active, arrivals, departures };
+        } catch (error) {
+            console.error('Error checking wake turbulence separation:', error);
+            return { alerts: [], arrivals: [], departures: [] };
+        }
+    }
+
+    /**
+     * Compare each aircraft with the one ahead of it in the sequence
+     */
+    checkSequence(sequence, phase) {
+        const alerts = [];
+
+        for (let i = 1; i < sequence.length; i++) {
+            const leader = sequence[i - 1];
+            const follower = sequence[i];
+
+            // Only aircraft on roughly the same track are in trail
+            if (headingDifference(leader.heading, follower.heading) > this.TRACK_TOLERANCE_DEG) {
+                continue;
+            }
+
+            const requiredNm = this.getRequiredSeparation(leader.wakeCategory, follower.wakeCategory);
+            if (!requiredNm) continue;
+
+            const spacingNm = calculateDistance(
+                leader.latitude, leader.longitude, follower.latitude, follower.longitude
+            ) / KM_PER_NM;
+
+            if (spacingNm < requiredNm) {
+                alerts.push({
+                    pairKey: `${getAircraftId(leader)}-${getAircraftId(follower)}`,
+                    type: 'WAKE_TURBULENCE',
+                    phase,
+                    leader,
+                    follower,
+                    spacingNm: parseFloat(spacingNm.toFixed(2)),
+                    requiredNm,
+                    severity: spacingNm < requiredNm * 0.8 ? 'CRITICAL' : 'WARNING',
+                    message: `${follower.callsign} (${follower.wakeCategory}) is ${spacingNm.toFixed(1)} NM behind ` +
+                        `${leader.callsign} (${leader.wakeCategory}), ${requiredNm} NM required`,
+                    timestamp: new Date().toISOString()
+                });
+            }
+        }
+
+        return alerts;
+    }
+
+    /**
+     * Merge this cycle's infringements into the per-pair alerts in Redis
+     * A continuing pair keeps its alert id, first-seen time, worst severity
+     * and closest spacing; pairs no longer infringing are cleared.
+     * Returns the active alerts.
+     */
+    async updateActiveAlerts(alerts) {
+        const redis = dbManager.getRedis();
+        const existing = await redis.hGetAll(ACTIVE_ALERTS_KEY);
+        const now = new Date().toISOString();
+        const active = [];
+
+        for (const alert of alerts) {
+            const previous = existing[alert.pairKey] ? JSON.parse(existing[alert.pairKey]) : null;
+
+            const merged = previous ? {
+                ...alert,
+                id: previous.id,
+                firstSeen: previous.firstSeen,
+                worstSeverity: previous.worstSeverity === 'CRITICAL' ? 'CRITICAL' : alert.severity,
+                minSpacingNm: Math.min(previous.minSpacingNm, alert.spacingNm)
+            } : {
+                ...alert,
+                id: `${alert.pairKey}-${Date.parse(now)}`,
+                firstSeen: now,
+                worstSeverity: alert.severity,
+                minSpacingNm: alert.spacingNm
+            };
+
+            await this.storeAlert(merged);
+            active.push(merged);
+        }
+
+        const current = new Set(alerts.map(alert => alert.pairKey));
+        for (const [pairKey, data] of Object.entries(existing)) {
+            if (!current.has(pairKey)) {
+                await this.clearAlert(JSON.parse(data), 'wake spacing restored');
+            }
+        }
+
+        return active;
+    }
+
+    /**
+     * Get the airport's Approach Zone from the zoneService snapshot
+     */
+    async getApproachZone() {
+        try {
+            return await zoneService.getAirportZone(this.airportICAO, 'Approach Zone');
+        } catch (error) {
+            console.error('Error getting approach zone:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Store alert in Redis
+     */
+    async storeAlert(alert) {
+        try {
+            const redis = dbManager.getRedis();
+            const key = `alert:wake:${alert.id}`;
+
+            await redis.set(key, JSON.stringify(alert), {
+                EX: 300 // Expire after 5 minutes
+            });
+
+            // One entry per leader/follower pair in the active alerts hash
+            await redis.hSet(ACTIVE_ALERTS_KEY, alert.pairKey, JSON.stringify(alert));
+
+            eventBus.publish('alert:raised', { source: 'wake', alert });
+        } catch (error) {
+            console.error('Error storing wake turbulence alert:', error);
+        }
+    }
+
+    /**
+     * Remove a pair's alert from the active set and tell the alert center
+     */
+    async clearAlert(alert, reason) {
+        const redis = dbManager.getRedis();
+        await redis.hDel(ACTIVE_ALERTS_KEY, alert.pairKey);
+
+        eventBus.publish('alert:cleared', { source: 'wake', alert, reason });
+    }
+
+    /**
+     * Get active wake turbulence alerts
+     */
+    async getActiveAlerts() {
+        try {
+            const redis = dbManager.getRedis();
+            const alerts = await redis.hVals(ACTIVE_ALERTS_KEY);
+
+            return alerts.map(a => JSON.parse(a));
+        } catch (error) {
+            console.error('Error getting active wake alerts:', error);
+            return [];
+        }
+    }
+}
+
+module.exports = new WakeTurbulenceService();
@@ -0,0 +1,452 @@
+/**
+ * Webhook Service
+ *
+ * Delivers flight and alert events to subscribed URLs. Each subscription
+ * (webhook_subscriptions) lists the events it wants, optionally narrowed to
+ * callsigns, icao24 addresses or severities, and has its own signing secret.
+ * Every delivery is a POST of { id, event, timestamp, data } signed with
+ *   X-Webhook-Signature: sha256=HMAC_SHA256(secret, `${timestamp}.${body}`)
+ * Failed deliveries are retried with exponential backoff; after MAX_ATTEMPTS
+ * they are moved to the webhook_dead_letters store, from which they can be
+ * replayed. All deliveries and their attempts are kept in webhook_deliveries.
+ * Deliveries left pending by a crash during their first attempt are picked
+ * up by the retry check once the attempt would have timed out.
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const dbManager = require('../config/database');
+const eventBus = require('../utils/eventBus');
+
+// Event bus events exposed to subscribers, by public event name
+const EVENTS = {
+    'alert.opened': 'alert:opened',
+    'flight.status_changed': 'flight:status-changed',
+    'flight.gate_changed': 'flight:gate-changed',
+    'flight.milestone': 'flight:milestone'
+};
+
+class WebhookService {
+    constructor() {
+        this.TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS || '5000');
+        this.MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '6');
+        this.RETRY_BASE_SEC = parseInt(process.env.WEBHOOK_RETRY_BASE_SEC || '10');
+        this.RETRY_MAX_SEC = parseInt(process.env.WEBHOOK_RETRY_MAX_SEC || '3600');
+        this.checkInterval = null;
+        this.subscriptions = null;
+        this.inFlight = new Set();
+        this.listeners = Object.entries(EVENTS).map(([event, busEvent]) => ({
+            busEvent,
+            handler: message => {
+                this.dispatch(event, message.payload, message.timestamp)
+                    .catch(error => console.error(`Error dispatching ${event} webhooks:`, error.message));
+            }
+        }));
+    }
+
+    /**
+     * Subscribe to events and periodically retry failed deliveries
+     */
+    startMonitoring() {
+        const interval = parseInt(process.env.WEBHOOK_RETRY_INTERVAL || '5') * 1000;
+
+        console.log(`🪝 Starting webhook delivery (retry check every ${interval / 1000}s)`);
+
+        this.listeners.forEach(({ busEvent, handler }) => eventBus.on(busEvent, handler));
+
+        this.checkInterval = setInterval(() => {
+            this.retryDue().catch(error => console.error('Error retrying webhooks:', error.message));
+        }, interval);
+    }
+
+    /**
+     * Stop monitoring
+     */
+    stopMonitoring() {
+        this.listeners.forEach(({ busEvent, handler }) => eventBus.off(busEvent, handler));
+
+        if (this.checkInterval) {
+            clearInterval(this.checkInterval);
+            console.log('⏹️  Webhook delivery stopped');
+        }
+    }
+
+    getEvents() {
+        return Object.keys(EVENTS);
+    }
+
+    /**
+     * Enabled subscriptions, cached until a subscription changes
+     */
+    async getActiveSubscriptions() {
+        if (!this.subscriptions) {
+            const db = dbManager.getMongoDB();
+            this.subscriptions = await db.collection('webhook_subscriptions').find({ enabled: true }).toArray();
+        }
+        return this.subscriptions;
+    }
+
+    /**
+     * Whether a subscription wants an event
+     * Events may be listed exactly, as a prefix wildcard ('flight.*') or as '*'.
+     */
+    matches(subscription, event, data) {
+        const wantsEvent = subscription.events.some(pattern =>
+            pattern === '*' || pattern === event ||
+            (pattern.endsWith('.*') && event.startsWith(pattern.slice(0, -1))));
+        if (!wantsEvent) return false;
+
+        const filters = subscription.filters || {};
+
+        if (filters.callsigns && filters.callsigns.length > 0) {
+            const callsigns = [
+                data.callsign,
+                data.flightNumber,
+                ...(data.aircraft || []).map(a => a.callsign)
+            ].filter(Boolean);
+            if (!callsigns.some(callsign => filters.callsigns.includes(callsign))) return false;
+        }
+
+        if (filters.icao24s && filters.icao24s.length > 0) {
+            const icao24s = [data.icao24, ...(data.aircraft || []).map(a => a.icao24)].filter(Boolean);
+            if (!icao24s.some(icao24 => filters.icao24s.includes(icao24))) return false;
+        }
+
+        if (filters.severities && filters.severities.length > 0 && data.severity) {
+            if (!filters.severities.includes(data.severity)) return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Queue an event for every matching subscription and attempt delivery
+     */
+    async dispatch(event, data, timestamp = new Date().toISOString()) {
+        const subscriptions = await this.getActiveSubscriptions();
+
+        const deliveries = [];
+        for (const subscription of subscriptions.filter(s => this.matches(s, event, data))) {
+            deliveries.push(await this.enqueue(subscription, event, data, timestamp));
+        }
+
+        return deliveries;
+    }
+
+    async enqueue(subscription, event, data, timestamp) {
+        const now = new Date();
+        const delivery = {
+            deliveryId: crypto.randomUUID(),
+            subscriptionId: subscription.subscriptionId,
+            event,
+            payload: { event, timestamp, data },
+            status: 'pending',
+            attempts: [],
+            nextAttemptAt: now,
+            createdAt: now,
+            updatedAt: now
+        };
+
+        const db = dbManager.getMongoDB();
+        await db.collection('webhook_deliveries').insertOne({ ...delivery });
+
+        return await this.attempt(delivery, subscription);
+    }
+
+    /**
+     * Sign the body of a delivery
+     */
+    sign(secret, timestamp, body) {
+        return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    }
+
+    /**
+     * Make one delivery attempt and schedule the next one if it fails
+     */
+    async attempt(delivery, subscription) {
+        if (this.inFlight.has(delivery.deliveryId)) return delivery;
+        this.inFlight.add(delivery.deliveryId);
+
+        try {
+            const timestamp = Math.floor(Date.now() / 1000).toString();
+            const body = JSON.stringify({ id: delivery.deliveryId, ...delivery.payload });
+            const started = Date.now();
+            const record = { attempt: delivery.attempts.length + 1, timestamp: new Date(), statusCode: null, error: null, durationMs: null };
+
+            try {
+                const response = await axios.post(subscription.url, body, {
+                    timeout: this.TIMEOUT_MS,
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'X-Webhook-Id': delivery.deliveryId,
+                        'X-Webhook-Event': delivery.event,
+                        'X-Webhook-Timestamp': timestamp,
+                        'X-Webhook-Signature': `sha256=${this.sign(subscription.secret, timestamp, body)}`
+                    }
+                });
+                record.statusCode = response.status;
+            } catch (error) {
+                record.statusCode = error.response ? error.response.status : null;
+                record.error = error.message;
+            }
+            record.durationMs = Date.now() - started;
+
+            const attempts = [...delivery.attempts, record];
+            const update = { attempts, updatedAt: new Date() };
+
+            if (!record.error) {
+                update.status = 'delivered';
+                update.nextAttemptAt = null;
+            } else if (attempts.length >= this.MAX_ATTEMPTS) {
+                update.status = 'dead';
+                update.nextAttemptAt = null;
+                console.error(`💀 Webhook ${delivery.deliveryId} to ${subscription.url} failed ${attempts.length} times, moved to dead letters`);
+            } else {
+                update.status = 'retrying';
+                update.nextAttemptAt = new Date(Date.now() + this.getBackoffSec(attempts.length) * 1000);
+            }
+
+            const db = dbManager.getMongoDB();
+            await db.collection('webhook_deliveries').updateOne({ deliveryId: delivery.deliveryId }, { $set: update });
+
+            if (update.status === 'dead') {
+                await db.collection('webhook_dead_letters').insertOne({
+                    deliveryId: delivery.deliveryId,
+                    subscriptionId: delivery.subscriptionId,
+                    event: delivery.event,
+                    payload: delivery.payload,
+                    attempts: attempts.length,
+                    lastError: record.error,
+                    deadAt: update.updatedAt,
+                    replayedAt: null
+                });
+            }
+
+            return { ...delivery, ...update };
+        } finally {
+            this.inFlight.delete(delivery.deliveryId);
+        }
+    }
+
+    /**
+     * Delay before the next attempt after a number of failed attempts
+     */
+    getBackoffSec(failedAttempts) {
+        return Math.min(this.RETRY_BASE_SEC * Math.pow(2, failedAttempts - 1), this.RETRY_MAX_SEC);
+    }
+
+    /**
+     * Retry deliveries whose backoff has elapsed, and pending deliveries whose
+     * first attempt never finished
+     */
+    async retryDue() {
+        const db = dbManager.getMongoDB();
+        const now = Date.now();
+        const found = await db.collection('webhook_deliveries')
+            .find({
+                $or: [
+                    { status: 'retrying', nextAttemptAt: { $lte: new Date(now) } },
+                    { status: 'pending', updatedAt: { $lte: new Date(now - 2 * this.TIMEOUT_MS) } }
+                ]
+            })
+            .toArray();
+        const due = found.filter(delivery => !this.inFlight.has(delivery.deliveryId));
+
+        for (const delivery of due) {
+            const subscription = await this.getSubscription(delivery.subscriptionId, true);
+
+            if (!subscription || !subscription.enabled) {
+                await db.collection('webhook_deliveries').updateOne(
+                    { deliveryId: delivery.deliveryId },
+                    { $set: { status: 'cancelled', nextAttemptAt: null, updatedAt: new Date() } }
+                );
+                continue;
+            }
+
+            await this.attempt(delivery, subscription);
+        }
+
+        return due.length;
+    }
+
+    /**
+     * Get all subscriptions (secrets masked)
+     */
+    async getSubscriptions() {
+        const db = dbManager.getMongoDB();
+        const subscriptions = await db.collection('webhook_subscriptions').find({}).toArray();
+        return subscriptions.map(subscription => this.toApi(subscription));
+    }
+
+    async getSubscription(subscriptionId, withSecret = false) {
+        const db = dbManager.getMongoDB();
+        const subscription = await db.collection('webhook_subscriptions').findOne({ subscriptionId });
+        if (!subscription) return null;
+        return withSecret ? subscription : this.toApi(subscription);
+    }
+
+    /**
+     * Validate a subscription definition
+     */
+    buildSubscription(definition, existing = null) {
+        if (!definition || typeof definition !== 'object') {
+            throw this.validationError('Subscription definition must be an object');
+        }
+
+        const url = definition.url !== undefined ? definition.url : existing && existing.url;
+        const events = definition.events !== undefined ? definition.events : existing && existing.events;
+        const filters = definition.filters !== undefined ? definition.filters : (existing && existing.filters) || {};
+
+        const errors = [];
+        if (!/^https?:\/\//.test(url || '')) errors.push('url must be an http(s) URL');
+        if (!Array.isArray(events) || events.length === 0) {
+            errors.push('events must be a non-empty list');
+        } else {
+            for (const event of events) {
+                if (typeof event !== 'string') {
+                    errors.push('events must be a list of strings');
+                    continue;
+                }
+                const known = event === '*' || EVENTS[event] ||
+                    (event.endsWith('.*') && Object.keys(EVENTS).some(e => e.startsWith(event.slice(0, -1))));
+                if (!known) errors.push(`unknown event ${event} (events: ${Object.keys(EVENTS).join(', ')})`);
+            }
+        }
+        if (!filters || typeof filters !== 'object' || Array.isArray(filters)) {
+            errors.push('filters must be an object');
+        } else {
+            for (const name of ['callsigns', 'icao24s', 'severities']) {
+                const values = filters[name];
+                if (values !== undefined && (!Array.isArray(values) || values.some(value => typeof value !== 'string'))) {
+                    errors.push(`filters.${name} must be a list of strings`);
+                }
+            }
+        }
+
+        if (errors.length > 0) {
+            throw this.validationError(errors.join('; '));
+        }
+
+        return {
+            url,
+            events,
+            filters: {
+                callsigns: (filters.callsigns || []).map(callsign => callsign.toUpperCase()),
+                icao24s: (filters.icao24s || []).map(icao24 => icao24.toLowerCase()),
+                severities: (filters.severities || []).map(severity => severity.toUpperCase())
+            },
+            description: definition.description !== undefined ? definition.description : (existing && existing.description) || null,
+            enabled: definition.enabled !== undefined ? definition.enabled !== false : !existing || existing.enabled,
+            updatedAt: new Date()
+        };
+    }
+
+    /**
+     * Create a subscription
+     * The signing secret is only returned here.
+     */
+    async createSubscription(definition) {
+        const now = new Date();
+        const subscription = {
+            subscriptionId: crypto.randomUUID(),
+            ...this.buildSubscription(definition),
+            secret: crypto.randomBytes(32).toString('hex'),
+            createdAt: now
+        };
+
+        const db = dbManager.getMongoDB();
+        await db.collection('webhook_subscriptions').insertOne({ ...subscription });
+        this.subscriptions = null;
+
+        return subscription;
+    }
+
+    async updateSubscription(subscriptionId, definition) {
+        const existing = await this.getSubscription(subscriptionId, true);
+        if (!existing) return null;
+
+        const db = dbManager.getMongoDB();
+        await db.collection('webhook_subscriptions').updateOne(
+            { subscriptionId },
+            { $set: this.buildSubscription(definition, existing) }
+        );
+        this.subscriptions = null;
+
+        return await this.getSubscription(subscriptionId);
+    }
+
+    async deleteSubscription(subscriptionId) {
+        const db = dbManager.getMongoDB();
+        const result = await db.collection('webhook_subscriptions').deleteOne({ subscriptionId });
+        this.subscriptions = null;
+
+        return result.deletedCount > 0;
+    }
+
+    /**
+     * Send a ping event to check the endpoint and signature verification
+     */
+    async ping(subscriptionId) {
+        const subscription = await this.getSubscription(subscriptionId, true);
+        if (!subscription) return null;
+
+        return await this.enqueue(subscription, 'ping', { subscriptionId }, new Date().toISOString());
+    }
+
+    /**
+     * Delivery log for a subscription, newest first
+     */
+    async getDeliveries(subscriptionId, status = null, limit = 100) {
+        const query = { subscriptionId };
+        if (status) query.status = status;
+
+        const db = dbManager.getMongoDB();
+        return await db.collection('webhook_deliveries')
+            .find(query, { projection: { _id: 0 } })
+            .sort({ createdAt: -1 })
+            .limit(limit)
+            .toArray();
+    }
+
+    async getDeadLetters(subscriptionId, limit = 100) {
+        const db = dbManager.getMongoDB();
+        return await db.collection('webhook_dead_letters')
+            .find({ subscriptionId }, { projection: { _id: 0 } })
+            .sort({ deadAt: -1 })
+            .limit(limit)
+            .toArray();
+    }
+
+    /**
+     * Queue a dead letter again as a new delivery
+     */
+    async replayDeadLetter(subscriptionId, deliveryId) {
+        const db = dbManager.getMongoDB();
+        const deadLetter = await db.collection('webhook_dead_letters').findOne({ subscriptionId, deliveryId });
+        if (!deadLetter) return null;
+
+        const subscription = await this.getSubscription(subscriptionId, true);
+        if (!subscription) return null;
+
+        await db.collection('webhook_dead_letters').updateOne(
+            { deliveryId },
+            { $set: { replayedAt: new Date() } }
+        );
+
+        const { event, timestamp, data } = deadLetter.payload;
+        return await this.enqueue(subscription, event, data, timestamp);
+    }
+
+    toApi(subscription) {
+        const { _id, secret, ...rest } = subscription;
+        return { ...rest, secret: secret ? `${secret.slice(0, 4)}…` : null };
+    }
+
+    validationError(message) {
+        const error = new Error(message);
+        error.status = 400;
+        return error;
+    }
+}
+
+module.exports = new WebhookService();
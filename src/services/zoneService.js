@@ -0,0 +1,340 @@
+/**
+ * Zone Service
+ * Airport zones in Neo4j are either circles (latitude/longitude + radiusMeters)
+ * or polygons (parallel latitudes/longitudes arrays), each with an optional
+ * floor and ceiling. Polygons also carry a reference point and bounding
+ * radius so circle-based lookups keep working for them.
+ *
+ * Zones and airports are cached in memory. Writers bump the Redis key
+ * `zones:version` so every process reloads on its next lookup; the TTL
+ * picks up changes made directly in the graph.
+ */
+
+const dbManager = require('../config/database');
+const { calculateDistance, pointInPolygon } = require('../utils/geo');
+
+const VERSION_KEY = 'zones:version';
+
+class ZoneService {
+    constructor() {
+        this.CACHE_TTL_SEC = parseInt(process.env.ZONE_CACHE_TTL_SEC || '300');
+        this.cache = null;
+    }
+
+    /**
+     * Cached zones and airports, reloaded when the version or TTL says so
+     */
+    async getZoneData() {
+        const version = await this.getVersion();
+
+        if (this.cache && this.cache.version === version &&
+            Date.now() - this.cache.loadedAt < this.CACHE_TTL_SEC * 1000) {
+            return this.cache;
+        }
+
+        const { zones, airports } = await this.loadZoneData();
+        this.cache = { zones, airports, version, loadedAt: Date.now() };
+        return this.cache;
+    }
+
+    /**
+     * Load all airport zones
+     */
+    async getZones() {
+        return (await this.getZoneData()).zones;
+    }
+
+    /**
+     * Load all airports with a known position
+     */
+    async getAirports() {
+        return (await this.getZoneData()).airports;
+    }
+
+    /**
+     * A named zone of an airport (by ICAO code), or null
+     */
+    async getAirportZone(airportIcao, name) {
+        const { zones } = await this.getZoneData();
+        return zones.find(zone => zone.airportIcao === airportIcao && zone.name === name) || null;
+    }
+
+    /**
+     * Drop the cache here and tell other processes to reload
+     */
+    async invalidate() {
+        this.cache = null;
+
+        try {
+            await dbManager.getRedis().incr(VERSION_KEY);
+        } catch (error) {
+            console.error('Error bumping zone version:', error.message);
+        }
+    }
+
+    async getVersion() {
+        try {
+            return await dbManager.getRedis().get(VERSION_KEY);
+        } catch (error) {
+            // Without Redis only the TTL expires the cache
+            return null;
+        }
+    }
+
+    /**
+     * Load zones and airports from Neo4j in one session
+     */
+    async loadZoneData() {
+        let session = null;
+        try {
+            const driver = dbManager.getNeo4j();
+            session = driver.session();
+
+            const zoneResult = await session.run(`
+        MATCH (a:Airport)-[:HAS_ZONE]->(z:Zone)
+        RETURN a.name as airport, a.code as airportCode, a.icao as airportIcao, a.elevationFt as airportElevationFt,
+               z {.name, .type, .latitude, .longitude, .radiusMeters, .latitudes, .longitudes, .floorFt, .ceilingFt} as zone
+      `);
+
+            const airportResult = await session.run(`
+        MATCH (a:Airport)
+        WHERE a.latitude IS NOT NULL AND a.longitude IS NOT NULL
+        RETURN a.name as name, a.code as code, a.icao as icao, a.latitude as latitude, a.longitude as longitude
+      `);
+
+            return {
+                zones: zoneResult.records.map(record => this.toZone(record.get('zone'), {
+                    airport: record.get('airport'),
+                    airportCode: record.get('airportCode'),
+                    airportIcao: record.get('airportIcao'),
+                    airportElevationFt: Number(record.get('airportElevationFt') || 0)
+                })),
+                airports: airportResult.records.map(record => ({
+                    name: record.get('name'),
+                    code: record.get('code'),
+                    icao: record.get('icao'),
+                    latitude: Number(record.get('latitude')),
+                    longitude: Number(record.get('longitude'))
+                }))
+            };
+        } finally {
+            if (session) {
+                await session.close();
+            }
+        }
+    }
+
+    toZone(zone, airport) {
+        const isPolygon = Array.isArray(zone.latitudes) && zone.latitudes.length >= 3;
+
+        return {
+            name: zone.name,
+            type: zone.type || null,
+            shape: isPolygon ? 'polygon' : 'circle',
+            latitude: Number(zone.latitude),
+            longitude: Number(zone.longitude),
+            radiusMeters: zone.radiusMeters !== null && zone.radiusMeters !== undefined ? Number(zone.radiusMeters) : null,
+            latitudes: isPolygon ? zone.latitudes.map(Number) : null,
+            longitudes: isPolygon ? zone.longitudes.map(Number) : null,
+            floorFt: zone.floorFt !== null && zone.floorFt !== undefined ? Number(zone.floorFt) : 0,
+            ceilingFt: zone.ceilingFt !== null && zone.ceilingFt !== undefined ? Number(zone.ceilingFt) : null,
+            ...airport
+        };
+    }
+
+    /**
+     * Whether a position (and altitude, if given) lies inside a zone
+     */
+    containsPosition(zone, latitude, longitude, altitude = null) {
+        if (altitude !== null && altitude !== undefined) {
+            if (altitude < zone.floorFt) return false;
+            if (zone.ceilingFt !== null && altitude > zone.ceilingFt) return false;
+        }
+
+        if (zone.shape === 'polygon') {
+            return pointInPolygon(latitude, longitude, zone.latitudes, zone.longitudes);
+        }
+
+        return calculateDistance(latitude, longitude, zone.latitude, zone.longitude) * 1000 < zone.radiusMeters;
+    }
+
+    /**
+     * Nearest airport to a position, with its distance in km
+     */
+    findNearestAirport(airports, latitude, longitude) {
+        let nearest = null;
+
+        for (const airport of airports) {
+            const distance = calculateDistance(latitude, longitude, airport.latitude, airport.longitude);
+            if (!nearest || distance < nearest.distance) {
+                nearest = { ...airport, distance };
+            }
+        }
+
+        return nearest;
+    }
+
+    /**
+     * Convert a GeoJSON Feature or FeatureCollection of (Multi)Polygons into zone definitions
+     * Feature properties: name (required), airport (ICAO), type, floorFt, ceilingFt
+     */
+    parseGeoJSON(geojson) {
+        if (!geojson || !geojson.type) {
+            throw this.validationError('Body must be a GeoJSON Feature or FeatureCollection');
+        }
+
+        const features = geojson.type === 'FeatureCollection' ? geojson.features || [] :
+            geojson.type === 'Feature' ? [geojson] : null;
+
+        if (!features) {
+            throw this.validationError(`Unsupported GeoJSON type: ${geojson.type}`);
+        }
+        if (!Array.isArray(features)) {
+            throw this.validationError('FeatureCollection features must be a list');
+        }
+
+        const zones = [];
+
+        features.forEach((feature, index) => {
+            if (!feature || typeof feature !== 'object') {
+                throw this.validationError(`Feature ${index} must be an object`);
+            }
+
+            const properties = feature.properties || {};
+            const geometry = feature.geometry || {};
+
+            if (!properties.name) {
+                throw this.validationError(`Feature ${index} is missing a name property`);
+            }
+
+            let polygons;
+            if (geometry.type === 'Polygon') {
+                polygons = [geometry.coordinates];
+            } else if (geometry.type === 'MultiPolygon') {
+                polygons = geometry.coordinates;
+            } else {
+                throw this.validationError(`Feature "${properties.name}" must be a Polygon or MultiPolygon`);
+            }
+            if (!Array.isArray(polygons)) {
+                throw this.validationError(`Feature "${properties.name}" has no coordinates`);
+            }
+
+            polygons.forEach((rings, part) => {
+                // Only the outer ring is used - holes are ignored
+                const ring = Array.isArray(rings) && Array.isArray(rings[0]) ? rings[0] : [];
+                if (!ring.every(position => this.isPosition(position))) {
+                    throw this.validationError(`Feature "${properties.name}" has a position that is not [longitude, latitude]`);
+                }
+                const points = ring.slice();
+
+                // GeoJSON rings repeat the first position at the end
+                const first = points[0];
+                const last = points[points.length - 1];
+                if (points.length > 1 && first[0] === last[0] && first[1] === last[1]) {
+                    points.pop();
+                }
+
+                if (points.length < 3) {
+                    throw this.validationError(`Feature "${properties.name}" needs at least 3 distinct positions`);
+                }
+
+                const floorFt = properties.floorFt !== undefined ? parseFloat(properties.floorFt) : 0;
+                const ceilingFt = properties.ceilingFt !== undefined ? parseFloat(properties.ceilingFt) : null;
+                if (isNaN(floorFt) || (ceilingFt !== null && (isNaN(ceilingFt) || ceilingFt <= floorFt))) {
+                    throw this.validationError(`Feature "${properties.name}" has invalid vertical limits`);
+                }
+
+                zones.push(this.buildPolygonZone({
+                    name: polygons.length > 1 ? `${properties.name} (${part + 1})` : properties.name,
+                    airport: properties.airport || null,
+                    type: properties.type || null,
+                    // GeoJSON positions are [longitude, latitude]
+                    latitudes: points.map(p => p[1]),
+                    longitudes: points.map(p => p[0]),
+                    floorFt,
+                    ceilingFt
+                }));
+            });
+        });
+
+        return zones;
+    }
+
+    /**
+     * Whether a GeoJSON position is a [longitude, latitude(, altitude)] pair of numbers in range
+     */
+    isPosition(position) {
+        return Array.isArray(position) && position.length >= 2 &&
+            Number.isFinite(position[0]) && Number.isFinite(position[1]) &&
+            Math.abs(position[0]) <= 180 && Math.abs(position[1]) <= 90;
+    }
+
+    /**
+     * Add the reference point (vertex centroid) and bounding radius to a polygon zone
+     */
+    buildPolygonZone(zone) {
+        const latitude = zone.latitudes.reduce((sum, v) => sum + v, 0) / zone.latitudes.length;
+        const longitude = zone.longitudes.reduce((sum, v) => sum + v, 0) / zone.longitudes.length;
+
+        const radiusMeters = Math.max(...zone.latitudes.map((lat, i) =>
+            calculateDistance(latitude, longitude, lat, zone.longitudes[i]) * 1000
+        ));
+
+        return {
+            ...zone,
+            latitude,
+            longitude,
+            radiusMeters: Math.ceil(radiusMeters)
+        };
+    }
+
+    /**
+     * Create or replace zones in Neo4j, linking each to its airport
+     * Runs in one transaction so a bad feature doesn't leave a partial import.
+     */
+    async importZones(zones, defaultAirport = null) {
+        const driver = dbManager.getNeo4j();
+        const session = driver.session();
+        const tx = session.beginTransaction();
+
+        try {
+            const imported = [];
+            for (const zone of zones) {
+                const airport = zone.airport || defaultAirport;
+
+                const result = await tx.run(`
+        MATCH (a:Airport {icao: $airport})
+        MERGE (a)-[:HAS_ZONE]->(z:Zone {name: $name})
+        SET z.type = $type,
+            z.latitudes = $latitudes, z.longitudes = $longitudes,
+            z.latitude = $latitude, z.longitude = $longitude, z.radiusMeters = $radiusMeters,
+            z.floorFt = $floorFt, z.ceilingFt = $ceilingFt
+        RETURN z.name as name
+      `, { ...zone, airport });
+
+                if (result.records.length === 0) {
+                    throw this.validationError(`Unknown airport "${airport}" for zone "${zone.name}"`);
+                }
+
+                imported.push({ ...zone, airport });
+            }
+
+            await tx.commit();
+            await this.invalidate();
+            return imported;
+        } catch (error) {
+            await tx.rollback();
+            throw error;
+        } finally {
+            await session.close();
+        }
+    }
+
+    validationError(message) {
+        const error = new Error(message);
+        error.status = 400;
+        return error;
+    }
+}
+
+module.exports = new ZoneService();
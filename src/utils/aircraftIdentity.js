@@ -0,0 +1,56 @@
+/**
+ * Aircraft identity helpers
+ * The ICAO 24-bit transponder address (icao24, lowercase hex) is the stable
+ * aircraft key; the callsign is an attribute that can be blank or change
+ * during a flight. Sources without an icao24 (sample and demo data) fall
+ * back to the callsign as the key.
+ */
+
+const ICAO24_PATTERN = /^[0-9a-f]{6}$/;
+
+function normalizeIcao24(value) {
+    const icao24 = (value || '').toString().trim().toLowerCase();
+    return ICAO24_PATTERN.test(icao24) ? icao24 : null;
+}
+
+function normalizeCallsign(value) {
+    const callsign = (value || '').toString().trim().toUpperCase();
+    return callsign && callsign !== 'UNKNOWN' ? callsign : null;
+}
+
+/**
+ * Stable key for an aircraft: icao24, or the callsign when there is none
+ */
+function getAircraftId(aircraft) {
+    return normalizeIcao24(aircraft.icao24) || normalizeCallsign(aircraft.callsign);
+}
+
+/**
+ * Name to show for an aircraft: callsign, or icao24 while the callsign is blank
+ */
+function displayCallsign(aircraft) {
+    return normalizeCallsign(aircraft.callsign) || normalizeIcao24(aircraft.icao24) || 'UNKNOWN';
+}
+
+function positionKey(aircraftId) {
+    return `aircraft:${aircraftId}:position`;
+}
+
+function callsignHistoryKey(aircraftId) {
+    return `aircraft:${aircraftId}:callsigns`;
+}
+
+// Current callsign -> aircraft id
+function callsignIndexKey(callsign) {
+    return `callsign:${callsign}`;
+}
+
+module.exports = {
+    normalizeIcao24,
+    normalizeCallsign,
+    getAircraftId,
+    displayCallsign,
+    positionKey,
+    callsignHistoryKey,
+    callsignIndexKey
+};
@@ -0,0 +1,138 @@
+/**
+ * Alert debouncer
+ * Applies hysteresis to a per-key alert condition: the raw condition must
+ * hold for openSamples consecutive samples (or openSeconds) before the alert
+ * is confirmed, and must be clear for clearSamples consecutive samples before
+ * it is closed. One noisy report therefore neither opens nor closes an alert.
+ */
+
+class AlertDebouncer {
+    constructor({ openSamples = 2, openSeconds = 0, clearSamples = 2 } = {}) {
+        this.openSamples = Math.max(1, openSamples);
+        this.openSeconds = openSeconds;
+        this.clearSamples = Math.max(1, clearSamples);
+        this.states = new Map();
+    }
+
+    /**
+     * Build a debouncer from <PREFIX>_ALERT_OPEN_SAMPLES / _OPEN_SECONDS / _CLEAR_SAMPLES,
+     * falling back to the unprefixed ALERT_* variables
+     */
+    static fromEnv(prefix) {
+        const read = (name, fallback) =>
+            parseFloat(process.env[`${prefix}_${name}`] || process.env[name] || fallback);
+
+        return new AlertDebouncer({
+            openSamples: read('ALERT_OPEN_SAMPLES', '2'),
+            openSeconds: read('ALERT_OPEN_SECONDS', '0'),
+            clearSamples: read('ALERT_CLEAR_SAMPLES', '2')
+        });
+    }
+
+    /**
+     * Record a sample of the raw condition for a key
+     * sampleId identifies the underlying report, so re-reading the same report
+     * doesn't count twice. data is kept from the latest raw sample and returned
+     * while the alert is clearing.
+     * Returns { raw, confirmed, samples, rawSince, transition, data } where
+     * transition is 'opened', 'closed' or null.
+     */
+    update(key, raw, { sampleId = null, data = null, now = Date.now() } = {}) {
+        let entry = this.states.get(key);
+
+        if (!entry) {
+            // Nothing to track for a key that is clear and has no alert
+            if (!raw) {
+                return { raw: false, confirmed: false, samples: 0, rawSince: null, transition: null, data: null };
+            }
+            entry = { raw: true, confirmed: false, samples: 0, since: now, sampleId: null, data: null };
+            this.states.set(key, entry);
+        }
+
+        if (sampleId !== null && sampleId === entry.sampleId) {
+            return this.toState(entry, null);
+        }
+        entry.sampleId = sampleId;
+
+        if (raw !== entry.raw) {
+            entry.raw = raw;
+            entry.samples = 0;
+            entry.since = now;
+        }
+        entry.samples++;
+
+        if (raw) {
+            entry.data = data;
+        }
+
+        let transition = null;
+        if (raw && !entry.confirmed &&
+            (entry.samples >= this.openSamples || (this.openSeconds > 0 && now - entry.since >= this.openSeconds * 1000))) {
+            entry.confirmed = true;
+            transition = 'opened';
+        } else if (!raw && entry.confirmed && entry.samples >= this.clearSamples) {
+            entry.confirmed = false;
+            transition = 'closed';
+        }
+
+        const state = this.toState(entry, transition);
+
+        // A condition that cleared before it was confirmed, or an alert that closed, is forgotten
+        if (!raw && !entry.confirmed) {
+            this.states.delete(key);
+        }
+
+        return state;
+    }
+
+    /**
+     * Count a clear sample for every tracked key not seen this cycle
+     * (aircraft out of coverage or on the ground). sampleIds optionally gives
+     * the sample id of each key's clear sample. Returns the states by key.
+     */
+    sweep(seenKeys, now = Date.now(), sampleIds = new Map()) {
+        const states = new Map();
+
+        for (const key of Array.from(this.states.keys())) {
+            if (!seenKeys.has(key)) {
+                states.set(key, this.update(key, false, { now, sampleId: sampleIds.get(key) || null }));
+            }
+        }
+
+        return states;
+    }
+
+    /**
+     * Mark a key as confirmed without sampling, e.g. for alerts restored after a restart
+     */
+    restore(key, data = null, now = Date.now()) {
+        if (!this.states.has(key)) {
+            this.states.set(key, { raw: true, confirmed: true, samples: this.openSamples, since: now, sampleId: null, data });
+        }
+    }
+
+    has(key) {
+        return this.states.has(key);
+    }
+
+    toState(entry, transition) {
+        return {
+            raw: entry.raw,
+            confirmed: entry.confirmed,
+            samples: entry.samples,
+            rawSince: new Date(entry.since).toISOString(),
+            transition,
+            data: entry.data
+        };
+    }
+
+    getSettings() {
+        return {
+            openSamples: this.openSamples,
+            openSeconds: this.openSeconds,
+            clearSamples: this.clearSamples
+        };
+    }
+}
+
+module.exports = { AlertDebouncer };
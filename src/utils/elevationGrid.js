@@ -0,0 +1,212 @@
+/**
+ * Offline terrain elevation grid
+ * Loads elevation tiles from a local directory and answers ground elevation
+ * queries with bilinear interpolation. Supported formats:
+ *   - SRTM .hgt tiles (1 or 3 arc-second, named like N50E008.hgt)
+ *   - ESRI ASCII grids (.asc) in geographic coordinates
+ * Elevations in the files are metres; lookups return feet.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const FEET_PER_METER = 3.28084;
+const SRTM_VOID = -32768;
+
+class ElevationTile {
+    /**
+     * originLat/originLon is the position of the sample at row 0, column 0 (north-west corner);
+     * rows run south and columns run east
+     */
+    constructor({ name, originLat, originLon, latStep, lonStep, rows, cols, getValue }) {
+        this.name = name;
+        this.originLat = originLat;
+        this.originLon = originLon;
+        this.latStep = latStep;
+        this.lonStep = lonStep;
+        this.rows = rows;
+        this.cols = cols;
+        this.getValue = getValue;
+    }
+
+    get bounds() {
+        return {
+            north: this.originLat,
+            south: this.originLat - (this.rows - 1) * this.latStep,
+            west: this.originLon,
+            east: this.originLon + (this.cols - 1) * this.lonStep
+        };
+    }
+
+    /**
+     * Elevation in metres at a position, or null if outside the tile or void
+     */
+    getElevation(lat, lon) {
+        const row = (this.originLat - lat) / this.latStep;
+        const col = (lon - this.originLon) / this.lonStep;
+
+        if (row < 0 || col < 0 || row > this.rows - 1 || col > this.cols - 1) {
+            return null;
+        }
+
+        const r0 = Math.floor(row);
+        const c0 = Math.floor(col);
+        const r1 = Math.min(r0 + 1, this.rows - 1);
+        const c1 = Math.min(c0 + 1, this.cols - 1);
+        const dr = row - r0;
+        const dc = col - c0;
+
+        const samples = [
+            [this.getValue(r0, c0), (1 - dr) * (1 - dc)],
+            [this.getValue(r0, c1), (1 - dr) * dc],
+            [this.getValue(r1, c0), dr * (1 - dc)],
+            [this.getValue(r1, c1), dr * dc]
+        ].filter(([value]) => value !== null);
+
+        if (samples.length === 0) return null;
+
+        // Re-weight over the valid samples so voids next to the point don't drag it to zero
+        const weight = samples.reduce((sum, [, w]) => sum + w, 0);
+        if (weight === 0) {
+            return Math.max(...samples.map(([value]) => value));
+        }
+        return samples.reduce((sum, [value, w]) => sum + value * w, 0) / weight;
+    }
+}
+
+class ElevationGrid {
+    constructor(tiles = []) {
+        this.tiles = tiles;
+    }
+
+    /**
+     * Load every supported tile in a directory
+     * A tile that fails to load is logged and skipped.
+     */
+    static loadDirectory(directory) {
+        const grid = new ElevationGrid();
+
+        if (!directory || !fs.existsSync(directory)) {
+            return grid;
+        }
+
+        for (const file of fs.readdirSync(directory).sort()) {
+            const filePath = path.join(directory, file);
+            const extension = path.extname(file).toLowerCase();
+
+            try {
+                if (extension === '.hgt') {
+                    grid.tiles.push(ElevationGrid.loadHgt(filePath));
+                } else if (extension === '.asc') {
+                    grid.tiles.push(ElevationGrid.loadAsciiGrid(filePath));
+                }
+            } catch (error) {
+                console.error(`Skipping elevation tile ${file}:`, error.message);
+            }
+        }
+
+        return grid;
+    }
+
+    /**
+     * Load an SRTM .hgt tile - big-endian int16 samples, square grid,
+     * south-west corner taken from the file name
+     */
+    static loadHgt(filePath) {
+        const name = path.basename(filePath, path.extname(filePath));
+        const match = name.toUpperCase().match(/^([NS])(\d{2})([EW])(\d{3})$/);
+        if (!match) {
+            throw new Error(`Cannot determine tile position from SRTM file name: ${name}`);
+        }
+
+        const south = parseInt(match[2]) * (match[1] === 'S' ? -1 : 1);
+        const west = parseInt(match[4]) * (match[3] === 'W' ? -1 : 1);
+
+        const buffer = fs.readFileSync(filePath);
+        const size = Math.sqrt(buffer.length / 2);
+        if (!Number.isInteger(size)) {
+            throw new Error(`Unexpected SRTM tile size for ${name}: ${buffer.length} bytes`);
+        }
+
+        return new ElevationTile({
+            name,
+            originLat: south + 1,
+            originLon: west,
+            latStep: 1 / (size - 1),
+            lonStep: 1 / (size - 1),
+            rows: size,
+            cols: size,
+            getValue: (row, col) => {
+                const value = buffer.readInt16BE((row * size + col) * 2);
+                return value === SRTM_VOID ? null : value;
+            }
+        });
+    }
+
+    /**
+     * Load an ESRI ASCII grid (ncols, nrows, xll/yll corner or center, cellsize, NODATA_value)
+     */
+    static loadAsciiGrid(filePath) {
+        const name = path.basename(filePath);
+        const tokens = fs.readFileSync(filePath, 'utf8').trim().split(/\s+/);
+        const header = {};
+
+        // Header is key/value pairs until the first numeric token
+        let index = 0;
+        while (index < tokens.length && isNaN(parseFloat(tokens[index]))) {
+            header[tokens[index].toLowerCase()] = parseFloat(tokens[index + 1]);
+            index += 2;
+        }
+
+        const cols = header.ncols;
+        const rows = header.nrows;
+        const cellSize = header.cellsize;
+        const noData = header.nodata_value;
+
+        if (!cols || !rows || !cellSize) {
+            throw new Error(`Invalid ESRI ASCII grid header in ${name}`);
+        }
+
+        const values = new Float32Array(rows * cols);
+        for (let i = 0; i < rows * cols; i++) {
+            values[i] = parseFloat(tokens[index + i]);
+        }
+
+        // Corner-registered grids describe cell edges, sample positions are the cell centres
+        const westCenter = header.xllcenter !== undefined ? header.xllcenter : header.xllcorner + cellSize / 2;
+        const southCenter = header.yllcenter !== undefined ? header.yllcenter : header.yllcorner + cellSize / 2;
+
+        return new ElevationTile({
+            name,
+            originLat: southCenter + (rows - 1) * cellSize,
+            originLon: westCenter,
+            latStep: cellSize,
+            lonStep: cellSize,
+            rows,
+            cols,
+            getValue: (row, col) => {
+                const value = values[row * cols + col];
+                return value === noData || isNaN(value) ? null : value;
+            }
+        });
+    }
+
+    /**
+     * Ground elevation in feet, or null if no tile covers the position
+     */
+    getElevationFt(lat, lon) {
+        for (const tile of this.tiles) {
+            const elevation = tile.getElevation(lat, lon);
+            if (elevation !== null) {
+                return elevation * FEET_PER_METER;
+            }
+        }
+        return null;
+    }
+
+    getCoverage() {
+        return this.tiles.map(tile => ({ name: tile.name, ...tile.bounds }));
+    }
+}
+
+module.exports = { ElevationGrid };
@@ -0,0 +1,28 @@
+/**
+ * Event Bus
+ * In-process publish/subscribe hub so services can push events
+ * (e.g. emergency alerts) to any interested listener such as SSE streams.
+ */
+
+const { EventEmitter } = require('events');
+
+class EventBus extends EventEmitter {
+    constructor() {
+        super();
+        // Every open dashboard stream adds a listener
+        this.setMaxListeners(0);
+    }
+
+    /**
+     * Publish an event with a timestamped envelope
+     */
+    publish(type, payload) {
+        this.emit(type, {
+            type,
+            payload,
+            timestamp: new Date().toISOString()
+        });
+    }
+}
+
+module.exports = new EventBus();
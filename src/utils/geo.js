@@ -0,0 +1,110 @@
+/**
+ * Geometry helpers for positions, polygons and line segments
+ * Polygons are given as parallel arrays of latitudes and longitudes,
+ * which is how they are stored on Neo4j nodes.
+ */
+
+const EARTH_RADIUS_KM = 6371;
+
+function toRad(degrees) {
+    return degrees * Math.PI / 180;
+}
+
+/**
+ * Distance between two coordinates in km (Haversine formula)
+ */
+function calculateDistance(lat1, lon1, lat2, lon2) {
+    const dLat = toRad(lat2 - lat1);
+    const dLon = toRad(lon2 - lon1);
+
+    const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+        Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) *
+        Math.sin(dLon / 2) * Math.sin(dLon / 2);
+
+    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+    return EARTH_RADIUS_KM * c;
+}
+
+/**
+ * Initial bearing from point 1 to point 2 in degrees (0-360)
+ */
+function calculateBearing(lat1, lon1, lat2, lon2) {
+    const dLon = toRad(lon2 - lon1);
+    const y = Math.sin(dLon) * Math.cos(toRad(lat2));
+    const x = Math.cos(toRad(lat1)) * Math.sin(toRad(lat2)) -
+        Math.sin(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.cos(dLon);
+    return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+}
+
+/**
+ * Smallest angle between two headings (0-180)
+ */
+function headingDifference(heading1, heading2) {
+    const diff = Math.abs(heading1 - heading2) % 360;
+    return diff > 180 ? 360 - diff : diff;
+}
+
+/**
+ * Position reached after travelling distanceKm along a bearing
+ */
+function projectPosition(lat, lon, bearingDeg, distanceKm) {
+    const angular = distanceKm / EARTH_RADIUS_KM;
+    const bearing = toRad(bearingDeg);
+    const lat1 = toRad(lat);
+    const lon1 = toRad(lon);
+
+    const lat2 = Math.asin(Math.sin(lat1) * Math.cos(angular) +
+        Math.cos(lat1) * Math.sin(angular) * Math.cos(bearing));
+    const lon2 = lon1 + Math.atan2(Math.sin(bearing) * Math.sin(angular) * Math.cos(lat1),
+        Math.cos(angular) - Math.sin(lat1) * Math.sin(lat2));
+
+    return {
+        latitude: lat2 * 180 / Math.PI,
+        longitude: lon2 * 180 / Math.PI
+    };
+}
+
+/**
+ * Ray-casting point-in-polygon test
+ */
+function pointInPolygon(lat, lon, latitudes, longitudes) {
+    let inside = false;
+
+    for (let i = 0, j = latitudes.length - 1; i < latitudes.length; j = i++) {
+        const intersects = ((latitudes[i] > lat) !== (latitudes[j] > lat)) &&
+            (lon < (longitudes[j] - longitudes[i]) * (lat - latitudes[i]) / (latitudes[j] - latitudes[i]) + longitudes[i]);
+        if (intersects) {
+            inside = !inside;
+        }
+    }
+
+    return inside;
+}
+
+/**
+ * Whether segment p1-p2 crosses segment q1-q2 (points are { latitude, longitude })
+ */
+function segmentsIntersect(p1, p2, q1, q2) {
+    const orientation = (a, b, c) => {
+        const value = (b.longitude - a.longitude) * (c.latitude - a.latitude) -
+            (b.latitude - a.latitude) * (c.longitude - a.longitude);
+        return Math.sign(value);
+    };
+
+    const o1 = orientation(p1, p2, q1);
+    const o2 = orientation(p1, p2, q2);
+    const o3 = orientation(q1, q2, p1);
+    const o4 = orientation(q1, q2, p2);
+
+    return o1 !== o2 && o3 !== o4 && o1 !== 0 && o2 !== 0 && o3 !== 0 && o4 !== 0;
+}
+
+module.exports = {
+    toRad,
+    calculateDistance,
+    calculateBearing,
+    headingDifference,
+    projectPosition,
+    pointInPolygon,
+    segmentsIntersect
+};
@@ -0,0 +1,204 @@
+/**
+ * Rule condition evaluator
+ * Conditions are plain objects so rules can be written in JSON or YAML:
+ *   { all: [cond, ...] }   every condition matches
+ *   { any: [cond, ...] }   at least one condition matches
+ *   { not: cond }          condition does not match
+ *   { field: 'clearanceFt', op: 'lt', value: 500 }
+ *   { field: 'clearanceFt', op: 'lt', valueField: 'minSafeAltitudeFt' }
+ * Fields are dot paths into the evaluation context (e.g. 'flight1.airline').
+ * 'matches' patterns are compiled once and cached. Patterns that can
+ * backtrack catastrophically (repeated groups containing a quantifier or an
+ * alternation, backreferences) or are longer than MAX_PATTERN_LENGTH are
+ * rejected and never match. Matching itself is limited to MAX_INPUT_LENGTH
+ * characters and MATCH_TIMEOUT_MS; a pattern that times out is disabled.
+ */
+
+const vm = require('vm');
+
+const MAX_PATTERN_LENGTH = 200;
+const MAX_INPUT_LENGTH = 256;
+const MATCH_TIMEOUT_MS = 50;
+const patterns = new Map();
+
+// Patterns run in a separate context so a runaway match can be interrupted
+const matchContext = vm.createContext({ pattern: null, input: '' });
+const matchScript = new vm.Script('pattern.test(input)');
+
+const OPERATORS = {
+    eq: (a, b) => a === b,
+    ne: (a, b) => a !== b,
+    lt: (a, b) => typeof a === 'number' && a < b,
+    lte: (a, b) => typeof a === 'number' && a <= b,
+    gt: (a, b) => typeof a === 'number' && a > b,
+    gte: (a, b) => typeof a === 'number' && a >= b,
+    in: (a, b) => Array.isArray(b) && b.includes(a),
+    nin: (a, b) => Array.isArray(b) && !b.includes(a),
+    exists: (a, b) => (a !== null && a !== undefined) === (b !== false),
+    matches: (a, b) => typeof a === 'string' && a.length <= MAX_INPUT_LENGTH && testPattern(b, a)
+};
+
+/**
+ * Whether a repeated group contains a quantifier or an alternation,
+ * e.g. (a+)+, (\w*)* or (a|a)+
+ */
+function hasRiskyGroup(source) {
+    // One entry per open group: whether it contains a quantifier or an alternation
+    const groups = [{ quantifier: false, alternation: false }];
+
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+
+        if (char === '\\') {
+            i++;
+        } else if (char === '[') {
+            while (i < source.length && source[i] !== ']') {
+                i += source[i] === '\\' ? 2 : 1;
+            }
+        } else if (char === '(') {
+            groups.push({ quantifier: false, alternation: false });
+        } else if (char === ')' && groups.length > 1) {
+            const group = groups.pop();
+            if ((group.quantifier || group.alternation) && ['*', '+', '{'].includes(source[i + 1])) {
+                return true;
+            }
+            const parent = groups[groups.length - 1];
+            parent.quantifier = parent.quantifier || group.quantifier;
+            parent.alternation = parent.alternation || group.alternation;
+        } else if (char === '*' || char === '+' || char === '{') {
+            groups[groups.length - 1].quantifier = true;
+        } else if (char === '|') {
+            groups[groups.length - 1].alternation = true;
+        }
+    }
+
+    return false;
+}
+
+function isSafePattern(source) {
+    return typeof source === 'string' &&
+        source.length <= MAX_PATTERN_LENGTH &&
+        !/\\[1-9]|\\k</.test(source) &&
+        !hasRiskyGroup(source);
+}
+
+/**
+ * Compiled regular expression for a pattern, or null if it is invalid or unsafe
+ */
+function compilePattern(source) {
+    if (patterns.has(source)) {
+        return patterns.get(source);
+    }
+
+    let pattern = null;
+    if (isSafePattern(source)) {
+        try {
+            pattern = new RegExp(source);
+        } catch (error) {
+            pattern = null;
+        }
+    }
+
+    patterns.set(source, pattern);
+    return pattern;
+}
+
+/**
+ * Run a pattern against a string within MATCH_TIMEOUT_MS
+ */
+function testPattern(source, input) {
+    const pattern = compilePattern(source);
+    if (!pattern) return false;
+
+    matchContext.pattern = pattern;
+    matchContext.input = input;
+    try {
+        return matchScript.runInContext(matchContext, { timeout: MATCH_TIMEOUT_MS }) === true;
+    } catch (error) {
+        console.error(`Disabling rule pattern ${source}: ${error.message}`);
+        patterns.set(source, null);
+        return false;
+    }
+}
+
+function getField(context, path) {
+    return path.split('.').reduce((value, key) =>
+        value !== null && value !== undefined ? value[key] : undefined, context);
+}
+
+/**
+ * Whether a condition matches the context
+ */
+function evaluateCondition(condition, context) {
+    if (condition.all) {
+        return condition.all.every(c => evaluateCondition(c, context));
+    }
+    if (condition.any) {
+        return condition.any.some(c => evaluateCondition(c, context));
+    }
+    if (condition.not) {
+        return !evaluateCondition(condition.not, context);
+    }
+
+    // Missing fields compare as null
+    const actual = getField(context, condition.field);
+    const expected = condition.valueField !== undefined
+        ? getField(context, condition.valueField)
+        : condition.value;
+
+    return OPERATORS[condition.op](
+        actual === undefined ? null : actual,
+        expected === undefined ? null : expected
+    );
+}
+
+/**
+ * Problems with a condition tree, as a list of messages (empty when valid)
+ */
+function validateCondition(condition, path = 'when') {
+    if (!condition || typeof condition !== 'object' || Array.isArray(condition)) {
+        return [`${path} must be an object`];
+    }
+
+    for (const group of ['all', 'any']) {
+        if (condition[group] !== undefined) {
+            if (!Array.isArray(condition[group]) || condition[group].length === 0) {
+                return [`${path}.${group} must be a non-empty list`];
+            }
+            return condition[group].flatMap((c, i) => validateCondition(c, `${path}.${group}[${i}]`));
+        }
+    }
+
+    if (condition.not !== undefined) {
+        return validateCondition(condition.not, `${path}.not`);
+    }
+
+    const errors = [];
+    if (typeof condition.field !== 'string' || !condition.field) {
+        errors.push(`${path}.field is required`);
+    }
+    if (!OPERATORS[condition.op]) {
+        errors.push(`${path}.op must be one of ${Object.keys(OPERATORS).join(', ')}`);
+    }
+    if (condition.value === undefined && condition.valueField === undefined && condition.op !== 'exists') {
+        errors.push(`${path} needs a value or valueField`);
+    }
+    if (condition.op === 'matches') {
+        if (condition.valueField !== undefined) {
+            errors.push(`${path}.valueField can't be used with matches`);
+        } else if (!isSafePattern(condition.value)) {
+            errors.push(`${path}.value must be a pattern of at most ${MAX_PATTERN_LENGTH} characters without repeated groups containing quantifiers or alternatives, or backreferences`);
+        } else if (!compilePattern(condition.value)) {
+            errors.push(`${path}.value is not a valid regular expression`);
+        }
+    }
+
+    return errors;
+}
+
+module.exports = {
+    OPERATORS: Object.keys(OPERATORS),
+    getField,
+    evaluateCondition,
+    validateCondition
+};
@@ -0,0 +1,118 @@
+/**
+ * SBS-1 BaseStation message parser
+ * The text format served by dump1090 / readsb on port 30003. Each line is
+ *   MSG,type,session,aircraftId,hexIdent,flightId,dateGen,timeGen,dateLog,timeLog,
+ *   callsign,altitude,groundSpeed,track,lat,lon,verticalRate,squawk,alert,emergency,spi,isOnGround
+ * Transmission types 1-8 each fill a different subset of the fields; empty
+ * fields mean "not in this message". Units are already ft, kt and ft/min.
+ */
+
+const { normalizeIcao24, normalizeCallsign } = require('./aircraftIdentity');
+
+const FIELDS = {
+    HEX_IDENT: 4,
+    CALLSIGN: 10,
+    ALTITUDE: 11,
+    GROUND_SPEED: 12,
+    TRACK: 13,
+    LATITUDE: 14,
+    LONGITUDE: 15,
+    VERTICAL_RATE: 16,
+    SQUAWK: 17,
+    ALERT: 18,
+    EMERGENCY: 19,
+    SPI: 20,
+    ON_GROUND: 21
+};
+
+function numberField(fields, index) {
+    const value = (fields[index] || '').trim();
+    if (value === '') return undefined;
+    const number = parseFloat(value);
+    return isNaN(number) ? undefined : number;
+}
+
+// Flags are -1 (or 1) for true and 0 for false
+function flagField(fields, index) {
+    const value = (fields[index] || '').trim();
+    if (value === '') return undefined;
+    return value !== '0';
+}
+
+/**
+ * Parse one line into { type, icao24, ...fields present in the message },
+ * or null for anything that is not a MSG line with a valid hex ident
+ */
+function parseSbsLine(line) {
+    const fields = line.trim().split(',');
+    if (fields[0] !== 'MSG' || fields.length < 11) return null;
+
+    const type = parseInt(fields[1]);
+    const icao24 = normalizeIcao24(fields[FIELDS.HEX_IDENT]);
+    if (!icao24 || !(type >= 1 && type <= 8)) return null;
+
+    const message = { type, icao24 };
+
+    const callsign = normalizeCallsign(fields[FIELDS.CALLSIGN]);
+    if (callsign) message.callsign = callsign;
+
+    const numbers = {
+        altitude: FIELDS.ALTITUDE,
+        velocity: FIELDS.GROUND_SPEED,
+        heading: FIELDS.TRACK,
+        latitude: FIELDS.LATITUDE,
+        longitude: FIELDS.LONGITUDE,
+        vertical_rate: FIELDS.VERTICAL_RATE
+    };
+    for (const [name, index] of Object.entries(numbers)) {
+        const value = numberField(fields, index);
+        if (value !== undefined) message[name] = value;
+    }
+
+    const squawk = (fields[FIELDS.SQUAWK] || '').trim();
+    if (squawk) message.squawk = squawk.padStart(4, '0');
+
+    const flags = {
+        alert: FIELDS.ALERT,
+        emergency: FIELDS.EMERGENCY,
+        spi: FIELDS.SPI,
+        on_ground: FIELDS.ON_GROUND
+    };
+    for (const [name, index] of Object.entries(flags)) {
+        const value = flagField(fields, index);
+        if (value !== undefined) message[name] = value;
+    }
+
+    return message;
+}
+
+/**
+ * Format a message as an SBS-1 line (used by the replayer's synthetic traffic)
+ */
+function formatSbsLine(message, date = new Date()) {
+    const flag = value => value === undefined ? '' : (value ? '-1' : '0');
+    const value = v => v === undefined || v === null ? '' : v;
+    const day = date.toISOString().slice(0, 10).replace(/-/g, '/');
+    const time = date.toISOString().slice(11, 23);
+
+    return [
+        'MSG', message.type, 1, 1, message.icao24.toUpperCase(), 1, day, time, day, time,
+        value(message.callsign),
+        value(message.altitude),
+        value(message.velocity),
+        value(message.heading),
+        value(message.latitude),
+        value(message.longitude),
+        value(message.vertical_rate),
+        value(message.squawk),
+        flag(message.alert),
+        flag(message.emergency),
+        flag(message.spi),
+        flag(message.on_ground)
+    ].join(',');
+}
+
+module.exports = {
+    parseSbsLine,
+    formatSbsLine
+};
@@ -0,0 +1,90 @@
+/**
+ * Spatial Index for aircraft positions
+ * Buckets aircraft into a lat/lon grid plus altitude bands so that only
+ * aircraft in neighbouring cells need to be compared with each other.
+ */
+
+const KM_PER_DEGREE_LAT = 111.32;
+
+class SpatialGrid {
+    /**
+     * @param {number} cellSizeKm - Minimum cell width/height in km (>= largest search radius)
+     * @param {number} altitudeBandFt - Altitude band height in ft (>= largest vertical threshold)
+     */
+    constructor(cellSizeKm, altitudeBandFt) {
+        this.cellSizeKm = cellSizeKm;
+        this.altitudeBandFt = altitudeBandFt;
+        this.cells = new Map();
+        this.items = [];
+    }
+
+    /**
+     * Build a grid from a list of positions ({ latitude, longitude, altitude })
+     */
+    static build(positions, cellSizeKm, altitudeBandFt) {
+        const grid = new SpatialGrid(cellSizeKm, altitudeBandFt);
+
+        // Size longitude cells for the highest latitude in the set, so that a
+        // cell is never narrower than cellSizeKm anywhere in the grid
+        const maxAbsLat = positions.reduce((max, p) => Math.max(max, Math.abs(p.latitude)), 0);
+        const cosLat = Math.cos(Math.min(maxAbsLat, 85) * Math.PI / 180);
+
+        grid.latStep = cellSizeKm / KM_PER_DEGREE_LAT;
+        grid.lonStep = cellSizeKm / (KM_PER_DEGREE_LAT * cosLat);
+
+        positions.forEach(p => grid.insert(p));
+        return grid;
+    }
+
+    cellCoords(position) {
+        return {
+            x: Math.floor(position.longitude / this.lonStep),
+            y: Math.floor(position.latitude / this.latStep),
+            z: Math.floor((position.altitude || 0) / this.altitudeBandFt)
+        };
+    }
+
+    insert(position) {
+        const index = this.items.length;
+        const coords = this.cellCoords(position);
+        const key = `${coords.x}:${coords.y}:${coords.z}`;
+
+        this.items.push({ position, coords });
+
+        if (!this.cells.has(key)) {
+            this.cells.set(key, []);
+        }
+        this.cells.get(key).push(index);
+    }
+
+    /**
+     * Get every pair of positions in the same or adjacent cells/bands.
+     * Each pair is returned exactly once.
+     */
+    getCandidatePairs() {
+        const pairs = [];
+
+        for (let i = 0; i < this.items.length; i++) {
+            const { coords } = this.items[i];
+
+            for (let dx = -1; dx <= 1; dx++) {
+                for (let dy = -1; dy <= 1; dy++) {
+                    for (let dz = -1; dz <= 1; dz++) {
+                        const neighbours = this.cells.get(`${coords.x + dx}:${coords.y + dy}:${coords.z + dz}`);
+                        if (!neighbours) continue;
+
+                        for (const j of neighbours) {
+                            if (j > i) {
+                                pairs.push([this.items[i].position, this.items[j].position]);
+                            }
+                        }
+                    }
+                }
+            }
+        }
+
+        return pairs;
+    }
+}
+
+module.exports = { SpatialGrid };
@@ -0,0 +1,95 @@
+const dbManager = require('../src/config/database');
+const eventBus = require('../src/utils/eventBus');
+const {
+    normalizeIcao24,
+    normalizeCallsign,
+    getAircraftId,
+    displayCallsign
+} = require('../src/utils/aircraftIdentity');
+const aircraftIdentityService = require('../src/services/aircraftIdentityService');
+const flightMonitorService = require('../src/services/flightMonitorService');
+const { FakeRedis } = require('./helpers/fakeRedis');
+const { FakeMongo } = require('./helpers/fakeMongo');
+
+describe('aircraft identity helpers', () => {
+    test.each([
+        ['ABC123', 'abc123'],
+        [' 3c6444 ', '3c6444'],
+        ['abc12', null],
+        ['DLH123', null],
+        [null, null]
+    ])('normalises the icao24 %p', (value, expected) => {
+        expect(normalizeIcao24(value)).toBe(expected);
+    });
+
+    test('treats blank and UNKNOWN callsigns as missing', () => {
+        expect(normalizeCallsign(' dlh1  ')).toBe('DLH1');
+        expect(normalizeCallsign('   ')).toBeNull();
+        expect(normalizeCallsign('unknown')).toBeNull();
+    });
+
+    test('keys by icao24 and falls back to the callsign', () => {
+        expect(getAircraftId({ icao24: 'ABC123', callsign: 'DLH1' })).toBe('abc123');
+        expect(getAircraftId({ icao24: '', callsign: 'dlh1' })).toBe('DLH1');
+        expect(getAircraftId({})).toBeNull();
+    });
+
+    test('shows the callsign, or the icao24 while it is blank', () => {
+        expect(displayCallsign({ icao24: 'abc123', callsign: 'DLH1 ' })).toBe('DLH1');
+        expect(displayCallsign({ icao24: 'abc123', callsign: '' })).toBe('abc123');
+        expect(displayCallsign({})).toBe('UNKNOWN');
+    });
+});
+
+describe('aircraft identity across callsign changes', () => {
+    let redis;
+
+    function position(callsign, timestamp) {
+        return {
+            icao24: 'abc123', callsign, latitude: 50, longitude: 8, altitude: 10000, velocity: 300,
+            heading: 90, vertical_rate: 0, on_ground: false, timestamp
+        };
+    }
+
+    beforeEach(async () => {
+        redis = new FakeRedis();
+        jest.spyOn(dbManager, 'getRedis').mockReturnValue(redis);
+        jest.spyOn(dbManager, 'getMongoDB').mockReturnValue(new FakeMongo());
+        jest.spyOn(eventBus, 'publish').mockImplementation(() => {});
+        flightMonitorService.lastPositions = new Map();
+
+        await flightMonitorService.storeLivePositions([position('DLH1X', '2026-05-01T12:00:00Z')]);
+        await flightMonitorService.storeLivePositions([position('DLH1X', '2026-05-01T12:00:05Z')]);
+        await flightMonitorService.storeLivePositions([position('DLH1', '2026-05-01T12:00:10Z')]);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('keeps one position record per transponder', async () => {
+        expect(await redis.keys('aircraft:*:position')).toEqual(['aircraft:abc123:position']);
+    });
+
+    test('resolves the aircraft by icao24 or current callsign', async () => {
+        expect(await aircraftIdentityService.resolve('ABC123')).toMatchObject({ aircraftId: 'abc123', callsign: 'DLH1' });
+        expect(await aircraftIdentityService.resolve('dlh1')).toMatchObject({ aircraftId: 'abc123', key: 'aircraft:abc123:position' });
+        expect(await aircraftIdentityService.resolve('EWG3')).toBeNull();
+    });
+
+    test('lists the callsigns used before', async () => {
+        expect(await aircraftIdentityService.lookup('DLH1')).toEqual({
+            aircraftId: 'abc123',
+            icao24: 'abc123',
+            callsign: 'DLH1',
+            previousCallsigns: ['DLH1X'],
+            lastUpdate: '2026-05-01T12:00:10Z'
+        });
+    });
+
+    test('resolves aircraft without an icao24 by callsign', async () => {
+        await flightMonitorService.storeLivePositions([{ ...position('DEMO1', '2026-05-01T12:00:00Z'), icao24: null }]);
+
+        expect(await aircraftIdentityService.resolve('demo1')).toMatchObject({ aircraftId: 'DEMO1', icao24: null });
+    });
+});
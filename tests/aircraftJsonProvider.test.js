@@ -0,0 +1,98 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+const AircraftJsonProvider = require('../src/providers/aircraftJsonProvider');
+
+const READSB = {
+    hex: '3c6444', flight: 'DLH400  ', lat: 50.0379, lon: 8.5622, alt_baro: 3500, gs: 145.2,
+    track: 251.3, baro_rate: -768, squawk: '1000', category: 'A3', seen_pos: 1.5
+};
+
+describe('aircraft.json provider', () => {
+    let provider;
+
+    beforeEach(() => {
+        provider = new AircraftJsonProvider();
+        provider.maxAgeSec = 30;
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('maps readsb fields into the position model', () => {
+        expect(provider.toPosition(READSB, 1777636800)).toEqual({
+            icao24: '3c6444',
+            callsign: 'DLH400',
+            latitude: 50.0379,
+            longitude: 8.5622,
+            altitude: 3500,
+            velocity: 145.2,
+            heading: 251.3,
+            vertical_rate: -768,
+            on_ground: false,
+            squawk: '1000',
+            spi: false,
+            category: 'A3',
+            timestamp: new Date((1777636800 - 1.5) * 1000).toISOString()
+        });
+    });
+
+    test('reads the older dump1090 field names', () => {
+        const entry = { hex: 'ABC123', lat: 50, lon: 8, altitude: 12000, speed: 280, vert_rate: 1200, seen: 2 };
+
+        expect(provider.toPosition(entry, 1777636800)).toMatchObject({ icao24: 'abc123', callsign: null, altitude: 12000, velocity: 280, vertical_rate: 1200 });
+    });
+
+    test('puts aircraft reporting ground altitude on the ground', () => {
+        expect(provider.toPosition({ ...READSB, alt_baro: 'ground' }, 1777636800)).toMatchObject({ altitude: 0, on_ground: true });
+    });
+
+    test('skips non-ICAO addresses and entries without a position', () => {
+        expect(provider.toPosition({ ...READSB, hex: '~2a1b3c' }, 1777636800)).toBeNull();
+        expect(provider.toPosition({ ...READSB, lat: undefined }, 1777636800)).toBeNull();
+    });
+
+    test('treats positions older than the maximum age as stale', () => {
+        expect(provider.toPosition({ ...READSB, seen_pos: 31 }, 1777636800)).toBe(false);
+        expect(provider.toPosition({ ...READSB, seen_pos: undefined }, 1777636800)).toBe(false);
+        // The file itself is 20 s old, so a 15 s old position is 35 s old
+        expect(provider.toPosition({ ...READSB, seen_pos: 15 }, 1777636800, 20)).toBe(false);
+    });
+
+    test('polls a file path and leaves out stale positions', async () => {
+        const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'readsb-'));
+        provider.source = path.join(directory, 'aircraft.json');
+        fs.writeFileSync(provider.source, JSON.stringify({
+            now: Date.now() / 1000,
+            aircraft: [READSB, { ...READSB, hex: 'abc123', seen_pos: 120 }, { hex: 'def456', seen: 0.1 }]
+        }));
+
+        try {
+            const positions = await provider.fetchPositions();
+            expect(positions.map(position => position.icao24)).toEqual(['3c6444']);
+        } finally {
+            fs.rmSync(directory, { recursive: true, force: true });
+        }
+    });
+
+    test('drops every position from a file the receiver stopped writing', async () => {
+        jest.spyOn(axios, 'get').mockResolvedValue({ data: { now: Date.now() / 1000 - 120, aircraft: [{ ...READSB, seen_pos: 0 }] } });
+        provider.source = 'http://receiver.local/data/aircraft.json';
+
+        expect(await provider.fetchPositions()).toEqual([]);
+        expect(console.warn).toHaveBeenCalledWith(expect.stringMatching(/^⚠️ {2}aircraft.json not updated for 12\ds$/));
+    });
+
+    test('returns no positions when the receiver is unreachable or the file is invalid', async () => {
+        jest.spyOn(axios, 'get').mockRejectedValueOnce(new Error('connect ECONNREFUSED')).mockResolvedValueOnce({ data: '<html>' });
+        provider.source = 'http://receiver.local/data/aircraft.json';
+
+        expect(await provider.fetchPositions()).toEqual([]);
+        expect(await provider.fetchPositions()).toEqual([]);
+    });
+});
@@ -0,0 +1,113 @@
+const dbManager = require('../src/config/database');
+const eventBus = require('../src/utils/eventBus');
+const alertCenterService = require('../src/services/alertCenterService');
+const { FakeMongo } = require('./helpers/fakeMongo');
+
+const CONFLICT = {
+    type: 'COLLISION_RISK',
+    severity: 'WARNING',
+    flight1: { icao24: 'def456', callsign: 'BAW2', latitude: 50, longitude: 8.1, altitude: 10000 },
+    flight2: { icao24: 'abc123', callsign: 'DLH1', latitude: 50, longitude: 8, altitude: 10000 }
+};
+
+describe('alert center', () => {
+    let mongo;
+    let published;
+
+    beforeEach(() => {
+        mongo = new FakeMongo();
+        published = [];
+        jest.spyOn(dbManager, 'getMongoDB').mockReturnValue(mongo);
+        jest.spyOn(eventBus, 'publish').mockImplementation((type, payload) => published.push({ type, payload }));
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('extractAircraft', () => {
+        test.each([
+            ['aircraft pairs', CONFLICT, ['def456', 'abc123']],
+            ['wake leader and follower', { leader: { icao24: 'abc123' }, follower: { icao24: 'def456' } }, ['abc123', 'def456']],
+            ['aircraft lists', { aircraft: [{ icao24: 'abc123' }, { callsign: 'DLH1' }] }, ['abc123', null]],
+            ['a nested aircraft', { icao24: 'abc123', aircraft: { callsign: 'DLH1' } }, ['abc123']],
+            ['a flat alert', { icao24: 'abc123', callsign: 'DLH1' }, ['abc123']],
+            ['no aircraft', { runway: '09' }, []]
+        ])('reads %s', (description, alert, ids) => {
+            expect(alertCenterService.extractAircraft(alert).map(a => a.icao24)).toEqual(ids);
+        });
+    });
+
+    test('keys a condition by source, type, scope and aircraft in any order', () => {
+        const swapped = { ...CONFLICT, flight1: CONFLICT.flight2, flight2: CONFLICT.flight1 };
+        const key = alertCenterService.getKey('collision', CONFLICT, alertCenterService.extractAircraft(CONFLICT));
+
+        expect(key).toBe('collision:COLLISION_RISK::abc123|def456');
+        expect(alertCenterService.getKey('collision', swapped, alertCenterService.extractAircraft(swapped))).toBe(key);
+        expect(alertCenterService.getKey('runway', { runway: '09', callsign: 'DLH1' }, [{ callsign: 'DLH1' }]))
+            .toBe('runway:RUNWAY:09:DLH1');
+    });
+
+    test('updates one alert while the condition persists and tracks the worst severity', async () => {
+        const alertId = await alertCenterService.record('collision', CONFLICT);
+        await alertCenterService.record('collision', { ...CONFLICT, severity: 'CRITICAL' });
+        await alertCenterService.record('collision', CONFLICT);
+
+        const alert = await alertCenterService.getAlert(alertId);
+        expect(alert).toMatchObject({
+            status: 'open', severity: 'WARNING', worstSeverity: 'CRITICAL', occurrences: 3,
+            geometry: { type: 'MultiPoint', coordinates: [[8.1, 50], [8, 50]] }
+        });
+        expect(alert.key).toBeUndefined();
+        expect(published.map(event => event.type)).toEqual(['alert:opened', 'alert:severity-raised']);
+        expect(published[1].payload.previousSeverity).toBe('WARNING');
+    });
+
+    test('opens a new alert after the condition is cleared', async () => {
+        const first = await alertCenterService.record('collision', CONFLICT);
+        await alertCenterService.clear('collision', CONFLICT, 'separation restored');
+        const second = await alertCenterService.record('collision', CONFLICT);
+
+        expect(second).not.toBe(first);
+        expect(await alertCenterService.getAlert(first)).toMatchObject({ status: 'resolved', resolution: 'separation restored' });
+    });
+
+    test('expires stale alerts unless they are held until cleared', async () => {
+        const stale = await alertCenterService.record('collision', CONFLICT);
+        const held = await alertCenterService.record('emergency', { type: 'EMERGENCY', icao24: 'abc123' }, true);
+        const old = new Date(Date.now() - (alertCenterService.STALE_SEC + 1) * 1000);
+        await mongo.collection('alerts').updateMany({}, { $set: { lastSeen: old } });
+
+        expect(await alertCenterService.expireStale()).toBe(1);
+        expect((await alertCenterService.getAlert(stale)).resolution).toBe('expired');
+        expect((await alertCenterService.getAlert(held)).status).toBe('open');
+    });
+
+    test('acknowledges with a comment and refuses resolved alerts', async () => {
+        const alertId = await alertCenterService.record('collision', CONFLICT);
+
+        const acknowledged = await alertCenterService.acknowledge(alertId, 'tower', 'Traffic advised');
+        expect(acknowledged).toMatchObject({ status: 'acknowledged', acknowledgedBy: 'tower', comments: [{ author: 'tower', text: 'Traffic advised' }] });
+
+        await alertCenterService.resolve(alertId, 'tower');
+        await expect(alertCenterService.acknowledge(alertId)).rejects.toMatchObject({ status: 400, message: 'Alert is already resolved' });
+        expect(await alertCenterService.acknowledge('missing')).toBeNull();
+    });
+
+    test('filters by aircraft and status', async () => {
+        await alertCenterService.record('collision', CONFLICT);
+        await alertCenterService.record('altitude', { type: 'LOW_ALTITUDE', icao24: 'fed789', callsign: 'EWG3' });
+
+        const result = await alertCenterService.getAlerts({ callsign: 'dlh1', status: 'open' });
+        expect(result.total).toBe(1);
+        expect(result.data[0].source).toBe('collision');
+    });
+
+    test.each([
+        ['a repeated parameter', { status: ['open', 'resolved'] }, 'status must be a single value'],
+        ['an unknown status', { status: 'closed' }, 'status must be one of open, acknowledged, resolved'],
+        ['an invalid date', { since: 'yesterday' }, 'since must be a valid date']
+    ])('rejects %s', async (description, filters, message) => {
+        await expect(alertCenterService.getAlerts(filters)).rejects.toMatchObject({ status: 400, message });
+    });
+});
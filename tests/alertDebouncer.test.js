@@ -0,0 +1,90 @@
+const { AlertDebouncer } = require('../src/utils/alertDebouncer');
+
+describe('AlertDebouncer', () => {
+    let debouncer;
+
+    beforeEach(() => {
+        debouncer = new AlertDebouncer({ openSamples: 2, clearSamples: 2 });
+    });
+
+    test('a single noisy sample neither opens nor lingers', () => {
+        expect(debouncer.update('abc123', true)).toMatchObject({ raw: true, confirmed: false, samples: 1, transition: null });
+        expect(debouncer.update('abc123', false)).toMatchObject({ raw: false, confirmed: false, transition: null });
+        expect(debouncer.has('abc123')).toBe(false);
+    });
+
+    test('opens after openSamples and closes after clearSamples', () => {
+        debouncer.update('abc123', true, { data: { altitude: 500 } });
+        expect(debouncer.update('abc123', true, { data: { altitude: 400 } })).toMatchObject({ confirmed: true, transition: 'opened' });
+        expect(debouncer.update('abc123', true).transition).toBeNull();
+
+        // The alert stays up with the last raw data while it clears
+        debouncer.update('abc123', true, { data: { altitude: 300 } });
+        expect(debouncer.update('abc123', false)).toMatchObject({ raw: false, confirmed: true, data: { altitude: 300 } });
+        expect(debouncer.update('abc123', false)).toMatchObject({ confirmed: false, transition: 'closed' });
+        expect(debouncer.has('abc123')).toBe(false);
+    });
+
+    test('a raw sample while clearing restarts the clear count', () => {
+        debouncer.update('abc123', true);
+        debouncer.update('abc123', true);
+        debouncer.update('abc123', false);
+        debouncer.update('abc123', true);
+
+        expect(debouncer.update('abc123', false)).toMatchObject({ confirmed: true, transition: null });
+    });
+
+    test('opens on persistence time when openSeconds is set', () => {
+        const timed = new AlertDebouncer({ openSamples: 10, openSeconds: 15 });
+
+        expect(timed.update('abc123', true, { now: 0 }).confirmed).toBe(false);
+        expect(timed.update('abc123', true, { now: 10000 }).confirmed).toBe(false);
+        expect(timed.update('abc123', true, { now: 15000 })).toMatchObject({ confirmed: true, transition: 'opened' });
+    });
+
+    test('re-reading the same report does not count twice', () => {
+        debouncer.update('abc123', true, { sampleId: '1000' });
+
+        expect(debouncer.update('abc123', true, { sampleId: '1000' }).samples).toBe(1);
+        expect(debouncer.update('abc123', true, { sampleId: '1005' }).confirmed).toBe(true);
+    });
+
+    test('sweep counts unseen keys as clear', () => {
+        debouncer.restore('abc123', { altitude: 500 });
+        debouncer.update('def456', true);
+
+        debouncer.sweep(new Set(['def456']));
+        const states = debouncer.sweep(new Set(['def456']));
+
+        expect(states.get('abc123')).toMatchObject({ transition: 'closed', data: { altitude: 500 } });
+        expect(states.has('def456')).toBe(false);
+        expect(debouncer.has('def456')).toBe(true);
+    });
+
+    test('restore marks an alert confirmed without sampling', () => {
+        debouncer.restore('abc123');
+
+        expect(debouncer.update('abc123', true)).toMatchObject({ confirmed: true, transition: null });
+    });
+
+    test('never requires fewer than one sample', () => {
+        expect(new AlertDebouncer({ openSamples: 0, clearSamples: 0 }).getSettings()).toMatchObject({ openSamples: 1, clearSamples: 1 });
+    });
+
+    describe('fromEnv', () => {
+        const saved = { ...process.env };
+
+        afterEach(() => {
+            process.env = { ...saved };
+        });
+
+        test('prefers prefixed settings over the shared ones and defaults', () => {
+            process.env.ALERT_OPEN_SAMPLES = '3';
+            process.env.ALERT_CLEAR_SAMPLES = '4';
+            process.env.COLLISION_ALERT_OPEN_SAMPLES = '1';
+
+            expect(AlertDebouncer.fromEnv('COLLISION').getSettings()).toEqual({ openSamples: 1, openSeconds: 0, clearSamples: 4 });
+            expect(AlertDebouncer.fromEnv('ALTITUDE').getSettings()).toEqual({ openSamples: 3, openSeconds: 0, clearSamples: 4 });
+        });
+    });
+});
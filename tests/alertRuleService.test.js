@@ -0,0 +1,101 @@
+const dbManager = require('../src/config/database');
+const alertRuleService = require('../src/services/alertRuleService');
+const { FakeMongo } = require('./helpers/fakeMongo');
+
+const LOW = { inAirportZone: false, clearanceFt: 600, minSafeAltitudeFt: 1000, callsign: 'DLH123' };
+
+const NIGHT_RULE = `
+name: Cargo below 900 ft
+monitor: altitude
+priority: 40
+when:
+  all:
+    - { field: callsign, op: matches, value: "^BOX" }
+    - { field: clearanceFt, op: lt, value: 900 }
+then:
+  severity: CRITICAL
+  message: Cargo flight low
+`;
+
+describe('alert rules', () => {
+    let mongo;
+
+    beforeEach(async () => {
+        mongo = new FakeMongo();
+        jest.spyOn(dbManager, 'getMongoDB').mockReturnValue(mongo);
+        await alertRuleService.refresh(true);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('built-in rules pick the most severe matching severity', () => {
+        expect(alertRuleService.evaluate('altitude', LOW)).toMatchObject({ ruleId: 'altitude-high', severity: 'HIGH' });
+        expect(alertRuleService.evaluate('altitude', { ...LOW, clearanceFt: 100 }).severity).toBe('CRITICAL');
+        expect(alertRuleService.evaluate('altitude', { ...LOW, inAirportZone: true })).toBeNull();
+        expect(alertRuleService.evaluate('collision', { horizontalRatio: 0.4, verticalRatio: 0.8 }).severity).toBe('WARNING');
+    });
+
+    test('saves YAML rules that outrank the built-in ones', async () => {
+        const rule = await alertRuleService.saveRule(NIGHT_RULE);
+
+        expect(rule).toMatchObject({ ruleId: 'cargo-below-900-ft', priority: 40, enabled: true, builtIn: false });
+        expect(alertRuleService.evaluate('altitude', { ...LOW, callsign: 'BOX42' })).toMatchObject({
+            ruleId: 'cargo-below-900-ft', severity: 'CRITICAL', message: 'Cargo flight low'
+        });
+        expect(alertRuleService.evaluate('altitude', LOW).ruleId).toBe('altitude-high');
+    });
+
+    test('disabling a built-in rule stores an override', async () => {
+        await alertRuleService.toggleRule('altitude-high', false);
+
+        expect(alertRuleService.evaluate('altitude', LOW).ruleId).toBe('altitude-medium');
+        expect(await alertRuleService.deleteRule('altitude-high')).toBe(true);
+        expect(alertRuleService.evaluate('altitude', LOW).ruleId).toBe('altitude-high');
+    });
+
+    test('built-in rules cannot be deleted', async () => {
+        await expect(alertRuleService.deleteRule('altitude-high')).rejects.toMatchObject({
+            status: 400, message: 'Built-in rules cannot be deleted - disable them instead'
+        });
+    });
+
+    test('skips stored rules whose condition no longer validates', async () => {
+        await mongo.collection('alert_rules').insertOne({
+            ruleId: 'altitude-high', name: 'Broken', monitor: 'altitude', priority: 20, enabled: true,
+            when: { field: 'callsign', op: 'matches', value: '(a+)+' }, then: { severity: 'HIGH' }
+        });
+        await alertRuleService.refresh(true);
+
+        expect(alertRuleService.evaluate('altitude', LOW).ruleId).toBe('altitude-medium');
+    });
+
+    test.each([
+        ['a non-object', 42, 'Rule definition must be an object'],
+        ['invalid YAML', 'name: [', expect.stringMatching(/^Invalid YAML/)],
+        ['missing fields', {}, expect.stringMatching(/^name is required; monitor must be one of altitude, collision; when must be an object; then.severity/)]
+    ])('rejects %s', (description, definition, message) => {
+        try {
+            alertRuleService.buildRule(alertRuleService.parseDefinition(definition));
+            throw new Error('expected a validation error');
+        } catch (error) {
+            expect(error).toMatchObject({ status: 400, message });
+        }
+    });
+
+    test('tests a definition against sample contexts without saving it', () => {
+        const results = alertRuleService.testRule(NIGHT_RULE, [{ ...LOW, callsign: 'BOX42' }, LOW]);
+
+        expect(results.map(result => result.matched)).toEqual([true, false]);
+        expect(() => alertRuleService.testRule(NIGHT_RULE, [])).toThrow('Provide at least one context to test against');
+    });
+
+    test('derives the airline and flight phase', () => {
+        expect(alertRuleService.getAirlineCode('DLH123')).toBe('DLH');
+        expect(alertRuleService.getAirlineCode('DAIDE')).toBeNull();
+        expect(alertRuleService.getPhase(false, 1200)).toBe('CLIMB');
+        expect(alertRuleService.getPhase(false, -100)).toBe('LEVEL');
+        expect(alertRuleService.getPhase(true, 0)).toBe('GROUND');
+    });
+});
@@ -0,0 +1,45 @@
+const dbManager = require('../src/config/database');
+const altitudeCheckService = require('../src/services/altitudeCheckService');
+
+const FRA = { airport: 'Frankfurt', airportCode: 'FRA', airportIcao: 'EDDF', shape: 'circle', floorFt: 0 };
+const ZONES = [
+    { ...FRA, name: 'TMA', latitude: 50.0379, longitude: 8.5622, radiusMeters: 80000, ceilingFt: 24500 },
+    { ...FRA, name: 'CTR', latitude: 50.0379, longitude: 8.5622, radiusMeters: 30000, ceilingFt: 2500 }
+];
+const AIRPORTS = [
+    { name: 'Frankfurt', code: 'FRA', latitude: 50.0379, longitude: 8.5622 },
+    { name: 'Munich', code: 'MUC', latitude: 48.3538, longitude: 11.7861 }
+];
+
+describe('airport zone lookup', () => {
+    test('picks the smallest zone containing the position and altitude', () => {
+        expect(altitudeCheckService.resolveAirportZone(ZONES, AIRPORTS, 50.05, 8.6, 2000)).toMatchObject({
+            inZone: true, airportCode: 'FRA', zoneName: 'CTR'
+        });
+        expect(altitudeCheckService.resolveAirportZone(ZONES, AIRPORTS, 50.05, 8.6, 5000).zoneName).toBe('TMA');
+    });
+
+    test('falls back to the nearest airport outside every zone', () => {
+        const info = altitudeCheckService.resolveAirportZone(ZONES, AIRPORTS, 48.5, 11.5, 3000);
+
+        expect(info).toMatchObject({ inZone: false, airportName: 'Munich', airportCode: 'MUC', zoneName: null });
+        expect(info.distance).toBeGreaterThan(20);
+        expect(info.distance).toBeLessThan(30);
+    });
+
+    test('reports no airport when none are known', () => {
+        expect(altitudeCheckService.resolveAirportZone([], [], 50, 8, 3000)).toEqual({
+            inZone: false, airportName: null, airportCode: null, zoneName: null, distance: null
+        });
+    });
+
+    test('resolves against a given snapshot without querying the graph', async () => {
+        const getNeo4j = jest.spyOn(dbManager, 'getNeo4j');
+
+        const info = await altitudeCheckService.getAirportZoneInfo(50.05, 8.6, 2000, { zones: ZONES, airports: AIRPORTS });
+
+        expect(info.zoneName).toBe('CTR');
+        expect(getNeo4j).not.toHaveBeenCalled();
+        getNeo4j.mockRestore();
+    });
+});
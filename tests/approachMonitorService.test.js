@@ -0,0 +1,98 @@
+const approachMonitorService = require('../src/services/approachMonitorService');
+const altitudeCheckService = require('../src/services/altitudeCheckService');
+
+const ZONE = { airport: 'Frankfurt', latitude: 50.0379, longitude: 8.5622, airportElevationFt: 364 };
+
+function aircraft(overrides = {}) {
+    return {
+        aircraftId: 'abc123',
+        icao24: 'abc123',
+        callsign: 'DLH1',
+        latitude: 50.03,
+        longitude: 8.45,
+        altitude: 1364,
+        heightAboveAirport: 1000,
+        velocity: 140,
+        heading: 90,
+        verticalRate: -700,
+        inApproachZone: true,
+        inbound: true,
+        distanceToAirport: 8,
+        ...overrides
+    };
+}
+
+describe('sink rate envelope', () => {
+    test('interpolates the descent rate limit between envelope points', () => {
+        const caution = [[10, 1000], [2450, 5000]];
+
+        expect(approachMonitorService.interpolateEnvelope(caution, 0)).toBe(1000);
+        expect(approachMonitorService.interpolateEnvelope(caution, 1230)).toBe(3000);
+        expect(approachMonitorService.interpolateEnvelope(caution, 3000)).toBe(Infinity);
+    });
+
+    test('raises SINK RATE and PULL UP by descent rate for the height', () => {
+        expect(approachMonitorService.checkSinkRate(aircraft({ verticalRate: -1500 }), ZONE)).toBeNull();
+        expect(approachMonitorService.checkSinkRate(aircraft({ verticalRate: -3000 }), ZONE))
+            .toMatchObject({ type: 'SINK_RATE', severity: 'HIGH' });
+        expect(approachMonitorService.checkSinkRate(aircraft({ verticalRate: -4500 }), ZONE))
+            .toMatchObject({ type: 'SINK_RATE', severity: 'CRITICAL' });
+    });
+
+    test('ignores climbing aircraft and aircraft far from the airport', () => {
+        expect(approachMonitorService.checkSinkRate(aircraft({ verticalRate: 4500 }), ZONE)).toBeNull();
+        expect(approachMonitorService.checkSinkRate(aircraft({ verticalRate: -4500, distanceToAirport: 50 }), ZONE)).toBeNull();
+    });
+});
+
+describe('stabilised approach', () => {
+    test('accepts an approach within speed and descent limits', () => {
+        expect(approachMonitorService.checkStabilisedApproach(aircraft(), ZONE)).toBeNull();
+    });
+
+    test('lists every deviation below the gate height', () => {
+        const alert = approachMonitorService.checkStabilisedApproach(aircraft({ verticalRate: -1400, velocity: 200, heightAboveAirport: 400 }), ZONE);
+
+        expect(alert).toMatchObject({ type: 'UNSTABLE_APPROACH', severity: 'HIGH' });
+        expect(alert.deviations).toEqual(['descent 1400 ft/min > 1000 ft/min', 'speed 200 kt > 180 kt']);
+    });
+
+    test('only applies to inbound aircraft in the approach zone below the gate', () => {
+        const fast = { velocity: 200 };
+
+        expect(approachMonitorService.checkStabilisedApproach(aircraft({ ...fast, heightAboveAirport: 1500 }), ZONE)).toBeNull();
+        expect(approachMonitorService.checkStabilisedApproach(aircraft({ ...fast, inbound: false }), ZONE)).toBeNull();
+        expect(approachMonitorService.checkStabilisedApproach(aircraft({ ...fast, inApproachZone: false }), ZONE)).toBeNull();
+    });
+});
+
+describe('approach alerts', () => {
+    let storeAlert;
+    let clearAlert;
+
+    beforeEach(() => {
+        storeAlert = jest.spyOn(altitudeCheckService, 'storeAlert').mockResolvedValue();
+        clearAlert = jest.spyOn(altitudeCheckService, 'clearAlert').mockReturnValue();
+        approachMonitorService.activeAlerts = new Map();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('lists a continuing alert once and clears it when the condition ends', async () => {
+        const first = approachMonitorService.checkSinkRate(aircraft({ verticalRate: -3000 }), ZONE);
+        await approachMonitorService.updateActiveAlerts([first]);
+
+        const second = approachMonitorService.checkSinkRate(aircraft({ verticalRate: -3200 }), ZONE);
+        second.firstSeen = 'later';
+        await approachMonitorService.updateActiveAlerts([second]);
+
+        expect(storeAlert.mock.calls.map(([alert, addToList]) => [alert.id, addToList]))
+            .toEqual([['abc123-sink_rate', true], ['abc123-sink_rate', false]]);
+        expect(second.firstSeen).toBe(first.firstSeen);
+
+        await approachMonitorService.updateActiveAlerts([]);
+        expect(clearAlert).toHaveBeenCalledWith(second, 'sink rate normal');
+    });
+});
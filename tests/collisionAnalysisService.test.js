@@ -0,0 +1,86 @@
+const dbManager = require('../src/config/database');
+const collisionAnalysisService = require('../src/services/collisionAnalysisService');
+const alertRuleService = require('../src/services/alertRuleService');
+const separationMinimaService = require('../src/services/separationMinimaService');
+const { FakeMongo } = require('./helpers/fakeMongo');
+
+const START = new Date('2026-03-01T12:00:00Z');
+
+function at(offsetSec) {
+    return new Date(START.getTime() + offsetSec * 1000);
+}
+
+describe('collision analysis', () => {
+    let mongo;
+
+    beforeEach(() => {
+        mongo = new FakeMongo();
+        jest.spyOn(dbManager, 'getMongoDB').mockReturnValue(mongo);
+        jest.spyOn(separationMinimaService, 'refresh').mockResolvedValue([]);
+        jest.spyOn(alertRuleService, 'refresh').mockResolvedValue();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('groups telemetry by icao24, falling back to the flight number', async () => {
+        await mongo.collection('flight_telemetry').insertMany([
+            { icao24: 'abc123', flightNumber: 'DLH1', timestamp: at(0), latitude: 50, longitude: 8, altitude: 10000 },
+            { icao24: 'abc123', flightNumber: 'DLH1X', timestamp: at(10), latitude: 50, longitude: 8.01, altitude: 10000 },
+            { flightNumber: 'SMP100', timestamp: at(0), latitude: 51, longitude: 9, altitude: 5000 }
+        ]);
+
+        const tracks = await collisionAnalysisService.loadTracks(START, at(60));
+
+        expect(tracks.size).toBe(2);
+        expect(tracks.get('abc123').points.map(point => point.callsign)).toEqual(['DLH1', 'DLH1X']);
+        expect(tracks.get('SMP100').points).toHaveLength(1);
+    });
+
+    test('interpolates between points and not across long gaps', () => {
+        const track = {
+            cursor: 0,
+            points: [
+                { time: 0, latitude: 50, longitude: 8, altitude: 10000, velocity: 200, heading: 90 },
+                { time: 10000, latitude: 50, longitude: 8.1, altitude: 11000, velocity: 300, heading: 90 },
+                { time: 10000 + (collisionAnalysisService.MAX_GAP_SEC + 1) * 1000, latitude: 50, longitude: 9, altitude: 11000, velocity: 300, heading: 90 }
+            ]
+        };
+
+        expect(collisionAnalysisService.interpolate(track, -1)).toBeNull();
+        expect(collisionAnalysisService.interpolate(track, 5000)).toMatchObject({ longitude: 8.05, altitude: 10500, velocity: 250 });
+        expect(collisionAnalysisService.interpolate(track, 20000)).toBeNull();
+    });
+
+    test('reports one encounter per loss of separation', async () => {
+        // Head-on at 300 kt each, 14 km apart: within 5 NM from about 16 s to 76 s
+        const telemetry = [];
+        for (let t = 0; t <= 120; t += 30) {
+            const travelled = 300 * 1.852 / 3600 * t / (111.32 * Math.cos(50 * Math.PI / 180));
+            telemetry.push(
+                { icao24: 'abc123', flightNumber: 'DLH1', timestamp: at(t), latitude: 50, longitude: 8 + travelled, altitude: 10000, speed: 300, heading: 90 },
+                { icao24: 'def456', flightNumber: 'BAW2', timestamp: at(t), latitude: 50, longitude: 8.2 - travelled, altitude: 10000, speed: 300, heading: 270 }
+            );
+        }
+        await mongo.collection('flight_telemetry').insertMany(telemetry);
+
+        const report = { reportId: 'analysis-1', start: START, end: at(120) };
+        await mongo.collection('collision_analyses').insertOne(report);
+        await collisionAnalysisService.runAnalysis(report);
+
+        const result = await collisionAnalysisService.getReport('analysis-1');
+        expect(result).toMatchObject({ status: 'completed', flightsAnalyzed: 2, encounterCount: 1 });
+        expect(result.encounters[0]).toMatchObject({ pairKey: 'abc123-def456', worstSeverity: 'CRITICAL' });
+        expect(new Date(result.encounters[0].start) >= at(10)).toBe(true);
+        expect(new Date(result.encounters[0].end) <= at(80)).toBe(true);
+    });
+
+    test('rejects an invalid or too long window', async () => {
+        await expect(collisionAnalysisService.startAnalysis(at(60), START)).rejects.toMatchObject({ status: 400 });
+        await expect(collisionAnalysisService.startAnalysis('yesterday', START)).rejects.toMatchObject({ status: 400 });
+
+        const tooLong = new Date(START.getTime() + (collisionAnalysisService.MAX_WINDOW_HOURS + 1) * 3600000);
+        await expect(collisionAnalysisService.startAnalysis(START, tooLong)).rejects.toMatchObject({ status: 400 });
+    });
+});
@@ -0,0 +1,189 @@
+const dbManager = require('../src/config/database');
+const collisionService = require('../src/services/collisionService');
+const alertCenterService = require('../src/services/alertCenterService');
+const { AlertDebouncer } = require('../src/utils/alertDebouncer');
+const { FakeRedis } = require('./helpers/fakeRedis');
+
+// Two aircraft about 14.3 km apart on the same latitude, at the same level
+function headOn(overrides = {}) {
+    return [
+        { icao24: 'abc123', callsign: 'DLH1', latitude: 50, longitude: 8, altitude: 10000, velocity: 300, heading: 90, ...overrides },
+        { icao24: 'def456', callsign: 'BAW2', latitude: 50, longitude: 8.2, altitude: 10000, velocity: 300, heading: 270 }
+    ];
+}
+
+describe('closest point of approach', () => {
+    test('head-on aircraft meet halfway', () => {
+        const [aircraft1, aircraft2] = headOn();
+        const cpa = collisionService.calculateClosestApproach(aircraft1, aircraft2);
+
+        expect(cpa.currentDistance).toBeCloseTo(14.3, 1);
+        expect(cpa.cpaDistance).toBeCloseTo(0, 5);
+        // 600 kt closing speed
+        expect(cpa.timeToCpa).toBeCloseTo(cpa.currentDistance / (600 * 1.852 / 3600), 5);
+    });
+
+    test('parallel aircraft at the same speed never converge', () => {
+        const [aircraft1, aircraft2] = headOn({ heading: 270 });
+
+        expect(collisionService.calculateClosestApproach(aircraft1, aircraft2)).toBeNull();
+    });
+
+    test('diverging aircraft have their closest approach in the past', () => {
+        const [aircraft1, aircraft2] = headOn({ heading: 270 });
+        aircraft2.heading = 90;
+
+        expect(collisionService.calculateClosestApproach(aircraft1, aircraft2).timeToCpa).toBeLessThan(0);
+    });
+
+    test('time to conflict is when separation first drops below the threshold', () => {
+        const [aircraft1, aircraft2] = headOn();
+        const cpa = collisionService.calculateClosestApproach(aircraft1, aircraft2);
+        const closingKmPerSec = 600 * 1.852 / 3600;
+
+        expect(collisionService.calculateTimeToConflict(cpa, 9.26))
+            .toBeCloseTo((cpa.currentDistance - 9.26) / closingKmPerSec, 5);
+        expect(collisionService.calculateTimeToConflict(cpa, 20)).toBe(0);
+    });
+});
+
+describe('search radius', () => {
+    test('covers the distance two aircraft can close within the look-ahead window', () => {
+        const closingKm = 2 * 450 * 1.852 / 3600 * collisionService.LOOKAHEAD_SEC;
+
+        expect(collisionService.getSearchRadiusKm([{ velocity: 450 }, { velocity: 200 }], 9.26)).toBeCloseTo(closingKm, 5);
+        expect(collisionService.getSearchRadiusKm([{ velocity: 0 }], 9.26)).toBe(9.26);
+    });
+
+    test('ignores missing and non-finite velocities', () => {
+        const positions = [{ velocity: NaN }, { velocity: Infinity }, { velocity: null }, {}];
+
+        expect(collisionService.getSearchRadiusKm(positions, 9.26)).toBe(9.26);
+    });
+});
+
+describe('conflict detection', () => {
+    test('finds the same conflicts as comparing every pair', () => {
+        let seed = 7;
+        const random = () => {
+            seed = (seed * 16807) % 2147483647;
+            return seed / 2147483647;
+        };
+        const positions = Array.from({ length: 150 }, (_, i) => ({
+            icao24: (0xa00000 + i).toString(16),
+            callsign: `TST${i}`,
+            latitude: 50 + random() * 0.5,
+            longitude: 8 + random() * 0.8,
+            altitude: 5000 + random() * 10000,
+            velocity: 150 + random() * 300,
+            heading: random() * 360
+        }));
+
+        const expected = [];
+        for (let i = 0; i < positions.length; i++) {
+            for (let j = i + 1; j < positions.length; j++) {
+                const alert = collisionService.checkPairCollision(positions[i], positions[j]);
+                if (alert) expected.push(alert.pairKey);
+            }
+        }
+
+        const { alerts } = collisionService.detectConflicts(positions);
+        expect(expected.length).toBeGreaterThan(0);
+        expect(alerts.map(alert => alert.pairKey).sort()).toEqual(expected.sort());
+        expect(collisionService.getCycleStats().pairsEvaluated).toBeLessThan(positions.length * (positions.length - 1) / 2);
+    });
+});
+
+describe('predicted conflicts', () => {
+    test('converging aircraft within the look-ahead window are predicted', () => {
+        const [aircraft1, aircraft2] = headOn();
+        const prediction = collisionService.predictPairConflict(aircraft1, aircraft2);
+
+        expect(prediction).toMatchObject({
+            type: 'PREDICTED',
+            predictedMissDistance: 0,
+            timeToCpa: 46,
+            timeToConflict: 16,
+            severity: 'CRITICAL'
+        });
+    });
+
+    test('aircraft vertically separated are not predicted', () => {
+        const [aircraft1, aircraft2] = headOn({ altitude: 11000 });
+
+        expect(collisionService.predictPairConflict(aircraft1, aircraft2)).toBeNull();
+    });
+
+    test('a conflict beyond the look-ahead window is not predicted', () => {
+        const [aircraft1, aircraft2] = headOn({ velocity: 20 });
+        aircraft2.velocity = 20;
+
+        expect(collisionService.predictPairConflict(aircraft1, aircraft2)).toBeNull();
+    });
+});
+
+describe('alert lifecycle', () => {
+    let redis;
+
+    beforeEach(() => {
+        redis = new FakeRedis();
+        jest.spyOn(dbManager, 'getRedis').mockReturnValue(redis);
+        jest.spyOn(alertCenterService, 'findOpenAlert').mockResolvedValue(null);
+        collisionService.debouncer = new AlertDebouncer({ openSamples: 1, clearSamples: 2 });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    function detect(longitudeOffset) {
+        const [aircraft1, aircraft2] = headOn();
+        aircraft2.longitude = 8 + longitudeOffset;
+        return collisionService.checkPairCollision(aircraft1, aircraft2);
+    }
+
+    test('keys an encounter by aircraft pair regardless of order', () => {
+        const [aircraft1, aircraft2] = headOn();
+
+        expect(collisionService.getPairKey(aircraft1, aircraft2)).toBe(collisionService.getPairKey(aircraft2, aircraft1));
+    });
+
+    test('opens, continues and resolves one alert per encounter', async () => {
+        const [opened] = await collisionService.updateAlertLifecycle([detect(0.1)]);
+        expect(opened.status).toBe('open');
+        expect(opened.severity).toBe('WARNING');
+
+        const [ongoing] = await collisionService.updateAlertLifecycle([detect(0.02)]);
+        expect(ongoing).toMatchObject({ id: opened.id, status: 'ongoing', worstSeverity: 'CRITICAL' });
+        expect(ongoing.minSeparation.distance).toBeLessThan(opened.minSeparation.distance);
+
+        const [easing] = await collisionService.updateAlertLifecycle([detect(0.1)]);
+        expect(easing).toMatchObject({ id: opened.id, severity: 'WARNING', worstSeverity: 'CRITICAL' });
+
+        // Cleared for clearSamples cycles before it resolves
+        expect(await collisionService.updateAlertLifecycle([])).toHaveLength(1);
+        expect(await collisionService.updateAlertLifecycle([])).toHaveLength(0);
+
+        const [resolved] = (await redis.lRange('alerts:collision:resolved', 0, -1)).map(JSON.parse);
+        expect(resolved).toMatchObject({ id: opened.id, status: 'resolved', resolution: 'separation restored' });
+        expect(await collisionService.getActiveAlerts()).toHaveLength(0);
+    });
+
+    test('an acknowledged alert stays acknowledged while the encounter continues', async () => {
+        const [opened] = await collisionService.updateAlertLifecycle([detect(0.1)]);
+        await collisionService.acknowledgeAlert(opened.id, 'controller');
+
+        const [ongoing] = await collisionService.updateAlertLifecycle([detect(0.08)]);
+        expect(ongoing.status).toBe('acknowledged');
+        expect(ongoing.acknowledgedAt).not.toBeNull();
+    });
+
+    test('a manually resolved encounter opens a new alert if it continues', async () => {
+        const [opened] = await collisionService.updateAlertLifecycle([detect(0.1)]);
+        await collisionService.resolveAlert(opened.id, 'controller');
+        expect(await collisionService.getActiveAlerts()).toHaveLength(0);
+
+        const [reopened] = await collisionService.updateAlertLifecycle([detect(0.1)]);
+        expect(reopened.status).toBe('open');
+    });
+});
@@ -0,0 +1,89 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ElevationGrid } = require('../src/utils/elevationGrid');
+const altitudeCheckService = require('../src/services/altitudeCheckService');
+
+const FEET_PER_METER = 3.28084;
+
+// 3x3 SRTM tile covering N50-51 E8-9, rows north to south, elevations in metres
+function writeHgt(directory, name, values) {
+    const buffer = Buffer.alloc(values.length * 2);
+    values.forEach((value, i) => buffer.writeInt16BE(value, i * 2));
+    fs.writeFileSync(path.join(directory, `${name}.hgt`), buffer);
+}
+
+describe('ElevationGrid', () => {
+    let directory;
+
+    beforeAll(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'terrain-'));
+        writeHgt(directory, 'N50E008', [
+            100, 200, 300,
+            100, 200, 300,
+            0, -32768, 400
+        ]);
+        fs.writeFileSync(path.join(directory, 'alps.asc'), [
+            'ncols 2', 'nrows 2', 'xllcorner 10', 'yllcorner 47', 'cellsize 1', 'NODATA_value -9999',
+            '1000 2000',
+            '3000 -9999'
+        ].join('\n'));
+        fs.writeFileSync(path.join(directory, 'broken.hgt'), Buffer.alloc(10));
+    });
+
+    afterAll(() => {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    test('loads SRTM and ESRI ASCII tiles and skips unreadable ones', () => {
+        const grid = ElevationGrid.loadDirectory(directory);
+
+        expect(grid.getCoverage().map(tile => tile.name).sort()).toEqual(['N50E008', 'alps.asc']);
+        expect(grid.getCoverage().find(tile => tile.name === 'N50E008')).toEqual({ name: 'N50E008', north: 51, south: 50, west: 8, east: 9 });
+    });
+
+    test('interpolates between samples and converts to feet', () => {
+        const grid = ElevationGrid.loadDirectory(directory);
+
+        expect(grid.getElevationFt(51, 8)).toBeCloseTo(100 * FEET_PER_METER, 5);
+        expect(grid.getElevationFt(51, 8.25)).toBeCloseTo(150 * FEET_PER_METER, 5);
+        expect(grid.getElevationFt(50.75, 8.75)).toBeCloseTo(250 * FEET_PER_METER, 5);
+    });
+
+    test('ignores void samples around a position', () => {
+        const grid = ElevationGrid.loadDirectory(directory);
+
+        // Between 100, 200, 0 and a void - the void doesn't pull the result towards zero
+        expect(grid.getElevationFt(50.25, 8.25)).toBeCloseTo(100 * FEET_PER_METER, 5);
+    });
+
+    test('places ASCII grid samples at cell centres', () => {
+        const grid = ElevationGrid.loadDirectory(directory);
+
+        expect(grid.getElevationFt(48.5, 10.5)).toBeCloseTo(1000 * FEET_PER_METER, 5);
+        expect(grid.getElevationFt(47.5, 10.5)).toBeCloseTo(3000 * FEET_PER_METER, 5);
+        expect(grid.getElevationFt(48, 11)).toBeCloseTo(2000 * FEET_PER_METER, 3);
+        expect(grid.getElevationFt(47.5, 11.5)).toBeNull();
+    });
+
+    test('returns null outside every tile or for a missing directory', () => {
+        expect(ElevationGrid.loadDirectory(directory).getElevationFt(40, 0)).toBeNull();
+        expect(ElevationGrid.loadDirectory(path.join(directory, 'missing')).tiles).toEqual([]);
+    });
+
+    test('terrain clearance is measured above the ground and the obstacle margin', () => {
+        const terrain = altitudeCheckService.terrain;
+        altitudeCheckService.terrain = ElevationGrid.loadDirectory(directory);
+
+        try {
+            const clearance = altitudeCheckService.getTerrainClearance(51, 8, 2000);
+            expect(clearance.terrainElevationFt).toBe(Math.round(100 * FEET_PER_METER));
+            expect(clearance.heightAboveGround).toBe(Math.round(2000 - 100 * FEET_PER_METER));
+            expect(clearance.clearanceFt).toBe(Math.round(2000 - 100 * FEET_PER_METER - altitudeCheckService.OBSTACLE_MARGIN_FT));
+
+            expect(altitudeCheckService.getTerrainClearance(40, 0, 2000)).toMatchObject({ terrainElevationFt: null, heightAboveGround: 2000 });
+        } finally {
+            altitudeCheckService.terrain = terrain;
+        }
+    });
+});
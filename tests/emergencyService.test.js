@@ -0,0 +1,118 @@
+const dbManager = require('../src/config/database');
+const emergencyService = require('../src/services/emergencyService');
+const { FakeRedis } = require('./helpers/fakeRedis');
+const { FakeMongo } = require('./helpers/fakeMongo');
+
+describe('emergency codes', () => {
+    test('recognises the three emergency squawks', () => {
+        expect(emergencyService.getEmergencyCode('7500')).toMatchObject({ squawk: '7500', code: 'HIJACK' });
+        expect(emergencyService.getEmergencyCode(7600)).toMatchObject({ squawk: '7600', code: 'RADIO_FAILURE' });
+        expect(emergencyService.getEmergencyCode(' 7700 ')).toMatchObject({ squawk: '7700', code: 'GENERAL_EMERGENCY' });
+        expect(emergencyService.getEmergencyCode('1000')).toBeNull();
+        expect(emergencyService.getEmergencyCode(null)).toBeNull();
+    });
+});
+
+describe('emergency events', () => {
+    let redis;
+    let mongo;
+
+    beforeEach(() => {
+        redis = new FakeRedis();
+        mongo = new FakeMongo();
+        jest.spyOn(dbManager, 'getRedis').mockReturnValue(redis);
+        jest.spyOn(dbManager, 'getMongoDB').mockReturnValue(mongo);
+        emergencyService.activeEmergencies = new Map();
+        emergencyService.restored = false;
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    async function report(squawk, lastUpdate, extra = {}) {
+        await redis.hSet('aircraft:abc123:position', {
+            icao24: 'abc123',
+            callsign: 'DLH1',
+            latitude: 50,
+            longitude: 8,
+            altitude: 12000,
+            squawk,
+            last_update: lastUpdate,
+            ...extra
+        });
+    }
+
+    async function storedEvents() {
+        return mongo.collection('emergency_events').find({}).toArray();
+    }
+
+    test('opens one event per emergency and records its track', async () => {
+        await report('7700', '2026-03-01T12:00:00Z');
+        const first = await emergencyService.checkEmergencies();
+        expect(first.alerts).toHaveLength(1);
+        expect(first.alerts[0]).toMatchObject({ squawk: '7700', severity: 'CRITICAL', priority: 'TOP' });
+
+        // The same report is not recorded twice
+        expect((await emergencyService.checkEmergencies()).alerts).toEqual([]);
+
+        await report('7700', '2026-03-01T12:00:05Z', { altitude: 11000 });
+        await emergencyService.checkEmergencies();
+
+        const [event] = await storedEvents();
+        expect(event.status).toBe('active');
+        expect(event.positions.map(position => position.altitude)).toEqual([12000, 11000]);
+    });
+
+    test('records a change of emergency code on the open event', async () => {
+        await report('7600', '2026-03-01T12:00:00Z');
+        await emergencyService.checkEmergencies();
+
+        await report('7700', '2026-03-01T12:00:05Z');
+        const { alerts } = await emergencyService.checkEmergencies();
+
+        expect(alerts).toHaveLength(1);
+        const events = await storedEvents();
+        expect(events).toHaveLength(1);
+        expect(events[0].squawkHistory.map(change => change.squawk)).toEqual(['7600', '7700']);
+    });
+
+    test('ends the event when the squawk is reset or contact is lost', async () => {
+        await report('7700', '2026-03-01T12:00:00Z');
+        await emergencyService.checkEmergencies();
+        await report('1000', '2026-03-01T12:00:05Z');
+        await emergencyService.checkEmergencies();
+        // Event ids carry the opening time in ms; real checks are seconds apart
+        await new Promise(resolve => setTimeout(resolve, 2));
+
+        await report('7500', '2026-03-01T12:00:10Z');
+        await emergencyService.checkEmergencies();
+        redis.hashes.delete('aircraft:abc123:position');
+        await emergencyService.checkEmergencies();
+
+        const events = await storedEvents();
+        expect(events.map(event => [event.squawk, event.status, event.endReason])).toEqual([
+            ['7700', 'ended', 'squawk_cleared'],
+            ['7500', 'ended', 'contact_lost']
+        ]);
+    });
+
+    test('concurrent checks open a single event', async () => {
+        await report('7700', '2026-03-01T12:00:00Z');
+        await Promise.all([emergencyService.checkEmergencies(), emergencyService.checkEmergencies()]);
+
+        expect(await storedEvents()).toHaveLength(1);
+    });
+
+    test('continues emergencies that were active before a restart', async () => {
+        await report('7700', '2026-03-01T12:00:00Z');
+        await emergencyService.checkEmergencies();
+
+        emergencyService.activeEmergencies = new Map();
+        emergencyService.restored = false;
+        await report('7700', '2026-03-01T12:00:05Z');
+
+        expect((await emergencyService.checkEmergencies()).alerts).toEqual([]);
+        expect(await storedEvents()).toHaveLength(1);
+    });
+});
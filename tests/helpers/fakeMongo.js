@@ -0,0 +1,231 @@
+/**
+ * In-memory stand-in for a MongoDB database handle
+ * Supports the query operators, update operators and cursor methods the
+ * services use. Documents are copied in and out like a real driver would.
+ */
+
+function getPath(document, path) {
+    return path.split('.').reduce((value, key) => {
+        if (value === null || value === undefined) return undefined;
+        // Like MongoDB, a field path reaches into every element of an array
+        if (Array.isArray(value) && !/^\d+$/.test(key)) return value.map(item => (item === null || item === undefined ? undefined : item[key]));
+        return value[key];
+    }, document);
+}
+
+function comparable(value) {
+    return value instanceof Date ? value.getTime() : value;
+}
+
+function equals(actual, expected) {
+    if (Array.isArray(actual) && !Array.isArray(expected)) {
+        return actual.some(item => equals(item, expected));
+    }
+    if (expected instanceof RegExp) {
+        return typeof actual === 'string' && expected.test(actual);
+    }
+    return comparable(actual) === comparable(expected) ||
+        (expected === null && actual === undefined);
+}
+
+const OPERATORS = {
+    $eq: (actual, expected) => equals(actual, expected),
+    $ne: (actual, expected) => !equals(actual, expected),
+    $gt: (actual, expected) => actual !== undefined && actual !== null && comparable(actual) > comparable(expected),
+    $gte: (actual, expected) => actual !== undefined && actual !== null && comparable(actual) >= comparable(expected),
+    $lt: (actual, expected) => actual !== undefined && actual !== null && comparable(actual) < comparable(expected),
+    $lte: (actual, expected) => actual !== undefined && actual !== null && comparable(actual) <= comparable(expected),
+    $in: (actual, expected) => expected.some(value => equals(actual, value)),
+    $nin: (actual, expected) => !expected.some(value => equals(actual, value)),
+    $exists: (actual, expected) => (actual !== undefined) === expected,
+    $regex: (actual, expected, condition) =>
+        typeof actual === 'string' && new RegExp(expected, condition.$options || '').test(actual),
+    $options: () => true
+};
+
+function matches(document, query) {
+    return Object.entries(query).every(([key, condition]) => {
+        if (key === '$or') return condition.some(part => matches(document, part));
+        if (key === '$and') return condition.every(part => matches(document, part));
+
+        const actual = getPath(document, key);
+        const isOperatorObject = condition && typeof condition === 'object' && !(condition instanceof Date) &&
+            !(condition instanceof RegExp) && !Array.isArray(condition) &&
+            Object.keys(condition).some(name => name.startsWith('$'));
+
+        if (!isOperatorObject) return equals(actual, condition);
+
+        return Object.entries(condition).every(([operator, expected]) => {
+            if (!OPERATORS[operator]) throw new Error(`Unsupported operator ${operator}`);
+            return OPERATORS[operator](actual, expected, condition);
+        });
+    });
+}
+
+function setPath(document, path, value) {
+    const keys = path.split('.');
+    const last = keys.pop();
+    const parent = keys.reduce((object, key) => {
+        if (object[key] === undefined || object[key] === null) object[key] = {};
+        return object[key];
+    }, document);
+    parent[last] = value;
+}
+
+function applyUpdate(document, update) {
+    for (const [path, value] of Object.entries(update.$set || {})) {
+        setPath(document, path, structuredClone(value));
+    }
+    for (const [path, value] of Object.entries(update.$inc || {})) {
+        setPath(document, path, (getPath(document, path) || 0) + value);
+    }
+    for (const [path, value] of Object.entries(update.$push || {})) {
+        const list = getPath(document, path) || [];
+        const items = value && value.$each ? value.$each : [value];
+        setPath(document, path, [...list, ...structuredClone(items)]);
+    }
+    for (const [path, value] of Object.entries(update.$addToSet || {})) {
+        const list = getPath(document, path) || [];
+        setPath(document, path, list.some(item => equals(item, value)) ? list : [...list, value]);
+    }
+}
+
+function project(document, projection = {}) {
+    const copy = structuredClone(document);
+    delete copy._id;
+    for (const [path, include] of Object.entries(projection)) {
+        if (include === 0) delete copy[path];
+    }
+    return copy;
+}
+
+class FakeCursor {
+    constructor(documents, projection) {
+        this.documents = documents;
+        this.projection = projection;
+    }
+
+    sort(order) {
+        const fields = Object.entries(order);
+        this.documents = [...this.documents].sort((a, b) => {
+            for (const [path, direction] of fields) {
+                const x = comparable(getPath(a, path));
+                const y = comparable(getPath(b, path));
+                if (x < y) return -direction;
+                if (x > y) return direction;
+            }
+            return 0;
+        });
+        return this;
+    }
+
+    skip(count) {
+        this.documents = this.documents.slice(count);
+        return this;
+    }
+
+    limit(count) {
+        if (count > 0) this.documents = this.documents.slice(0, count);
+        return this;
+    }
+
+    project(projection) {
+        this.projection = projection;
+        return this;
+    }
+
+    async toArray() {
+        return this.documents.map(document => project(document, this.projection));
+    }
+}
+
+class FakeCollection {
+    constructor() {
+        this.documents = [];
+        this.uniqueFields = [];
+    }
+
+    checkUnique(document) {
+        for (const field of this.uniqueFields) {
+            const value = getPath(document, field);
+            if (value !== undefined && this.documents.some(existing => equals(getPath(existing, field), value))) {
+                const error = new Error(`E11000 duplicate key error dup key: { ${field}: ${JSON.stringify(value)} }`);
+                error.code = 11000;
+                throw error;
+            }
+        }
+    }
+
+    async insertOne(document) {
+        this.checkUnique(document);
+        this.documents.push(structuredClone(document));
+        return { acknowledged: true };
+    }
+
+    async insertMany(documents) {
+        for (const document of documents) await this.insertOne(document);
+        return { acknowledged: true, insertedCount: documents.length };
+    }
+
+    find(query = {}, options = {}) {
+        return new FakeCursor(this.documents.filter(document => matches(document, query)), options.projection);
+    }
+
+    async findOne(query = {}, options = {}) {
+        const document = this.documents.find(candidate => matches(candidate, query));
+        return document ? project(document, options.projection) : null;
+    }
+
+    async countDocuments(query = {}) {
+        return this.documents.filter(document => matches(document, query)).length;
+    }
+
+    async updateOne(query, update, options = {}) {
+        let document = this.documents.find(candidate => matches(candidate, query));
+        if (!document) {
+            if (!options.upsert) return { matchedCount: 0, modifiedCount: 0 };
+            document = Object.fromEntries(Object.entries(query).filter(([key]) => !key.startsWith('$')));
+            Object.assign(document, structuredClone(update.$setOnInsert || {}));
+            this.documents.push(document);
+        }
+        applyUpdate(document, update);
+        return { matchedCount: 1, modifiedCount: 1 };
+    }
+
+    async updateMany(query, update) {
+        const documents = this.documents.filter(document => matches(document, query));
+        documents.forEach(document => applyUpdate(document, update));
+        return { matchedCount: documents.length, modifiedCount: documents.length };
+    }
+
+    async deleteOne(query) {
+        const index = this.documents.findIndex(document => matches(document, query));
+        if (index === -1) return { deletedCount: 0 };
+        this.documents.splice(index, 1);
+        return { deletedCount: 1 };
+    }
+
+    async bulkWrite(operations) {
+        for (const operation of operations) {
+            if (operation.updateOne) {
+                const { filter, update, upsert } = operation.updateOne;
+                await this.updateOne(filter, update, { upsert });
+            } else if (operation.insertOne) {
+                await this.insertOne(operation.insertOne.document);
+            }
+        }
+    }
+}
+
+class FakeMongo {
+    constructor() {
+        this.collections = new Map();
+    }
+
+    collection(name) {
+        if (!this.collections.has(name)) this.collections.set(name, new FakeCollection());
+        return this.collections.get(name);
+    }
+}
+
+module.exports = { FakeMongo };
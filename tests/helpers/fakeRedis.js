@@ -0,0 +1,98 @@
+/**
+ * In-memory stand-in for the node-redis v4 client
+ * Supports the string, hash and list commands the services use.
+ */
+
+function globToRegExp(pattern) {
+    let source = '';
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        if (char === '\\') {
+            source += pattern[++i].replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        } else if (char === '*') {
+            source += '.*';
+        } else if (char === '?') {
+            source += '.';
+        } else {
+            source += char.replace(/[.+^${}()|[\]]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${source}$`);
+}
+
+class FakeRedis {
+    constructor() {
+        this.strings = new Map();
+        this.hashes = new Map();
+        this.lists = new Map();
+    }
+
+    allKeys() {
+        return [this.strings, this.hashes, this.lists].flatMap(store => Array.from(store.keys()));
+    }
+
+    async get(key) {
+        return this.strings.has(key) ? this.strings.get(key) : null;
+    }
+
+    async set(key, value) {
+        this.strings.set(key, String(value));
+        return 'OK';
+    }
+
+    async incr(key) {
+        const value = parseInt(await this.get(key) || '0') + 1;
+        this.strings.set(key, String(value));
+        return value;
+    }
+
+    async expire() {
+        return 1;
+    }
+
+    async keys(pattern) {
+        const regex = globToRegExp(pattern);
+        return this.allKeys().filter(key => regex.test(key));
+    }
+
+    async *scanIterator({ MATCH = '*' } = {}) {
+        yield* await this.keys(MATCH);
+    }
+
+    async hSet(key, field, value) {
+        if (!this.hashes.has(key)) this.hashes.set(key, new Map());
+        const fields = typeof field === 'object' ? Object.entries(field) : [[field, value]];
+        fields.forEach(([name, fieldValue]) => this.hashes.get(key).set(name, String(fieldValue)));
+        return fields.length;
+    }
+
+    async hGetAll(key) {
+        return Object.fromEntries(this.hashes.get(key) || []);
+    }
+
+    async hVals(key) {
+        return Array.from((this.hashes.get(key) || new Map()).values());
+    }
+
+    async hDel(key, field) {
+        return this.hashes.has(key) && this.hashes.get(key).delete(field) ? 1 : 0;
+    }
+
+    async lPush(key, value) {
+        if (!this.lists.has(key)) this.lists.set(key, []);
+        this.lists.get(key).unshift(String(value));
+        return this.lists.get(key).length;
+    }
+
+    async lTrim(key, start, stop) {
+        this.lists.set(key, (this.lists.get(key) || []).slice(start, stop + 1));
+        return 'OK';
+    }
+
+    async lRange(key, start, stop) {
+        const list = this.lists.get(key) || [];
+        return list.slice(start, stop === -1 ? list.length : stop + 1);
+    }
+}
+
+module.exports = { FakeRedis };
@@ -0,0 +1,108 @@
+const dbManager = require('../src/config/database');
+const eventBus = require('../src/utils/eventBus');
+const alertCenterService = require('../src/services/alertCenterService');
+const incidentService = require('../src/services/incidentService');
+const { FakeMongo } = require('./helpers/fakeMongo');
+
+const CONFLICT = {
+    type: 'COLLISION_RISK',
+    severity: 'CRITICAL',
+    message: 'Separation <b>lost</b>',
+    flight1: { icao24: 'abc123', callsign: 'DLH1', latitude: 50, longitude: 8, altitude: 10000 },
+    flight2: { icao24: 'def456', callsign: 'BAW2', latitude: 50, longitude: 8.05, altitude: 10000 }
+};
+
+describe('incidents', () => {
+    let mongo;
+    let alertId;
+
+    beforeEach(async () => {
+        mongo = new FakeMongo();
+        mongo.collection('incidents').uniqueFields = ['alertId'];
+        jest.spyOn(dbManager, 'getMongoDB').mockReturnValue(mongo);
+        jest.spyOn(eventBus, 'publish').mockImplementation(() => {});
+
+        alertId = await alertCenterService.record('collision', CONFLICT);
+        await alertCenterService.record('altitude', { type: 'LOW_ALTITUDE', icao24: 'abc123', callsign: 'DLH1', severity: 'HIGH' });
+        await alertCenterService.record('altitude', { type: 'LOW_ALTITUDE', icao24: 'fed789', callsign: 'EWG3', severity: 'HIGH' });
+
+        const now = Date.now();
+        await mongo.collection('flight_telemetry').insertMany([
+            // Logged under the callsign DLH1 used before
+            { icao24: 'abc123', flightNumber: 'DLH1X', altitude: 9800, timestamp: new Date(now - 60000) },
+            { icao24: 'abc123', flightNumber: 'DLH1', altitude: 10000, timestamp: new Date(now - 1000) },
+            { icao24: 'def456', flightNumber: 'BAW2', altitude: 10000, timestamp: new Date(now - 1000) },
+            { icao24: 'abc123', flightNumber: 'DLH1', altitude: 5000, timestamp: new Date(now - 3600000) }
+        ]);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('captures telemetry, related alerts and a timeline', async () => {
+        const incident = await incidentService.promoteAlert(alertId, { createdBy: 'supervisor', notes: 'Both climbing' });
+
+        expect(incident).toMatchObject({
+            title: 'CRITICAL COLLISION_RISK - DLH1 / BAW2',
+            status: 'open',
+            severity: 'CRITICAL',
+            callsigns: ['DLH1', 'BAW2'],
+            notes: [{ author: 'supervisor', text: 'Both climbing' }]
+        });
+        expect(incident.telemetry.DLH1.map(point => point.callsign)).toEqual(['DLH1X', 'DLH1']);
+        expect(incident.telemetry.BAW2).toHaveLength(1);
+        expect(incident.relatedAlerts.map(related => related.callsigns)).toEqual([['DLH1']]);
+        expect(incident.timeline.map(entry => entry.event)).toEqual(expect.arrayContaining(['Alert opened', 'Related alert', 'Incident created', 'Note']));
+        expect((await alertCenterService.getAlert(alertId)).incidentId).toBe(incident.incidentId);
+    });
+
+    test('promotes an alert only once', async () => {
+        const first = await incidentService.promoteAlert(alertId);
+
+        await expect(incidentService.promoteAlert(alertId)).rejects.toMatchObject({
+            status: 409, message: `Alert already promoted to incident ${first.incidentId}`
+        });
+    });
+
+    test('concurrent promotions create a single incident', async () => {
+        const results = await Promise.allSettled([incidentService.promoteAlert(alertId), incidentService.promoteAlert(alertId)]);
+
+        const winner = results.find(result => result.status === 'fulfilled').value;
+        const loser = results.find(result => result.status === 'rejected').reason;
+        expect(loser).toMatchObject({ status: 409, message: `Alert already promoted to incident ${winner.incidentId}` });
+        expect(await mongo.collection('incidents').countDocuments()).toBe(1);
+    });
+
+    test.each([
+        ['a missing alert id', undefined, {}, 'alertId is required'],
+        ['a negative window', 'ALERT', { windowBeforeSec: -1 }, 'windowBeforeSec and windowAfterSec must be non-negative numbers'],
+        ['a non-numeric window', 'ALERT', { windowAfterSec: 'soon' }, 'windowBeforeSec and windowAfterSec must be non-negative numbers']
+    ])('rejects %s', async (description, id, options, message) => {
+        await expect(incidentService.promoteAlert(id === 'ALERT' ? alertId : id, options)).rejects.toMatchObject({ status: 400, message });
+    });
+
+    test('returns null for unknown alerts and incidents', async () => {
+        expect(await incidentService.promoteAlert('missing')).toBeNull();
+        expect(await incidentService.updateIncident('missing', { summary: 'x' })).toBeNull();
+        expect(await incidentService.addNote('missing', 'tower', 'x')).toBeNull();
+    });
+
+    test('validates status changes and notes', async () => {
+        const { incidentId } = await incidentService.promoteAlert(alertId);
+
+        expect((await incidentService.updateIncident(incidentId, { status: 'under-review' })).status).toBe('under-review');
+        await expect(incidentService.updateIncident(incidentId, { status: 'done' })).rejects.toMatchObject({
+            status: 400, message: 'status must be one of open, under-review, closed'
+        });
+        await expect(incidentService.addNote(incidentId, 'tower', '  ')).rejects.toMatchObject({ status: 400, message: 'Note text is required' });
+    });
+
+    test('escapes alert text in the HTML report', async () => {
+        const { incidentId } = await incidentService.promoteAlert(alertId);
+
+        const html = await incidentService.exportHtml(incidentId);
+        expect(html).toContain('Separation &lt;b&gt;lost&lt;/b&gt;');
+        expect(html).not.toContain('<b>lost</b>');
+    });
+});
@@ -0,0 +1,158 @@
+const axios = require('axios');
+const nodemailer = require('nodemailer');
+const dbManager = require('../src/config/database');
+const eventBus = require('../src/utils/eventBus');
+const notificationService = require('../src/services/notificationService');
+const { FakeMongo } = require('./helpers/fakeMongo');
+
+const POLICY = {
+    name: 'Tower CRITICAL',
+    match: { sources: ['collision'], severities: ['CRITICAL', 'HIGH'] },
+    channels: [{ type: 'email', to: ['tower@airport.local'] }],
+    escalation: { afterSec: 60, channels: [{ type: 'webhook', url: 'https://pager.example/hook' }] }
+};
+
+function alert(overrides = {}) {
+    return {
+        alertId: 'alert-1',
+        source: 'collision',
+        type: 'COLLISION_RISK',
+        severity: 'CRITICAL',
+        worstSeverity: 'CRITICAL',
+        status: 'open',
+        aircraft: [{ callsign: 'DLH1' }, { callsign: 'BAW2' }],
+        timestamp: new Date(Date.now() - 120000),
+        ...overrides
+    };
+}
+
+describe('notification policies', () => {
+    test('matches on source, type and worst severity, ignoring empty lists', () => {
+        const policy = notificationService.buildPolicy(POLICY);
+
+        expect(notificationService.matches(policy, alert())).toBe(true);
+        expect(notificationService.matches(policy, alert({ source: 'altitude' }))).toBe(false);
+        expect(notificationService.matches(policy, alert({ severity: 'WARNING', worstSeverity: 'WARNING' }))).toBe(false);
+        expect(notificationService.matches({ ...policy, enabled: false }, alert())).toBe(false);
+        expect(notificationService.matches({ match: {} }, alert({ source: 'runway' }))).toBe(true);
+    });
+
+    test('fills in defaults', () => {
+        expect(notificationService.buildPolicy(POLICY)).toMatchObject({
+            policyId: 'tower-critical',
+            enabled: true,
+            match: { types: [] },
+            escalation: { afterSec: 60, severities: ['CRITICAL'] }
+        });
+    });
+
+    test.each([
+        ['a missing name and channels', {}, 'name is required; channels must be a non-empty list'],
+        ['an unknown severity', { ...POLICY, match: { severities: ['URGENT'] } }, 'match.severities must be from CRITICAL, HIGH, MEDIUM, WARNING, LOW'],
+        ['an email channel without addresses', { ...POLICY, channels: [{ type: 'email', to: [] }] }, 'channels[0].to must list at least one address'],
+        ['a non-http webhook', { ...POLICY, escalation: { afterSec: 60, channels: [{ type: 'webhook', url: 'ftp://x' }] } },
+            'escalation.channels[0].url must be an http(s) URL'],
+        ['a zero escalation delay', { ...POLICY, escalation: { ...POLICY.escalation, afterSec: 0 } }, 'escalation.afterSec must be a positive number']
+    ])('rejects %s', (description, definition, message) => {
+        try {
+            notificationService.buildPolicy(definition);
+            throw new Error('expected a validation error');
+        } catch (error) {
+            expect(error).toMatchObject({ status: 400, message });
+        }
+    });
+
+    test('formats subjects for opened, upgraded and escalated alerts', () => {
+        expect(notificationService.formatSubject(alert(), false)).toBe('CRITICAL COLLISION_RISK - DLH1 / BAW2');
+        expect(notificationService.formatSubject(alert({ previousSeverity: 'WARNING' }), false, true))
+            .toBe('[UPGRADED from WARNING] CRITICAL COLLISION_RISK - DLH1 / BAW2');
+        expect(notificationService.formatSubject(alert({ aircraft: [] }), true)).toBe('[ESCALATED] CRITICAL COLLISION_RISK');
+    });
+});
+
+describe('escalation retries', () => {
+    const channel = { type: 'webhook', url: 'https://pager.example/hook' };
+    const now = Date.parse('2026-05-01T12:00:00Z');
+
+    function failed(secondsAgo) {
+        return { channel: 'webhook', target: channel.url, status: 'failed', timestamp: new Date(now - secondsAgo * 1000) };
+    }
+
+    test('backs off exponentially up to the cap', () => {
+        expect([1, 2, 3, 10].map(n => notificationService.getEscalationBackoffSec(n))).toEqual([60, 120, 240, 3600]);
+    });
+
+    test('retries a failing channel only after its backoff', () => {
+        expect(notificationService.isEscalationDue(channel, [], now)).toBe(true);
+        expect(notificationService.isEscalationDue(channel, [failed(30)], now)).toBe(false);
+        expect(notificationService.isEscalationDue(channel, [failed(90)], now)).toBe(true);
+        expect(notificationService.isEscalationDue(channel, [failed(200), failed(100)], now)).toBe(false);
+    });
+
+    test('stops after a success or the attempt limit', () => {
+        expect(notificationService.isEscalationDue(channel, [{ ...failed(9999), status: 'sent' }], now)).toBe(false);
+        expect(notificationService.isEscalationDue(channel, [1, 2, 3, 4, 5].map(() => failed(99999)), now)).toBe(false);
+        // Attempts to other targets don't count
+        expect(notificationService.isEscalationDue(channel, [{ ...failed(10), target: 'https://other.example' }], now)).toBe(true);
+    });
+});
+
+describe('delivery', () => {
+    let mongo;
+    let sendMail;
+
+    beforeEach(async () => {
+        mongo = new FakeMongo();
+        sendMail = jest.fn().mockResolvedValue({});
+        jest.spyOn(dbManager, 'getMongoDB').mockReturnValue(mongo);
+        jest.spyOn(nodemailer, 'createTransport').mockReturnValue({ sendMail });
+        jest.spyOn(eventBus, 'publish').mockImplementation(() => {});
+        notificationService.transporter = null;
+        await notificationService.savePolicy(POLICY);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('sends opened alerts to matching policies and logs each delivery', async () => {
+        const [delivery] = await notificationService.notify(alert());
+
+        expect(delivery).toMatchObject({ channel: 'email', target: 'tower@airport.local', status: 'sent', escalation: false });
+        expect(sendMail).toHaveBeenCalledWith(expect.objectContaining({ to: 'tower@airport.local', subject: 'CRITICAL COLLISION_RISK - DLH1 / BAW2' }));
+        expect(await notificationService.getDeliveries({ alertId: 'alert-1' })).toHaveLength(1);
+        expect(await notificationService.notify(alert({ source: 'altitude' }))).toEqual([]);
+    });
+
+    test('only notifies policies that newly match a raised severity', async () => {
+        await notificationService.savePolicy({ ...POLICY, name: 'Supervisor', match: {} });
+
+        const deliveries = await notificationService.notifyUpgrade(alert({ previousSeverity: 'WARNING' }));
+
+        expect(deliveries.map(delivery => delivery.policyId)).toEqual(['tower-critical']);
+        expect(deliveries[0].upgrade).toBe(true);
+    });
+
+    test('escalates unacknowledged alerts until a delivery succeeds', async () => {
+        await mongo.collection('alerts').insertOne(alert());
+        const post = jest.spyOn(axios, 'post').mockRejectedValueOnce(new Error('timeout')).mockResolvedValue({});
+
+        const [first] = await notificationService.checkEscalations();
+        expect(first).toMatchObject({ status: 'failed', error: 'timeout', escalation: true });
+
+        // Still inside the backoff
+        expect(await notificationService.checkEscalations()).toEqual([]);
+
+        await mongo.collection('notification_deliveries').updateMany({}, { $set: { timestamp: new Date(Date.now() - 61000) } });
+        expect((await notificationService.checkEscalations())[0].status).toBe('sent');
+        expect(await notificationService.checkEscalations()).toEqual([]);
+        expect(post).toHaveBeenCalledTimes(2);
+        expect(post.mock.calls[0][1].event).toBe('alert.escalated');
+    });
+
+    test('does not escalate acknowledged alerts', async () => {
+        await mongo.collection('alerts').insertOne(alert({ status: 'acknowledged' }));
+
+        expect(await notificationService.checkEscalations()).toEqual([]);
+    });
+});
@@ -0,0 +1,115 @@
+const dbManager = require('../src/config/database');
+const eventBus = require('../src/utils/eventBus');
+const positionFusionService = require('../src/services/positionFusionService');
+const flightMonitorService = require('../src/services/flightMonitorService');
+const { FakeRedis } = require('./helpers/fakeRedis');
+const { FakeMongo } = require('./helpers/fakeMongo');
+
+const NOW = Date.parse('2026-05-01T12:00:00Z');
+
+function position(icao24, secondsAgo, overrides = {}) {
+    return {
+        icao24, callsign: 'DLH1', latitude: 50, longitude: 8, altitude: 10000, velocity: 300, heading: 90,
+        vertical_rate: 0, on_ground: false, timestamp: new Date(NOW - secondsAgo * 1000).toISOString(), ...overrides
+    };
+}
+
+describe('position fusion', () => {
+    beforeEach(() => {
+        positionFusionService.reports = new Map();
+        positionFusionService.sources = new Map();
+    });
+
+    test('prefers the higher-priority source unless another is clearly fresher', () => {
+        positionFusionService.report('opensky', [position('abc123', 8, { longitude: 8.1 }), position('def456', 30)], 2, NOW);
+        positionFusionService.report('sbs', [position('abc123', 2), position('def456', 2, { longitude: 8.2 })], 1, NOW);
+        positionFusionService.report('simulator', [position('def456', 1)], 3, NOW);
+
+        const [abc, def] = positionFusionService.getPositions(null, NOW);
+        expect(abc).toMatchObject({ icao24: 'abc123', source: 'sbs', age: 2, sources: ['sbs', 'opensky'] });
+        expect(def).toMatchObject({ longitude: 8.2, source: 'sbs', sources: ['sbs', 'opensky', 'simulator'] });
+
+        // The local receiver lost the aircraft 20 s ago; OpenSky is 15 s fresher
+        positionFusionService.report('sbs', [position('abc123', 20)], 1, NOW);
+        positionFusionService.report('opensky', [position('abc123', 5, { longitude: 8.1 })], 2, NOW);
+        expect(positionFusionService.getPositions(['abc123'], NOW)[0]).toMatchObject({ source: 'opensky', longitude: 8.1 });
+    });
+
+    test('drops reports older than the maximum age', () => {
+        positionFusionService.report('opensky', [position('abc123', 61), position('def456', 59)], 1, NOW);
+
+        expect(positionFusionService.getPositions(null, NOW).map(p => p.icao24)).toEqual(['def456']);
+        expect(positionFusionService.reports.has('abc123')).toBe(false);
+    });
+
+    test('uses the report time for missing or future timestamps', () => {
+        positionFusionService.report('file', [position('abc123', 0, { timestamp: undefined }), position('def456', -30)], 1, NOW);
+
+        expect(positionFusionService.getPositions(null, NOW).map(p => p.age)).toEqual([0, 0]);
+    });
+
+    test('merges aircraft without an icao24 by callsign and skips unidentifiable ones', () => {
+        const ids = positionFusionService.report('sample', [position(null, 0, { callsign: 'demo1' }), position(null, 0, { callsign: '' })], 1, NOW);
+
+        expect(ids).toEqual(['DEMO1']);
+    });
+
+    test('reports per-source coverage', () => {
+        positionFusionService.report('sbs', [position('abc123', 2)], 1, NOW);
+        positionFusionService.report('opensky', [position('abc123', 10), position('def456', 6)], 2, NOW);
+
+        expect(positionFusionService.getCoverage(NOW)).toEqual({
+            aircraft: 2,
+            multiSource: 1,
+            maxAgeSec: 60,
+            freshnessMarginSec: 10,
+            sources: [
+                { source: 'sbs', priority: 1, batches: 1, lastReportAt: '2026-05-01T12:00:00.000Z', lastBatchSize: 1,
+                    aircraft: 1, selected: 1, exclusive: 0, coveragePct: 50, avgAgeSec: 2 },
+                { source: 'opensky', priority: 2, batches: 1, lastReportAt: '2026-05-01T12:00:00.000Z', lastBatchSize: 2,
+                    aircraft: 2, selected: 1, exclusive: 1, coveragePct: 100, avgAgeSec: 8 }
+            ]
+        });
+    });
+});
+
+describe('fused position storage', () => {
+    let redis;
+    let mongo;
+
+    beforeEach(() => {
+        redis = new FakeRedis();
+        mongo = new FakeMongo();
+        jest.spyOn(dbManager, 'getRedis').mockReturnValue(redis);
+        jest.spyOn(dbManager, 'getMongoDB').mockReturnValue(mongo);
+        jest.spyOn(eventBus, 'publish').mockImplementation(() => {});
+        positionFusionService.reports = new Map();
+        positionFusionService.sources = new Map();
+        flightMonitorService.lastPositions = new Map();
+        flightMonitorService.lastTelemetryRecord = new Map();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('stores the fused position tagged with its source', async () => {
+        const now = Date.now();
+        await flightMonitorService.ingestPositions('opensky', [position('abc123', 0, { timestamp: new Date(now - 8000).toISOString() })], 2);
+        await flightMonitorService.ingestPositions('sbs', [position('abc123', 0, { timestamp: new Date(now - 1000).toISOString(), altitude: 10100 })], 1);
+
+        expect(await redis.hGetAll('aircraft:abc123:position')).toMatchObject({ source: 'sbs', altitude: '10100' });
+    });
+
+    test('records telemetry once per interval per aircraft whichever source reports it', async () => {
+        const now = Date.now();
+        const fused = [position('abc123', 0, { source: 'sbs' })];
+
+        await flightMonitorService.recordTelemetry(fused, now);
+        await flightMonitorService.recordTelemetry([{ ...fused[0], source: 'opensky' }], now + 5000);
+        await flightMonitorService.recordTelemetry(fused, now + flightMonitorService.TELEMETRY_INTERVAL_SEC * 1000);
+
+        const points = await mongo.collection('flight_telemetry').find({}).toArray();
+        expect(points.map(point => point.source)).toEqual(['sbs', 'sbs']);
+    });
+});
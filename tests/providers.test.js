@@ -0,0 +1,159 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+const { FlightDataProvider, registerProvider, getRegisteredProviders, createProviders } = require('../src/providers');
+const FileProvider = require('../src/providers/fileProvider');
+const OpenSkyProvider = require('../src/providers/openSkyProvider');
+const apiClient = require('../src/utils/apiclient');
+
+class StubProvider extends FlightDataProvider {
+    constructor(name, { positions = [], schedules = [] } = {}) {
+        super(name);
+        this.positions = positions;
+        this.schedules = schedules;
+    }
+
+    get capabilities() {
+        return ['positions', 'schedules'];
+    }
+
+    async fetchPositions() {
+        return this.positions;
+    }
+
+    async fetchSchedules() {
+        return this.schedules;
+    }
+}
+
+describe('provider registry', () => {
+    test('creates providers in configured order', () => {
+        expect(createProviders('opensky, sample').map(p => [p.name, p.priority])).toEqual([['opensky', 1], ['sample', 2]]);
+    });
+
+    test('sorts by explicit priority and skips unknown names', () => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+        expect(createProviders('opensky:5,nowhere,file:1').map(p => [p.name, p.priority])).toEqual([['file', 1], ['opensky', 5]]);
+        expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('Unknown flight data provider "nowhere"'));
+        console.warn.mockRestore();
+    });
+
+    test('registers new providers by name', () => {
+        registerProvider('Simulator', () => new StubProvider('simulator'));
+
+        expect(getRegisteredProviders()).toContain('simulator');
+        expect(createProviders('simulator')[0]).toBeInstanceOf(StubProvider);
+    });
+
+    test('the base provider supplies nothing', async () => {
+        const provider = new FlightDataProvider('empty');
+
+        expect(provider.supports('positions')).toBe(false);
+        expect(await provider.fetchPositions()).toEqual([]);
+        expect(await provider.fetchTracks('abc123')).toBeNull();
+    });
+});
+
+describe('FileProvider', () => {
+    let directory;
+    let provider;
+
+    beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'flights-'));
+        provider = new FileProvider();
+        provider.filePath = path.join(directory, 'flights.json');
+    });
+
+    afterEach(() => {
+        fs.rmSync(directory, { recursive: true, force: true });
+        jest.restoreAllMocks();
+    });
+
+    test('fills in defaults for hand-written positions', async () => {
+        fs.writeFileSync(provider.filePath, JSON.stringify({
+            positions: [
+                { icao24: '3C6444', callsign: 'dlh400 ', latitude: 50.03, longitude: 8.56 },
+                { icao24: 'abc123', callsign: 'NOPOS' }
+            ],
+            tracks: { '3c6444': { path: [] } }
+        }));
+
+        const [position, ...rest] = await provider.fetchPositions();
+        expect(rest).toEqual([]);
+        expect(position).toMatchObject({ icao24: '3c6444', callsign: 'DLH400', altitude: 0, velocity: 0, on_ground: false, squawk: null });
+        expect(await provider.fetchTracks('3C6444')).toEqual({ path: [] });
+        expect(await provider.fetchSchedules()).toEqual([]);
+    });
+
+    test('returns nothing and warns once while the file is missing', async () => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+        expect(await provider.fetchPositions()).toEqual([]);
+        expect(await provider.fetchSchedules()).toEqual([]);
+        expect(console.warn).toHaveBeenCalledTimes(1);
+    });
+});
+
+describe('OpenSkyProvider', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('converts state vectors to positions in feet, knots and ft/min', async () => {
+        jest.spyOn(axios, 'get').mockResolvedValue({
+            status: 200,
+            data: {
+                states: [
+                    ['3c6444', 'DLH400  ', 'Germany', 1714564800, 1714564801, 8.56, 50.03, 1000, false, 100, 250, -5, null, null, '1000', false],
+                    ['abc123', 'NOPOS', 'Germany', null, 1714564801, null, null, null, true, 0, 0, 0, null, null, null, false],
+                    null
+                ]
+            }
+        });
+
+        const positions = await new OpenSkyProvider().fetchPositions();
+
+        expect(positions).toHaveLength(1);
+        expect(positions[0]).toMatchObject({ icao24: '3c6444', callsign: 'DLH400', squawk: '1000', timestamp: '2024-05-01T12:00:00.000Z' });
+        expect(positions[0].altitude).toBeCloseTo(3280.84, 2);
+        expect(positions[0].velocity).toBeCloseTo(194.384, 3);
+        expect(positions[0].vertical_rate).toBeCloseTo(-984.25, 2);
+    });
+
+    test('returns no positions when the API fails', async () => {
+        jest.spyOn(axios, 'get').mockRejectedValue(new Error('socket hang up'));
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        expect(await new OpenSkyProvider().fetchPositions()).toEqual([]);
+    });
+});
+
+describe('API client', () => {
+    const near = { icao24: 'abc123', callsign: 'DLH1', latitude: apiClient.airportLat, longitude: apiClient.airportLon };
+    const far = { icao24: 'def456', callsign: 'BAW2', latitude: -33.9, longitude: 151.2 };
+
+    afterEach(() => {
+        apiClient.providers = null;
+    });
+
+    test('returns positions per provider limited to the airport radius', async () => {
+        apiClient.providers = [Object.assign(new StubProvider('local', { positions: [near, far] }), { priority: 1 })];
+
+        const [result] = await apiClient.getLivePositionsBySource();
+
+        expect(result).toMatchObject({ source: 'local', priority: 1 });
+        expect(result.positions.map(p => p.icao24)).toEqual(['abc123']);
+    });
+
+    test('takes schedules from the first provider that has any', async () => {
+        apiClient.providers = [
+            new StubProvider('empty'),
+            new StubProvider('backup', { schedules: [{ flightNumber: 'LH400' }] })
+        ];
+
+        expect(await apiClient.getSchedules()).toEqual([{ flightNumber: 'LH400' }]);
+        expect(apiClient.lastSchedules).toMatchObject({ source: 'backup', count: 1 });
+    });
+});
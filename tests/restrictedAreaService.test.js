@@ -0,0 +1,144 @@
+const dbManager = require('../src/config/database');
+const restrictedAreaService = require('../src/services/restrictedAreaService');
+const { FakeRedis } = require('./helpers/fakeRedis');
+const { FakeMongo } = require('./helpers/fakeMongo');
+
+// 5 km stadium TFR up to 3000 ft
+const STADIUM = {
+    name: 'Stadium TFR',
+    type: 'tfr',
+    latitude: 50.0686,
+    longitude: 8.6455,
+    radiusMeters: 5000,
+    ceilingFt: 3000,
+    exemptCallsigns: ['police1']
+};
+
+function area(overrides = {}) {
+    return restrictedAreaService.toArea(restrictedAreaService.buildArea({ ...STADIUM, ...overrides }, 'area-1'));
+}
+
+describe('restricted area definitions', () => {
+    test('normalises type, limits and exempt callsigns', () => {
+        expect(area()).toMatchObject({
+            areaId: 'area-1',
+            type: 'TFR',
+            shape: 'circle',
+            floorFt: 0,
+            ceilingFt: 3000,
+            active: true,
+            timeWindows: [],
+            exemptCallsigns: ['POLICE1']
+        });
+    });
+
+    test('builds polygon areas with a bounding circle', () => {
+        const polygon = area({ latitudes: [50, 50, 50.1], longitudes: [8.5, 8.6, 8.6] });
+
+        expect(polygon.shape).toBe('polygon');
+        expect(polygon.radiusMeters).toBeGreaterThan(0);
+    });
+
+    test.each([
+        ['a missing name', { name: '' }, 'name is required'],
+        ['an unknown type', { type: 'party' }, 'type must be one of PROHIBITED, RESTRICTED, TFR, MILITARY, DRONE'],
+        ['a two-point polygon', { latitudes: [50, 50.1], longitudes: [8, 8.1] }, 'latitudes and longitudes must have the same length (at least 3 points)'],
+        ['no geometry', { latitude: undefined }, 'Provide latitudes/longitudes for a polygon or latitude/longitude/radiusMeters for a circle'],
+        ['a window ending before it starts', { timeWindows: [{ start: '2026-05-01T18:00:00Z', end: '2026-05-01T15:00:00Z' }] },
+            'Each time window needs a valid start before its end'],
+        ['a ceiling below the floor', { floorFt: 4000 }, 'floorFt must be below ceilingFt']
+    ])('rejects %s', (description, overrides, message) => {
+        expect(() => restrictedAreaService.buildArea({ ...STADIUM, ...overrides }, 'area-1')).toThrow(message);
+    });
+
+    test('is active only inside its time windows', () => {
+        const matchDay = area({ timeWindows: [{ start: '2026-05-01T15:00:00Z', end: '2026-05-01T18:00:00Z' }] });
+
+        expect(restrictedAreaService.isActive(matchDay, new Date('2026-05-01T16:00:00Z'))).toBe(true);
+        expect(restrictedAreaService.isActive(matchDay, new Date('2026-05-01T19:00:00Z'))).toBe(false);
+        expect(restrictedAreaService.isActive(area({ active: false }))).toBe(false);
+    });
+});
+
+describe('entry prediction', () => {
+    // 10 km west of the centre, so 5 km from the edge
+    const inbound = { latitude: 50.0686, longitude: 8.5055, altitude: 2000, velocity: 180, heading: 90, verticalRate: 0, onGround: false };
+
+    test('predicts the entry time on the current track', () => {
+        // 5 km at 180 kt is about 54 s, found at the next 10 s step
+        expect(restrictedAreaService.predictEntry(area(), inbound)).toBe(60);
+    });
+
+    test('does not predict entries for diverging, slow, climbing-out or grounded aircraft', () => {
+        expect(restrictedAreaService.predictEntry(area(), { ...inbound, heading: 270 })).toBeNull();
+        expect(restrictedAreaService.predictEntry(area(), { ...inbound, velocity: 60 })).toBeNull();
+        expect(restrictedAreaService.predictEntry(area(), { ...inbound, verticalRate: 2000 })).toBeNull();
+        expect(restrictedAreaService.predictEntry(area(), { ...inbound, onGround: true })).toBeNull();
+    });
+});
+
+describe('incursions', () => {
+    let redis;
+    let mongo;
+
+    beforeEach(() => {
+        redis = new FakeRedis();
+        mongo = new FakeMongo();
+        jest.spyOn(dbManager, 'getRedis').mockReturnValue(redis);
+        jest.spyOn(dbManager, 'getMongoDB').mockReturnValue(mongo);
+        jest.spyOn(restrictedAreaService, 'getAreas').mockResolvedValue([area()]);
+        restrictedAreaService.openIncursions = new Map();
+        restrictedAreaService.predicted = new Set();
+        restrictedAreaService.restored = false;
+        restrictedAreaService.lastLoaded = 0;
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    async function report(callsign, longitude, icao24 = 'abc123') {
+        await redis.hSet(`aircraft:${icao24}:position`, {
+            icao24,
+            callsign,
+            latitude: 50.0686,
+            longitude,
+            altitude: 2000,
+            velocity: 180,
+            heading: 90
+        });
+    }
+
+    test('warns once before the entry, then records the incursion until the exit', async () => {
+        await report('DLH1', 8.5055);
+        const predicted = await restrictedAreaService.checkIncursions();
+        expect(predicted.alerts.map(alert => alert.type)).toEqual(['RESTRICTED_AREA_PREDICTED']);
+        expect((await restrictedAreaService.checkIncursions()).alerts).toEqual([]);
+
+        await report('DLH1', 8.6455);
+        const entered = await restrictedAreaService.checkIncursions();
+        expect(entered.alerts).toHaveLength(1);
+        expect(entered.alerts[0]).toMatchObject({ type: 'RESTRICTED_AREA_ENTRY', areaName: 'Stadium TFR', severity: 'CRITICAL' });
+        expect((await restrictedAreaService.checkIncursions()).alerts).toEqual([]);
+
+        await report('DLH1', 8.8);
+        await restrictedAreaService.checkIncursions();
+
+        const incursions = await restrictedAreaService.getIncursions();
+        expect(incursions).toHaveLength(1);
+        expect(incursions[0]).toMatchObject({ status: 'closed', callsign: 'DLH1', exitPosition: { longitude: 8.8 } });
+    });
+
+    test('ignores exempt callsigns', async () => {
+        await report('POLICE1', 8.6455);
+
+        expect((await restrictedAreaService.checkIncursions()).alerts).toEqual([]);
+    });
+
+    test('concurrent checks record a single incursion', async () => {
+        await report('DLH1', 8.6455);
+        await Promise.all([restrictedAreaService.checkIncursions(), restrictedAreaService.checkIncursions()]);
+
+        expect(await restrictedAreaService.getIncursions()).toHaveLength(1);
+    });
+});
@@ -0,0 +1,83 @@
+const { evaluateCondition, validateCondition } = require('../src/utils/ruleEvaluator');
+
+const CONTEXT = {
+    callsign: 'DLH123',
+    altitude: 900,
+    clearanceFt: 400,
+    minSafeAltitudeFt: 1000,
+    inAirportZone: false,
+    flight1: { airline: 'DLH' }
+};
+
+describe('evaluateCondition', () => {
+    test.each([
+        ['eq', { field: 'inAirportZone', op: 'eq', value: false }, true],
+        ['ne', { field: 'callsign', op: 'ne', value: 'DLH123' }, false],
+        ['lt against another field', { field: 'clearanceFt', op: 'lt', valueField: 'minSafeAltitudeFt' }, true],
+        ['gte', { field: 'altitude', op: 'gte', value: 900 }, true],
+        ['in', { field: 'flight1.airline', op: 'in', value: ['DLH', 'BAW'] }, true],
+        ['nin', { field: 'flight1.airline', op: 'nin', value: ['DLH'] }, false],
+        ['exists', { field: 'squawk', op: 'exists' }, false],
+        ['exists false', { field: 'squawk', op: 'exists', value: false }, true],
+        ['matches', { field: 'callsign', op: 'matches', value: '^DLH\\d+$' }, true],
+        ['a numeric comparison on a missing field', { field: 'verticalRate', op: 'lt', value: 0 }, false],
+        ['a nested path through a missing object', { field: 'flight2.airline', op: 'eq', value: null }, true]
+    ])('evaluates %s', (description, condition, expected) => {
+        expect(evaluateCondition(condition, CONTEXT)).toBe(expected);
+    });
+
+    test('combines all, any and not', () => {
+        const condition = {
+            all: [
+                { field: 'inAirportZone', op: 'eq', value: false },
+                { any: [{ field: 'clearanceFt', op: 'lt', value: 300 }, { field: 'altitude', op: 'lt', value: 1000 }] },
+                { not: { field: 'callsign', op: 'matches', value: '^BAW' } }
+            ]
+        };
+
+        expect(evaluateCondition(condition, CONTEXT)).toBe(true);
+        expect(evaluateCondition(condition, { ...CONTEXT, altitude: 2000 })).toBe(false);
+    });
+
+    test('does not match over-long inputs', () => {
+        expect(evaluateCondition({ field: 'callsign', op: 'matches', value: 'A' }, { callsign: 'A'.repeat(300) })).toBe(false);
+    });
+});
+
+describe('validateCondition', () => {
+    test('accepts a valid condition tree', () => {
+        expect(validateCondition({ all: [{ field: 'altitude', op: 'lt', value: 500 }, { not: { field: 'squawk', op: 'exists' } }] })).toEqual([]);
+    });
+
+    test.each([
+        ['a non-object', [], ['when must be an object']],
+        ['an empty group', { any: [] }, ['when.any must be a non-empty list']],
+        ['a leaf without field, op or value', { all: [{}] }, [
+            'when.all[0].field is required',
+            expect.stringMatching(/^when\.all\[0\]\.op must be one of eq, ne/),
+            'when.all[0] needs a value or valueField'
+        ]],
+        ['a pattern compared to a field', { field: 'callsign', op: 'matches', valueField: 'other' }, ["when.valueField can't be used with matches"]],
+        ['an invalid pattern', { field: 'callsign', op: 'matches', value: '[' }, ['when.value is not a valid regular expression']]
+    ])('rejects %s', (description, condition, errors) => {
+        expect(validateCondition(condition)).toEqual(errors);
+    });
+
+    test.each([
+        ['(a+)+$'],
+        ['(\\w*)*x'],
+        ['(a|aa)+'],
+        ['((ab)*c)+'],
+        ['(a)\\1'],
+        ['a'.repeat(201)]
+    ])('rejects the unsafe pattern %s', pattern => {
+        expect(validateCondition({ field: 'callsign', op: 'matches', value: pattern })).toEqual([
+            expect.stringMatching(/^when\.value must be a pattern of at most 200 characters/)
+        ]);
+        expect(evaluateCondition({ field: 'callsign', op: 'matches', value: pattern }, { callsign: 'aaaa' })).toBe(false);
+    });
+
+    test('allows quantifiers inside character classes and unrepeated groups', () => {
+        expect(validateCondition({ field: 'callsign', op: 'matches', value: '^(DLH|BAW)[0-9+*]{1,4}$' })).toEqual([]);
+    });
+});
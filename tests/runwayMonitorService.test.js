@@ -0,0 +1,96 @@
+const dbManager = require('../src/config/database');
+const runwayMonitorService = require('../src/services/runwayMonitorService');
+const { FakeRedis } = require('./helpers/fakeRedis');
+
+// East-west runway about 2.9 km long and 65 m wide, with a hold-short line on a northern taxiway
+const RUNWAY = {
+    designator: '09/27',
+    latitudes: [49.9997, 49.9997, 50.0003, 50.0003],
+    longitudes: [8.50, 8.54, 8.54, 8.50],
+    elevationFt: 300,
+    thresholds: [
+        { designator: '09', latitude: 50, longitude: 8.50, headingDeg: 90 },
+        { designator: '27', latitude: 50, longitude: 8.54, headingDeg: 270 }
+    ],
+    holdShortLines: [
+        { name: 'A5', start: { latitude: 50.0006, longitude: 8.519 }, end: { latitude: 50.0006, longitude: 8.521 } }
+    ]
+};
+
+const LONGITUDE_PER_NM = 1.852 / (111.32 * Math.cos(50 * Math.PI / 180));
+
+describe('runway monitoring', () => {
+    let redis;
+
+    beforeEach(() => {
+        redis = new FakeRedis();
+        jest.spyOn(dbManager, 'getRedis').mockReturnValue(redis);
+        jest.spyOn(runwayMonitorService, 'loadRunways').mockResolvedValue([RUNWAY]);
+        runwayMonitorService.previousPositions = new Map();
+        runwayMonitorService.entries = new Map();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    async function report(icao24, callsign, position) {
+        await redis.hSet(`aircraft:${icao24}:position`, {
+            icao24,
+            callsign,
+            altitude: RUNWAY.elevationFt,
+            velocity: 10,
+            heading: 90,
+            on_ground: 'true',
+            ...position
+        });
+    }
+
+    test('detects an aircraft crossing a hold-short line onto an occupied runway', async () => {
+        await report('abc123', 'DLH1', { latitude: 50, longitude: 8.51 });
+        await report('def456', 'BAW2', { latitude: 50.001, longitude: 8.52, heading: 180 });
+        expect((await runwayMonitorService.checkRunwayIncursions()).alerts).toEqual([]);
+
+        await report('def456', 'BAW2', { latitude: 50, longitude: 8.52, heading: 180 });
+        const { alerts, occupancy } = await runwayMonitorService.checkRunwayIncursions();
+
+        expect(occupancy[0]).toMatchObject({ runway: '09/27', occupied: true });
+        expect(alerts.map(alert => alert.type).sort()).toEqual(['MULTIPLE_OCCUPANCY', 'RUNWAY_ENTRY']);
+        const entry = alerts.find(alert => alert.type === 'RUNWAY_ENTRY');
+        expect(entry).toMatchObject({ alertKey: '09/27-def456-entry', holdShortLine: 'A5', severity: 'CRITICAL' });
+
+        // The entry stays alerted while both aircraft remain on the runway
+        const next = await runwayMonitorService.checkRunwayIncursions();
+        expect(next.alerts.find(alert => alert.type === 'RUNWAY_ENTRY')).toMatchObject({ id: entry.id, holdShortLine: 'A5' });
+
+        await report('abc123', 'DLH1', { latitude: 50.002, longitude: 8.51 });
+        await runwayMonitorService.checkRunwayIncursions();
+        expect(await runwayMonitorService.getActiveAlerts()).toEqual([]);
+    });
+
+    test('warns about traffic on short final for an occupied runway', async () => {
+        await report('abc123', 'DLH1', { latitude: 50, longitude: 8.51 });
+        await report('def456', 'BAW2', {
+            latitude: 50,
+            longitude: 8.50 - 1.5 * LONGITUDE_PER_NM,
+            altitude: RUNWAY.elevationFt + 450,
+            velocity: 140,
+            on_ground: 'false'
+        });
+
+        const { alerts, occupancy } = await runwayMonitorService.checkRunwayIncursions();
+
+        expect(occupancy[0].shortFinal).toEqual([{ callsign: 'BAW2', threshold: '09', distanceNm: 1.5 }]);
+        expect(alerts).toHaveLength(1);
+        expect(alerts[0]).toMatchObject({ type: 'OCCUPIED_ON_FINAL', threshold: '09', severity: 'WARNING' });
+    });
+
+    test('only counts aligned, low traffic on the extended centreline as short final', () => {
+        const onFinal = { latitude: 50, longitude: 8.50 - 2 * LONGITUDE_PER_NM, altitude: 900, heading: 90 };
+
+        expect(runwayMonitorService.findShortFinalThreshold(RUNWAY, onFinal)).toEqual({ designator: '09', distanceNm: 2 });
+        expect(runwayMonitorService.findShortFinalThreshold(RUNWAY, { ...onFinal, heading: 270 })).toBeNull();
+        expect(runwayMonitorService.findShortFinalThreshold(RUNWAY, { ...onFinal, altitude: 3000 })).toBeNull();
+        expect(runwayMonitorService.findShortFinalThreshold(RUNWAY, { ...onFinal, latitude: 50.02 })).toBeNull();
+    });
+});
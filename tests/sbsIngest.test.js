@@ -0,0 +1,125 @@
+const net = require('net');
+const { parseSbsLine, formatSbsLine } = require('../src/utils/sbsParser');
+const sbsIngestService = require('../src/services/sbsIngestService');
+const flightMonitorService = require('../src/services/flightMonitorService');
+
+const LINES = {
+    identification: 'MSG,1,1,1,3C6444,1,2026/05/01,12:00:00.000,2026/05/01,12:00:00.000,DLH400  ,,,,,,,,,,,',
+    airbornePosition: 'MSG,3,1,1,3C6444,1,2026/05/01,12:00:00.500,2026/05/01,12:00:00.500,,3500,,,50.0379,8.5622,,,0,0,0,0',
+    velocity: 'MSG,4,1,1,3C6444,1,2026/05/01,12:00:01.000,2026/05/01,12:00:01.000,,,145,251.3,,,-768,,,,,',
+    squawk: 'MSG,6,1,1,3C6444,1,2026/05/01,12:00:02.000,2026/05/01,12:00:02.000,,,,,,,,7700,-1,-1,0,0',
+    surface: 'MSG,2,1,1,3C6444,1,2026/05/01,12:10:00.000,2026/05/01,12:10:00.000,,0,12,70,50.03,8.55,,,,,,-1'
+};
+
+describe('SBS-1 parser', () => {
+    test.each([
+        ['identification', LINES.identification, { type: 1, icao24: '3c6444', callsign: 'DLH400' }],
+        ['airborne position', LINES.airbornePosition, { type: 3, altitude: 3500, latitude: 50.0379, longitude: 8.5622, on_ground: false }],
+        ['airborne velocity', LINES.velocity, { type: 4, velocity: 145, heading: 251.3, vertical_rate: -768 }],
+        ['squawk and flags', LINES.squawk, { type: 6, squawk: '7700', alert: true, emergency: true, spi: false }],
+        ['surface position', LINES.surface, { type: 2, altitude: 0, velocity: 12, on_ground: true }]
+    ])('parses %s messages', (description, line, expected) => {
+        expect(parseSbsLine(line)).toMatchObject(expected);
+    });
+
+    test('omits fields that are not in the message', () => {
+        expect(Object.keys(parseSbsLine(LINES.velocity)).sort()).toEqual(['heading', 'icao24', 'type', 'velocity', 'vertical_rate']);
+    });
+
+    test.each([
+        ['a non-MSG line', 'STA,,1,1,3C6444,1,2026/05/01,12:00:00.000,2026/05/01,12:00:00.000,RM'],
+        ['an invalid hex ident', LINES.identification.replace('3C6444', 'XYZ')],
+        ['an unknown transmission type', LINES.identification.replace('MSG,1,', 'MSG,9,')],
+        ['a truncated line', 'MSG,3,1,1,3C6444']
+    ])('ignores %s', (description, line) => {
+        expect(parseSbsLine(line)).toBeNull();
+    });
+
+    test('formats lines the parser reads back', () => {
+        const message = { type: 3, icao24: 'abc123', altitude: 3000, latitude: 50.1, longitude: 8.6, on_ground: false, squawk: '0421' };
+
+        expect(parseSbsLine(formatSbsLine(message))).toEqual(message);
+    });
+});
+
+describe('SBS-1 ingest', () => {
+    beforeEach(() => {
+        sbsIngestService.aircraft = new Map();
+        sbsIngestService.buffer = '';
+        sbsIngestService.stats = { messages: 0, invalid: 0, connects: 0, lastMessageAt: null };
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('assembles aircraft state from several message types', () => {
+        const now = Date.parse('2026-05-01T12:00:00Z');
+        ['identification', 'airbornePosition', 'velocity', 'squawk'].forEach(name => sbsIngestService.handleLine(LINES[name], now));
+
+        expect(sbsIngestService.getPositions(now)).toEqual([{
+            icao24: '3c6444',
+            callsign: 'DLH400',
+            latitude: 50.0379,
+            longitude: 8.5622,
+            altitude: 3500,
+            velocity: 145,
+            heading: 251.3,
+            vertical_rate: -768,
+            on_ground: false,
+            squawk: '7700',
+            spi: false,
+            timestamp: '2026-05-01T12:00:00.000Z'
+        }]);
+    });
+
+    test('splits the stream into lines across chunks and counts invalid lines', () => {
+        const stream = `${LINES.identification}\r\n${LINES.airbornePosition}\r\nnoise\r\n`;
+        sbsIngestService.handleData(stream.slice(0, 50));
+        sbsIngestService.handleData(stream.slice(50));
+
+        expect(sbsIngestService.stats).toMatchObject({ messages: 2, invalid: 1 });
+        expect(sbsIngestService.getPositions()).toHaveLength(1);
+    });
+
+    test('reports aircraft without a position only once one arrives', () => {
+        sbsIngestService.handleLine(LINES.identification);
+
+        expect(sbsIngestService.getPositions()).toEqual([]);
+        expect(sbsIngestService.aircraft.size).toBe(1);
+    });
+
+    test('drops stale positions and forgets silent aircraft', () => {
+        const now = Date.now();
+        sbsIngestService.handleLine(LINES.airbornePosition, now - 61000);
+        sbsIngestService.handleLine(LINES.identification, now);
+
+        expect(sbsIngestService.getPositions(now)).toEqual([]);
+        expect(sbsIngestService.getPositions(now + 61000)).toEqual([]);
+        expect(sbsIngestService.aircraft.size).toBe(0);
+    });
+
+    test('reads a TCP feed and reports positions as source sbs', async () => {
+        const ingest = jest.spyOn(flightMonitorService, 'ingestPositions').mockResolvedValue();
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        const server = net.createServer(socket => socket.end(`${LINES.identification}\r\n${LINES.airbornePosition}\r\n`));
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+        sbsIngestService.HOST = '127.0.0.1';
+        sbsIngestService.PORT = server.address().port;
+        sbsIngestService.stopped = false;
+        try {
+            sbsIngestService.connect();
+            await new Promise(resolve => sbsIngestService.socket.once('close', resolve));
+            sbsIngestService.stopMonitoring();
+
+            await sbsIngestService.flush();
+            expect(ingest).toHaveBeenCalledWith('sbs', [expect.objectContaining({ icao24: '3c6444', callsign: 'DLH400', altitude: 3500 })], sbsIngestService.PRIORITY);
+            expect(sbsIngestService.getStatus()).toMatchObject({ enabled: true, connected: false, connects: 1, messages: 2, withPosition: 1 });
+        } finally {
+            sbsIngestService.stopMonitoring();
+            sbsIngestService.HOST = null;
+            await new Promise(resolve => server.close(resolve));
+        }
+    });
+});
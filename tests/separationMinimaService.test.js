@@ -0,0 +1,87 @@
+const dbManager = require('../src/config/database');
+const separationMinimaService = require('../src/services/separationMinimaService');
+const zoneService = require('../src/services/zoneService');
+
+const FRA_CTR = {
+    name: 'CTR',
+    airportIcao: 'EDDF',
+    shape: 'circle',
+    latitude: 50.0379,
+    longitude: 8.5622,
+    radiusMeters: 30000,
+    floorFt: 0,
+    ceilingFt: 10000
+};
+
+const FRA_TMA = { ...FRA_CTR, name: 'TMA', radiusMeters: 80000, ceilingFt: 24500 };
+
+function neo4jRecords(rows) {
+    return rows.map(row => ({ get: field => row[field] }));
+}
+
+describe('separation minima', () => {
+    beforeAll(async () => {
+        jest.spyOn(zoneService, 'getZoneData').mockResolvedValue({ zones: [FRA_TMA, FRA_CTR] });
+        jest.spyOn(dbManager, 'getNeo4j').mockReturnValue({
+            session: () => ({
+                run: async () => ({
+                    records: neo4jRecords([
+                        {
+                            airport: 'EDDF',
+                            zone: 'CTR',
+                            minima: [{ name: 'Approach', minAltitudeFt: 0, maxAltitudeFt: 10000, horizontalNm: 3, verticalFt: 1000 }]
+                        },
+                        {
+                            airport: 'EDDF',
+                            zone: 'TMA',
+                            minima: [
+                                { name: 'TMA low', minAltitudeFt: 0, maxAltitudeFt: 6000, horizontalNm: 3, verticalFt: 1000 },
+                                { name: 'TMA high', minAltitudeFt: 6000, maxAltitudeFt: 24500, horizontalNm: 5, verticalFt: 1000 }
+                            ]
+                        }
+                    ])
+                }),
+                close: async () => {}
+            })
+        });
+
+        await separationMinimaService.refresh(true);
+    });
+
+    afterAll(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('uses the smallest zone containing the aircraft first', () => {
+        const minimum = separationMinimaService.getMinimumFor({ latitude: 50.04, longitude: 8.56, altitude: 4000 });
+
+        expect(minimum).toMatchObject({ name: 'Approach', zone: 'CTR', airport: 'EDDF', horizontalNm: 3 });
+        expect(minimum.horizontalKm).toBeCloseTo(3 * 1.852, 5);
+    });
+
+    test('picks the altitude band of a zone table', () => {
+        const outsideCtr = { latitude: 50.5, longitude: 8.56 };
+
+        expect(separationMinimaService.getMinimumFor({ ...outsideCtr, altitude: 4000 }).name).toBe('TMA low');
+        expect(separationMinimaService.getMinimumFor({ ...outsideCtr, altitude: 12000 }).name).toBe('TMA high');
+    });
+
+    test('falls back to the en-route table outside every zone', () => {
+        const enRoute = { latitude: 52.5, longitude: 13.4 };
+
+        expect(separationMinimaService.getMinimumFor({ ...enRoute, altitude: 35000 })).toMatchObject({ zone: null, horizontalNm: 5, verticalFt: 1000 });
+        expect(separationMinimaService.getMinimumFor({ ...enRoute, altitude: 43000 })).toMatchObject({ zone: null, horizontalNm: 5, verticalFt: 2000 });
+    });
+
+    test('applies the more restrictive minimum of a pair', () => {
+        const inCtr = { latitude: 50.04, longitude: 8.56, altitude: 4000 };
+        const enRoute = { latitude: 50.5, longitude: 9.9, altitude: 4500 };
+
+        expect(separationMinimaService.getPairMinimum(inCtr, enRoute).name).toBe('En-route (RVSM)');
+        expect(separationMinimaService.getPairMinimum(enRoute, inCtr).name).toBe('En-route (RVSM)');
+    });
+
+    test('sizes the spatial index for the largest minimum', () => {
+        expect(separationMinimaService.getLargestMinimum()).toEqual({ horizontalKm: 5 * 1.852, verticalFt: 2000 });
+    });
+});
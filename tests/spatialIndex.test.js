@@ -0,0 +1,70 @@
+const { SpatialGrid } = require('../src/utils/spatialIndex');
+const { calculateDistance } = require('../src/utils/geo');
+
+// Deterministic pseudo-random positions around Frankfurt
+function randomPositions(count) {
+    let seed = 42;
+    const random = () => {
+        seed = (seed * 16807) % 2147483647;
+        return seed / 2147483647;
+    };
+
+    return Array.from({ length: count }, (_, i) => ({
+        id: i,
+        latitude: 49.5 + random(),
+        longitude: 8 + random() * 1.5,
+        altitude: random() * 40000
+    }));
+}
+
+function pairIds(pairs) {
+    return new Set(pairs.map(([a, b]) => [a.id, b.id].sort((x, y) => x - y).join('-')));
+}
+
+describe('SpatialGrid', () => {
+    test('returns each pair in the same or adjacent cells exactly once', () => {
+        const positions = [
+            { id: 0, latitude: 50, longitude: 8, altitude: 10000 },
+            { id: 1, latitude: 50.01, longitude: 8.01, altitude: 10500 },
+            { id: 2, latitude: 50.02, longitude: 8, altitude: 9800 }
+        ];
+        const pairs = SpatialGrid.build(positions, 10, 1000).getCandidatePairs();
+
+        expect(pairs).toHaveLength(3);
+        expect(pairIds(pairs).size).toBe(3);
+    });
+
+    test('skips aircraft far apart horizontally or vertically', () => {
+        const positions = [
+            { id: 0, latitude: 50, longitude: 8, altitude: 10000 },
+            { id: 1, latitude: 51, longitude: 8, altitude: 10000 },
+            { id: 2, latitude: 50, longitude: 8, altitude: 30000 }
+        ];
+
+        expect(SpatialGrid.build(positions, 10, 1000).getCandidatePairs()).toHaveLength(0);
+    });
+
+    test('finds every pair a brute-force search finds within the cell size', () => {
+        const positions = randomPositions(300);
+        const radiusKm = 9.26;
+        const bandFt = 1000;
+
+        const expected = [];
+        for (let i = 0; i < positions.length; i++) {
+            for (let j = i + 1; j < positions.length; j++) {
+                const a = positions[i];
+                const b = positions[j];
+                if (calculateDistance(a.latitude, a.longitude, b.latitude, b.longitude) < radiusKm &&
+                    Math.abs(a.altitude - b.altitude) < bandFt) {
+                    expected.push([a, b]);
+                }
+            }
+        }
+
+        const candidates = pairIds(SpatialGrid.build(positions, radiusKm, bandFt).getCandidatePairs());
+        expect(expected.length).toBeGreaterThan(0);
+        for (const id of pairIds(expected)) {
+            expect(candidates.has(id)).toBe(true);
+        }
+    });
+});
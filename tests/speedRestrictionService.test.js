@@ -0,0 +1,112 @@
+const dbManager = require('../src/config/database');
+const speedRestrictionService = require('../src/services/speedRestrictionService');
+const flightMonitorService = require('../src/services/flightMonitorService');
+const zoneService = require('../src/services/zoneService');
+const { FakeRedis } = require('./helpers/fakeRedis');
+const { FakeMongo } = require('./helpers/fakeMongo');
+
+const APPROACH_ZONE = {
+    name: 'Approach Zone',
+    shape: 'circle',
+    latitude: 50.0379,
+    longitude: 8.5622,
+    radiusMeters: 30000,
+    floorFt: 0,
+    ceilingFt: null
+};
+
+describe('speed restrictions', () => {
+    let redis;
+    let mongo;
+
+    beforeEach(() => {
+        redis = new FakeRedis();
+        mongo = new FakeMongo();
+        jest.spyOn(dbManager, 'getRedis').mockReturnValue(redis);
+        jest.spyOn(dbManager, 'getMongoDB').mockReturnValue(mongo);
+        jest.spyOn(zoneService, 'getZones').mockResolvedValue([APPROACH_ZONE]);
+        jest.spyOn(flightMonitorService, 'getFlightSchedule').mockResolvedValue(null);
+        speedRestrictionService.openViolations = new Map();
+        speedRestrictionService.restored = false;
+        speedRestrictionService.lastLoaded = 0;
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('rule selection', () => {
+        beforeEach(() => speedRestrictionService.refresh(true));
+
+        test('applies the most restrictive rule for the altitude and position', () => {
+            const inZone = { latitude: 50.04, longitude: 8.56, altitude: 5000 };
+            const outside = { latitude: 51, longitude: 10, altitude: 5000 };
+
+            expect(speedRestrictionService.getApplicableRule(inZone).ruleId).toBe('approach-zone');
+            expect(speedRestrictionService.getApplicableRule(outside).ruleId).toBe('below-fl100');
+            expect(speedRestrictionService.getApplicableRule({ ...outside, altitude: 10000 })).toBeNull();
+        });
+
+        test('skips disabled rules', async () => {
+            await speedRestrictionService.saveRule({ ruleId: 'below-fl100', name: '250 kt below FL100', maxAltitudeFt: 10000, maxSpeedKt: 250, enabled: false });
+
+            expect(speedRestrictionService.getApplicableRule({ latitude: 51, longitude: 10, altitude: 5000 })).toBeNull();
+        });
+    });
+
+    describe('rule validation', () => {
+        test.each([
+            ['a missing ruleId', { name: 'No id', maxSpeedKt: 250 }, 'ruleId, name and maxSpeedKt are required'],
+            ['a non-numeric speed', { ruleId: 'r', name: 'Text', maxSpeedKt: 'fast' }, 'maxSpeedKt must be a number'],
+            ['a non-numeric altitude', { ruleId: 'r', name: 'Text', maxSpeedKt: 250, maxAltitudeFt: 'high' }, 'maxAltitudeFt must be a number'],
+            ['a zero speed', { ruleId: 'r', name: 'Zero', maxSpeedKt: 0 }, 'maxSpeedKt must be positive and minAltitudeFt below maxAltitudeFt'],
+            ['an inverted altitude band', { ruleId: 'r', name: 'Inverted', maxSpeedKt: 250, minAltitudeFt: 8000, maxAltitudeFt: 5000 }, 'maxSpeedKt must be positive and minAltitudeFt below maxAltitudeFt']
+        ])('rejects %s', async (description, rule, message) => {
+            await expect(speedRestrictionService.saveRule(rule)).rejects.toMatchObject({ status: 400, message });
+        });
+
+        test('stores numeric limits with defaults', async () => {
+            const saved = await speedRestrictionService.saveRule({ ruleId: 'r', name: 'String limits', maxSpeedKt: '230' });
+
+            expect(saved).toMatchObject({ minAltitudeFt: 0, maxAltitudeFt: 99999, maxSpeedKt: 230, enabled: true });
+        });
+    });
+
+    describe('violations', () => {
+        async function report(velocity) {
+            await redis.hSet('aircraft:abc123:position', {
+                icao24: 'abc123',
+                callsign: 'DLH1',
+                latitude: 51,
+                longitude: 10,
+                altitude: 8000,
+                velocity
+            });
+        }
+
+        test('allows for the ground speed tolerance', async () => {
+            await report(250 + speedRestrictionService.TOLERANCE_KT);
+
+            expect((await speedRestrictionService.checkSpeedRestrictions()).alerts).toEqual([]);
+        });
+
+        test('opens a violation, tracks its peak and closes it when back within the limit', async () => {
+            await report(280);
+            const { alerts } = await speedRestrictionService.checkSpeedRestrictions();
+            expect(alerts).toHaveLength(1);
+            expect(alerts[0]).toMatchObject({ type: 'SPEED_RESTRICTION', limitKt: 250, excessKt: 30, severity: 'MEDIUM', airline: 'DLH' });
+
+            await report(310);
+            expect((await speedRestrictionService.checkSpeedRestrictions()).alerts).toEqual([]);
+            await report(290);
+            await speedRestrictionService.checkSpeedRestrictions();
+
+            await report(240);
+            await speedRestrictionService.checkSpeedRestrictions();
+
+            const violations = await speedRestrictionService.getViolations();
+            expect(violations).toHaveLength(1);
+            expect(violations[0]).toMatchObject({ status: 'closed', peakSpeedKt: 310, peakExcessKt: 60 });
+        });
+    });
+});
@@ -0,0 +1,116 @@
+const dbManager = require('../src/config/database');
+const wakeTurbulenceService = require('../src/services/wakeTurbulenceService');
+const flightMonitorService = require('../src/services/flightMonitorService');
+const { projectPosition } = require('../src/utils/geo');
+const { FakeRedis } = require('./helpers/fakeRedis');
+
+const AIRPORT = { latitude: 50.0379, longitude: 8.5622 };
+const APPROACH_ZONE = { ...AIRPORT, name: 'Approach Zone', shape: 'circle', radiusMeters: 40000, floorFt: 0, ceilingFt: null };
+
+// An aircraft due west of the airport, flying east towards it
+function onFinal(callsign, type, distanceNm, extra = {}) {
+    const position = projectPosition(AIRPORT.latitude, AIRPORT.longitude, 270, distanceNm * 1.852);
+    return {
+        icao24: null,
+        callsign,
+        ...position,
+        altitude: 3000,
+        heading: 90,
+        aircraftType: type,
+        wakeCategory: wakeTurbulenceService.getWakeCategory(type),
+        ...extra
+    };
+}
+
+describe('wake categories', () => {
+    test('maps ICAO type designators to RECAT-EU categories', () => {
+        expect(wakeTurbulenceService.getWakeCategory('A388')).toBe('A');
+        expect(wakeTurbulenceService.getWakeCategory(' b77w ')).toBe('B');
+        expect(wakeTurbulenceService.getWakeCategory('A320')).toBe('D');
+        expect(wakeTurbulenceService.getWakeCategory('XXXX')).toBeNull();
+        expect(wakeTurbulenceService.getWakeCategory(null)).toBeNull();
+    });
+
+    test('requires wake separation only behind a heavier category', () => {
+        expect(wakeTurbulenceService.getRequiredSeparation('A', 'F')).toBe(8);
+        expect(wakeTurbulenceService.getRequiredSeparation('B', 'D')).toBe(4);
+        expect(wakeTurbulenceService.getRequiredSeparation('D', 'A')).toBeNull();
+        expect(wakeTurbulenceService.getRequiredSeparation('D', null)).toBeNull();
+    });
+});
+
+describe('in-trail spacing', () => {
+    test('flags a follower closer than the required spacing', () => {
+        const [alert] = wakeTurbulenceService.checkSequence([
+            onFinal('UAE1', 'A388', 4),
+            onFinal('DLH2', 'A320', 8)
+        ], 'arrival');
+
+        expect(alert).toMatchObject({ pairKey: 'UAE1-DLH2', phase: 'arrival', requiredNm: 5, severity: 'CRITICAL' });
+        expect(alert.spacingNm).toBeCloseTo(4, 1);
+    });
+
+    test('warns when the spacing is only slightly short', () => {
+        const [alert] = wakeTurbulenceService.checkSequence([
+            onFinal('UAE1', 'A388', 4),
+            onFinal('DLH2', 'A320', 8.5)
+        ], 'arrival');
+
+        expect(alert.severity).toBe('WARNING');
+    });
+
+    test('ignores pairs with enough spacing, no wake minimum or different tracks', () => {
+        expect(wakeTurbulenceService.checkSequence([onFinal('UAE1', 'A388', 4), onFinal('DLH2', 'A320', 10)], 'arrival')).toEqual([]);
+        expect(wakeTurbulenceService.checkSequence([onFinal('DLH2', 'A320', 4), onFinal('UAE1', 'A388', 5)], 'arrival')).toEqual([]);
+        expect(wakeTurbulenceService.checkSequence([
+            onFinal('UAE1', 'A388', 4),
+            onFinal('DLH2', 'A320', 6, { heading: 180 })
+        ], 'arrival')).toEqual([]);
+    });
+});
+
+describe('wake separation check', () => {
+    let redis;
+
+    beforeEach(() => {
+        redis = new FakeRedis();
+        jest.spyOn(dbManager, 'getRedis').mockReturnValue(redis);
+        jest.spyOn(wakeTurbulenceService, 'getApproachZone').mockResolvedValue(APPROACH_ZONE);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    function liveFlight(aircraft) {
+        return {
+            callsign: aircraft.callsign,
+            latitude: aircraft.latitude,
+            longitude: aircraft.longitude,
+            altitude: aircraft.altitude,
+            heading: aircraft.heading,
+            on_ground: false,
+            schedule: { aircraft: { icao: aircraft.aircraftType } }
+        };
+    }
+
+    test('sequences arrivals and keeps one alert per pair until spacing is restored', async () => {
+        const leader = liveFlight(onFinal('UAE1', 'A388', 4));
+        const follower = liveFlight(onFinal('DLH2', 'A320', 7));
+        const departure = liveFlight(onFinal('BAW3', 'A320', 2, { heading: 270 }));
+        const getLiveFlights = jest.spyOn(flightMonitorService, 'getLiveFlights')
+            .mockResolvedValue([follower, departure, leader]);
+
+        const first = await wakeTurbulenceService.checkWakeSeparation();
+        expect(first.arrivals.map(a => a.callsign)).toEqual(['UAE1', 'DLH2']);
+        expect(first.departures.map(a => a.callsign)).toEqual(['BAW3']);
+        expect(first.alerts).toHaveLength(1);
+
+        const second = await wakeTurbulenceService.checkWakeSeparation();
+        expect(second.alerts[0]).toMatchObject({ id: first.alerts[0].id, firstSeen: first.alerts[0].firstSeen });
+
+        getLiveFlights.mockResolvedValue([leader]);
+        await wakeTurbulenceService.checkWakeSeparation();
+        expect(await wakeTurbulenceService.getActiveAlerts()).toEqual([]);
+    });
+});
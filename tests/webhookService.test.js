@@ -0,0 +1,150 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const dbManager = require('../src/config/database');
+const webhookService = require('../src/services/webhookService');
+const { FakeMongo } = require('./helpers/fakeMongo');
+
+const URL = 'https://ops.example/hooks';
+
+describe('webhook subscriptions', () => {
+    test('normalises filters', () => {
+        expect(webhookService.buildSubscription({
+            url: URL,
+            events: ['flight.*', 'alert.opened'],
+            filters: { callsigns: ['dlh1'], icao24s: ['ABC123'], severities: ['critical'] }
+        })).toMatchObject({
+            filters: { callsigns: ['DLH1'], icao24s: ['abc123'], severities: ['CRITICAL'] },
+            description: null,
+            enabled: true
+        });
+    });
+
+    test('keeps existing fields on partial updates', () => {
+        const existing = { url: URL, events: ['*'], filters: { callsigns: ['DLH1'] }, description: 'ops', enabled: false };
+
+        expect(webhookService.buildSubscription({ events: ['alert.opened'] }, existing)).toMatchObject({
+            url: URL, events: ['alert.opened'], filters: { callsigns: ['DLH1'] }, description: 'ops', enabled: false
+        });
+    });
+
+    test.each([
+        ['a non-http URL', { url: 'ftp://x', events: ['*'] }, 'url must be an http(s) URL'],
+        ['no events', { url: URL, events: [] }, 'events must be a non-empty list'],
+        ['an unknown event', { url: URL, events: ['runway.*'] },
+            'unknown event runway.* (events: alert.opened, flight.status_changed, flight.gate_changed, flight.milestone)'],
+        ['non-string filters', { url: URL, events: ['*'], filters: { callsigns: 'DLH1' } }, 'filters.callsigns must be a list of strings']
+    ])('rejects %s', (description, definition, message) => {
+        try {
+            webhookService.buildSubscription(definition);
+            throw new Error('expected a validation error');
+        } catch (error) {
+            expect(error).toMatchObject({ status: 400, message });
+        }
+    });
+
+    test('matches events by name, wildcard and filters', () => {
+        const subscription = { events: ['flight.*'], filters: { callsigns: ['DLH1'] } };
+
+        expect(webhookService.matches(subscription, 'flight.gate_changed', { flightNumber: 'DLH1' })).toBe(true);
+        expect(webhookService.matches(subscription, 'flight.gate_changed', { flightNumber: 'BAW2' })).toBe(false);
+        expect(webhookService.matches(subscription, 'alert.opened', { callsign: 'DLH1' })).toBe(false);
+        expect(webhookService.matches(
+            { events: ['*'], filters: { icao24s: ['abc123'], severities: ['CRITICAL'] } },
+            'alert.opened',
+            { severity: 'CRITICAL', aircraft: [{ icao24: 'def456' }, { icao24: 'abc123' }] }
+        )).toBe(true);
+    });
+
+    test('backs off exponentially up to the cap', () => {
+        expect([1, 2, 3, 20].map(n => webhookService.getBackoffSec(n))).toEqual([10, 20, 40, 3600]);
+    });
+});
+
+describe('webhook delivery', () => {
+    let mongo;
+    let post;
+    let subscription;
+
+    beforeEach(async () => {
+        mongo = new FakeMongo();
+        jest.spyOn(dbManager, 'getMongoDB').mockReturnValue(mongo);
+        post = jest.spyOn(axios, 'post').mockResolvedValue({ status: 204 });
+        webhookService.subscriptions = null;
+        webhookService.inFlight = new Set();
+        subscription = await webhookService.createSubscription({ url: URL, events: ['alert.opened'] });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('signs the timestamped body with the subscription secret', async () => {
+        const [delivery] = await webhookService.dispatch('alert.opened', { alertId: 'alert-1' }, '2026-05-01T12:00:00Z');
+
+        expect(delivery.status).toBe('delivered');
+        const [url, body, { headers }] = post.mock.calls[0];
+        const expected = crypto.createHmac('sha256', subscription.secret)
+            .update(`${headers['X-Webhook-Timestamp']}.${body}`).digest('hex');
+        expect(url).toBe(URL);
+        expect(JSON.parse(body)).toEqual({ id: delivery.deliveryId, event: 'alert.opened', timestamp: '2026-05-01T12:00:00Z', data: { alertId: 'alert-1' } });
+        expect(headers['X-Webhook-Signature']).toBe(`sha256=${expected}`);
+    });
+
+    test('retries failures and moves them to dead letters after MAX_ATTEMPTS', async () => {
+        post.mockRejectedValue(Object.assign(new Error('Request failed with status code 503'), { response: { status: 503 } }));
+
+        let [delivery] = await webhookService.dispatch('alert.opened', { alertId: 'alert-1' });
+        expect(delivery).toMatchObject({ status: 'retrying', attempts: [{ attempt: 1, statusCode: 503 }] });
+
+        // Not due yet
+        expect(await webhookService.retryDue()).toBe(0);
+
+        for (let i = 1; i < webhookService.MAX_ATTEMPTS; i++) {
+            await mongo.collection('webhook_deliveries').updateMany({ status: 'retrying' }, { $set: { nextAttemptAt: new Date(0) } });
+            await webhookService.retryDue();
+        }
+
+        [delivery] = await webhookService.getDeliveries(subscription.subscriptionId);
+        expect(delivery).toMatchObject({ status: 'dead', nextAttemptAt: null });
+        expect(delivery.attempts).toHaveLength(webhookService.MAX_ATTEMPTS);
+
+        const [deadLetter] = await webhookService.getDeadLetters(subscription.subscriptionId);
+        expect(deadLetter).toMatchObject({ deliveryId: delivery.deliveryId, lastError: 'Request failed with status code 503' });
+
+        post.mockResolvedValue({ status: 200 });
+        const replayed = await webhookService.replayDeadLetter(subscription.subscriptionId, delivery.deliveryId);
+        expect(replayed.status).toBe('delivered');
+        expect(replayed.payload).toEqual(delivery.payload);
+    });
+
+    test('picks up deliveries left pending by an interrupted first attempt', async () => {
+        const old = new Date(Date.now() - 3 * webhookService.TIMEOUT_MS);
+        await mongo.collection('webhook_deliveries').insertMany([
+            { deliveryId: 'stale', subscriptionId: subscription.subscriptionId, event: 'alert.opened', payload: {}, status: 'pending', attempts: [], updatedAt: old },
+            { deliveryId: 'fresh', subscriptionId: subscription.subscriptionId, event: 'alert.opened', payload: {}, status: 'pending', attempts: [], updatedAt: new Date() }
+        ]);
+
+        expect(await webhookService.retryDue()).toBe(1);
+        expect(post).toHaveBeenCalledTimes(1);
+        expect((await mongo.collection('webhook_deliveries').findOne({ deliveryId: 'stale' })).status).toBe('delivered');
+    });
+
+    test('cancels retries for disabled subscriptions', async () => {
+        post.mockRejectedValueOnce(new Error('timeout'));
+        await webhookService.dispatch('alert.opened', {});
+        await webhookService.updateSubscription(subscription.subscriptionId, { enabled: false });
+        await mongo.collection('webhook_deliveries').updateMany({}, { $set: { nextAttemptAt: new Date(0) } });
+
+        await webhookService.retryDue();
+
+        const [delivery] = await webhookService.getDeliveries(subscription.subscriptionId);
+        expect(delivery.status).toBe('cancelled');
+        expect(post).toHaveBeenCalledTimes(1);
+    });
+
+    test('masks secrets outside creation', async () => {
+        const [listed] = await webhookService.getSubscriptions();
+
+        expect(listed.secret).toBe(`${subscription.secret.slice(0, 4)}…`);
+    });
+});
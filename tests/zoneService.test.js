@@ -0,0 +1,169 @@
+const dbManager = require('../src/config/database');
+const zoneService = require('../src/services/zoneService');
+const { FakeRedis } = require('./helpers/fakeRedis');
+
+const SQUARE = [[8.5, 50.0], [8.6, 50.0], [8.6, 50.1], [8.5, 50.1], [8.5, 50.0]];
+
+function feature(properties, geometry) {
+    return { type: 'Feature', properties, geometry };
+}
+
+describe('GeoJSON zone import', () => {
+    test('converts a polygon feature into a zone with vertical limits', () => {
+        const [zone] = zoneService.parseGeoJSON(feature(
+            { name: 'CTR', airport: 'EDDF', type: 'CTR', floorFt: 0, ceilingFt: 2500 },
+            { type: 'Polygon', coordinates: [SQUARE] }
+        ));
+
+        expect(zone).toMatchObject({
+            name: 'CTR',
+            airport: 'EDDF',
+            latitudes: [50.0, 50.0, 50.1, 50.1],
+            longitudes: [8.5, 8.6, 8.6, 8.5],
+            floorFt: 0,
+            ceilingFt: 2500
+        });
+        expect(zone.latitude).toBeCloseTo(50.05, 10);
+        expect(zone.longitude).toBeCloseTo(8.55, 10);
+        expect(zone.radiusMeters).toBeGreaterThan(5000);
+    });
+
+    test('numbers the parts of a MultiPolygon', () => {
+        const shifted = SQUARE.map(([lon, lat]) => [lon + 1, lat]);
+        const zones = zoneService.parseGeoJSON({
+            type: 'FeatureCollection',
+            features: [feature({ name: 'Danger area' }, { type: 'MultiPolygon', coordinates: [[SQUARE], [shifted]] })]
+        });
+
+        expect(zones.map(zone => zone.name)).toEqual(['Danger area (1)', 'Danger area (2)']);
+        expect(zones[0]).toMatchObject({ floorFt: 0, ceilingFt: null });
+    });
+
+    test.each([
+        ['a non-GeoJSON body', { hello: 'world' }, 'Body must be a GeoJSON Feature or FeatureCollection'],
+        ['an unsupported type', { type: 'Point', coordinates: [8, 50] }, 'Unsupported GeoJSON type: Point'],
+        ['features that are not a list', { type: 'FeatureCollection', features: {} }, 'FeatureCollection features must be a list'],
+        ['a null feature', { type: 'FeatureCollection', features: [null] }, 'Feature 0 must be an object'],
+        ['a feature without a name', feature({}, { type: 'Polygon', coordinates: [SQUARE] }), 'Feature 0 is missing a name property'],
+        ['a line', feature({ name: 'L' }, { type: 'LineString', coordinates: SQUARE }), 'Feature "L" must be a Polygon or MultiPolygon'],
+        ['string positions', feature({ name: 'S' }, { type: 'Polygon', coordinates: [[['8.5', '50'], ['8.6', '50'], ['8.6', '50.1']]] }),
+            'Feature "S" has a position that is not [longitude, latitude]'],
+        ['swapped coordinates out of range', feature({ name: 'R' }, { type: 'Polygon', coordinates: [[[50, 8.5], [50, 200], [50.1, 8.6]]] }),
+            'Feature "R" has a position that is not [longitude, latitude]'],
+        ['a ring of two positions', feature({ name: 'T' }, { type: 'Polygon', coordinates: [[[8.5, 50], [8.6, 50], [8.5, 50]]] }),
+            'Feature "T" needs at least 3 distinct positions'],
+        ['a ceiling below the floor', feature({ name: 'V', floorFt: 3000, ceilingFt: 1000 }, { type: 'Polygon', coordinates: [SQUARE] }),
+            'Feature "V" has invalid vertical limits']
+    ])('rejects %s', (description, geojson, message) => {
+        let error = null;
+        try {
+            zoneService.parseGeoJSON(geojson);
+        } catch (thrown) {
+            error = thrown;
+        }
+
+        expect(error).toMatchObject({ status: 400, message });
+    });
+});
+
+describe('zone containment', () => {
+    const [polygon] = zoneService.parseGeoJSON(feature(
+        { name: 'CTR', floorFt: 1000, ceilingFt: 5000 },
+        { type: 'Polygon', coordinates: [SQUARE] }
+    ));
+    const circle = { shape: 'circle', latitude: 50, longitude: 8, radiusMeters: 10000, floorFt: 0, ceilingFt: null };
+
+    test('checks polygon shape and vertical limits', () => {
+        expect(zoneService.containsPosition(polygon, 50.05, 8.55, 3000)).toBe(true);
+        expect(zoneService.containsPosition(polygon, 50.05, 8.65, 3000)).toBe(false);
+        expect(zoneService.containsPosition(polygon, 50.05, 8.55, 500)).toBe(false);
+        expect(zoneService.containsPosition(polygon, 50.05, 8.55, 6000)).toBe(false);
+        // Without an altitude only the shape is checked
+        expect(zoneService.containsPosition(polygon, 50.05, 8.55)).toBe(true);
+    });
+
+    test('checks circle radius', () => {
+        expect(zoneService.containsPosition(circle, 50.05, 8, 30000)).toBe(true);
+        expect(zoneService.containsPosition(circle, 50.1, 8, 30000)).toBe(false);
+    });
+
+    test('reads polygon zones from the graph with their bounds', () => {
+        const zone = zoneService.toZone(
+            { name: 'CTR', latitudes: [50, 50, 50.1], longitudes: [8.5, 8.6, 8.6], latitude: 50.03, longitude: 8.57, radiusMeters: 8000, ceilingFt: 2500 },
+            { airport: 'Frankfurt', airportIcao: 'EDDF' }
+        );
+
+        expect(zone).toMatchObject({ shape: 'polygon', floorFt: 0, ceilingFt: 2500, airportIcao: 'EDDF' });
+        expect(zoneService.toZone({ name: 'Old', latitude: 50, longitude: 8, radiusMeters: 5000 }, {}).shape).toBe('circle');
+    });
+});
+
+describe('zone cache', () => {
+    let redis;
+    let sessions;
+
+    beforeEach(() => {
+        redis = new FakeRedis();
+        sessions = 0;
+        const rows = {
+            zones: [{
+                airport: 'Frankfurt', airportCode: 'FRA', airportIcao: 'EDDF', airportElevationFt: 364,
+                zone: { name: 'CTR', latitude: 50.0379, longitude: 8.5622, radiusMeters: 30000, ceilingFt: 2500 }
+            }],
+            airports: [{ name: 'Frankfurt', code: 'FRA', icao: 'EDDF', latitude: 50.0379, longitude: 8.5622 }]
+        };
+        jest.spyOn(dbManager, 'getRedis').mockReturnValue(redis);
+        jest.spyOn(dbManager, 'getNeo4j').mockReturnValue({
+            session: () => {
+                sessions++;
+                return {
+                    run: async query => ({
+                        records: rows[query.includes('HAS_ZONE') ? 'zones' : 'airports'].map(row => ({ get: field => row[field] }))
+                    }),
+                    close: async () => {}
+                };
+            }
+        });
+        zoneService.cache = null;
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('loads zones and airports once for repeated lookups', async () => {
+        const { zones, airports } = await zoneService.getZoneData();
+        await zoneService.getZones();
+        await zoneService.getAirportZone('EDDF', 'CTR');
+
+        expect(sessions).toBe(1);
+        expect(zones[0]).toMatchObject({ name: 'CTR', airportIcao: 'EDDF', airportElevationFt: 364, ceilingFt: 2500 });
+        expect(airports).toEqual([{ name: 'Frankfurt', code: 'FRA', icao: 'EDDF', latitude: 50.0379, longitude: 8.5622 }]);
+    });
+
+    test('reloads when another process bumps the version', async () => {
+        await zoneService.getZoneData();
+        await redis.incr('zones:version');
+        await zoneService.getZoneData();
+
+        expect(sessions).toBe(2);
+    });
+
+    test('invalidate drops the local cache and bumps the shared version', async () => {
+        await zoneService.getZoneData();
+        await zoneService.invalidate();
+
+        expect(await redis.get('zones:version')).toBe('1');
+        await zoneService.getZoneData();
+        await zoneService.getZoneData();
+        expect(sessions).toBe(2);
+    });
+
+    test('reloads after the TTL', async () => {
+        await zoneService.getZoneData();
+        zoneService.cache.loadedAt -= zoneService.CACHE_TTL_SEC * 1000;
+        await zoneService.getZoneData();
+
+        expect(sessions).toBe(2);
+    });
+});